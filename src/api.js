@@ -1,6 +1,7 @@
 /**
  * IZSU API Service Module
- * Uses GitHub Gist (updated hourly by GitHub Actions)
+ * Reads the published snapshot (GitHub Gist, updated hourly by GitHub Actions)
+ * from an ordered list of sources with fallback
  * Cem Baspinar - MIT License
  */
 
@@ -11,6 +12,16 @@ const API = (function() {
     const GIST_URL =
         "https://gist.githubusercontent.com/aft/3277579cab49d20d3fd0a8705119db0c/raw/izsu-data.json";
 
+    // iCalendar feed of current outages, published by the fetcher next to the snapshot
+    const OUTAGE_CALENDAR_FILE = 'izsu-outages.ics';
+
+    // Snapshot sources in order of preference; later ones are tried when
+    // an earlier one fails or is stale (see setSnapshotSources)
+    const DEFAULT_SNAPSHOT_SOURCES = [GIST_URL];
+
+    // Snapshots older than this are considered stale (fetcher runs hourly)
+    const MAX_SNAPSHOT_AGE = 3 * 60 * 60 * 1000;
+
     // Endpoint names for cache keys
     const ENDPOINTS = {
         OUTAGES: 'arizakaynaklisukesintileri',
@@ -20,95 +31,327 @@ const API = (function() {
         PRODUCTION_DISTRIBUTION: 'suuretiminindagilimi',
         WEEKLY_ANALYSIS: 'haftaliksuanalizleri',
         DISTRICT_ANALYSIS: 'cevreilcesuanalizleri',
-        DAM_QUALITY: 'barajsukaliteraporlari'
+        DAM_QUALITY: 'barajsukaliteraporlari',
+        OUTAGE_ARCHIVE: 'outageArchive',
+        QUALITY_ARCHIVE: 'qualityArchive',
+        SAMPLING_POINTS: 'samplingPoints'
     };
 
-    // Cache for Gist data (in-memory)
-    let gistData = null;
-    let gistFetchPromise = null;
+    let snapshotSources = [...DEFAULT_SNAPSHOT_SOURCES];
+
+    // Cache for snapshot data (in-memory)
+    let snapshotData = null;
+    let snapshotFetchPromise = null;
+
+    // Stale-while-revalidate state
+    const staleKeys = new Set();
+    const revalidating = new Set();
+    const revalidateListeners = [];
+    let revalidatedCount = 0;
+
+    /**
+     * Set the ordered list of snapshot URLs
+     * @param {Array<string>} urls - Snapshot URLs, most preferred first
+     */
+    function setSnapshotSources(urls) {
+        const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+        snapshotSources = list.length ? list : [...DEFAULT_SNAPSHOT_SOURCES];
+        snapshotData = null;
+    }
+
+    /**
+     * Get the ordered list of snapshot URLs
+     * @returns {Array<string>} Snapshot URLs
+     */
+    function getSnapshotSources() {
+        return [...snapshotSources];
+    }
+
+    /**
+     * Check whether a snapshot is older than MAX_SNAPSHOT_AGE
+     * @param {Object} data - Snapshot data
+     * @returns {boolean} True if stale or without timestamp
+     */
+    function isSnapshotStale(data) {
+        const time = data && data.timestamp ? new Date(data.timestamp).getTime() : NaN;
+        return isNaN(time) || Date.now() - time > MAX_SNAPSHOT_AGE;
+    }
 
     /**
-     * Fetch data from GitHub Gist
-     * @returns {Promise<Object|null>} Gist data or null if unavailable
+     * Fetch one snapshot source
+     * @param {string} source - Snapshot URL
+     * @returns {Promise<Object|null>} Snapshot data or null if unavailable
      */
-    async function fetchFromGist() {
+    async function fetchSource(source) {
+        try {
+            // Add cache-busting param
+            const url = `${source}${source.includes('?') ? '&' : '?'}t=${Date.now()}`;
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                console.warn('Snapshot fetch failed:', source, response.status);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data || !data.endpoints) {
+                console.warn('Snapshot has no endpoints:', source);
+                return null;
+            }
+            if (!Schema.isSupportedVersion(data)) {
+                console.warn('Unsupported snapshot schema version:', source, data.schemaVersion);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.warn('Snapshot fetch error:', source, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the snapshot, falling back to the next source on failure, unsupported schema version or staleness
+     * If every source is stale, the freshest one is used
+     * @returns {Promise<Object|null>} Snapshot data or null if unavailable
+     */
+    async function fetchSnapshot() {
         // Return cached if available and fresh (< 5 min)
-        if (gistData && gistData._fetchedAt && (Date.now() - gistData._fetchedAt < 300000)) {
-            return gistData;
+        if (snapshotData && snapshotData._fetchedAt && (Date.now() - snapshotData._fetchedAt < 300000)) {
+            return snapshotData;
         }
 
         // Deduplicate concurrent requests
-        if (gistFetchPromise) {
-            return gistFetchPromise;
+        if (snapshotFetchPromise) {
+            return snapshotFetchPromise;
         }
 
-        gistFetchPromise = (async () => {
+        snapshotFetchPromise = (async () => {
             try {
-                // Add cache-busting param
-                const url = `${GIST_URL}?t=${Date.now()}`;
-                const response = await fetch(url);
+                let best = null;
 
-                if (!response.ok) {
-                    console.warn('Gist fetch failed:', response.status);
-                    return null;
+                for (const source of snapshotSources) {
+                    const data = await fetchSource(source);
+                    if (!data) continue;
+
+                    data._source = source;
+                    if (!best || new Date(data.timestamp || 0) > new Date(best.timestamp || 0)) {
+                        best = data;
+                    }
+                    if (!isSnapshotStale(data)) break;
+
+                    console.warn('Snapshot is stale, trying next source:', source, data.timestamp);
                 }
 
-                const data = await response.json();
-                data._fetchedAt = Date.now();
-                gistData = data;
-                console.log('Gist data loaded, timestamp:', data.timestamp);
-                return data;
-            } catch (error) {
-                console.warn('Gist fetch error:', error.message);
-                return null;
+                if (!best) return null;
+
+                best._fetchedAt = Date.now();
+                snapshotData = best;
+                console.log('Snapshot loaded from', best._source, 'timestamp:', best.timestamp);
+                return best;
             } finally {
-                gistFetchPromise = null;
+                snapshotFetchPromise = null;
             }
         })();
 
-        return gistFetchPromise;
+        return snapshotFetchPromise;
     }
 
     /**
-     * Get data from Gist endpoint
-     * @param {string} endpoint - Endpoint name
-     * @returns {Promise<*>} Data from Gist or null
+     * Resolve a file published next to a snapshot
+     * @param {string} source - Snapshot URL (absolute or relative to the page)
+     * @param {string} file - File name
+     * @returns {string} Absolute file URL
+     */
+    function resolveSnapshotFile(source, file) {
+        return new URL(file, new URL(source, window.location.href)).href;
+    }
+
+    /**
+     * Get the URL of the outage calendar feed
+     * @returns {string} Feed next to the loaded snapshot, or next to the preferred source before loading
      */
-    async function getFromGist(endpoint) {
-        const data = await fetchFromGist();
-        if (data && data.endpoints && data.endpoints[endpoint]) {
-            const endpointData = data.endpoints[endpoint];
-            if (!endpointData.error) {
-                return endpointData;
+    function getOutageCalendarUrl() {
+        return resolveSnapshotFile(snapshotData ? snapshotData._source : snapshotSources[0], OUTAGE_CALENDAR_FILE);
+    }
+
+    /**
+     * Fetch an archive published next to the snapshot it was loaded from
+     * Snapshots written before the archives had files of their own embed them
+     * @param {string} name - Archive name
+     * @returns {Promise<Object|null>} Archive or null if the snapshot has none
+     * @throws {Error} If the archive file cannot be loaded or has an unexpected shape
+     */
+    async function fetchArchive(name) {
+        const data = await fetchSnapshot();
+        if (!data) return null;
+
+        const file = data.archives && data.archives[name];
+        let archive = data[name] || null;
+        if (file) {
+            const url = resolveSnapshotFile(data._source, file);
+            const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`);
+            if (!response.ok) {
+                throw new Error(`Archive fetch failed: ${response.status}`);
             }
+            archive = await response.json();
         }
-        return null;
+        if (!archive) return null;
+
+        return validated(name, archive);
+    }
+
+    /**
+     * Get data from snapshot endpoint
+     * @param {string} endpoint - Endpoint name
+     * @returns {Promise<*>} Data from snapshot or null if the snapshot does not have the endpoint
+     * @throws {Error} If no snapshot could be loaded, the fetcher failed on the endpoint or its data is invalid
+     */
+    async function getFromSnapshot(endpoint) {
+        const data = await fetchSnapshot();
+        if (!data) {
+            throw new Error('Snapshot unavailable');
+        }
+
+        const endpointData = data.endpoints[endpoint];
+        if (!endpointData) return null;
+        if (endpointData.error) {
+            throw new Error(`Fetch failed: ${endpointData.error}`);
+        }
+        return validated(endpoint, endpointData);
+    }
+
+    /**
+     * Validate endpoint data against its schema
+     * Rows that do not match are dropped with a warning; the rest of the endpoint is kept
+     * unless most of it was dropped (see Schema.cleanEndpoint)
+     * @param {string} endpoint - Endpoint name
+     * @param {*} data - Endpoint data
+     * @returns {*} Data without the invalid rows
+     * @throws {Error} If the data does not match the expected shape
+     */
+    function validated(endpoint, data) {
+        const result = Schema.cleanEndpoint(endpoint, data);
+        if (result.dropped.length) {
+            console.warn(`Dropped ${result.dropped.length} invalid rows:`, result.dropped.slice(0, 3));
+        }
+        if (!result.valid) {
+            console.warn('Schema mismatch:', result.errors);
+            throw new Error(`Unexpected data format: ${result.errors.join('; ')}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * Get the cache key of an endpoint for the current snapshot sources
+     * Data read from overridden sources is cached apart from the default source
+     * @param {string} key - Endpoint cache key
+     * @returns {string} Cache key
+     */
+    function sourceCacheKey(key) {
+        const isDefault = snapshotSources.length === DEFAULT_SNAPSHOT_SOURCES.length &&
+            snapshotSources.every((source, i) => source === DEFAULT_SNAPSHOT_SOURCES[i]);
+        return isDefault ? key : `${key}@${snapshotSources.join('|')}`;
     }
 
     /**
      * Fetch with local caching
+     * In stale-while-revalidate mode expired entries are returned immediately
+     * and refreshed in the background
      */
-    async function fetchWithCache(cacheKey, fetchFn, forceRefresh = false) {
+    async function fetchWithCache(endpointKey, fetchFn, forceRefresh = false) {
+        const cacheKey = sourceCacheKey(endpointKey);
+
         if (!forceRefresh) {
-            const cached = Cache.get(cacheKey);
-            if (cached !== null) {
-                return cached;
+            const entry = await Cache.getEntry(cacheKey);
+            if (entry && !entry.stale) {
+                return entry.data;
+            }
+            if (entry && Cache.isStaleWhileRevalidate()) {
+                staleKeys.add(cacheKey);
+                revalidate(cacheKey, fetchFn);
+                return entry.data;
             }
         }
 
         const data = await fetchFn();
         if (data) {
             Cache.set(cacheKey, data);
+            staleKeys.delete(cacheKey);
         }
         return data;
     }
 
+    /**
+     * Check whether a fetch result is worth replacing a stale entry with
+     * @param {*} data - Fetch result
+     * @returns {boolean} True if not null and not an empty array
+     */
+    function hasData(data) {
+        return data !== null && data !== undefined && !(Array.isArray(data) && !data.length);
+    }
+
+    /**
+     * Refresh a stale cache entry in the background
+     * Listeners are notified once all pending refreshes have settled
+     * @param {string} cacheKey - Cache key
+     * @param {Function} fetchFn - Fetch function
+     */
+    function revalidate(cacheKey, fetchFn) {
+        if (revalidating.has(cacheKey)) return;
+
+        revalidating.add(cacheKey);
+        fetchFn()
+            .then(data => {
+                // Keep the stale entry if the refresh came back empty
+                if (hasData(data)) {
+                    Cache.set(cacheKey, data);
+                    staleKeys.delete(cacheKey);
+                    revalidatedCount++;
+                }
+            })
+            .catch(error => {
+                console.warn('Background refresh failed:', cacheKey, error.message);
+            })
+            .finally(() => {
+                revalidating.delete(cacheKey);
+                if (revalidating.size === 0) {
+                    const refreshed = revalidatedCount > 0;
+                    revalidatedCount = 0;
+                    revalidateListeners.forEach(listener => listener({ refreshed }));
+                }
+            });
+    }
+
+    /**
+     * Register a callback run after background refreshes settle
+     * @param {Function} listener - Called with { refreshed }
+     */
+    function onRevalidate(listener) {
+        revalidateListeners.push(listener);
+    }
+
+    /**
+     * Check whether any data currently shown comes from an expired cache entry
+     * @returns {boolean} True if stale data is being served
+     */
+    function isStale() {
+        return staleKeys.size > 0;
+    }
+
+    /**
+     * Check whether background refreshes are running
+     * @returns {boolean} True if refreshing
+     */
+    function isRevalidating() {
+        return revalidating.size > 0;
+    }
+
     /**
      * Get dam status
      */
     async function getDamStatus(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.DAM_STATUS, async () => {
-            return await getFromGist('barajdurum') || [];
+            return await getFromSnapshot('barajdurum') || [];
         }, forceRefresh);
     }
 
@@ -117,7 +360,7 @@ const API = (function() {
      */
     async function getDailyProduction(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.DAILY_PRODUCTION, async () => {
-            return await getFromGist('gunluksuuretimi') || null;
+            return await getFromSnapshot('gunluksuuretimi') || null;
         }, forceRefresh);
     }
 
@@ -128,7 +371,7 @@ const API = (function() {
         const cacheKey = year ? `${ENDPOINTS.PRODUCTION_DISTRIBUTION}_${year}` : ENDPOINTS.PRODUCTION_DISTRIBUTION;
 
         return fetchWithCache(cacheKey, async () => {
-            const data = await getFromGist('suuretiminindagilimi');
+            const data = await getFromSnapshot('suuretiminindagilimi');
             if (!data) return [];
 
             // Filter by year if specified
@@ -144,7 +387,7 @@ const API = (function() {
      */
     async function getOutages(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.OUTAGES, async () => {
-            return await getFromGist('arizakaynaklisukesintileri') || [];
+            return await getFromSnapshot('arizakaynaklisukesintileri') || [];
         }, forceRefresh);
     }
 
@@ -153,7 +396,7 @@ const API = (function() {
      */
     async function getDamsAndWells(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.DAMS_WELLS, async () => {
-            return await getFromGist('barajvekuyular') || [];
+            return await getFromSnapshot('barajvekuyular') || [];
         }, forceRefresh);
     }
 
@@ -162,7 +405,7 @@ const API = (function() {
      */
     async function getWeeklyAnalysis(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.WEEKLY_ANALYSIS, async () => {
-            return await getFromGist('haftaliksuanalizleri') || { Pinotlar: [] };
+            return await getFromSnapshot('haftaliksuanalizleri') || { Pinotlar: [] };
         }, forceRefresh);
     }
 
@@ -171,7 +414,7 @@ const API = (function() {
      */
     async function getDistrictAnalysis(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.DISTRICT_ANALYSIS, async () => {
-            return await getFromGist('cevreilcesuanalizleri') || { Pinotlar: [] };
+            return await getFromSnapshot('cevreilcesuanalizleri') || { Pinotlar: [] };
         }, forceRefresh);
     }
 
@@ -180,17 +423,38 @@ const API = (function() {
      */
     async function getDamQuality(forceRefresh = false) {
         return fetchWithCache(ENDPOINTS.DAM_QUALITY, async () => {
-            return await getFromGist('barajsukaliteraporlari') || { Pinotlar: [] };
+            return await getFromSnapshot('barajsukaliteraporlari') || { Pinotlar: [] };
         }, forceRefresh);
     }
 
+    /**
+     * Get outage archive (accumulated by the fetcher, loaded on demand)
+     */
+    async function getOutageArchive(forceRefresh = false) {
+        return fetchWithCache(ENDPOINTS.OUTAGE_ARCHIVE, () => fetchArchive(ENDPOINTS.OUTAGE_ARCHIVE), forceRefresh);
+    }
+
+    /**
+     * Get analysis report archive (accumulated by the fetcher, loaded on demand)
+     */
+    async function getQualityArchive(forceRefresh = false) {
+        return fetchWithCache(ENDPOINTS.QUALITY_ARCHIVE, () => fetchArchive(ENDPOINTS.QUALITY_ARCHIVE), forceRefresh);
+    }
+
+    /**
+     * Get geocoded analysis sampling points (resolved by the fetcher, loaded on demand)
+     */
+    async function getSamplingPoints(forceRefresh = false) {
+        return fetchWithCache(ENDPOINTS.SAMPLING_POINTS, () => fetchArchive(ENDPOINTS.SAMPLING_POINTS), forceRefresh);
+    }
+
     /**
      * Fetch all data concurrently
+     * The archives and sampling points are not included; they are loaded when a view needs them
      */
     async function fetchAll(forceRefresh = false) {
-        // Pre-fetch gist data once
-        await fetchFromGist();
-
+        // Concurrent snapshot requests are deduplicated in fetchSnapshot;
+        // no upfront fetch so cached (even stale) data renders without waiting
         const results = await Promise.allSettled([
             getOutages(forceRefresh),
             getDamsAndWells(forceRefresh),
@@ -230,14 +494,14 @@ const API = (function() {
     }
 
     function getLastUpdateTime() {
-        if (gistData && gistData.timestamp) {
-            return new Date(gistData.timestamp).getTime();
+        if (snapshotData && snapshotData.timestamp) {
+            return new Date(snapshotData.timestamp).getTime();
         }
         const endpoints = Object.values(ENDPOINTS);
         let latestTimestamp = null;
 
         for (const endpoint of endpoints) {
-            const timestamp = Cache.getTimestamp(endpoint);
+            const timestamp = Cache.getTimestamp(sourceCacheKey(endpoint));
             if (timestamp && (!latestTimestamp || timestamp > latestTimestamp)) {
                 latestTimestamp = timestamp;
             }
@@ -247,16 +511,16 @@ const API = (function() {
     }
 
     function needsRefresh() {
-        return !gistData;
+        return !snapshotData;
     }
 
     /**
-     * Get consumption data from CKAN (via Gist)
+     * Get consumption data from CKAN (via snapshot)
      */
     async function getConsumption() {
-        const data = await fetchFromGist();
-        if (data && data.ckan && data.ckan.consumption) {
-            return data.ckan.consumption;
+        const data = await fetchSnapshot();
+        if (data && data.ckan && data.ckan.consumption && !data.ckan.consumption.error) {
+            return validated('consumption', data.ckan.consumption);
         }
         return null;
     }
@@ -270,10 +534,19 @@ const API = (function() {
         getWeeklyAnalysis,
         getDistrictAnalysis,
         getDamQuality,
+        getOutageArchive,
+        getQualityArchive,
+        getSamplingPoints,
         getConsumption,
         fetchAll,
         getLastUpdateTime,
         needsRefresh,
+        setSnapshotSources,
+        getSnapshotSources,
+        onRevalidate,
+        isStale,
+        isRevalidating,
+        getOutageCalendarUrl,
         ENDPOINTS
     };
 })();
@@ -9,64 +9,40 @@ const App = (function() {
     let data = {};
     let locationsData = null;
     let historyData = null;
+    let chartHistory = null;
     let consumptionData = null;
-
-    // Water quality parameter limits (for color coding)
-    // Based on Turkish drinking water standards (TS 266 / WHO guidelines)
-    const QUALITY_LIMITS = {
-        'pH': { min: 6.5, max: 9.5 },
-        'PH': { min: 6.5, max: 9.5 },
-        'Bulaniklik': { max: 1 },
-        'Bulaniklık': { max: 1 },
-        'Turbidite': { max: 1 },
-        'Serbest Klor': { min: 0.2, max: 0.5 },
-        'Serbest Residuel Klor': { min: 0.2, max: 0.5 },
-        'Klor': { min: 0.2, max: 0.5 },
-        'Residuel Klor': { min: 0.2, max: 0.5 },
-        'Iletkenlik': { max: 2500 },
-        'Elektriksel Iletkenlik': { max: 2500 },
-        'Nitrat': { max: 50 },
-        'NO3': { max: 50 },
-        'Nitrit': { max: 0.5 },
-        'NO2': { max: 0.5 },
-        'Amonyum': { max: 0.5 },
-        'NH4': { max: 0.5 },
-        'Demir': { max: 0.2 },
-        'Fe': { max: 0.2 },
-        'Mangan': { max: 0.05 },
-        'Mn': { max: 0.05 },
-        'Aluminyum': { max: 0.2 },
-        'Al': { max: 0.2 },
-        'Florur': { max: 1.5 },
-        'F': { max: 1.5 },
-        'Sulfat': { max: 250 },
-        'SO4': { max: 250 },
-        'Klorur': { max: 250 },
-        'Cl': { max: 250 },
-        'Renk': { max: 20 },
-        'Toplam Sertlik': { max: 500 },
-        'Sertlik': { max: 500 },
-        'E.Coli': { max: 0 },
-        'E. Coli': { max: 0 },
-        'Escherichia Coli': { max: 0 },
-        'Koliform': { max: 0 },
-        'Toplam Koliform': { max: 0 },
-        'Koliform Bakteri': { max: 0 }
+    let forecast = null;
+    let historyRange = parseInt(localStorage.getItem('izsu_historyRange') || '365');
+
+    // Archives are published as separate files and loaded when a view needs them
+    const ARCHIVE_LOADERS = {
+        outageArchive: forceRefresh => API.getOutageArchive(forceRefresh),
+        qualityArchive: forceRefresh => API.getQualityArchive(forceRefresh),
+        samplingPoints: forceRefresh => API.getSamplingPoints(forceRefresh)
     };
+    const loadedArchives = new Set();
+    const pendingArchives = {};
 
     /**
      * Initialize application
      */
     async function init() {
-        await I18n.init();
+        await Promise.all([I18n.init(), Cache.init()]);
 
+        applySnapshotOverride();
+        registerServiceWorker();
         UI.applySettings();
         setupEventListeners();
+        Search.init();
+        DataExport.init();
+        QualityHistory.init();
+        API.onRevalidate(handleRevalidated);
         UI.showLoading(true);
 
         try {
             await Promise.all([
                 loadData(),
+                Standards.init(),
                 loadLocationsData(),
                 loadHistoryData()
             ]);
@@ -81,6 +57,51 @@ const App = (function() {
         }
     }
 
+    /**
+     * Use snapshot paths from ?snapshot= query params (e.g. data/latest.json written by the fetcher)
+     * Only this site and the mirror origins configured in index.html are accepted,
+     * so a shared link cannot make the page show third-party data
+     */
+    function applySnapshotOverride() {
+        const sources = new URLSearchParams(window.location.search).getAll('snapshot').filter(source => {
+            if (isAllowedSnapshotSource(source)) return true;
+            console.warn('Ignoring snapshot source from an unknown origin:', source);
+            return false;
+        });
+        if (sources.length) {
+            API.setSnapshotSources(sources);
+        }
+    }
+
+    /**
+     * Get the mirror origins listed in <meta name="izsu-snapshot-origins"> (space separated)
+     * @returns {Array<string>} Origins
+     */
+    function getMirrorOrigins() {
+        const meta = document.querySelector('meta[name="izsu-snapshot-origins"]');
+        return (meta?.content || '').split(/\s+/).filter(Boolean).map(origin => {
+            try {
+                return new URL(origin).origin;
+            } catch (e) {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Check whether a URL (absolute or relative to the page) points to this site or a configured mirror
+     * @param {string} url - URL
+     * @returns {boolean} True if the origin is allowed
+     */
+    function isAllowedSnapshotSource(url) {
+        try {
+            const origin = new URL(url, window.location.href).origin;
+            return origin === window.location.origin || getMirrorOrigins().includes(origin);
+        } catch (e) {
+            return false;
+        }
+    }
+
     /**
      * Load locations data from JSON
      */
@@ -96,14 +117,24 @@ const App = (function() {
     }
 
     /**
-     * Load historical data from JSON
+     * Load the monthly history for the forecast and the record badges, then the chart range
      */
     async function loadHistoryData() {
         try {
-            const response = await fetch('data/history.json');
-            if (response.ok) {
-                historyData = await response.json();
-            }
+            await WaterHistory.init();
+            historyData = WaterHistory.getMonthly();
+            await loadChartHistory();
+        } catch (error) {
+            console.warn('Could not load history data:', error);
+        }
+    }
+
+    /**
+     * Load the history of the selected chart range, fetching only the daily partitions it needs
+     */
+    async function loadChartHistory() {
+        try {
+            chartHistory = await WaterHistory.load(historyRange);
         } catch (error) {
             console.warn('Could not load history data:', error);
         }
@@ -118,7 +149,8 @@ const App = (function() {
             if (ckanData && ckanData.total) {
                 consumptionData = {
                     totalRecords: ckanData.total,
-                    dailyConsumption: locationsData?.consumption?.dailyTotal || 967500000
+                    dailyConsumption: locationsData?.consumption?.dailyTotal || 967500000,
+                    byDistrict: locationsData?.consumption?.byDistrict || null
                 };
                 return;
             }
@@ -127,7 +159,8 @@ const App = (function() {
         }
 
         consumptionData = {
-            dailyConsumption: 967500000
+            dailyConsumption: 967500000,
+            byDistrict: locationsData?.consumption?.byDistrict || null
         };
     }
 
@@ -142,7 +175,11 @@ const App = (function() {
 
         // Settings modal
         document.getElementById('settingsBtn').addEventListener('click', () => {
+            UI.renderSavedAreas();
+            Standards.renderProfileOptions();
             UI.openModal('settingsModal');
+            // Archived outages add neighborhood suggestions
+            loadArchive('outageArchive').then(() => UI.renderSavedAreas());
         });
 
         document.getElementById('closeSettings').addEventListener('click', () => {
@@ -157,7 +194,15 @@ const App = (function() {
 
         document.getElementById('saveSettings').addEventListener('click', UI.saveSettings);
         document.getElementById('clearCache').addEventListener('click', UI.clearCache);
+        document.getElementById('addAreaBtn').addEventListener('click', UI.handleAddArea);
+        document.getElementById('areaDistrictInput').addEventListener('input', UI.updateNeighborhoodOptions);
         document.getElementById('refreshBtn').addEventListener('click', refreshData);
+        document.getElementById('reportBtn').addEventListener('click', Report.generate);
+
+        // Connection status
+        window.addEventListener('online', handleConnectionChange);
+        window.addEventListener('offline', handleConnectionChange);
+        UI.updateConnectionStatus();
 
         // Tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -167,6 +212,8 @@ const App = (function() {
         // Filters
         document.getElementById('yearSelect').addEventListener('change', handleYearChange);
         document.getElementById('districtFilter').addEventListener('change', handleDistrictFilter);
+        document.getElementById('outageCalendarBtn').addEventListener('click', handleOutageCalendarExport);
+        document.getElementById('outageCalendarFeed').href = API.getOutageCalendarUrl();
         document.getElementById('parameterFilter').addEventListener('change', handleParameterFilter);
         document.getElementById('analysisDistrictFilter').addEventListener('change', handleAnalysisDistrictFilter);
         document.getElementById('damQualityFilter').addEventListener('change', handleDamQualityFilter);
@@ -185,9 +232,31 @@ const App = (function() {
         districtViewModeEl.addEventListener('change', handleDistrictViewModeChange);
         damQualityViewModeEl.addEventListener('change', handleDamQualityViewModeChange);
 
-        // Hash navigation
-        window.addEventListener('hashchange', handleHashChange);
-        handleHashChange();
+        // Historical trend range
+        document.querySelectorAll('#historyRangeFilter .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.range) === historyRange);
+            btn.addEventListener('click', handleHistoryRangeChange);
+        });
+
+        // Outage timeline period and district
+        const timelineMonths = Tables.getOutageTimelineMonths();
+        document.querySelectorAll('#outageTimelinePeriod .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.months) === timelineMonths);
+            btn.addEventListener('click', handleOutageTimelinePeriodChange);
+        });
+        document.getElementById('timelineDistrictFilter').addEventListener('change', handleTimelineDistrictFilter);
+
+        // Outage statistics period
+        const statsDays = Tables.getOutageStatsDays();
+        document.querySelectorAll('#outageStatsPeriod .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.days) === statsDays);
+            btn.addEventListener('click', handleOutageStatsPeriodChange);
+        });
+
+        // URL state (section and tab now, filters once data is rendered)
+        UrlState.init();
+        window.addEventListener('hashchange', restoreUrlState);
+        UrlState.restore(UrlState.parse(window.location.hash), false);
     }
 
     /**
@@ -195,6 +264,53 @@ const App = (function() {
      */
     async function loadData(forceRefresh = false) {
         data = await API.fetchAll(forceRefresh);
+        // Archives already opened are reloaded with the rest of the data
+        await Promise.all([...loadedArchives].map(name => loadArchive(name, forceRefresh)));
+        Areas.checkNewOutages(data.outages);
+    }
+
+    /**
+     * Load an archive into the application data
+     * Failures are kept in data[name + 'Error'] like those of the endpoints
+     * @param {string} name - Archive name (e.g. 'outageArchive')
+     * @param {boolean} forceRefresh - Bypass the cache
+     * @returns {Promise<Object|null>} Archive or null if unavailable
+     */
+    function loadArchive(name, forceRefresh = false) {
+        if (!pendingArchives[name]) {
+            pendingArchives[name] = ARCHIVE_LOADERS[name](forceRefresh)
+                .then(archive => ({ archive, error: archive ? null : 'Data unavailable' }))
+                .catch(error => ({ archive: null, error: error.message }))
+                .then(({ archive, error }) => {
+                    delete pendingArchives[name];
+                    loadedArchives.add(name);
+                    data[name] = archive;
+                    data[`${name}Error`] = error;
+                    return archive;
+                });
+        }
+        return pendingArchives[name];
+    }
+
+    /**
+     * Load the outage archive the first time the outage section is shown
+     */
+    async function loadOutageArchive() {
+        if (loadedArchives.has('outageArchive')) return;
+
+        await loadArchive('outageArchive');
+        Tables.renderOutageTimeline(data, document.getElementById('timelineDistrictFilter').value);
+        Tables.renderOutageStats(data);
+    }
+
+    /**
+     * Load the archives used by the active section
+     */
+    function loadSectionArchives() {
+        const section = document.querySelector('.section.active');
+        if (section && section.id === 'kesintiler') {
+            loadOutageArchive();
+        }
     }
 
     /**
@@ -204,8 +320,12 @@ const App = (function() {
         renderDamSection();
         Production.render(data);
         Tables.renderOutageSection(data);
-        Tables.renderAnalysisSection(data, QUALITY_LIMITS);
+        // The snapshot may have come from a fallback source
+        document.getElementById('outageCalendarFeed').href = API.getOutageCalendarUrl();
+        Tables.renderAnalysisSection(data, getQualityLimits());
+        QualityHistory.refresh();
         renderSourcesSection();
+        restoreUrlState();
     }
 
     /**
@@ -215,22 +335,58 @@ const App = (function() {
         const damStatus = data.damStatus || [];
         const container = document.getElementById('damStats');
 
+        forecast = null;
+
         if (data.damStatusError) {
+            DataExport.unregister('damStats');
             container.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.damDataError')}<br><span class="text-muted">${Utils.escapeHtml(data.damStatusError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
             return;
         }
 
         if (!damStatus.length) {
+            DataExport.unregister('damStats');
             container.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.damDataNotFound')}</p></div>`;
             return;
         }
 
         // Render water countdown
-        Countdown.render(damStatus, consumptionData);
+        forecast = Forecast.estimate({
+            damStatus,
+            dailyProduction: data.dailyProduction,
+            distribution: data.productionDistribution,
+            history: historyData,
+            consumptionData
+        });
+        Countdown.render(damStatus, forecast);
+        Countdown.renderDamRanking(damStatus, data.dailyProduction);
 
         // Find max values from history
         const maxValues = getHistoricalMaxValues();
 
+        DataExport.register('damStats', () => ({
+            columns: [
+                { key: 'name', label: I18n.t('dams.dam') },
+                { key: 'fillRate', label: `${I18n.t('dams.fillRate')} (%)` },
+                { key: 'water', label: `${I18n.t('dams.currentWater')} (m3)` },
+                { key: 'min', label: `${I18n.t('dams.minCapacity')} (m3)` },
+                { key: 'max', label: `${I18n.t('dams.maxCapacity')} (m3)` },
+                { key: 'highest', label: `${I18n.t('dams.highest')} (%)` },
+                { key: 'highestDate', label: `${I18n.t('dams.highest')} - ${I18n.t('analysis.date')}` }
+            ],
+            rows: damStatus.map(dam => {
+                const maxInfo = maxValues[dam.BarajKuyuAdi];
+                return {
+                    name: dam.BarajKuyuAdi,
+                    fillRate: dam.DolulukOrani,
+                    water: dam.SuDurumu,
+                    min: dam.MinimumSuKapasitesi,
+                    max: dam.MaksimumSuKapasitesi,
+                    highest: maxInfo ? maxInfo.fillRate : null,
+                    highestDate: maxInfo ? maxInfo.date : ''
+                };
+            })
+        }));
+
         container.innerHTML = damStatus.map(dam => {
             const fillRate = dam.DolulukOrani || 0;
             const fillClass = fillRate >= 70 ? '' : fillRate >= 40 ? 'warning' : 'danger';
@@ -239,7 +395,7 @@ const App = (function() {
             const isBaraj = damName.toLowerCase().includes('baraj');
 
             return `
-                <div class="stat-card">
+                <div class="stat-card" data-search-key="${Utils.searchKey('dam', damName)}">
                     <div class="stat-card-header">
                         <span class="stat-card-title">
                             <svg class="inline-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -320,16 +476,22 @@ const App = (function() {
         const container = document.getElementById('historicalTrendContainer');
         if (!container) return;
 
-        if (!historyData || !historyData.entries || historyData.entries.length < 2) {
+        // Backfilled production-only entries have no storage summary to plot
+        const withSummary = (chartHistory?.entries || []).filter(e => e.summary);
+        const entryCount = withSummary.length;
+
+        // Keep the container (and its range buttons) visible once daily data exists
+        if (entryCount < 2 && !WaterHistory.hasDaily()) {
             container.style.display = 'none';
             return;
         }
 
         container.style.display = 'block';
 
-        const entries = [...historyData.entries].reverse();
+        const entries = [...withSummary].reverse();
         const labels = entries.map(e => Utils.formatDate(e.date));
         const fillRates = entries.map(e => e.summary?.averageFillRate || 0);
+        const pointRadius = entries.length <= 36 ? 4 : (entries.length <= 120 ? 2 : 0);
 
         const colors = Charts.getColors();
         const chartData = {
@@ -341,7 +503,7 @@ const App = (function() {
                 backgroundColor: colors.accentDim,
                 fill: true,
                 tension: 0.3,
-                pointRadius: 4,
+                pointRadius,
                 pointHoverRadius: 6
             }]
         };
@@ -378,11 +540,29 @@ const App = (function() {
         if (section === 'kaynaklar') {
             MapView.invalidateSize();
         }
+        loadSectionArchives();
     }
 
-    function handleHashChange() {
-        const hash = window.location.hash.slice(1) || 'barajlar';
-        UI.navigateToSection(hash);
+    /**
+     * Apply the state in the URL hash, then write back the full current state
+     */
+    function restoreUrlState() {
+        UrlState.restore(UrlState.parse(window.location.hash));
+        UrlState.sync();
+        loadSectionArchives();
+    }
+
+    async function handleHistoryRangeChange(e) {
+        const range = parseInt(e.currentTarget.dataset.range);
+        historyRange = range;
+        localStorage.setItem('izsu_historyRange', range);
+
+        document.querySelectorAll('#historyRangeFilter .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.range) === range);
+        });
+
+        await loadChartHistory();
+        if (historyRange === range) renderHistoricalTrend();
     }
 
     function handleYearChange(e) {
@@ -394,31 +574,87 @@ const App = (function() {
         Tables.renderOutageList(data.outages, e.target.value);
     }
 
+    /**
+     * Download current outages as an iCalendar file, honouring the district filter
+     */
+    function handleOutageCalendarExport() {
+        const district = document.getElementById('districtFilter').value;
+        const outages = (data.outages || []).filter(o => !district || o.IlceAdi === district);
+
+        if (!outages.length) {
+            UI.showToast(I18n.t('errors.outageNotFound'), 'info');
+            return;
+        }
+
+        const calendar = ICal.buildOutageCalendar(outages, {
+            name: district ? `${I18n.t('calendar.name')} - ${district}` : I18n.t('calendar.name'),
+            parseDuration: OutageStats.parseDurationText,
+            parseClockRange: OutageStats.parseClockRange,
+            summary: outage => I18n.t('calendar.summary', { district: outage.IlceAdi || I18n.t('dams.unknown') }),
+            labels: {
+                neighborhoods: I18n.t('outages.neighborhoods'),
+                type: I18n.t('outages.type'),
+                duration: I18n.t('outages.duration'),
+                resolved: I18n.t('calendar.resolved'),
+                estimatedEnd: I18n.t('calendar.estimatedEnd')
+            }
+        });
+
+        const suffix = district ? '-' + Utils.normalizePlaceName(district).replace(/[^a-z0-9]+/g, '-') : '';
+        Utils.downloadFile(calendar, `izsu-kesintiler${suffix}.ics`, 'text/calendar;charset=utf-8');
+    }
+
+    function handleTimelineDistrictFilter(e) {
+        Tables.renderOutageTimeline(data, e.target.value);
+    }
+
+    function handleOutageTimelinePeriodChange(e) {
+        const months = parseInt(e.currentTarget.dataset.months);
+        Tables.setOutageTimelineMonths(months);
+
+        document.querySelectorAll('#outageTimelinePeriod .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.months) === months);
+        });
+
+        Tables.renderOutageTimeline(data, document.getElementById('timelineDistrictFilter').value);
+    }
+
+    function handleOutageStatsPeriodChange(e) {
+        const days = parseInt(e.currentTarget.dataset.days);
+        Tables.setOutageStatsDays(days);
+
+        document.querySelectorAll('#outageStatsPeriod .period-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.days) === days);
+        });
+
+        Tables.renderOutageStats(data);
+    }
+
     function handleParameterFilter(e) {
-        Tables.renderWeeklyAnalysis(data, QUALITY_LIMITS, e.target.value);
+        Tables.renderWeeklyAnalysis(data, getQualityLimits(), e.target.value);
     }
 
     function handleAnalysisDistrictFilter(e) {
-        Tables.renderDistrictAnalysis(data, QUALITY_LIMITS, e.target.value);
+        Tables.renderDistrictAnalysis(data, getQualityLimits(), e.target.value);
     }
 
     function handleDamQualityFilter(e) {
-        Tables.renderDamQuality(data, QUALITY_LIMITS, e.target.value);
+        Tables.renderDamQuality(data, getQualityLimits(), e.target.value);
     }
 
     function handleAnalysisViewModeChange(e) {
         Tables.setAnalysisViewMode(e.target.value);
-        Tables.renderWeeklyAnalysis(data, QUALITY_LIMITS, document.getElementById('parameterFilter').value);
+        Tables.renderWeeklyAnalysis(data, getQualityLimits(), document.getElementById('parameterFilter').value);
     }
 
     function handleDistrictViewModeChange(e) {
         Tables.setDistrictViewMode(e.target.value);
-        Tables.renderDistrictAnalysis(data, QUALITY_LIMITS, document.getElementById('analysisDistrictFilter').value);
+        Tables.renderDistrictAnalysis(data, getQualityLimits(), document.getElementById('analysisDistrictFilter').value);
     }
 
     function handleDamQualityViewModeChange(e) {
         Tables.setDamQualityViewMode(e.target.value);
-        Tables.renderDamQuality(data, QUALITY_LIMITS, document.getElementById('damQualityFilter').value);
+        Tables.renderDamQuality(data, getQualityLimits(), document.getElementById('damQualityFilter').value);
     }
 
     /**
@@ -440,6 +676,45 @@ const App = (function() {
         }
     }
 
+    /**
+     * Update offline badge and refresh stale data when the connection returns
+     */
+    function handleConnectionChange() {
+        UI.updateConnectionStatus();
+        if (navigator.onLine && API.isStale()) {
+            loadData().then(() => UI.updateStatusBar()).catch(() => {});
+        } else if (!navigator.onLine) {
+            UI.showToast(I18n.t('toast.offline'), 'info');
+        }
+    }
+
+    /**
+     * Register the service worker for offline use
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Re-render with fresh data once background refreshes of stale entries settle
+     * @param {Object} result - { refreshed }
+     */
+    async function handleRevalidated({ refreshed }) {
+        if (refreshed) {
+            try {
+                await loadData();
+                renderAll();
+            } catch (error) {
+                console.error('Re-render after refresh failed:', error);
+            }
+        }
+        UI.updateStatusBar();
+    }
+
     /**
      * Get current data
      */
@@ -448,10 +723,32 @@ const App = (function() {
     }
 
     /**
-     * Get quality limits
+     * Get the quality limits of the selected standards profile
+     * @returns {Object} Limits keyed by canonical parameter ID (see Standards.getLimit)
      */
     function getQualityLimits() {
-        return QUALITY_LIMITS;
+        return Standards.getLimits();
+    }
+
+    /**
+     * Re-color everything that depends on the quality limits (after a standards profile change)
+     * Keeps the current analysis filters
+     */
+    function renderQualitySection() {
+        const limits = getQualityLimits();
+        Tables.renderWeeklyAnalysis(data, limits, document.getElementById('parameterFilter').value);
+        Tables.renderDistrictAnalysis(data, limits, document.getElementById('analysisDistrictFilter').value);
+        Tables.renderDamQuality(data, limits, document.getElementById('damQualityFilter').value);
+        QualityHistory.refresh();
+        renderSourcesSection();
+    }
+
+    /**
+     * Get the depletion forecast shown in the countdown
+     * @returns {Object|null} Forecast from Forecast.estimate, or null without dam data
+     */
+    function getForecast() {
+        return forecast;
     }
 
     // Initialize on DOM ready
@@ -466,6 +763,10 @@ const App = (function() {
         refreshData,
         clearCache: UI.clearCache,
         getData,
-        getQualityLimits
+        loadArchive,
+        getQualityLimits,
+        getConsumptionData: () => consumptionData,
+        renderQualitySection,
+        getForecast
     };
 })();
@@ -0,0 +1,195 @@
+/**
+ * IZSU Areas Module
+ * Saved district/neighborhood pairs, outage matching and new outage notifications
+ * Cem Baspinar - MIT License
+ */
+
+const Areas = (function() {
+    'use strict';
+
+    // Active outage keys seen in the last snapshot (so each outage notifies once,
+    // and areas added later do not notify for outages that were already listed)
+    const SEEN_KEY = 'izsu_seenAreaOutages';
+
+    /**
+     * Get saved areas from settings
+     * @returns {Array<{district: string, neighborhood: string}>} Areas (empty neighborhood means the whole district)
+     */
+    function getSavedAreas() {
+        const areas = Cache.getSettings().savedAreas;
+        return Array.isArray(areas) ? areas : [];
+    }
+
+    /**
+     * Store saved areas in settings
+     * @param {Array<{district: string, neighborhood: string}>} areas - Areas
+     */
+    function setSavedAreas(areas) {
+        Cache.saveSettings({ ...Cache.getSettings(), savedAreas: areas });
+    }
+
+    /**
+     * Add an area unless it is already saved
+     * @param {string} district - District name
+     * @param {string} neighborhood - Neighborhood name (optional)
+     * @returns {boolean} True if added
+     */
+    function addArea(district, neighborhood = '') {
+        district = (district || '').trim();
+        neighborhood = (neighborhood || '').trim();
+        if (!district) return false;
+
+        const areas = getSavedAreas();
+        const exists = areas.some(area =>
+            Utils.normalizePlaceName(area.district) === Utils.normalizePlaceName(district) &&
+            Utils.normalizePlaceName(area.neighborhood) === Utils.normalizePlaceName(neighborhood)
+        );
+        if (exists) return false;
+
+        setSavedAreas([...areas, { district, neighborhood }]);
+        return true;
+    }
+
+    /**
+     * Remove a saved area
+     * @param {number} index - Index in the saved list
+     */
+    function removeArea(index) {
+        setSavedAreas(getSavedAreas().filter((_, i) => i !== index));
+    }
+
+    /**
+     * Check whether an outage affects an area
+     * @param {Object} outage - Outage record from IZSU
+     * @param {Object} area - Saved area
+     * @returns {boolean} True if the district matches and the neighborhood is listed (or not set)
+     */
+    function matchesArea(outage, area) {
+        if (Utils.normalizePlaceName(outage.IlceAdi) !== Utils.normalizePlaceName(area.district)) {
+            return false;
+        }
+        if (!area.neighborhood) return true;
+
+        const neighborhood = Utils.normalizePlaceName(area.neighborhood);
+        return (outage.Mahalleler || '').split(',')
+            .some(name => Utils.normalizePlaceName(name) === neighborhood);
+    }
+
+    /**
+     * Get outages affecting each saved area
+     * @param {Array} outages - Outage list
+     * @returns {Array<{area: Object, index: number, outages: Array}>} Matches per area
+     */
+    function getMatches(outages) {
+        return getSavedAreas().map((area, index) => ({
+            area,
+            index,
+            outages: (outages || []).filter(outage => matchesArea(outage, area))
+        }));
+    }
+
+    /**
+     * Format an area for display
+     * @param {Object} area - Saved area
+     * @returns {string} "District / Neighborhood" or the district name
+     */
+    function formatArea(area) {
+        return area.neighborhood ? `${area.district} / ${area.neighborhood}` : area.district;
+    }
+
+    /**
+     * Check whether notifications are enabled and permitted
+     * @returns {boolean} True if notifications can be shown
+     */
+    function canNotify() {
+        return Cache.getSettings().areaNotifications === true &&
+            typeof Notification !== 'undefined' &&
+            Notification.permission === 'granted';
+    }
+
+    /**
+     * Ask for notification permission if not decided yet
+     * @returns {Promise<string>} Permission state ('unsupported' if the browser has no Notification API)
+     */
+    async function requestPermission() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    }
+
+    /**
+     * Show a notification, through the service worker where there is one
+     * Android Chrome has no Notification constructor for pages; a failure is only logged
+     * so it never breaks loading the data
+     * @param {string} title - Title
+     * @param {Object} options - Notification options
+     * @returns {Promise<void>} Settles once the notification is shown or has failed
+     */
+    async function showNotification(title, options) {
+        try {
+            const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+            if (registration) {
+                const ready = await navigator.serviceWorker.ready;
+                await ready.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.warn('Failed to show notification:', error);
+        }
+    }
+
+    /**
+     * Notify about active outages in saved areas that were not seen before
+     * The first check only records the current outages so existing ones do not notify
+     * @param {Array} outages - Outage list from the latest snapshot
+     * @returns {Array} Newly seen matching outages
+     */
+    function checkNewOutages(outages) {
+        if (!Array.isArray(outages)) return [];
+
+        const stored = localStorage.getItem(SEEN_KEY);
+        let seen = [];
+        try {
+            seen = stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Failed to parse seen outages:', e);
+        }
+
+        const active = outages.filter(o => o.Ongoru !== '2' || !o.ArizaGiderilmeTarihi);
+        const matching = active.filter(outage => getSavedAreas().some(area => matchesArea(outage, area)));
+        const fresh = stored ? matching.filter(outage => !seen.includes(Utils.outageKey(outage))) : [];
+
+        // Keep only keys still listed so the stored set does not grow
+        localStorage.setItem(SEEN_KEY, JSON.stringify(active.map(Utils.outageKey)));
+
+        if (fresh.length && canNotify()) {
+            fresh.forEach(outage => {
+                const areas = getSavedAreas().filter(area => matchesArea(outage, area)).map(formatArea);
+                showNotification(I18n.t('areas.notificationTitle', { area: areas.join(', ') }), {
+                    body: [outage.Tip, outage.KesintiSuresi, outage.Aciklama].filter(v => v).join(' - '),
+                    icon: 'icon.svg',
+                    tag: Utils.outageKey(outage)
+                });
+            });
+        }
+
+        return fresh;
+    }
+
+    return {
+        getSavedAreas,
+        addArea,
+        removeArea,
+        matchesArea,
+        getMatches,
+        formatArea,
+        requestPermission,
+        checkNewOutages
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Areas;
+}
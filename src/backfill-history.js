@@ -0,0 +1,195 @@
+/**
+ * History Backfill Script
+ * Rebuilds history.json entries from a saved gist snapshot (no network needed)
+ * Usage: node src/backfill-history.js <snapshot.json> [--history <file>] [--dry-run]
+ * Cem Baspinar - MIT License
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createEntry, readJson } = require('./collect-water-data');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'history.json');
+
+// Source flags for reconstructed entries
+const SOURCE_OFFICIAL = 'backfill:official';
+const SOURCE_AGGREGATED = 'backfill:aggregated';
+const SOURCE_SNAPSHOT = 'backfill:snapshot';
+
+function parseArgs(argv) {
+    const args = { snapshot: null, historyFile: DEFAULT_HISTORY_FILE, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--history') {
+            args.historyFile = path.resolve(argv[++i]);
+        } else if (argv[i] === '--dry-run') {
+            args.dryRun = true;
+        } else if (!args.snapshot) {
+            args.snapshot = path.resolve(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+function monthDate(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}-01`;
+}
+
+/**
+ * Build a production-only entry for one month
+ * Amounts are daily averages so they compare with collected daily snapshots
+ */
+function createMonthlyEntry(year, month, sources, days, source) {
+    const total = Object.values(sources).reduce((sum, amount) => sum + amount, 0);
+
+    return {
+        date: monthDate(year, month),
+        timestamp: new Date().toISOString(),
+        source,
+        summary: null,
+        dams: null,
+        production: {
+            date: monthDate(year, month),
+            period: 'month',
+            days,
+            monthlyTotal: total,
+            total: Math.round(total / days),
+            sources: Object.entries(sources).map(([name, amount]) => ({
+                name,
+                amount: Math.round(amount / days)
+            }))
+        }
+    };
+}
+
+/**
+ * Reconstruct monthly entries from official distribution rows and aggregatedMonthly
+ * Official rows win over the daily aggregation for the same month
+ */
+function reconstructEntries(snapshot) {
+    const months = {};
+
+    const distribution = snapshot.endpoints?.suuretiminindagilimi;
+    (Array.isArray(distribution) ? distribution : []).forEach(row => {
+        // Rows with _days were appended from aggregatedMonthly by the fetcher
+        if (row._days !== undefined) return;
+
+        const key = monthDate(row.Yil, row.Ay);
+        if (!months[key]) {
+            months[key] = {
+                year: row.Yil,
+                month: row.Ay,
+                days: new Date(row.Yil, row.Ay, 0).getDate(),
+                sources: {},
+                source: SOURCE_OFFICIAL
+            };
+        }
+        months[key].sources[row.UretimKaynagi] = (months[key].sources[row.UretimKaynagi] || 0) +
+            (parseInt(row.UretimMiktari) || 0);
+    });
+
+    Object.entries(snapshot.aggregatedMonthly || {}).forEach(([monthKey, monthData]) => {
+        const [year, month] = monthKey.split('-').map(Number);
+        const key = monthDate(year, month);
+        const days = (monthData._days || []).length;
+
+        if (months[key] || !days) return;
+
+        months[key] = {
+            year,
+            month,
+            days,
+            sources: { ...(monthData._sources || {}) },
+            source: SOURCE_AGGREGATED
+        };
+    });
+
+    const entries = Object.values(months).map(m =>
+        createMonthlyEntry(m.year, m.month, m.sources, m.days, m.source)
+    );
+
+    // The snapshot itself carries a full dam status reading
+    const damStatus = snapshot.endpoints?.barajdurum;
+    if (Array.isArray(damStatus) && damStatus.length && snapshot.timestamp) {
+        const date = snapshot.timestamp.split('T')[0];
+        const dailyProduction = snapshot.endpoints.gunluksuuretimi;
+        const entry = createEntry(date, damStatus, dailyProduction && !dailyProduction.error ? dailyProduction : null);
+        entry.timestamp = snapshot.timestamp;
+        entry.source = SOURCE_SNAPSHOT;
+        entries.push(entry);
+    }
+
+    return entries;
+}
+
+/**
+ * Merge reconstructed entries into history without duplicating dates
+ * Collected entries are never replaced; earlier backfill entries are refreshed
+ */
+function mergeEntries(existing, reconstructed) {
+    const byDate = {};
+    existing.forEach(e => { byDate[e.date] = e; });
+
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    reconstructed.forEach(entry => {
+        const current = byDate[entry.date];
+        if (!current) {
+            byDate[entry.date] = entry;
+            added++;
+        } else if (current.source) {
+            byDate[entry.date] = entry;
+            updated++;
+        } else {
+            skipped++;
+        }
+    });
+
+    const entries = Object.values(byDate).sort((a, b) => new Date(b.date) - new Date(a.date));
+    return { entries, added, updated, skipped };
+}
+
+function backfill() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.snapshot) {
+        console.error('Usage: node src/backfill-history.js <snapshot.json> [--history <file>] [--dry-run]');
+        process.exit(1);
+    }
+
+    const snapshot = readJson(args.snapshot, null);
+    if (!snapshot || !snapshot.endpoints) {
+        throw new Error(`Not a gist snapshot: ${args.snapshot}`);
+    }
+
+    const history = readJson(args.historyFile, { entries: [], lastUpdated: null });
+    const reconstructed = reconstructEntries(snapshot);
+    console.log(`Reconstructed ${reconstructed.length} entries from ${path.basename(args.snapshot)}`);
+
+    const result = mergeEntries(history.entries || [], reconstructed);
+    console.log(`Added ${result.added}, refreshed ${result.updated}, kept ${result.skipped} collected entries`);
+
+    if (args.dryRun) {
+        console.log('Dry run - history not written');
+        return;
+    }
+
+    history.entries = result.entries;
+    history.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(args.historyFile, JSON.stringify(history, null, 2));
+    console.log(`History written with ${history.entries.length} entries`);
+}
+
+if (require.main === module) {
+    try {
+        backfill();
+    } catch (err) {
+        console.error('Backfill failed:', err);
+        process.exit(1);
+    }
+}
+
+module.exports = { reconstructEntries, mergeEntries };
@@ -0,0 +1,258 @@
+/**
+ * District Boundaries Builder
+ * Downloads the administrative boundaries of Izmir's districts (OSM admin_level=6)
+ * from the Overpass API, simplifies them and writes data/izmir-districts.geojson
+ * Shared borders are simplified once per OSM way, so neighboring districts still meet
+ * Usage: node src/build-district-boundaries.js [--output <file>] [--tolerance <degrees>]
+ * Boundary data © OpenStreetMap contributors, ODbL 1.0
+ * Cem Baspinar - MIT License
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpsTransport, fetchJsonWithRetry } = require('./http-client');
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const DEFAULT_OUTPUT_FILE = path.join(__dirname, '..', 'data', 'izmir-districts.geojson');
+
+// Districts of the Izmir province relation (same relation as izmir-boundary.geojson)
+const OVERPASS_QUERY = `[out:json][timeout:180];
+area["ISO3166-2"="TR-35"]["admin_level"="4"]->.province;
+relation["boundary"="administrative"]["admin_level"="6"](area.province);
+out geom;`;
+
+const SOURCE = 'openstreetmap';
+const ATTRIBUTION = '© OpenStreetMap contributors';
+const LICENSE = 'ODbL-1.0';
+
+// Simplification tolerance in degrees (~100 m) and output precision (~10 m)
+const DEFAULT_TOLERANCE = 0.001;
+const COORD_DECIMALS = 4;
+
+// Overpass queries over a whole province take a while
+const REQUEST_TIMEOUT_MS = 200000;
+
+function parseArgs(argv) {
+    const args = { output: DEFAULT_OUTPUT_FILE, tolerance: DEFAULT_TOLERANCE };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--output') {
+            args.output = path.resolve(argv[++i]);
+        } else if (argv[i] === '--tolerance') {
+            args.tolerance = parseFloat(argv[++i]);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Distance from a point to a segment (planar, in degrees)
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<number>} start - Segment start
+ * @param {Array<number>} end - Segment end
+ * @returns {number} Distance
+ */
+function segmentDistance(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSq)) : 0;
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+/**
+ * Simplify a line with the Douglas-Peucker algorithm, keeping both ends
+ * @param {Array<Array<number>>} line - [lng, lat] points
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Array<Array<number>>} Simplified line
+ */
+function simplifyLine(line, tolerance) {
+    if (line.length <= 2) return line;
+
+    const keep = new Array(line.length).fill(false);
+    keep[0] = true;
+    keep[line.length - 1] = true;
+
+    const stack = [[0, line.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = segmentDistance(line[i], line[first], line[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return line.filter((point, i) => keep[i]);
+}
+
+function samePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Join way geometries end to end into closed rings
+ * Ways that never close a ring are dropped
+ * @param {Array<Array<Array<number>>>} ways - Lines of [lng, lat] points
+ * @returns {Array<Array<Array<number>>>} Closed rings
+ */
+function assembleRings(ways) {
+    const pending = ways.filter(way => way.length >= 2);
+    const rings = [];
+
+    while (pending.length) {
+        let ring = pending.shift();
+        let extended = true;
+
+        while (extended && !samePoint(ring[0], ring[ring.length - 1])) {
+            extended = false;
+            const end = ring[ring.length - 1];
+
+            for (let i = 0; i < pending.length; i++) {
+                const way = pending[i];
+                if (samePoint(way[0], end)) {
+                    ring = ring.concat(way.slice(1));
+                } else if (samePoint(way[way.length - 1], end)) {
+                    ring = ring.concat(way.slice(0, -1).reverse());
+                } else {
+                    continue;
+                }
+                pending.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+
+        if (ring.length >= 4 && samePoint(ring[0], ring[ring.length - 1])) {
+            rings.push(ring);
+        }
+    }
+
+    return rings;
+}
+
+/**
+ * Check whether a point lies inside a ring (ray casting)
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {boolean} True if inside
+ */
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Convert an Overpass relation (out geom) to a GeoJSON feature
+ * Member ways are simplified before they are joined, so shared borders stay identical
+ * @param {Object} relation - Overpass relation element
+ * @param {number} tolerance - Simplification tolerance in degrees
+ * @returns {Object|null} Polygon or MultiPolygon feature, or null without a closed outer ring
+ */
+function relationToFeature(relation, tolerance) {
+    const round = value => Number(value.toFixed(COORD_DECIMALS));
+    const waysOf = role => (relation.members || [])
+        .filter(member => member.type === 'way' && (member.role || 'outer') === role && Array.isArray(member.geometry))
+        .map(member => simplifyLine(member.geometry.map(p => [round(p.lon), round(p.lat)]), tolerance));
+
+    const outers = assembleRings(waysOf('outer'));
+    if (!outers.length) return null;
+
+    const polygons = outers.map(outer => [outer]);
+    assembleRings(waysOf('inner')).forEach(inner => {
+        const polygon = polygons.find(p => pointInRing(inner[0], p[0]));
+        if (polygon) polygon.push(inner);
+    });
+
+    return {
+        type: 'Feature',
+        properties: {
+            name: relation.tags?.['name:tr'] || relation.tags?.name || null,
+            osmId: `relation/${relation.id}`
+        },
+        geometry: polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons }
+    };
+}
+
+/**
+ * Build the district FeatureCollection from an Overpass response
+ * @param {Object} overpass - Overpass JSON ({ elements })
+ * @param {Object} options - { tolerance, generatedAt }
+ * @returns {Object} FeatureCollection with source and attribution
+ */
+function buildDistrictCollection(overpass, { tolerance = DEFAULT_TOLERANCE, generatedAt = new Date() } = {}) {
+    const features = (overpass?.elements || [])
+        .filter(element => element.type === 'relation')
+        .map(relation => relationToFeature(relation, tolerance))
+        .filter(feature => feature && feature.properties.name)
+        .sort((a, b) => a.properties.name.localeCompare(b.properties.name, 'tr'));
+
+    return {
+        type: 'FeatureCollection',
+        description: 'Administrative boundaries of the districts of Izmir (OpenStreetMap boundary=administrative, admin_level=6), simplified for the district map',
+        source: SOURCE,
+        attribution: ATTRIBUTION,
+        license: LICENSE,
+        generatedAt: generatedAt.toISOString(),
+        features
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const transport = createHttpsTransport();
+
+    try {
+        console.log('Querying Overpass for the districts of Izmir...');
+        const { data, bytes, elapsed } = await fetchJsonWithRetry(transport, `${OVERPASS_URL}?data=${encodeURIComponent(OVERPASS_QUERY)}`, {
+            name: 'overpass',
+            timeoutMs: REQUEST_TIMEOUT_MS
+        });
+        console.log(`✓ overpass: ${elapsed}ms (${Math.round(bytes / 1024)}KB)`);
+
+        const collection = buildDistrictCollection(data, { tolerance: args.tolerance });
+        if (!collection.features.length) {
+            throw new Error('No district boundaries in the Overpass response');
+        }
+
+        fs.writeFileSync(args.output, JSON.stringify(collection) + '\n');
+        console.log(`Wrote ${collection.features.length} districts to ${args.output}`);
+    } finally {
+        transport.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    OVERPASS_QUERY,
+    simplifyLine,
+    assembleRings,
+    relationToFeature,
+    buildDistrictCollection
+};
@@ -0,0 +1,296 @@
+/**
+ * Gazetteer Builder
+ * Downloads the neighborhoods (mahalle) and named streets of every Izmir district
+ * from the Overpass API and writes data/neighborhoods.json and data/streets.json,
+ * the gazetteers used to place outages and sampling points on the map
+ * Street names that occur at several places in a district are left out, so a match is unambiguous
+ * Usage: node src/build-gazetteer.js [--neighborhoods <file>] [--streets <file>]
+ * Place data © OpenStreetMap contributors, ODbL 1.0
+ * Cem Baspinar - MIT License
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpsTransport, fetchJsonWithRetry } = require('./http-client');
+const { normalizeAddress, distanceKm } = require('./sampling-points');
+const Utils = require('./utils');
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Per district: its tags, then its neighborhoods (boundaries and place nodes), then its named roads
+const OVERPASS_QUERY = `[out:json][timeout:600];
+area["ISO3166-2"="TR-35"]["admin_level"="4"]->.province;
+relation["boundary"="administrative"]["admin_level"="6"](area.province);
+foreach -> .district (
+  .district out tags;
+  .district map_to_area -> .districtArea;
+  (
+    relation["boundary"="administrative"]["admin_level"="8"](area.districtArea);
+    node["place"~"^(neighbourhood|quarter|suburb|village)$"](area.districtArea);
+  );
+  out center tags;
+  way["highway"]["name"](area.districtArea);
+  out center tags;
+);`;
+
+// Every district must come back with neighborhoods, or the gazetteer is not written
+const IZMIR_DISTRICTS = [
+    'Aliağa', 'Balçova', 'Bayındır', 'Bayraklı', 'Bergama', 'Beydağ', 'Bornova', 'Buca', 'Çeşme', 'Çiğli',
+    'Dikili', 'Foça', 'Gaziemir', 'Güzelbahçe', 'Karabağlar', 'Karaburun', 'Karşıyaka', 'Kemalpaşa', 'Kınık', 'Kiraz',
+    'Konak', 'Menderes', 'Menemen', 'Narlıdere', 'Ödemiş', 'Seferihisar', 'Selçuk', 'Tire', 'Torbalı', 'Urla'
+];
+
+const SOURCE = 'openstreetmap';
+const ATTRIBUTION = '© OpenStreetMap contributors';
+const LICENSE = 'ODbL-1.0';
+
+// Output precision (~10 m)
+const COORD_DECIMALS = 4;
+
+// Same-named road segments further than this from their midpoint are different streets
+const STREET_MAX_SPREAD_KM = 1.5;
+
+// Only names that say what kind of road they are, so "Kordon" alone never matches an address
+const STREET_NAME_PATTERN = /\b(caddesi|sokak|sokagi|bulvari)$/;
+
+// "Alsancak Mahallesi" is listed as "Alsancak", like the district analysis and outage texts
+const NEIGHBORHOOD_SUFFIX = /\s+(mahallesi|mah\.?)$/i;
+
+// Overpass queries over a whole province take a while
+const REQUEST_TIMEOUT_MS = 620000;
+
+function parseArgs(argv) {
+    const args = {
+        neighborhoods: path.join(DATA_DIR, 'neighborhoods.json'),
+        streets: path.join(DATA_DIR, 'streets.json')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--neighborhoods') {
+            args.neighborhoods = path.resolve(argv[++i]);
+        } else if (argv[i] === '--streets') {
+            args.streets = path.resolve(argv[++i]);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Position of an Overpass element: node coordinates or the center of a way/relation
+ * @param {Object} element - Overpass element
+ * @returns {{lat: number, lng: number}|null} Position or null
+ */
+function elementPosition(element) {
+    const point = element.type === 'node' ? element : element.center;
+    if (!point || typeof point.lat !== 'number' || typeof point.lon !== 'number') return null;
+    return { lat: point.lat, lng: point.lon };
+}
+
+function roundCoords({ lat, lng }) {
+    return { lat: Number(lat.toFixed(COORD_DECIMALS)), lng: Number(lng.toFixed(COORD_DECIMALS)) };
+}
+
+/**
+ * Sort an object's keys in Turkish order so regenerated files diff cleanly
+ * @param {Object} map - Object
+ * @returns {Object} Copy with sorted keys
+ */
+function sortKeys(map) {
+    const sorted = {};
+    Object.keys(map).sort((a, b) => a.localeCompare(b, 'tr')).forEach(key => { sorted[key] = map[key]; });
+    return sorted;
+}
+
+/**
+ * Split the Overpass response into districts with their neighborhood and road elements
+ * @param {Object} overpass - Overpass JSON ({ elements })
+ * @returns {Array<{name: string, places: Array<Object>, roads: Array<Object>}>} Districts
+ */
+function groupByDistrict(overpass) {
+    const districts = [];
+    let current = null;
+
+    (overpass?.elements || []).forEach(element => {
+        const tags = element.tags || {};
+        if (element.type === 'relation' && tags.admin_level === '6') {
+            const name = tags['name:tr'] || tags.name;
+            current = name ? { name, places: [], roads: [] } : null;
+            if (current) districts.push(current);
+        } else if (!current) {
+            return;
+        } else if (element.type === 'way' && tags.highway) {
+            current.roads.push(element);
+        } else if (tags.place || tags.admin_level === '8') {
+            current.places.push(element);
+        }
+    });
+
+    return districts;
+}
+
+/**
+ * Neighborhood centroids of a district
+ * A place node wins over the center of the boundary, which is only its bounding box center
+ * @param {Array<Object>} places - Neighborhood elements of the district
+ * @returns {Object} { neighborhood: { lat, lng } }
+ */
+function buildNeighborhoods(places) {
+    const byKey = {};
+
+    places.forEach(element => {
+        const name = (element.tags['name:tr'] || element.tags.name || '').replace(NEIGHBORHOOD_SUFFIX, '').trim();
+        const position = elementPosition(element);
+        const key = normalizeAddress(name);
+        if (!key || !position) return;
+
+        const isNode = element.type === 'node';
+        if (!byKey[key] || (isNode && !byKey[key].isNode)) {
+            byKey[key] = { name, isNode, coords: roundCoords(position) };
+        }
+    });
+
+    const neighborhoods = {};
+    Object.values(byKey).forEach(({ name, coords }) => { neighborhoods[name] = coords; });
+    return sortKeys(neighborhoods);
+}
+
+/**
+ * Street positions of a district: the midpoint of all segments with the same name
+ * Names whose segments lie far apart (the same street name in two villages) are left out
+ * @param {Array<Object>} roads - Named highway ways of the district
+ * @returns {{streets: Object, ambiguous: number}} { street: { lat, lng } } and the number left out
+ */
+function buildStreets(roads) {
+    const byKey = {};
+
+    roads.forEach(element => {
+        const name = element.tags.name.trim();
+        const key = normalizeAddress(name);
+        const position = elementPosition(element);
+        if (!STREET_NAME_PATTERN.test(key) || !position) return;
+
+        if (!byKey[key]) byKey[key] = { name, positions: [] };
+        byKey[key].positions.push(position);
+    });
+
+    const streets = {};
+    let ambiguous = 0;
+    Object.values(byKey).forEach(({ name, positions }) => {
+        const center = {
+            lat: positions.reduce((sum, p) => sum + p.lat, 0) / positions.length,
+            lng: positions.reduce((sum, p) => sum + p.lng, 0) / positions.length
+        };
+        if (positions.some(p => distanceKm(p, center) > STREET_MAX_SPREAD_KM)) {
+            ambiguous++;
+            return;
+        }
+        streets[name] = roundCoords(center);
+    });
+
+    return { streets: sortKeys(streets), ambiguous };
+}
+
+/**
+ * Build both gazetteers from an Overpass response
+ * @param {Object} overpass - Overpass JSON ({ elements })
+ * @param {Object} options - { generatedAt }
+ * @returns {{neighborhoods: Object, streets: Object, ambiguous: number}} Gazetteer files and the left out street count
+ */
+function buildGazetteers(overpass, { generatedAt = new Date() } = {}) {
+    const header = {
+        source: SOURCE,
+        attribution: ATTRIBUTION,
+        license: LICENSE,
+        generatedAt: generatedAt.toISOString()
+    };
+    const neighborhoods = {};
+    const streets = {};
+    let ambiguous = 0;
+
+    groupByDistrict(overpass).forEach(district => {
+        neighborhoods[district.name] = buildNeighborhoods(district.places);
+        const built = buildStreets(district.roads);
+        streets[district.name] = built.streets;
+        ambiguous += built.ambiguous;
+    });
+
+    return {
+        neighborhoods: {
+            description: 'Neighborhood centroids of every Izmir district (OpenStreetMap place nodes, or the center of the admin_level=8 boundary), used to place outages and sampling points on the map',
+            ...header,
+            districts: sortKeys(neighborhoods)
+        },
+        streets: {
+            description: 'Named streets of every Izmir district (OpenStreetMap highways, midpoint of all segments with the name), used to place sampling points on the map. Names found at several places in a district are left out.',
+            ...header,
+            districts: sortKeys(streets)
+        },
+        ambiguous
+    };
+}
+
+/**
+ * List the Izmir districts a gazetteer has no entries for
+ * @param {Object} districts - { district: { name: { lat, lng } } }
+ * @returns {Array<string>} Missing district names
+ */
+function findMissingDistricts(districts) {
+    const covered = new Set(Object.entries(districts || {})
+        .filter(([, entries]) => Object.keys(entries).length > 0)
+        .map(([district]) => Utils.normalizePlaceName(district)));
+    return IZMIR_DISTRICTS.filter(district => !covered.has(Utils.normalizePlaceName(district)));
+}
+
+function countEntries(districts) {
+    return Object.values(districts).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const transport = createHttpsTransport();
+
+    try {
+        console.log('Querying Overpass for the neighborhoods and streets of Izmir...');
+        const { data, bytes, elapsed } = await fetchJsonWithRetry(transport, `${OVERPASS_URL}?data=${encodeURIComponent(OVERPASS_QUERY)}`, {
+            name: 'overpass',
+            timeoutMs: REQUEST_TIMEOUT_MS
+        });
+        console.log(`✓ overpass: ${elapsed}ms (${Math.round(bytes / 1024)}KB)`);
+
+        const { neighborhoods, streets, ambiguous } = buildGazetteers(data);
+        const missing = findMissingDistricts(neighborhoods.districts);
+        if (missing.length) {
+            throw new Error(`No neighborhoods for: ${missing.join(', ')}`);
+        }
+        findMissingDistricts(streets.districts).forEach(district => {
+            console.warn(`⚠ No streets for ${district}`);
+        });
+        const districtCount = Object.keys(neighborhoods.districts).length;
+
+        fs.writeFileSync(args.neighborhoods, JSON.stringify(neighborhoods, null, 2) + '\n');
+        fs.writeFileSync(args.streets, JSON.stringify(streets) + '\n');
+        console.log(`Wrote ${countEntries(neighborhoods.districts)} neighborhoods in ${districtCount} districts to ${args.neighborhoods}`);
+        console.log(`Wrote ${countEntries(streets.districts)} streets to ${args.streets} (${ambiguous} ambiguous names left out)`);
+    } finally {
+        transport.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    OVERPASS_QUERY,
+    IZMIR_DISTRICTS,
+    findMissingDistricts,
+    groupByDistrict,
+    buildNeighborhoods,
+    buildStreets,
+    buildGazetteers
+};
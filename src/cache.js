@@ -1,6 +1,7 @@
 /**
  * IZSU Data Cache Module
- * Handles localStorage caching with configurable TTL
+ * Handles caching with configurable TTL in IndexedDB (localStorage fallback)
+ * In stale-while-revalidate mode expired entries are kept and served until refreshed
  * Cem Baspinar - MIT License
  */
 
@@ -11,6 +12,12 @@ const Cache = (function() {
     const SETTINGS_KEY = 'izsu_settings';
     const DEFAULT_TTL_HOURS = 24;
 
+    // IndexedDB stores for cache entries and their timestamps and sizes (settings stay in localStorage)
+    const DB_NAME = 'izsu-cache';
+    const DB_VERSION = 2;
+    const DB_STORE = 'entries';
+    const META_STORE = 'meta';
+
     /**
      * Get current settings from localStorage
      * @returns {Object} Settings object
@@ -27,10 +34,19 @@ const Cache = (function() {
         return {
             cacheDurationHours: DEFAULT_TTL_HOURS,
             theme: 'dark',
-            accentColor: 'cyan'
+            accentColor: 'cyan',
+            staleWhileRevalidate: true
         };
     }
 
+    /**
+     * Check whether stale-while-revalidate mode is enabled (default on)
+     * @returns {boolean} True if expired entries should be served while refreshing
+     */
+    function isStaleWhileRevalidate() {
+        return getSettings().staleWhileRevalidate !== false;
+    }
+
     /**
      * Save settings to localStorage
      * @param {Object} settings - Settings object
@@ -61,30 +77,342 @@ const Cache = (function() {
         return CACHE_PREFIX + key;
     }
 
+    /**
+     * Check whether a parsed value looks like a cache entry
+     * @param {*} value - Parsed value
+     * @returns {boolean} True if it has data and a timestamp
+     */
+    function isEntry(value) {
+        return !!value && typeof value === 'object' && 'data' in value && typeof value.timestamp === 'number';
+    }
+
+    /**
+     * Get what the cache keeps about an entry without its data
+     * @param {Object} entry - Cache entry
+     * @returns {{timestamp: number, size: number}} Metadata
+     */
+    function describeEntry(entry) {
+        return { timestamp: entry.timestamp, size: JSON.stringify(entry).length };
+    }
+
+    /**
+     * localStorage backend: entries stored as JSON strings under izsu_ keys
+     * Every read parses a fresh copy, so callers cannot change what is stored
+     * Other izsu_ keys (settings, saved areas, view modes) are never touched
+     */
+    const localBackend = {
+        name: 'localStorage',
+
+        read(key) {
+            const stored = localStorage.getItem(getCacheKey(key));
+            if (!stored) return null;
+
+            const entry = JSON.parse(stored);
+            return isEntry(entry) ? entry : null;
+        },
+
+        timestamp(key) {
+            const entry = this.read(key);
+            return entry ? entry.timestamp : null;
+        },
+
+        write(key, entry) {
+            localStorage.setItem(getCacheKey(key), JSON.stringify(entry));
+        },
+
+        delete(key) {
+            localStorage.removeItem(getCacheKey(key));
+        },
+
+        keys() {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(CACHE_PREFIX) && key !== SETTINGS_KEY) {
+                    try {
+                        if (isEntry(JSON.parse(localStorage.getItem(key)))) {
+                            keys.push(key.slice(CACHE_PREFIX.length));
+                        }
+                    } catch (e) {
+                        // Not a cache entry (plain preference value)
+                    }
+                }
+            }
+            return keys;
+        },
+
+        size(key) {
+            return (localStorage.getItem(getCacheKey(key)) || '').length;
+        },
+
+        clear() {
+            this.keys().forEach(key => this.delete(key));
+        }
+    };
+
+    // Active backend (switched to IndexedDB by init() when available)
+    let backend = localBackend;
+    let initPromise = null;
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest|IDBTransaction} request - Request or transaction
+     * @returns {Promise<*>} Request result
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            if (typeof IDBTransaction !== 'undefined' && request instanceof IDBTransaction) {
+                request.oncomplete = () => resolve();
+                request.onabort = request.onerror = () => reject(request.error);
+            } else {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }
+        });
+    }
+
+    /**
+     * Open the cache database
+     * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+     */
+    async function openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return null;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(DB_STORE)) {
+                db.createObjectStore(DB_STORE);
+            }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+
+                // Entries written before version 2 are read once to record their metadata
+                const meta = request.transaction.objectStore(META_STORE);
+                const cursor = request.transaction.objectStore(DB_STORE).openCursor();
+                cursor.onsuccess = () => {
+                    if (!cursor.result) return;
+                    if (isEntry(cursor.result.value)) {
+                        meta.put(describeEntry(cursor.result.value), cursor.result.key);
+                    }
+                    cursor.result.continue();
+                };
+            }
+        };
+        request.onblocked = () => console.warn('Cache database upgrade blocked by another tab');
+
+        return promisify(request);
+    }
+
+    /**
+     * IndexedDB backend: timestamps and sizes are kept in memory for synchronous
+     * age and size checks; the data is read from the database when asked for
+     * Writes go to the database in the background; the database copies the data on write and on read
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<Object>} Backend
+     */
+    async function createIndexedDbBackend(db) {
+        const meta = new Map();
+
+        const store = db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+        const [keys, values] = await Promise.all([
+            promisify(store.getAllKeys()),
+            promisify(store.getAll())
+        ]);
+        keys.forEach((key, i) => {
+            if (values[i] && typeof values[i].timestamp === 'number') {
+                meta.set(key, values[i]);
+            }
+        });
+
+        /**
+         * Run a write against the entry and metadata stores
+         * @param {Function} fn - Receives the entry store and the metadata store
+         * @returns {Promise<void>} Resolves when the transaction completes
+         */
+        function persist(fn) {
+            const writeTx = db.transaction([DB_STORE, META_STORE], 'readwrite');
+            fn(writeTx.objectStore(DB_STORE), writeTx.objectStore(META_STORE));
+            return promisify(writeTx);
+        }
+
+        return {
+            name: 'indexedDB',
+
+            async read(key) {
+                if (!meta.has(key)) return null;
+
+                const entry = await promisify(db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE).get(key));
+                return isEntry(entry) ? entry : null;
+            },
+
+            timestamp(key) {
+                return meta.has(key) ? meta.get(key).timestamp : null;
+            },
+
+            write(key, entry) {
+                const previous = meta.get(key);
+                const info = describeEntry(entry);
+                meta.set(key, info);
+
+                const put = (entries, metaStore) => {
+                    entries.put(entry, key);
+                    metaStore.put(info, key);
+                };
+
+                // Resolves to false if the entry could not be persisted
+                return persist(put).then(() => true, e => {
+                    console.error('Cache write error for key:', key, e);
+                    if (!e || e.name !== 'QuotaExceededError') return false;
+
+                    clearOldEntries();
+                    return persist(put).then(() => true, retryError => {
+                        console.error('Cache write failed after cleanup:', retryError);
+                        return false;
+                    });
+                }).then(stored => {
+                    // The database still holds the previous entry; memory must not outlive a reload
+                    if (!stored && meta.get(key) === info) {
+                        if (previous) {
+                            meta.set(key, previous);
+                        } else {
+                            meta.delete(key);
+                        }
+                    }
+                    return stored;
+                });
+            },
+
+            delete(key) {
+                meta.delete(key);
+                persist((entries, metaStore) => {
+                    entries.delete(key);
+                    metaStore.delete(key);
+                }).catch(e => console.error('Cache remove error:', e));
+            },
+
+            keys() {
+                return [...meta.keys()];
+            },
+
+            size(key) {
+                return meta.has(key) ? meta.get(key).size : 0;
+            },
+
+            clear() {
+                meta.clear();
+                persist((entries, metaStore) => {
+                    entries.clear();
+                    metaStore.clear();
+                }).catch(e => console.error('Cache clear error:', e));
+            }
+        };
+    }
+
+    /**
+     * Move cache entries from localStorage into IndexedDB
+     * Entries are removed from localStorage only after they are stored
+     * @param {Object} target - IndexedDB backend
+     * @returns {Promise<number>} Number of migrated entries
+     */
+    async function migrateLocalStorage(target) {
+        const keys = localBackend.keys();
+        let migrated = 0;
+
+        for (const key of keys) {
+            try {
+                const entry = localBackend.read(key);
+                const existing = target.timestamp(key);
+                if (entry && (existing === null || existing < entry.timestamp)) {
+                    if (!await target.write(key, entry)) continue;
+                }
+                localBackend.delete(key);
+                migrated++;
+            } catch (e) {
+                console.warn('Cache migration failed for key:', key, e);
+            }
+        }
+
+        if (migrated) {
+            console.log(`Migrated ${migrated} cache entries to IndexedDB`);
+        }
+        return migrated;
+    }
+
+    /**
+     * Switch to the IndexedDB backend, migrating existing localStorage entries
+     * Falls back to localStorage when IndexedDB is unavailable
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = (async () => {
+                try {
+                    const db = await openDatabase();
+                    if (!db) return;
+
+                    const idbBackend = await createIndexedDbBackend(db);
+                    await migrateLocalStorage(idbBackend);
+                    backend = idbBackend;
+                } catch (e) {
+                    console.warn('IndexedDB unavailable, using localStorage cache:', e);
+                }
+            })();
+        }
+        return initPromise;
+    }
+
+    /**
+     * Get the active storage backend name
+     * @returns {string} indexedDB or localStorage
+     */
+    function getBackendName() {
+        return backend.name;
+    }
+
     /**
      * Get cached data if valid
+     * Expired entries are only removed when stale-while-revalidate is off
      * @param {string} key - Cache key
-     * @returns {*} Cached data or null if expired/missing
+     * @returns {Promise<*>} Cached data or null if expired/missing
      */
-    function get(key) {
-        try {
-            const cacheKey = getCacheKey(key);
-            const stored = localStorage.getItem(cacheKey);
+    async function get(key) {
+        const entry = await getEntry(key);
+        if (!entry) {
+            return null;
+        }
 
-            if (!stored) {
-                return null;
+        if (entry.stale) {
+            if (!isStaleWhileRevalidate()) {
+                remove(key);
             }
+            return null;
+        }
 
-            const { data, timestamp } = JSON.parse(stored);
-            const now = Date.now();
-            const ttl = getTTL();
+        return entry.data;
+    }
+
+    /**
+     * Get cached entry regardless of age
+     * The data is the caller's own copy
+     * @param {string} key - Cache key
+     * @returns {Promise<{data: *, timestamp: number, stale: boolean}|null>} Entry or null if missing
+     */
+    async function getEntry(key) {
+        try {
+            const stored = await backend.read(key);
 
-            if (now - timestamp > ttl) {
-                localStorage.removeItem(cacheKey);
+            if (!stored) {
                 return null;
             }
 
-            return data;
+            return {
+                data: stored.data,
+                timestamp: stored.timestamp,
+                stale: Date.now() - stored.timestamp > getTTL()
+            };
         } catch (e) {
             console.warn('Cache read error for key:', key, e);
             return null;
@@ -97,24 +425,19 @@ const Cache = (function() {
      * @param {*} data - Data to cache
      */
     function set(key, data) {
+        const cacheEntry = {
+            data: data,
+            timestamp: Date.now()
+        };
+
         try {
-            const cacheKey = getCacheKey(key);
-            const cacheEntry = {
-                data: data,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
+            backend.write(key, cacheEntry);
         } catch (e) {
             console.error('Cache write error for key:', key, e);
             if (e.name === 'QuotaExceededError') {
                 clearOldEntries();
                 try {
-                    const cacheKey = getCacheKey(key);
-                    const cacheEntry = {
-                        data: data,
-                        timestamp: Date.now()
-                    };
-                    localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
+                    backend.write(key, cacheEntry);
                 } catch (retryError) {
                     console.error('Cache write failed after cleanup:', retryError);
                 }
@@ -125,10 +448,10 @@ const Cache = (function() {
     /**
      * Check if cache entry exists and is valid
      * @param {string} key - Cache key
-     * @returns {boolean} True if valid cache exists
+     * @returns {Promise<boolean>} True if valid cache exists
      */
-    function has(key) {
-        return get(key) !== null;
+    async function has(key) {
+        return await get(key) !== null;
     }
 
     /**
@@ -137,26 +460,19 @@ const Cache = (function() {
      * @returns {string|null} Age string or null
      */
     function getAge(key) {
-        try {
-            const cacheKey = getCacheKey(key);
-            const stored = localStorage.getItem(cacheKey);
-
-            if (!stored) {
-                return null;
-            }
+        const timestamp = getTimestamp(key);
+        if (timestamp === null) {
+            return null;
+        }
 
-            const { timestamp } = JSON.parse(stored);
-            const ageMs = Date.now() - timestamp;
-            const ageMinutes = Math.floor(ageMs / 60000);
-            const ageHours = Math.floor(ageMinutes / 60);
+        const ageMs = Date.now() - timestamp;
+        const ageMinutes = Math.floor(ageMs / 60000);
+        const ageHours = Math.floor(ageMinutes / 60);
 
-            if (ageHours > 0) {
-                return `${ageHours} saat ${ageMinutes % 60} dk once`;
-            }
-            return `${ageMinutes} dk once`;
-        } catch (e) {
-            return null;
+        if (ageHours > 0) {
+            return `${ageHours} saat ${ageMinutes % 60} dk once`;
         }
+        return `${ageMinutes} dk once`;
     }
 
     /**
@@ -166,15 +482,7 @@ const Cache = (function() {
      */
     function getTimestamp(key) {
         try {
-            const cacheKey = getCacheKey(key);
-            const stored = localStorage.getItem(cacheKey);
-
-            if (!stored) {
-                return null;
-            }
-
-            const { timestamp } = JSON.parse(stored);
-            return timestamp;
+            return backend.timestamp(key);
         } catch (e) {
             return null;
         }
@@ -186,7 +494,7 @@ const Cache = (function() {
      */
     function remove(key) {
         try {
-            localStorage.removeItem(getCacheKey(key));
+            backend.delete(key);
         } catch (e) {
             console.error('Cache remove error:', e);
         }
@@ -194,47 +502,37 @@ const Cache = (function() {
 
     /**
      * Clear all IZSU cache entries
+     * Preferences, saved areas and seen outage notifications are kept
      */
     function clearAll() {
         try {
-            const keysToRemove = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(CACHE_PREFIX)) {
-                    keysToRemove.push(key);
-                }
+            if (backend !== localBackend) {
+                backend.clear();
             }
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+            localBackend.clear();
         } catch (e) {
             console.error('Cache clear error:', e);
         }
     }
 
     /**
-     * Clear old/expired cache entries
+     * Clear old/expired cache entries (used under quota pressure)
      */
     function clearOldEntries() {
         try {
             const now = Date.now();
             const ttl = getTTL();
-            const keysToRemove = [];
 
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(CACHE_PREFIX) && key !== SETTINGS_KEY) {
-                    try {
-                        const stored = localStorage.getItem(key);
-                        const { timestamp } = JSON.parse(stored);
-                        if (now - timestamp > ttl) {
-                            keysToRemove.push(key);
-                        }
-                    } catch (e) {
-                        keysToRemove.push(key);
+            backend.keys().forEach(key => {
+                try {
+                    const timestamp = backend.timestamp(key);
+                    if (timestamp === null || now - timestamp > ttl) {
+                        backend.delete(key);
                     }
+                } catch (e) {
+                    backend.delete(key);
                 }
-            }
-
-            keysToRemove.forEach(key => localStorage.removeItem(key));
+            });
         } catch (e) {
             console.error('Clear old entries error:', e);
         }
@@ -247,41 +545,42 @@ const Cache = (function() {
     function getStats() {
         let totalSize = 0;
         let entryCount = 0;
+        let staleCount = 0;
+        const ttl = getTTL();
         let oldestTimestamp = Date.now();
         let newestTimestamp = 0;
 
         try {
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(CACHE_PREFIX) && key !== SETTINGS_KEY) {
-                    const value = localStorage.getItem(key);
-                    totalSize += value.length;
-                    entryCount++;
+            backend.keys().forEach(key => {
+                const timestamp = backend.timestamp(key);
+                if (timestamp === null) return;
 
-                    try {
-                        const { timestamp } = JSON.parse(value);
-                        if (timestamp < oldestTimestamp) oldestTimestamp = timestamp;
-                        if (timestamp > newestTimestamp) newestTimestamp = timestamp;
-                    } catch (e) {
-                        // Skip invalid entries
-                    }
-                }
-            }
+                totalSize += backend.size(key);
+                entryCount++;
+
+                if (timestamp < oldestTimestamp) oldestTimestamp = timestamp;
+                if (timestamp > newestTimestamp) newestTimestamp = timestamp;
+                if (Date.now() - timestamp > ttl) staleCount++;
+            });
         } catch (e) {
             console.error('Get stats error:', e);
         }
 
         return {
             entryCount,
+            staleCount,
             totalSizeKB: (totalSize / 1024).toFixed(2),
             oldestTimestamp: entryCount > 0 ? oldestTimestamp : null,
             newestTimestamp: entryCount > 0 ? newestTimestamp : null,
-            ttlHours: getSettings().cacheDurationHours
+            ttlHours: getSettings().cacheDurationHours,
+            backend: backend.name
         };
     }
 
     return {
+        init,
         get,
+        getEntry,
         set,
         has,
         remove,
@@ -291,7 +590,9 @@ const Cache = (function() {
         getTimestamp,
         getStats,
         getSettings,
-        saveSettings
+        saveSettings,
+        isStaleWhileRevalidate,
+        getBackendName
     };
 })();
 
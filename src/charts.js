@@ -506,6 +506,42 @@ const Charts = (function() {
         });
     }
 
+    /**
+     * Create stacked monthly outage chart by district
+     * @param {Array<string>} labels - Month labels
+     * @param {Array<{label: string, values: Array<number>}>} series - Outage counts per district
+     */
+    function createOutageTimelineChart(labels, series) {
+        if (!labels || !labels.length) return;
+
+        const palette = generatePalette(series.length);
+
+        const data = {
+            labels,
+            datasets: series.map((s, i) => ({
+                label: s.label,
+                data: s.values,
+                backgroundColor: palette[i],
+                borderRadius: 2
+            }))
+        };
+
+        createChart('outageTimelineChart', 'bar', data, {
+            scales: {
+                x: {
+                    stacked: true
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        stepSize: 1
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Format large numbers for display
      * @param {number} num - Number to format
@@ -533,6 +569,66 @@ const Charts = (function() {
         });
     }
 
+    /**
+     * Get a chart instance
+     * @param {string} id - Canvas element ID
+     * @returns {Chart|null} Chart instance
+     */
+    function getChart(id) {
+        return chartInstances[id] || null;
+    }
+
+    /**
+     * Copy a chart onto a canvas filled with the theme's card background
+     * (chart canvases are transparent, which looks broken once saved)
+     * @param {string} id - Canvas element ID
+     * @returns {HTMLCanvasElement|null} Canvas at device resolution or null
+     */
+    function getImageCanvas(id) {
+        const chart = chartInstances[id];
+        if (!chart || !chart.canvas.width || !chart.canvas.height) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = chart.canvas.width;
+        canvas.height = chart.canvas.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-secondary').trim() || '#111111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(chart.canvas, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Render a chart as a PNG image
+     * @param {string} id - Canvas element ID
+     * @returns {Promise<Blob|null>} PNG blob or null if the chart is missing or hidden
+     */
+    function toPNG(id) {
+        const canvas = getImageCanvas(id);
+        if (!canvas) return Promise.resolve(null);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    /**
+     * Render a chart as an SVG document
+     * Chart.js draws to a canvas, so the SVG embeds the device-resolution bitmap
+     * at the chart's on-screen size
+     * @param {string} id - Canvas element ID
+     * @returns {string|null} SVG text or null if the chart is missing or hidden
+     */
+    function toSVG(id) {
+        const canvas = getImageCanvas(id);
+        if (!canvas) return null;
+
+        const { width, height } = chartInstances[id];
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<image width="${width}" height="${height}" href="${canvas.toDataURL('image/png')}"/>` +
+            '</svg>\n';
+    }
+
     /**
      * Destroy all charts
      */
@@ -544,12 +640,17 @@ const Charts = (function() {
 
     return {
         createChart,
+        destroyChart,
+        getChart,
+        toPNG,
+        toSVG,
         createTotalWaterChart,
         createDamFillRateChart,
         createDailyProductionChart,
         createMonthlyProductionChart,
         createSourceProductionChart,
         createOutageDistrictChart,
+        createOutageTimelineChart,
         updateAllCharts,
         destroyAll,
         getColors,
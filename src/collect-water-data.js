@@ -1,55 +1,33 @@
 /**
- * Monthly Water Data Collection Script
+ * Water Data Collection Script
  * Fetches current dam/well water levels and appends to historical JSON
- * Run by GitHub Actions on the 1st of each month at 00:00 UTC
+ * Monthly mode (default): run on the 1st of each month, keeps 24 entries in data/history.json
+ * Daily mode (--daily): one entry per day in per-year files under data/history/ with a manifest
  * Cem Baspinar - MIT License
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createHttpsTransport, fetchJsonWithRetry } = require('./http-client');
 
 const API_BASE = 'https://openapi.izmir.bel.tr/api/izsu';
 const HISTORY_FILE = path.join(__dirname, '..', 'data', 'history.json');
+const DAILY_HISTORY_DIR = path.join(__dirname, '..', 'data', 'history');
+const MANIFEST_FILE = path.join(DAILY_HISTORY_DIR, 'manifest.json');
+
+const MODE = process.argv.includes('--daily') ? 'daily' : 'monthly';
 
 // Skip SSL verification (IZSU cert is expired)
-const agent = new https.Agent({ rejectUnauthorized: false });
+const transport = createHttpsTransport({ rejectUnauthorized: false });
 
 async function fetchWithRetry(url, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const data = await new Promise((resolve, reject) => {
-                https.get(url, { agent }, (res) => {
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => {
-                        try {
-                            resolve(JSON.parse(body));
-                        } catch (e) {
-                            reject(new Error('JSON parse error'));
-                        }
-                    });
-                }).on('error', reject);
-            });
-
-            if (data && data.message === 'An unexpected error occurred') {
-                throw new Error('Server returned error in response body');
-            }
-
-            return data;
-        } catch (error) {
-            console.log(`Attempt ${i + 1} failed: ${error.message}`);
-            if (i < retries - 1) {
-                await new Promise(r => setTimeout(r, 2000 * (i + 1)));
-            }
-        }
-    }
-    throw new Error(`Failed after ${retries} attempts`);
+    const { data } = await fetchJsonWithRetry(transport, url, { retries, backoffMs: 2000 });
+    return data;
 }
 
 async function collectData() {
     const today = new Date().toISOString().split('T')[0];
-    console.log(`Collecting water data for ${today}...`);
+    console.log(`Collecting water data for ${today} (${MODE} mode)...`);
 
     // Fetch dam status
     const damStatus = await fetchWithRetry(`${API_BASE}/barajdurum`);
@@ -59,6 +37,11 @@ async function collectData() {
     const dailyProduction = await fetchWithRetry(`${API_BASE}/gunluksuuretimi`);
     console.log('Fetched daily production data');
 
+    if (MODE === 'daily') {
+        writeDailyEntry(createEntry(today, damStatus, dailyProduction));
+        return;
+    }
+
     // Load existing history
     let history = { entries: [], lastUpdated: null };
     if (fs.existsSync(HISTORY_FILE)) {
@@ -79,9 +62,12 @@ async function collectData() {
     // Sort by date descending (newest first)
     history.entries.sort((a, b) => new Date(b.date) - new Date(a.date));
 
-    // Keep only last 24 months (2 years of monthly data)
-    if (history.entries.length > 24) {
-        history.entries = history.entries.slice(0, 24);
+    // Keep only last 24 collected months (2 years of monthly data);
+    // reconstructed entries (with a source field) are kept as-is
+    const collected = history.entries.filter(e => !e.source);
+    if (collected.length > 24) {
+        const dropped = new Set(collected.slice(24));
+        history.entries = history.entries.filter(e => !dropped.has(e));
     }
 
     history.lastUpdated = new Date().toISOString();
@@ -97,6 +83,71 @@ async function collectData() {
     console.log(`History updated with ${history.entries.length} entries`);
 }
 
+/**
+ * Read a JSON file, returning fallback if it does not exist
+ */
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Upsert a daily entry into its year partition and refresh the manifest
+ */
+function writeDailyEntry(entry) {
+    const year = entry.date.slice(0, 4);
+    const yearFile = path.join(DAILY_HISTORY_DIR, `${year}.json`);
+
+    if (!fs.existsSync(DAILY_HISTORY_DIR)) {
+        fs.mkdirSync(DAILY_HISTORY_DIR, { recursive: true });
+    }
+
+    const partition = readJson(yearFile, { year: Number(year), entries: [] });
+    const index = partition.entries.findIndex(e => e.date === entry.date);
+    if (index >= 0) {
+        console.log(`Data for ${entry.date} already exists, updating...`);
+        partition.entries[index] = entry;
+    } else {
+        partition.entries.push(entry);
+    }
+
+    // Sort by date descending (newest first), same as history.json
+    partition.entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+    fs.writeFileSync(yearFile, JSON.stringify(partition, null, 2));
+    console.log(`${year}.json updated with ${partition.entries.length} entries`);
+
+    updateManifest();
+}
+
+/**
+ * Rebuild manifest from the year partitions on disk
+ */
+function updateManifest() {
+    const years = fs.readdirSync(DAILY_HISTORY_DIR)
+        .filter(name => /^\d{4}\.json$/.test(name))
+        .map(name => {
+            const partition = readJson(path.join(DAILY_HISTORY_DIR, name), { entries: [] });
+            const dates = partition.entries.map(e => e.date).sort();
+            return {
+                year: Number(name.slice(0, 4)),
+                file: name,
+                entries: dates.length,
+                firstDate: dates[0] || null,
+                lastDate: dates[dates.length - 1] || null
+            };
+        })
+        .sort((a, b) => a.year - b.year);
+
+    const manifest = {
+        resolution: 'daily',
+        years,
+        lastUpdated: new Date().toISOString()
+    };
+
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    console.log(`Manifest updated: ${years.length} year(s)`);
+}
+
 function createEntry(date, damStatus, dailyProduction) {
     const dams = damStatus.map(dam => ({
         name: dam.BarajKuyuAdi,
@@ -139,9 +190,13 @@ function createEntry(date, damStatus, dailyProduction) {
     };
 }
 
-collectData()
-    .then(() => console.log('Data collection complete'))
-    .catch(err => {
-        console.error('Data collection failed:', err);
-        process.exit(1);
-    });
+if (require.main === module) {
+    collectData()
+        .then(() => console.log('Data collection complete'))
+        .catch(err => {
+            console.error('Data collection failed:', err);
+            process.exit(1);
+        });
+}
+
+module.exports = { createEntry, readJson };
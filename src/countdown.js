@@ -13,33 +13,29 @@ const Countdown = (function() {
     /**
      * Render water countdown visualization
      * @param {Array} damStatus - Dam status data
-     * @param {Object} consumptionData - Consumption data
+     * @param {Object} forecast - Depletion forecast from Forecast.estimate
      */
-    function render(damStatus, consumptionData) {
+    function render(damStatus, forecast) {
         const container = document.getElementById('waterCountdown');
-        if (!container) return;
-
-        const totalCurrent = damStatus.reduce((sum, d) => sum + (d.SuDurumu || 0), 0);
-        const totalMin = damStatus.reduce((sum, d) => sum + (d.MinimumSuKapasitesi || 0), 0);
-        const totalMax = damStatus.reduce((sum, d) => sum + (d.MaksimumSuKapasitesi || 0), 0);
+        if (!container || !forecast) return;
 
-        const usableWater = totalCurrent - totalMin;
-        const usableCapacity = totalMax - totalMin;
-        const fillPercentage = (usableWater / usableCapacity) * 100;
-
-        // Daily consumption in m3 (convert from liters)
-        const dailyConsumption = (consumptionData?.dailyConsumption || 967500000) / 1000;
-        const consumptionPerSecond = dailyConsumption / 86400;
+        // Net draw in m3/day; negative when inflow exceeds production
+        const netDraw = forecast.netDraw;
+        const drawPerSecond = netDraw / 86400;
 
         // Store countdown data for live updates
         countdownData = {
             startTime: Date.now(),
-            startWater: usableWater,
-            consumptionPerSecond,
-            usableCapacity,
-            dailyConsumption
+            startWater: forecast.usableWater,
+            startSeconds: forecast.days !== null ? forecast.days * 86400 : null,
+            drawPerSecond,
+            usableCapacity: forecast.usableCapacity
         };
 
+        const basisNote = forecast.basis === 'production'
+            ? I18n.t('countdown.basedOnModel', { n: forecast.sampleCount })
+            : I18n.t('countdown.based');
+
         container.innerHTML = `
             <div class="countdown-title">${I18n.t('countdown.title')}</div>
             <div class="countdown-main">
@@ -54,28 +50,110 @@ const Countdown = (function() {
                     <span class="countdown-number" id="countdownVolume">--</span><span class="countdown-unit">m3</span>
                 </div>
             </div>
+            <div class="countdown-band">
+                <span class="countdown-band-item pessimistic">${I18n.t('countdown.pessimistic')}: <strong>${formatDays(forecast.pessimisticDays, forecast.horizonDays)}</strong></span>
+                <span class="countdown-band-item optimistic">${I18n.t('countdown.optimistic')}: <strong>${formatDays(forecast.optimisticDays, forecast.horizonDays)}</strong></span>
+            </div>
             <div class="countdown-bar">
                 <div class="countdown-bar-fill" id="countdownFill"></div>
             </div>
             <div class="countdown-details">
                 <div class="countdown-detail">
-                    <div class="countdown-detail-value">${Utils.formatLargeNumber(dailyConsumption)}</div>
-                    <div class="countdown-detail-label">${I18n.t('labels.dailyConsumption')}</div>
+                    <div class="countdown-detail-value">${Utils.formatLargeNumber(Math.abs(netDraw))}</div>
+                    <div class="countdown-detail-label">${I18n.t(netDraw >= 0 ? 'countdown.netDraw' : 'countdown.netGain')}</div>
+                </div>
+                <div class="countdown-detail">
+                    <div class="countdown-detail-value">${Utils.formatLargeNumber(forecast.production)}</div>
+                    <div class="countdown-detail-label">${I18n.t('countdown.production')}</div>
+                </div>
+                <div class="countdown-detail">
+                    <div class="countdown-detail-value">${Utils.formatLargeNumber(forecast.inflow)}</div>
+                    <div class="countdown-detail-label">${I18n.t('countdown.inflow')}</div>
                 </div>
                 <div class="countdown-detail">
-                    <div class="countdown-detail-value">${fillPercentage.toFixed(1)}%</div>
+                    <div class="countdown-detail-value">${forecast.fillPercentage.toFixed(1)}%</div>
                     <div class="countdown-detail-label">${I18n.t('dams.fillRate')}</div>
                 </div>
                 <div class="countdown-detail">
-                    <div class="countdown-detail-value">${Utils.formatNumber(Math.round(consumptionPerSecond * 100) / 100)}</div>
+                    <div class="countdown-detail-value">${Utils.formatNumber(Math.round(drawPerSecond * 100) / 100)}</div>
                     <div class="countdown-detail-label">m3/s</div>
                 </div>
             </div>
+            <div class="countdown-note">${basisNote}</div>
         `;
 
         startTicker();
     }
 
+    /**
+     * Format a forecast day count for the confidence band
+     * @param {number|null} days - Days remaining or null if beyond horizon
+     * @param {number} horizonDays - Simulation horizon
+     * @returns {string} Formatted string
+     */
+    function formatDays(days, horizonDays) {
+        if (days === null) {
+            return `${Utils.formatNumber(horizonDays)}+ ${I18n.t('countdown.days')}`;
+        }
+        return `${Utils.formatNumber(Math.floor(days))} ${I18n.t('countdown.days')}`;
+    }
+
+    /**
+     * Render per-dam dead storage ranking below the countdown
+     * @param {Array} damStatus - Dam status data
+     * @param {Object} dailyProduction - Daily production data
+     */
+    function renderDamRanking(damStatus, dailyProduction) {
+        const container = document.getElementById('damCountdownRanking');
+        if (!container) return;
+
+        const ranking = Forecast.estimatePerDam(damStatus, dailyProduction);
+        if (!ranking.length) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const firstIndex = ranking[0].days !== null ? 0 : -1;
+
+        container.innerHTML = `
+            <h3>${I18n.t('countdown.rankingTitle')}</h3>
+            <p class="section-desc">${I18n.t('countdown.rankingHint')}</p>
+            <div class="table-wrapper">
+                <table class="data-table sortable-table" id="damRankingTable">
+                    <thead>
+                        <tr>
+                            <th class="text-right sortable" data-sort="0">#</th>
+                            <th class="sortable" data-sort="1">${I18n.t('dams.dam')}</th>
+                            <th class="text-right sortable" data-sort="2">${I18n.t('dams.usableWater')} (m3)</th>
+                            <th class="text-right sortable" data-sort="3">${I18n.t('countdown.production')}</th>
+                            <th class="text-right sortable" data-sort="4">${I18n.t('countdown.share')}</th>
+                            <th class="text-right sortable" data-sort="5">${I18n.t('countdown.daysLeft')}</th>
+                            <th class="text-right sortable" data-sort="6">${I18n.t('countdown.deadStorageDate')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ranking.map((dam, index) => `
+                            <tr class="${index === firstIndex ? 'dam-rank-first' : ''}">
+                                <td class="text-right" data-value="${index + 1}">${index + 1}</td>
+                                <td data-value="${Utils.escapeHtml(dam.name || '')}">
+                                    ${Utils.escapeHtml(dam.name || I18n.t('dams.unknown'))}
+                                    ${index === firstIndex ? `<span class="dam-rank-badge">${I18n.t('countdown.firstToEmpty')}</span>` : ''}
+                                </td>
+                                <td class="text-right" data-value="${dam.usableWater}">${Utils.formatLargeNumber(dam.usableWater)}</td>
+                                <td class="text-right" data-value="${dam.dailyDraw}">${dam.dailyDraw ? Utils.formatLargeNumber(dam.dailyDraw) : '-'}</td>
+                                <td class="text-right" data-value="${dam.share}">${dam.dailyDraw ? dam.share.toFixed(1) + '%' : '-'}</td>
+                                <td class="text-right" data-value="${dam.days !== null ? dam.days : Number.MAX_SAFE_INTEGER}">${dam.days !== null ? Utils.formatNumber(Math.floor(dam.days)) : I18n.t('countdown.notDrawn')}</td>
+                                <td class="text-right" data-value="${dam.date ? dam.date.getTime() : Number.MAX_SAFE_INTEGER}">${dam.date ? Utils.formatDate(dam.date) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        UI.initSortableTable('damRankingTable');
+    }
+
     /**
      * Start live countdown ticker
      */
@@ -90,18 +168,28 @@ const Countdown = (function() {
             if (!countdownData) return;
 
             const elapsed = (Date.now() - countdownData.startTime) / 1000;
-            const currentWater = Math.max(0, countdownData.startWater - (elapsed * countdownData.consumptionPerSecond));
-            const totalSeconds = Math.floor(currentWater / countdownData.consumptionPerSecond);
-
-            const days = Math.floor(totalSeconds / 86400);
-            const hours = Math.floor((totalSeconds % 86400) / 3600);
-            const mins = Math.floor((totalSeconds % 3600) / 60);
-            const secs = totalSeconds % 60;
-
-            const daysStr = String(days);
-            const hoursStr = String(hours).padStart(2, '0');
-            const minsStr = String(mins).padStart(2, '0');
-            const secsStr = String(secs).padStart(2, '0');
+            const currentWater = Math.min(
+                countdownData.usableCapacity,
+                Math.max(0, countdownData.startWater - (elapsed * countdownData.drawPerSecond))
+            );
+
+            let daysStr, hoursStr, minsStr, secsStr;
+            if (countdownData.startSeconds === null) {
+                // Not depleted within the forecast horizon
+                daysStr = '\u221e';
+                hoursStr = minsStr = secsStr = '--';
+            } else {
+                const totalSeconds = Math.max(0, Math.floor(countdownData.startSeconds - elapsed));
+                const days = Math.floor(totalSeconds / 86400);
+                const hours = Math.floor((totalSeconds % 86400) / 3600);
+                const mins = Math.floor((totalSeconds % 3600) / 60);
+                const secs = totalSeconds % 60;
+
+                daysStr = String(days);
+                hoursStr = String(hours).padStart(2, '0');
+                minsStr = String(mins).padStart(2, '0');
+                secsStr = String(secs).padStart(2, '0');
+            }
             const volumeStr = Utils.formatNumber(Math.floor(currentWater));
 
             updateDigitsWithFlash('countdownDays', daysStr, lastValues.days);
@@ -175,6 +263,7 @@ const Countdown = (function() {
 
     return {
         render,
+        renderDamRanking,
         stop
     };
 })();
@@ -0,0 +1,90 @@
+/**
+ * IZSU Dates Module
+ * Parses the local date times in IZSU records ("2025-09-14T09:30:00" or "14.09.2025 09:30")
+ * Shared by the front end and the fetcher (src/fetch-data.js), which runs in UTC
+ * Cem Baspinar - MIT License
+ */
+
+const Dates = (function() {
+    'use strict';
+
+    // IZSU times carry no zone; Türkiye has been on UTC+3 all year since 2016
+    const IZSU_UTC_OFFSET_MINUTES = 180;
+
+    const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+    const TURKISH_PATTERN = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?)?$/;
+
+    // Timestamps written by the fetcher (firstSeen, lastSeen...) carry their zone
+    const ZONED_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/;
+
+    /**
+     * Read the fields of an IZSU local date time
+     * @param {string} value - Date time without zone, ISO or dd.mm.yyyy; the time is optional
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}|null} Fields (month 1-12) or null
+     */
+    function parseLocalParts(value) {
+        const text = String(value || '').trim();
+        let fields = null;
+
+        const iso = text.match(ISO_PATTERN);
+        if (iso) {
+            fields = [iso[1], iso[2], iso[3], iso[4], iso[5], iso[6]];
+        } else {
+            const turkish = text.match(TURKISH_PATTERN);
+            if (turkish) fields = [turkish[3], turkish[2], turkish[1], turkish[4], turkish[5], turkish[6]];
+        }
+        if (!fields) return null;
+
+        const [year, month, day, hour, minute, second] = fields.map(field => Number(field || 0));
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return null;
+
+        return { year, month, day, hour, minute, second };
+    }
+
+    /**
+     * Parse an IZSU local date time, or a timestamp with a zone, to an instant
+     * @param {string|number|Date} value - Date time
+     * @returns {Date|null} Date or null if it cannot be read
+     */
+    function parseDateTime(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date || typeof value === 'number') {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const text = String(value).trim();
+        if (ZONED_PATTERN.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const parts = parseLocalParts(text);
+        if (!parts) return null;
+
+        const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return new Date(utc - IZSU_UTC_OFFSET_MINUTES * 60000);
+    }
+
+    /**
+     * Get the time of a date value in milliseconds
+     * @param {string|number|Date} value - Date time (see parseDateTime)
+     * @returns {number} Milliseconds since the epoch, or NaN if it cannot be read
+     */
+    function toTime(value) {
+        const date = parseDateTime(value);
+        return date ? date.getTime() : NaN;
+    }
+
+    return {
+        IZSU_UTC_OFFSET_MINUTES,
+        parseLocalParts,
+        parseDateTime,
+        toTime
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dates;
+}
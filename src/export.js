@@ -0,0 +1,464 @@
+/**
+ * IZSU Export Module
+ * CSV, JSON and XLSX downloads of the data behind tables, cards and charts,
+ * plus PNG and SVG images of charts
+ * Cem Baspinar - MIT License
+ */
+
+const DataExport = (function() {
+    'use strict';
+
+    const FORMATS = {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+        xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    };
+
+    // Offered only in menus whose export ID is a chart canvas
+    const IMAGE_FORMATS = {
+        png: { extension: 'png', mimeType: 'image/png' },
+        svg: { extension: 'svg', mimeType: 'image/svg+xml;charset=utf-8' }
+    };
+
+    // Data getters registered by renderers, keyed by export ID
+    const providers = {};
+
+    let crcTable = null;
+
+    /**
+     * Register the data behind a table or card list
+     * The getter runs at download time so headers follow the current language
+     * @param {string} id - Export ID (data-export value)
+     * @param {Function} getter - Returns { columns: [{ key, label }], rows: [Object] }
+     */
+    function register(id, getter) {
+        providers[id] = getter;
+    }
+
+    /**
+     * Remove a registered getter (e.g. when the data failed to load)
+     * @param {string} id - Export ID
+     */
+    function unregister(id) {
+        delete providers[id];
+    }
+
+    /**
+     * Build a table from a chart's labels and datasets
+     * @param {Object} chart - Chart.js instance
+     * @returns {{columns: Array, rows: Array}} Table
+     */
+    function fromChart(chart) {
+        const labels = chart.data.labels || [];
+        const datasets = chart.data.datasets || [];
+        const count = Math.max(labels.length, ...datasets.map(ds => (ds.data || []).length));
+
+        const columns = [
+            { key: 'label', label: I18n.t('export.label') },
+            ...datasets.map((ds, i) => ({ key: `d${i}`, label: ds.label || I18n.t('analysis.value') }))
+        ];
+
+        const rows = [];
+        for (let i = 0; i < count; i++) {
+            const row = { label: Array.isArray(labels[i]) ? labels[i].join(' ') : labels[i] };
+            datasets.forEach((ds, j) => {
+                const point = (ds.data || [])[i];
+                if (point && typeof point === 'object') {
+                    row[`d${j}`] = point.y;
+                    if (row.label === undefined) row.label = point.x;
+                } else {
+                    row[`d${j}`] = point;
+                }
+            });
+            rows.push(row);
+        }
+
+        return { columns, rows };
+    }
+
+    /**
+     * Get the table for an export ID
+     * Registered getters are used first, then a chart with the same canvas ID
+     * @param {string} id - Export ID
+     * @returns {{columns: Array, rows: Array}|null} Table or null
+     */
+    function getTable(id) {
+        if (providers[id]) {
+            return providers[id]();
+        }
+
+        const chart = Charts.getChart(id);
+        return chart ? fromChart(chart) : null;
+    }
+
+    /**
+     * Normalize a cell value
+     * Plain numeric strings (as IZSU sometimes sends numbers) become numbers
+     * @param {*} value - Cell value
+     * @returns {string|number} Number, or text ('' for missing values)
+     */
+    function cellValue(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return isFinite(value) ? value : '';
+        const text = String(value);
+        return /^-?(0|[1-9]\d*)(\.\d+)?$/.test(text) ? parseFloat(text) : text;
+    }
+
+    /**
+     * Convert a table to CSV (with BOM so spreadsheet apps detect UTF-8)
+     * @param {{columns: Array, rows: Array}} table - Table
+     * @returns {string} CSV text
+     */
+    function toCSV(table) {
+        const escape = (value) => {
+            const cell = cellValue(value);
+            let text = String(cell);
+            // Spreadsheet apps run text starting with these as a formula; numbers are left as they are
+            if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [
+            table.columns.map(col => escape(col.label)).join(','),
+            ...table.rows.map(row => table.columns.map(col => escape(row[col.key])).join(','))
+        ];
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Convert a table to JSON (objects keyed by the translated headers)
+     * @param {{columns: Array, rows: Array}} table - Table
+     * @returns {string} JSON text
+     */
+    function toJSON(table) {
+        const records = table.rows.map(row => {
+            const record = {};
+            table.columns.forEach(col => {
+                const value = cellValue(row[col.key]);
+                record[col.label] = value === '' ? null : value;
+            });
+            return record;
+        });
+
+        return JSON.stringify(records, null, 2);
+    }
+
+    /**
+     * Escape text for XML
+     * @param {*} value - Value
+     * @returns {string} Escaped text without characters invalid in XML 1.0
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Get a spreadsheet column letter
+     * @param {number} index - Zero-based column index
+     * @returns {string} Column letters (A, B, ..., AA)
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Build the worksheet XML (inline strings, so no shared strings part is needed)
+     * @param {{columns: Array, rows: Array}} table - Table
+     * @returns {string} Worksheet XML
+     */
+    function buildSheetXml(table) {
+        const cell = (value, ref) => {
+            const v = cellValue(value);
+            if (v === '') return '';
+            if (typeof v === 'number') return `<c r="${ref}"><v>${v}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`;
+        };
+
+        const rows = [
+            table.columns.map(col => col.label),
+            ...table.rows.map(row => table.columns.map(col => row[col.key]))
+        ].map((values, r) =>
+            `<row r="${r + 1}">${values.map((value, c) => cell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+        );
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+    }
+
+    /**
+     * Compute the CRC-32 of bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Build an uncompressed ZIP archive
+     * @param {Array<{name: string, content: string}>} files - Files
+     * @returns {Uint8Array} ZIP bytes
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true); // stored
+            header.setUint16(10, 0, true);
+            header.setUint16(12, 0x21, true); // 1980-01-01
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, 0, true);
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            local.push(new Uint8Array(header.buffer), name, data);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Convert a table to a minimal single-sheet XLSX workbook
+     * @param {{columns: Array, rows: Array}} table - Table
+     * @param {string} sheetName - Worksheet name
+     * @returns {Uint8Array} XLSX bytes
+     */
+    function toXLSX(table, sheetName = 'IZSU') {
+        const name = escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'IZSU');
+
+        return buildZip([
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '</Relationships>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(table) }
+        ]);
+    }
+
+    /**
+     * Convert an export ID to kebab case
+     * @param {string} id - Export ID such as "damStats"
+     * @returns {string} Slug such as "dam-stats"
+     */
+    function getSlug(id) {
+        return id.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+
+    /**
+     * Build a download filename
+     * @param {string} id - Export ID
+     * @param {string} extension - File extension
+     * @returns {string} Filename such as "izsu-dam-stats-2024-05-01.csv"
+     */
+    function getFilename(id, extension) {
+        return `izsu-${getSlug(id)}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    /**
+     * Download a chart as an image
+     * @param {string} id - Chart canvas ID
+     * @param {string} format - 'png' or 'svg'
+     */
+    async function downloadImage(id, format) {
+        const content = format === 'png' ? await Charts.toPNG(id) : Charts.toSVG(id);
+        if (!content) {
+            UI.showToast(I18n.t('export.noData'), 'info');
+            return;
+        }
+
+        const { extension, mimeType } = IMAGE_FORMATS[format];
+        Utils.downloadFile(content, getFilename(id, extension), mimeType);
+    }
+
+    /**
+     * Download the data for an export ID
+     * @param {string} id - Export ID
+     * @param {string} format - 'csv', 'json', 'xlsx', or 'png'/'svg' for charts
+     */
+    function download(id, format) {
+        if (IMAGE_FORMATS[format]) {
+            downloadImage(id, format);
+            return;
+        }
+
+        const table = getTable(id);
+        if (!table || !table.rows.length || !FORMATS[format]) {
+            UI.showToast(I18n.t('export.noData'), 'info');
+            return;
+        }
+
+        const { extension, mimeType } = FORMATS[format];
+        const content = format === 'csv' ? toCSV(table)
+            : format === 'json' ? toJSON(table)
+            : toXLSX(table, getSlug(id));
+
+        Utils.downloadFile(content, getFilename(id, extension), mimeType);
+    }
+
+    /**
+     * Close all open export menus
+     */
+    function closeMenus() {
+        document.querySelectorAll('.export-options').forEach(menu => menu.classList.add('hidden'));
+    }
+
+    /**
+     * Render export menus into [data-export] placeholders and bind them
+     */
+    function init() {
+        document.querySelectorAll('.export-menu[data-export]').forEach(container => {
+            const target = document.getElementById(container.dataset.export);
+            const formats = Object.keys(FORMATS)
+                .concat(target && target.tagName === 'CANVAS' ? Object.keys(IMAGE_FORMATS) : []);
+
+            container.innerHTML = `
+                <button type="button" class="export-btn" aria-haspopup="menu" title="${I18n.t('export.button')}" data-i18n="export.button" data-i18n-title>
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+                    </svg>
+                </button>
+                <div class="export-options hidden" role="menu">
+                    ${formats.map(format => `<button type="button" class="export-option" role="menuitem" data-format="${format}">${format.toUpperCase()}</button>`).join('')}
+                </div>
+            `;
+        });
+
+        document.addEventListener('click', (e) => {
+            const option = e.target.closest('.export-option');
+            if (option) {
+                closeMenus();
+                download(option.closest('.export-menu').dataset.export, option.dataset.format);
+                return;
+            }
+
+            const button = e.target.closest('.export-btn');
+            if (button) {
+                const menu = button.nextElementSibling;
+                const wasOpen = !menu.classList.contains('hidden');
+                closeMenus();
+                menu.classList.toggle('hidden', wasOpen);
+                return;
+            }
+
+            closeMenus();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeMenus();
+        });
+    }
+
+    return {
+        init,
+        register,
+        unregister,
+        getTable,
+        toCSV,
+        toJSON,
+        toXLSX,
+        download
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataExport;
+}
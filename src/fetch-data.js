@@ -0,0 +1,440 @@
+/**
+ * IZSU Data Fetcher
+ * Fetches IZSU OpenAPI and CKAN endpoints, aggregates daily production
+ * and publishes the snapshot read by the front end, plus an iCalendar feed of outages
+ * and the archives, which are kept in files of their own and loaded on demand
+ * Run hourly by GitHub Actions (.github/workflows/fetch-data.yml)
+ * SNAPSHOT_STORAGE selects backends, e.g. "gist,file:data/latest.json" (default: gist)
+ * Cem Baspinar - MIT License
+ */
+
+const {
+    createHttp2Transport,
+    createHttpsTransport,
+    fetchJsonWithRetry,
+    sleep
+} = require('./http-client');
+const { createStorageFromSpec } = require('./snapshot-storage');
+const Schema = require('./schema');
+const { updateOutageArchive } = require('./outage-archive');
+const QualityArchive = require('./quality-archive');
+const SamplingPoints = require('./sampling-points');
+const ICal = require('./ical');
+const OutageStats = require('./outage-stats');
+
+const IZSU_HOST = 'https://openapi.izmir.bel.tr';
+
+// Published next to the snapshot (gist file, or beside data/latest.json)
+const OUTAGE_CALENDAR_FILENAME = 'izsu-outages.ics';
+
+// Archives published as separate files, so the snapshot stays small and the UI loads them when needed
+const ARCHIVE_FILES = {
+    outageArchive: 'izsu-outage-archive.json',
+    qualityArchive: 'izsu-quality-archive.json',
+    samplingPoints: 'izsu-sampling-points.json'
+};
+
+// IZSU OpenAPI endpoints
+const ENDPOINTS = {
+    barajdurum: '/api/izsu/barajdurum',
+    barajvekuyular: '/api/izsu/barajvekuyular',
+    gunluksuuretimi: '/api/izsu/gunluksuuretimi',
+    arizakaynaklisukesintileri: '/api/izsu/arizakaynaklisukesintileri',
+    haftaliksuanalizleri: '/api/izsu/haftaliksuanalizleri',
+    cevreilcesuanalizleri: '/api/izsu/cevreilcesuanalizleri',
+    barajsukaliteraporlari: '/api/izsu/barajsukaliteraporlari'
+};
+
+// Production distribution needs year parameter (2009-current)
+const PRODUCTION_START_YEAR = 2009;
+
+// CKAN endpoints (valid SSL)
+const CKAN_ENDPOINTS = {
+    consumption: 'https://acikveri.bizizmir.com/api/3/action/datastore_search?resource_id=7a7485e5-2f04-4daf-9cc0-75ef1c24bc23&limit=0'
+};
+
+const ENDPOINT_DELAY_MS = 500;
+const YEAR_DELAY_MS = 300;
+
+/**
+ * Fetch one IZSU endpoint
+ * @returns {Promise<{name: string, data: *, error: string|null}>} Result
+ */
+async function fetchEndpoint(transport, name, path, options = {}) {
+    try {
+        const { data, bytes, elapsed } = await fetchJsonWithRetry(transport, path, { name, ...options });
+        console.log(`✓ ${name}: ${elapsed}ms (${Math.round(bytes / 1024)}KB)`);
+        return { name, data, error: null };
+    } catch (error) {
+        return { name, data: null, error: error.message };
+    }
+}
+
+/**
+ * Fetch one CKAN endpoint, keeping only the record total
+ * @returns {Promise<{name: string, data: *, error: string|null}>} Result
+ */
+async function fetchCkanEndpoint(transport, name, url, options = {}) {
+    try {
+        const { data, elapsed } = await fetchJsonWithRetry(transport, url, {
+            name: `[CKAN] ${name}`,
+            ...options,
+            // CKAN returns { success: true, result: { total: N, ... } }
+            validate: parsed => {
+                if (!parsed || !parsed.success || !parsed.result) {
+                    throw new Error('CKAN API returned unsuccessful response');
+                }
+            }
+        });
+        console.log(`[CKAN] ${name}: ${elapsed}ms (total: ${data.result.total})`);
+        return { name, data: { total: data.result.total }, error: null };
+    } catch (error) {
+        return { name, data: null, error: error.message };
+    }
+}
+
+/**
+ * Add one day of production into the monthly aggregation
+ * existingAggregated: { "2025-02": { _days: [...], _sources: { "Tahtali Baraji": 123456 } } }
+ * dailyProduction: { UretimTarihi: "2025-12-28T00:00:00", BarajKuyuUretimleri: [...] }
+ */
+function aggregateDailyToMonthly(existingAggregated, dailyProduction) {
+    const aggregated = existingAggregated ? JSON.parse(JSON.stringify(existingAggregated)) : {};
+
+    if (!dailyProduction || !dailyProduction.UretimTarihi || !dailyProduction.BarajKuyuUretimleri) {
+        return aggregated;
+    }
+
+    const date = new Date(dailyProduction.UretimTarihi);
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const dayKey = date.toISOString().split('T')[0];
+
+    if (!aggregated[monthKey]) {
+        aggregated[monthKey] = { _days: [], _sources: {} };
+    }
+    if (!aggregated[monthKey]._days) {
+        aggregated[monthKey]._days = [];
+    }
+    if (!aggregated[monthKey]._sources) {
+        aggregated[monthKey]._sources = {};
+    }
+
+    // Skip if this day was already aggregated
+    if (aggregated[monthKey]._days.includes(dayKey)) {
+        console.log(`Day ${dayKey} already aggregated, skipping`);
+        return aggregated;
+    }
+
+    for (const item of dailyProduction.BarajKuyuUretimleri) {
+        const sourceName = item.BarajKuyuAdi;
+        aggregated[monthKey]._sources[sourceName] = (aggregated[monthKey]._sources[sourceName] || 0) +
+            (item.UretimMiktari || 0);
+    }
+
+    aggregated[monthKey]._days.push(dayKey);
+
+    console.log(`Aggregated ${dayKey}: ${dailyProduction.BarajKuyuUretimleri.length} sources into ${monthKey}`);
+    return aggregated;
+}
+
+/**
+ * Convert aggregated months to suuretiminindagilimi rows
+ * Output: [{ UretimKaynagi, UretimMiktari, Yil, Ay, _days, _daysInMonth }, ...]
+ */
+function convertAggregatedToDistribution(aggregated) {
+    const distribution = [];
+
+    for (const [monthKey, monthData] of Object.entries(aggregated)) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const sources = monthData._sources || {};
+        const daysCount = (monthData._days || []).length;
+        const daysInMonth = new Date(year, month, 0).getDate();
+
+        for (const [sourceName, amount] of Object.entries(sources)) {
+            distribution.push({
+                UretimKaynagi: sourceName,
+                UretimMiktari: Math.round(amount),
+                Yil: year,
+                Ay: month,
+                _days: daysCount,
+                _daysInMonth: daysInMonth
+            });
+        }
+    }
+
+    return distribution;
+}
+
+/**
+ * Merge official distribution with aggregated rows for months after the latest official month
+ */
+function mergeProduction(productionData, aggregatedDistribution) {
+    let latestOfficialYear = 0;
+    let latestOfficialMonth = 0;
+    for (const item of productionData) {
+        if (item.Yil > latestOfficialYear || (item.Yil === latestOfficialYear && item.Ay > latestOfficialMonth)) {
+            latestOfficialYear = item.Yil;
+            latestOfficialMonth = item.Ay;
+        }
+    }
+    console.log(`Latest official data: ${latestOfficialYear}-${String(latestOfficialMonth).padStart(2, '0')}`);
+
+    const merged = [...productionData];
+    for (const item of aggregatedDistribution) {
+        const isAfterOfficial = item.Yil > latestOfficialYear ||
+            (item.Yil === latestOfficialYear && item.Ay > latestOfficialMonth);
+        if (isAfterOfficial) {
+            merged.push(item);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Build the published snapshot from fetch results
+ * @param {Object} params - { results, ckanResults, productionData, existingAggregated, existingOutageArchive,
+ *   existingQualityArchive, existingSamplingPoints, geocoding, timestamp }
+ * @returns {{data: Object, archives: Object, successCount: number, errorCount: number}} Snapshot, archives and counts
+ */
+function buildSnapshot({ results, ckanResults, productionData, existingAggregated, existingOutageArchive = null, existingQualityArchive = null, existingSamplingPoints = null, geocoding = { gazetteer: {}, overrides: {} }, timestamp }) {
+    const data = {
+        schemaVersion: Schema.VERSION,
+        timestamp,
+        endpoints: {},
+        ckan: {},
+        archives: {}
+    };
+    const archives = {};
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    const collect = (target, { name, data: endpointData, error }) => {
+        if (error) {
+            target[name] = { error };
+            errorCount++;
+        } else {
+            target[name] = endpointData;
+            successCount++;
+        }
+    };
+
+    results.forEach(result => collect(data.endpoints, result));
+    ckanResults.forEach(result => collect(data.ckan, result));
+
+    // Aggregate daily production into monthly totals
+    const aggregated = aggregateDailyToMonthly(existingAggregated, data.endpoints.gunluksuuretimi);
+    data.aggregatedMonthly = aggregated;
+
+    const aggregatedDistribution = convertAggregatedToDistribution(aggregated);
+    console.log(`Aggregated distribution: ${aggregatedDistribution.length} records`);
+
+    // Archive outages; keep the previous archive if the live list failed
+    const outages = data.endpoints.arizakaynaklisukesintileri;
+    if (Array.isArray(outages)) {
+        const { archive, added, resolved, pruned } = updateOutageArchive(existingOutageArchive, outages, new Date(timestamp));
+        archives.outageArchive = archive;
+        console.log(`Outage archive: ${archive.entries.length} entries (${added} new, ${resolved} resolved, ${pruned} pruned)`);
+    } else if (existingOutageArchive) {
+        archives.outageArchive = existingOutageArchive;
+    }
+
+    // Archive analysis reports by date; failed endpoints leave their reports untouched
+    const quality = QualityArchive.updateQualityArchive(existingQualityArchive, {
+        weekly: data.endpoints.haftaliksuanalizleri,
+        district: data.endpoints.cevreilcesuanalizleri,
+        dam: data.endpoints.barajsukaliteraporlari
+    }, new Date(timestamp));
+    archives.qualityArchive = quality.archive;
+    console.log(`Quality archive: ${quality.archive.entries.length} reports (${quality.added} new, ${quality.pruned} pruned)`);
+
+    // Geocode sampling points; known points are kept (and re-resolved) when the district endpoint failed
+    const points = SamplingPoints.updateSamplingPoints(existingSamplingPoints, data.endpoints.cevreilcesuanalizleri, geocoding, new Date(timestamp));
+    archives.samplingPoints = points.registry;
+    console.log(`Sampling points: ${points.registry.entries.length} points (${points.added} new, ${points.unresolved} unresolved, ${points.pruned} pruned)`);
+
+    const mergedProduction = mergeProduction(productionData, aggregatedDistribution);
+    data.endpoints.suuretiminindagilimi = mergedProduction;
+    if (mergedProduction.length > 0) {
+        successCount++;
+        console.log(`suuretiminindagilimi: ${mergedProduction.length} records (${productionData.length} official + ${mergedProduction.length - productionData.length} aggregated)`);
+    }
+
+    // Tell the UI where each archive is published
+    Object.keys(archives).forEach(name => {
+        data.archives[name] = ARCHIVE_FILES[name];
+    });
+
+    return { data, archives, successCount, errorCount };
+}
+
+/**
+ * Build the files published next to the snapshot
+ * The outage calendar is skipped when the outage endpoint failed so the last feed stays in place
+ * @param {Object} data - Snapshot data
+ * @param {Date} now - Build time
+ * @returns {Object<string, string>} File name to content
+ */
+function buildExtraFiles(data, now) {
+    const outages = data.endpoints.arizakaynaklisukesintileri;
+    if (!Array.isArray(outages)) return {};
+
+    return {
+        [OUTAGE_CALENDAR_FILENAME]: ICal.buildOutageCalendar(outages, {
+            now,
+            parseDuration: OutageStats.parseDurationText,
+            parseClockRange: OutageStats.parseClockRange
+        })
+    };
+}
+
+/**
+ * Serialize the archives to their files
+ * @param {Object} archives - Archive name to archive
+ * @returns {Object<string, string>} File name to content
+ */
+function buildArchiveFiles(archives) {
+    const files = {};
+    Object.entries(archives).forEach(([name, archive]) => {
+        files[ARCHIVE_FILES[name]] = JSON.stringify(archive);
+    });
+    return files;
+}
+
+/**
+ * Read an archive from its file
+ * Snapshots written before the archives had files of their own still embed them
+ * @param {Object} storage - Snapshot storage
+ * @param {Object|null} existing - Existing snapshot
+ * @param {string} name - Archive name
+ * @returns {Promise<Object|null>} Archive or null
+ */
+async function readArchive(storage, existing, name) {
+    return (await storage.read(ARCHIVE_FILES[name])) || existing?.[name] || null;
+}
+
+/**
+ * Run a full fetch and publish cycle
+ * @param {Object} deps - { izsu, ckan, storage, wait, now, currentYear, geocoding }
+ * @returns {Promise<{data: Object, successCount: number, errorCount: number}>} Result
+ */
+async function run({ izsu, ckan, storage, wait = sleep, now = () => new Date(), currentYear = now().getFullYear(), geocoding = SamplingPoints.loadGeocodingData() }) {
+    const fetchOptions = { wait };
+
+    console.log('Fetching existing snapshot...');
+    const existing = await storage.read();
+    const existingAggregated = existing?.aggregatedMonthly || {};
+    console.log(`Existing aggregated months: ${Object.keys(existingAggregated).length}`);
+    const existingOutageArchive = await readArchive(storage, existing, 'outageArchive');
+    const existingQualityArchive = await readArchive(storage, existing, 'qualityArchive');
+    const existingSamplingPoints = await readArchive(storage, existing, 'samplingPoints');
+
+    // Fetch IZSU OpenAPI endpoints sequentially
+    const results = [];
+    for (const [name, path] of Object.entries(ENDPOINTS)) {
+        results.push(await fetchEndpoint(izsu, name, path, fetchOptions));
+        await wait(ENDPOINT_DELAY_MS);
+    }
+
+    // Fetch production distribution for all years (2009-current)
+    console.log('\nFetching production distribution by year...');
+    const productionData = [];
+    for (let year = PRODUCTION_START_YEAR; year <= currentYear; year++) {
+        const result = await fetchEndpoint(izsu, `production_${year}`, `/api/izsu/suuretiminindagilimi/${year}`, fetchOptions);
+        if (!result.error && Array.isArray(result.data)) {
+            productionData.push(...result.data);
+        }
+        await wait(YEAR_DELAY_MS);
+    }
+
+    console.log('\nFetching CKAN data...');
+    const ckanResults = [];
+    for (const [name, url] of Object.entries(CKAN_ENDPOINTS)) {
+        ckanResults.push(await fetchCkanEndpoint(ckan, name, url, fetchOptions));
+    }
+
+    console.log('\nAggregating daily production...');
+    const snapshot = buildSnapshot({
+        results,
+        ckanResults,
+        productionData,
+        existingAggregated,
+        existingOutageArchive,
+        existingQualityArchive,
+        existingSamplingPoints,
+        geocoding,
+        timestamp: now().toISOString()
+    });
+
+    console.log(`\nResults: ${snapshot.successCount} success, ${snapshot.errorCount} errors`);
+
+    // Field renames on the IZSU side show up here before they reach the front end
+    for (const [name, result] of Object.entries(Schema.validateSnapshot(snapshot.data))) {
+        if (!result.valid) {
+            console.log(`⚠ Schema mismatch in ${name}: ${result.errors.join('; ')}`);
+        }
+    }
+    for (const [name, archive] of Object.entries(snapshot.archives)) {
+        const result = Schema.validateEndpoint(name, archive);
+        if (!result.valid) {
+            console.log(`⚠ Schema mismatch in ${name}: ${result.errors.join('; ')}`);
+        }
+    }
+
+    await storage.write(snapshot.data, {
+        ...buildExtraFiles(snapshot.data, now()),
+        ...buildArchiveFiles(snapshot.archives)
+    });
+    return snapshot;
+}
+
+async function main() {
+    const totalStart = Date.now();
+    console.log('Starting IZSU data fetch...\n');
+
+    const izsu = createHttp2Transport(IZSU_HOST);
+    const ckan = createHttpsTransport();
+    const storage = createStorageFromSpec(process.env.SNAPSHOT_STORAGE || 'gist');
+    console.log(`Snapshot storage: ${storage.name}`);
+
+    try {
+        const { successCount, errorCount } = await run({ izsu, ckan, storage });
+
+        const totalElapsed = Date.now() - totalStart;
+        console.log(`\nTotal time: ${totalElapsed}ms (${(totalElapsed / 1000).toFixed(1)}s)`);
+
+        // Exit with error if too many failures
+        if (errorCount > successCount) {
+            console.log('\nToo many errors, exiting with failure');
+            process.exitCode = 1;
+        }
+    } finally {
+        izsu.close();
+        ckan.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    OUTAGE_CALENDAR_FILENAME,
+    ARCHIVE_FILES,
+    ENDPOINTS,
+    CKAN_ENDPOINTS,
+    PRODUCTION_START_YEAR,
+    fetchEndpoint,
+    fetchCkanEndpoint,
+    aggregateDailyToMonthly,
+    convertAggregatedToDistribution,
+    mergeProduction,
+    buildSnapshot,
+    buildExtraFiles,
+    buildArchiveFiles,
+    run
+};
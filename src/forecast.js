@@ -0,0 +1,302 @@
+/**
+ * IZSU Forecast Module
+ * Estimates dam depletion from production, observed inflow and seasonality
+ * Cem Baspinar - MIT License
+ */
+
+const Forecast = (function() {
+    'use strict';
+
+    // Fallback daily consumption in liters (4.5M people x 215 L)
+    const DEFAULT_DAILY_CONSUMPTION = 967500000;
+
+    // Simulation horizon; sources that outlast it are reported as null
+    const HORIZON_DAYS = 3650;
+
+    const MS_PER_DAY = 86400000;
+
+    /**
+     * Check whether a production source draws from dam storage
+     * @param {string} name - Source name
+     * @returns {boolean} True for dams
+     */
+    function isDamSource(name) {
+        return (name || '').toLowerCase().includes('baraj');
+    }
+
+    /**
+     * Sum dam production of a daily production payload
+     * @param {Object} dailyProduction - gunluksuuretimi payload
+     * @returns {number|null} Dam production in m3/day or null
+     */
+    function getDamProduction(dailyProduction) {
+        const items = dailyProduction?.BarajKuyuUretimleri;
+        if (!items || !items.length) return null;
+
+        return items
+            .filter(p => isDamSource(p.BarajKuyuAdi))
+            .reduce((sum, p) => sum + (p.UretimMiktari || 0), 0);
+    }
+
+    /**
+     * Sum dam production of a history entry
+     * @param {Object} entry - History entry
+     * @returns {number|null} Dam production in m3/day or null
+     */
+    function getEntryDamProduction(entry) {
+        const sources = entry?.production?.sources;
+        if (!sources || !sources.length) return null;
+
+        return sources
+            .filter(s => isDamSource(s.name))
+            .reduce((sum, s) => sum + (s.amount || 0), 0);
+    }
+
+    /**
+     * Calculate per-month dam production factors relative to the yearly mean
+     * @param {Array} distribution - suuretiminindagilimi rows
+     * @returns {Array<number>} 12 factors, index 0 = January
+     */
+    function getSeasonalFactors(distribution) {
+        const factors = new Array(12).fill(1);
+        if (!distribution || !distribution.length) return factors;
+
+        // Sum dam production per year/month, skipping partially aggregated months
+        const monthTotals = {};
+        distribution.forEach(d => {
+            if (!isDamSource(d.UretimKaynagi)) return;
+            if (d._days && d._daysInMonth && d._days < d._daysInMonth) return;
+
+            const key = `${d.Yil}-${d.Ay}`;
+            monthTotals[key] = (monthTotals[key] || 0) + (parseInt(d.UretimMiktari) || 0);
+        });
+
+        const sums = new Array(12).fill(0);
+        const counts = new Array(12).fill(0);
+        Object.entries(monthTotals).forEach(([key, total]) => {
+            const [year, month] = key.split('-').map(Number);
+            if (month < 1 || month > 12 || !total) return;
+            sums[month - 1] += total / new Date(year, month, 0).getDate();
+            counts[month - 1]++;
+        });
+
+        const averages = sums.map((sum, i) => counts[i] ? sum / counts[i] : null);
+        const known = averages.filter(a => a !== null);
+        if (!known.length) return factors;
+
+        const mean = known.reduce((a, b) => a + b, 0) / known.length;
+        return averages.map(a => (a !== null && mean) ? a / mean : 1);
+    }
+
+    /**
+     * Derive inflow samples from consecutive history entries
+     * Inflow = dam production - observed storage draw over the interval
+     * @param {Array} entries - History entries
+     * @returns {Array<{month: number, inflow: number}>} Inflow samples in m3/day
+     */
+    function getInflowSamples(entries) {
+        if (!entries || entries.length < 2) return [];
+
+        const sorted = entries
+            .filter(e => e.date && e.summary && e.summary.totalCurrentVolume !== undefined)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        const samples = [];
+        for (let i = 1; i < sorted.length; i++) {
+            const prev = sorted[i - 1];
+            const cur = sorted[i];
+            const days = (new Date(cur.date) - new Date(prev.date)) / MS_PER_DAY;
+            if (days <= 0) continue;
+
+            const productions = [getEntryDamProduction(prev), getEntryDamProduction(cur)]
+                .filter(p => p !== null);
+            if (!productions.length) continue;
+
+            const production = productions.reduce((a, b) => a + b, 0) / productions.length;
+            const observedDraw = (prev.summary.totalCurrentVolume - cur.summary.totalCurrentVolume) / days;
+            const midpoint = new Date((new Date(prev.date).getTime() + new Date(cur.date).getTime()) / 2);
+
+            samples.push({
+                month: midpoint.getMonth(),
+                inflow: Math.max(0, production - observedDraw)
+            });
+        }
+
+        return samples;
+    }
+
+    /**
+     * Calculate mean and standard deviation
+     * @param {Array<number>} values - Values
+     * @returns {{mean: number, std: number}} Statistics
+     */
+    function getStats(values) {
+        if (!values.length) return { mean: 0, std: 0 };
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+        return { mean, std: Math.sqrt(variance) };
+    }
+
+    /**
+     * Build per-month inflow statistics, falling back to the overall mean
+     * @param {Array} samples - Inflow samples
+     * @returns {Array<{mean: number, std: number}>} 12 entries
+     */
+    function getMonthlyInflow(samples) {
+        const overall = getStats(samples.map(s => s.inflow));
+
+        return Array.from({ length: 12 }, (_, month) => {
+            const values = samples.filter(s => s.month === month).map(s => s.inflow);
+            if (!values.length) return overall;
+
+            const stats = getStats(values);
+            return { mean: stats.mean, std: values.length > 1 ? stats.std : overall.std };
+        });
+    }
+
+    /**
+     * Simulate storage day by day until it reaches dead storage
+     * @param {number} startWater - Usable water in m3
+     * @param {number} capacity - Usable capacity in m3 (storage cannot exceed it)
+     * @param {Function} drawForMonth - Returns net draw (m3/day) for a month index
+     * @returns {number|null} Days until empty, null if beyond horizon
+     */
+    function simulate(startWater, capacity, drawForMonth) {
+        if (startWater <= 0) return 0;
+
+        const start = new Date();
+        let water = startWater;
+
+        for (let day = 0; day < HORIZON_DAYS; day++) {
+            const month = new Date(start.getTime() + day * MS_PER_DAY).getMonth();
+            const draw = drawForMonth(month);
+
+            if (draw > 0 && water <= draw) {
+                return day + water / draw;
+            }
+            water = Math.min(capacity, water - draw);
+        }
+
+        return null;
+    }
+
+    /**
+     * Estimate depletion of usable dam storage
+     * @param {Object} params - Inputs
+     * @param {Array} params.damStatus - barajdurum rows
+     * @param {Object} params.dailyProduction - gunluksuuretimi payload
+     * @param {Array} params.distribution - suuretiminindagilimi rows
+     * @param {Object} params.history - history.json contents
+     * @param {Object} params.consumptionData - Consumption data (liters/day fallback)
+     * @returns {Object} Forecast result
+     */
+    function estimate({ damStatus, dailyProduction, distribution, history, consumptionData }) {
+        const dams = damStatus || [];
+        const totalCurrent = dams.reduce((sum, d) => sum + (d.SuDurumu || 0), 0);
+        const totalMin = dams.reduce((sum, d) => sum + (d.MinimumSuKapasitesi || 0), 0);
+        const totalMax = dams.reduce((sum, d) => sum + (d.MaksimumSuKapasitesi || 0), 0);
+
+        const usableWater = Math.max(0, totalCurrent - totalMin);
+        const usableCapacity = totalMax - totalMin;
+
+        // Base production: today's dam production, or the constant consumption fallback when there is none
+        // Zero production is real data (the dams are no longer drawn from), not missing data
+        let baseProduction = getDamProduction(dailyProduction);
+        let basis = 'production';
+        if (baseProduction == null) {
+            baseProduction = (consumptionData?.dailyConsumption || DEFAULT_DAILY_CONSUMPTION) / 1000;
+            basis = 'consumption';
+        }
+
+        const factors = getSeasonalFactors(distribution);
+        const baseMonth = dailyProduction?.UretimTarihi
+            ? new Date(dailyProduction.UretimTarihi).getMonth()
+            : new Date().getMonth();
+        const productionForMonth = month => baseProduction * factors[month] / (factors[baseMonth] || 1);
+
+        const samples = getInflowSamples(history?.entries);
+        const inflow = getMonthlyInflow(samples);
+
+        const scenario = k => month => productionForMonth(month) - Math.max(0, inflow[month].mean + k * inflow[month].std);
+
+        const currentMonth = new Date().getMonth();
+        const production = productionForMonth(currentMonth);
+        const currentInflow = inflow[currentMonth].mean;
+
+        return {
+            usableWater,
+            usableCapacity,
+            fillPercentage: usableCapacity > 0 ? (usableWater / usableCapacity) * 100 : 0,
+            production,
+            inflow: currentInflow,
+            netDraw: production - currentInflow,
+            days: simulate(usableWater, usableCapacity, scenario(0)),
+            optimisticDays: simulate(usableWater, usableCapacity, scenario(1)),
+            pessimisticDays: simulate(usableWater, usableCapacity, scenario(-1)),
+            sampleCount: samples.length,
+            horizonDays: HORIZON_DAYS,
+            basis
+        };
+    }
+
+    /**
+     * Find a dam's entry in the daily production list by name
+     * @param {string} damName - BarajKuyuAdi from barajdurum
+     * @param {Array} items - BarajKuyuUretimleri rows
+     * @returns {Object|null} Production row or null
+     */
+    function findProduction(damName, items) {
+        const normalizedDam = Utils.normalizeTurkish(damName || '').toLowerCase();
+        if (!normalizedDam) return null;
+
+        return items.find(p => {
+            const normalizedProd = Utils.normalizeTurkish(p.BarajKuyuAdi || '').toLowerCase();
+            return normalizedProd && (normalizedProd.includes(normalizedDam) || normalizedDam.includes(normalizedProd));
+        }) || null;
+    }
+
+    /**
+     * Estimate days until each dam reaches dead storage (MinimumSuKapasitesi)
+     * using that dam's own share of today's production
+     * @param {Array} damStatus - barajdurum rows
+     * @param {Object} dailyProduction - gunluksuuretimi payload
+     * @returns {Array<Object>} Dams sorted by days remaining, undrawn dams last
+     */
+    function estimatePerDam(damStatus, dailyProduction) {
+        const items = dailyProduction?.BarajKuyuUretimleri || [];
+        const totalProduction = items.reduce((sum, p) => sum + (p.UretimMiktari || 0), 0);
+
+        return (damStatus || []).map(dam => {
+            const usableWater = Math.max(0, (dam.SuDurumu || 0) - (dam.MinimumSuKapasitesi || 0));
+            const productionRow = findProduction(dam.BarajKuyuAdi, items);
+            const dailyDraw = productionRow ? (productionRow.UretimMiktari || 0) : 0;
+            const days = dailyDraw > 0 ? usableWater / dailyDraw : null;
+
+            return {
+                name: dam.BarajKuyuAdi,
+                usableWater,
+                dailyDraw,
+                share: totalProduction ? (dailyDraw / totalProduction) * 100 : 0,
+                days,
+                date: days !== null ? new Date(Date.now() + days * MS_PER_DAY) : null
+            };
+        }).sort((a, b) => {
+            if (a.days === null && b.days === null) return (a.name || '').localeCompare(b.name || '', 'tr');
+            if (a.days === null) return 1;
+            if (b.days === null) return -1;
+            return a.days - b.days;
+        });
+    }
+
+    return {
+        estimate,
+        estimatePerDam,
+        getSeasonalFactors,
+        getInflowSamples
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Forecast;
+}
@@ -0,0 +1,138 @@
+/**
+ * IZSU History Module
+ * Loads monthly history.json and lazy-loads daily per-year partitions
+ * Cem Baspinar - MIT License
+ */
+
+const WaterHistory = (function() {
+    'use strict';
+
+    const MONTHLY_FILE = 'data/history.json';
+    const DAILY_DIR = 'data/history';
+    const MS_PER_DAY = 86400000;
+
+    let monthlyEntries = [];
+    let manifest = null;
+    const loadedYears = {};
+
+    /**
+     * Fetch a JSON file, returning null on failure
+     * @param {string} url - File URL
+     * @returns {Promise<Object|null>} Parsed JSON or null
+     */
+    async function fetchJson(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn('Could not load history file:', url, error);
+            return null;
+        }
+    }
+
+    /**
+     * Load monthly history and the daily manifest
+     * @returns {Promise<void>}
+     */
+    async function init() {
+        const [monthly, dailyManifest] = await Promise.all([
+            fetchJson(MONTHLY_FILE),
+            fetchJson(`${DAILY_DIR}/manifest.json`)
+        ]);
+
+        monthlyEntries = monthly?.entries || [];
+        manifest = dailyManifest;
+    }
+
+    /**
+     * Get years from the manifest needed to cover a range
+     * @param {number} rangeDays - Range in days, 0 for all
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array<Object>} Manifest year entries
+     */
+    function getYearsForRange(rangeDays, now = Date.now()) {
+        const years = manifest?.years || [];
+        if (!rangeDays) return years;
+
+        const startYear = new Date(now - rangeDays * MS_PER_DAY).getFullYear();
+        return years.filter(y => y.year >= startYear);
+    }
+
+    /**
+     * Load a year partition once
+     * @param {Object} yearInfo - Manifest year entry
+     * @returns {Promise<Array>} Entries of the year
+     */
+    async function loadYear(yearInfo) {
+        if (!loadedYears[yearInfo.year]) {
+            loadedYears[yearInfo.year] = fetchJson(`${DAILY_DIR}/${yearInfo.file}`)
+                .then(partition => partition?.entries || []);
+        }
+        return loadedYears[yearInfo.year];
+    }
+
+    /**
+     * Get the monthly history, newest first
+     * Loaded by init, so it needs no daily partition (used by the forecast and the record badges)
+     * @returns {{entries: Array}} History data
+     */
+    function getMonthly() {
+        const entries = [...monthlyEntries].sort((a, b) => new Date(b.date) - new Date(a.date));
+        return { entries };
+    }
+
+    /**
+     * Get history entries covering a range, newest first
+     * Only the year partitions the range needs are fetched; daily entries win over monthly snapshots on the same date
+     * @param {number} rangeDays - Range in days, 0 for all
+     * @param {number} now - Current time in milliseconds
+     * @returns {Promise<{entries: Array}>} History data
+     */
+    async function load(rangeDays = 0, now = Date.now()) {
+        const partitions = await Promise.all(getYearsForRange(rangeDays, now).map(loadYear));
+
+        const byDate = {};
+        monthlyEntries.forEach(e => { byDate[e.date] = e; });
+        partitions.flat().forEach(e => { byDate[e.date] = e; });
+
+        const entries = Object.values(byDate).sort((a, b) => new Date(b.date) - new Date(a.date));
+        return filterRange({ entries }, rangeDays, now);
+    }
+
+    /**
+     * Keep the entries of the last rangeDays days
+     * @param {{entries: Array}} history - History data
+     * @param {number} rangeDays - Range in days, 0 for all
+     * @param {number} now - Current time in milliseconds
+     * @returns {{entries: Array}} History data within the range
+     */
+    function filterRange(history, rangeDays, now = Date.now()) {
+        const entries = history?.entries || [];
+        if (!rangeDays) return { entries };
+
+        const cutoff = now - rangeDays * MS_PER_DAY;
+        return { entries: entries.filter(e => new Date(e.date).getTime() >= cutoff) };
+    }
+
+    /**
+     * Check whether daily partitions are available
+     * @returns {boolean} True if the manifest lists at least one year
+     */
+    function hasDaily() {
+        return !!(manifest && manifest.years && manifest.years.length);
+    }
+
+    return {
+        init,
+        getMonthly,
+        getYearsForRange,
+        load,
+        hasDaily
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaterHistory;
+}
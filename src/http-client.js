@@ -0,0 +1,200 @@
+/**
+ * Shared HTTP Layer
+ * Transports, retry and JSON parsing used by the fetcher and the collector
+ * Cem Baspinar - MIT License
+ */
+
+const http2 = require('http2');
+const https = require('https');
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_BACKOFF_MS = 1000;
+
+// Browser-like headers (IZSU rejects some default clients)
+const BROWSER_HEADERS = {
+    'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'accept-language': 'tr,en-US;q=0.9,en;q=0.8',
+    'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36'
+};
+
+/**
+ * Create an HTTP/2 transport bound to one host (some IZSU endpoints require HTTP/2)
+ * @param {string} host - Origin, e.g. https://openapi.izmir.bel.tr
+ * @param {Object} options - { rejectUnauthorized, headers }
+ * @returns {{get: Function, close: Function}} Transport
+ */
+function createHttp2Transport(host, { rejectUnauthorized = false, headers = BROWSER_HEADERS } = {}) {
+    let client = null;
+
+    function getClient() {
+        if (!client || client.destroyed) {
+            client = http2.connect(host, { rejectUnauthorized });
+            client.on('error', (err) => console.log('H2 client error:', err.message));
+        }
+        return client;
+    }
+
+    function get(path, timeoutMs = DEFAULT_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let totalSize = 0;
+
+            const req = getClient().request({
+                ':path': path,
+                ...headers
+            });
+
+            const timeout = setTimeout(() => {
+                req.close();
+                reject(new Error('Request timeout'));
+            }, timeoutMs);
+
+            req.on('data', chunk => {
+                chunks.push(chunk);
+                totalSize += chunk.length;
+            });
+
+            req.on('end', () => {
+                clearTimeout(timeout);
+                resolve(Buffer.concat(chunks, totalSize).toString('utf8'));
+            });
+
+            req.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
+
+            req.end();
+        });
+    }
+
+    function close() {
+        if (client) {
+            client.close();
+            client = null;
+        }
+    }
+
+    return { get, close };
+}
+
+/**
+ * Create an HTTPS/1.1 transport for absolute URLs
+ * @param {Object} options - { rejectUnauthorized, headers }
+ * @returns {{get: Function, close: Function}} Transport
+ */
+function createHttpsTransport({ rejectUnauthorized = true, headers = BROWSER_HEADERS } = {}) {
+    const agent = new https.Agent({ rejectUnauthorized });
+
+    function get(url, timeoutMs = DEFAULT_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let totalSize = 0;
+
+            const req = https.get(url, { agent, headers }, (res) => {
+                res.on('data', chunk => {
+                    chunks.push(chunk);
+                    totalSize += chunk.length;
+                });
+                res.on('end', () => {
+                    resolve(Buffer.concat(chunks, totalSize).toString('utf8'));
+                });
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+            req.setTimeout(timeoutMs, () => {
+                req.destroy();
+                reject(new Error('Request timeout'));
+            });
+        });
+    }
+
+    function close() {
+        agent.destroy();
+    }
+
+    return { get, close };
+}
+
+/**
+ * Parse a raw response body as JSON, rejecting empty bodies and IZSU error payloads
+ * @param {string} rawData - Response body
+ * @returns {*} Parsed JSON
+ */
+function parseJson(rawData) {
+    if (!rawData || rawData.trim() === '') {
+        throw new Error('Empty response');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(rawData);
+    } catch (parseErr) {
+        // Log first 200 chars for debugging
+        console.log(`  Parse error preview: ${rawData.substring(0, 200)}`);
+        throw new Error(`JSON parse error: ${parseErr.message}`);
+    }
+
+    if (parsed && parsed.message === 'An unexpected error occurred') {
+        throw new Error('API returned error message');
+    }
+
+    return parsed;
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Fetch and parse JSON with retries and linear backoff
+ * @param {Object} transport - Transport with get(target, timeoutMs)
+ * @param {string} target - Path or URL understood by the transport
+ * @param {Object} options - { name, retries, timeoutMs, backoffMs, validate, wait }
+ * @returns {Promise<{data: *, bytes: number, elapsed: number}>} Parsed response
+ */
+async function fetchJsonWithRetry(transport, target, options = {}) {
+    const {
+        name = target,
+        retries = DEFAULT_RETRIES,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        backoffMs = DEFAULT_BACKOFF_MS,
+        validate = null,
+        wait = sleep
+    } = options;
+
+    const startTime = Date.now();
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            const rawData = await transport.get(target, timeoutMs);
+            const data = parseJson(rawData);
+
+            if (validate) {
+                validate(data);
+            }
+
+            return { data, bytes: rawData.length, elapsed: Date.now() - startTime };
+        } catch (error) {
+            const elapsed = Date.now() - startTime;
+            console.log(`✗ ${name} attempt ${attempt}/${retries}: ${error.message} (${elapsed}ms)`);
+
+            if (attempt < retries) {
+                await wait(backoffMs * attempt);
+            }
+        }
+    }
+
+    throw new Error(`Failed after ${retries} attempts`);
+}
+
+module.exports = {
+    BROWSER_HEADERS,
+    createHttp2Transport,
+    createHttpsTransport,
+    parseJson,
+    fetchJsonWithRetry,
+    sleep
+};
@@ -21,6 +21,8 @@ const I18n = (function() {
      * @returns {Promise<boolean>} Success status
      */
     async function loadLanguage(lang) {
+        if (translations[lang]) return true;
+
         if (!availableLanguages.includes(lang)) {
             console.warn(`Language '${lang}' not available`);
             return false;
@@ -81,6 +83,16 @@ const I18n = (function() {
         return interpolate(value, params);
     }
 
+    /**
+     * Get a translation in a specific language without fallback
+     * @param {string} lang - Language code (must be loaded with loadLanguage)
+     * @param {string} key - Translation key (dot notation supported)
+     * @returns {*} Value or undefined
+     */
+    function translateIn(lang, key) {
+        return getNestedValue(translations[lang] || {}, key);
+    }
+
     /**
      * Get nested value from object using dot notation
      * @param {Object} obj - Object to search
@@ -100,6 +112,8 @@ const I18n = (function() {
      * @returns {string} Interpolated string
      */
     function interpolate(str, params) {
+        // Arrays (e.g. time.months) are returned as-is
+        if (typeof str !== 'string') return str;
         return str.replace(/\{(\w+)\}/g, (match, key) => {
             return params[key] !== undefined ? params[key] : match;
         });
@@ -178,6 +192,8 @@ const I18n = (function() {
     return {
         init,
         t,
+        translateIn,
+        loadLanguage,
         setLanguage,
         getCurrentLanguage,
         getAvailableLanguages,
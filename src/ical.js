@@ -0,0 +1,230 @@
+/**
+ * IZSU iCalendar Module
+ * Builds an iCalendar (RFC 5545) feed of outages
+ * Shared by the front end (export button) and the fetcher (src/fetch-data.js)
+ * Cem Baspinar - MIT License
+ */
+
+const ICal = (function() {
+    'use strict';
+
+    // IZSU times are local Izmir time; Turkey has stayed on UTC+3 since 2016
+    const TIMEZONE = 'Europe/Istanbul';
+
+    // Used as the event length when neither a resolution time nor a parsable KesintiSuresi is known
+    const DEFAULT_DURATION_MINUTES = 120;
+
+    // Content lines are folded at 75 octets
+    const MAX_LINE_OCTETS = 75;
+
+    // The fetcher requires this module; the page loads src/dates.js before it
+    const { parseLocalParts } = typeof module !== 'undefined' && module.exports ? require('./dates') : Dates;
+
+    // Description labels; the front end passes translated ones
+    const DEFAULT_LABELS = {
+        neighborhoods: 'Mahalleler',
+        type: 'Tip',
+        duration: 'Süre',
+        resolved: 'Arıza giderildi.',
+        estimatedEnd: 'Bitiş zamanı tahminidir.'
+    };
+
+    /**
+     * Escape a TEXT value
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    function escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting UTF-8 characters
+     * @param {string} line - Content line
+     * @returns {string} Folded line (CRLF + space continuation)
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Parse an IZSU local date time such as "2024-01-15T09:30:00"
+     * @param {string} value - Date time string (see Dates.parseLocalParts)
+     * @returns {Date|null} Date whose UTC fields hold the local time, or null
+     */
+    function parseLocal(value) {
+        const parts = parseLocalParts(value);
+        if (!parts) return null;
+
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+
+    /**
+     * Format a local date time (UTC fields) as an iCalendar DATE-TIME without zone
+     * @param {Date} date - Date from parseLocal
+     * @returns {string} YYYYMMDDTHHMMSS
+     */
+    function formatLocal(date) {
+        return date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    /**
+     * Format an instant as a UTC iCalendar DATE-TIME
+     * @param {Date} date - Date
+     * @returns {string} YYYYMMDDTHHMMSSZ
+     */
+    function formatUtc(date) {
+        return formatLocal(date) + 'Z';
+    }
+
+    /**
+     * Short stable hash used for event UIDs
+     * @param {string} value - Value to hash
+     * @returns {string} Hex hash
+     */
+    function hash(value) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            h ^= value.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Convert an outage to an event
+     * The end is the reported resolution time; else a KesintiSuresi clock range gives the start
+     * and end on the outage day; else the end is start plus the parsed KesintiSuresi,
+     * or start plus DEFAULT_DURATION_MINUTES
+     * @param {Object} outage - Outage record from IZSU
+     * @param {Object} options - { parseDuration(text) -> minutes|null,
+     *   parseClockRange(text) -> {startMinutes, endMinutes}|null, summary(outage) -> string, labels }
+     * @returns {Object|null} Event or null if the start time is unknown
+     */
+    function outageToEvent(outage, { parseDuration = () => null, parseClockRange = () => null, summary, labels = DEFAULT_LABELS } = {}) {
+        const reportedStart = parseLocal(outage.KesintiTarihi);
+        if (!reportedStart) return null;
+
+        const resolved = outage.Ongoru === '2' && !!outage.ArizaGiderilmeTarihi;
+        let start = reportedStart;
+        let end = resolved ? parseLocal(outage.ArizaGiderilmeTarihi) : null;
+        let estimated = false;
+
+        if (!end || end <= start) {
+            const range = parseClockRange(outage.KesintiSuresi);
+            if (range) {
+                const day = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+                start = new Date(day + range.startMinutes * 60000);
+                end = new Date(day + range.endMinutes * 60000);
+            } else {
+                const minutes = parseDuration(outage.KesintiSuresi);
+                end = new Date(start.getTime() + (minutes || DEFAULT_DURATION_MINUTES) * 60000);
+            }
+            estimated = true;
+        }
+
+        const neighborhoods = (outage.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m);
+        const description = [
+            neighborhoods.length ? `${labels.neighborhoods}: ${neighborhoods.join(', ')}` : '',
+            outage.Tip ? `${labels.type}: ${outage.Tip}` : '',
+            outage.KesintiSuresi ? `${labels.duration}: ${outage.KesintiSuresi}` : '',
+            outage.Aciklama || '',
+            resolved ? labels.resolved : '',
+            estimated ? labels.estimatedEnd : ''
+        ].filter(line => line).join('\n');
+
+        const key = [outage.IlceAdi, outage.Mahalleler, outage.KesintiTarihi, outage.Tip].map(v => v || '').join('|');
+
+        return {
+            uid: `${hash(key)}-${formatLocal(reportedStart)}@izsu`,
+            start,
+            end,
+            summary: summary ? summary(outage) : `Su kesintisi - ${outage.IlceAdi || 'İzmir'}`,
+            location: [neighborhoods.join(', '), outage.IlceAdi, 'İzmir'].filter(v => v).join(', '),
+            description
+        };
+    }
+
+    /**
+     * Build an iCalendar feed from outages
+     * @param {Array} outages - Outage list
+     * @param {Object} options - { name, now, parseDuration, parseClockRange, summary, labels }
+     * @returns {string} iCalendar text (CRLF line endings)
+     */
+    function buildOutageCalendar(outages, { name = 'İZSU Su Kesintileri', now = new Date(), parseDuration, parseClockRange, summary, labels } = {}) {
+        const stamp = formatUtc(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//aft.github.io/izmirsu//Outages//TR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`,
+            `X-WR-TIMEZONE:${TIMEZONE}`,
+            'BEGIN:VTIMEZONE',
+            `TZID:${TIMEZONE}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0300',
+            'TZOFFSETTO:+0300',
+            'TZNAME:+03',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        (outages || []).forEach(outage => {
+            const event = outageToEvent(outage, { parseDuration, parseClockRange, summary, labels });
+            if (!event) return;
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${TIMEZONE}:${formatLocal(event.start)}`,
+                `DTEND;TZID=${TIMEZONE}:${formatLocal(event.end)}`,
+                `SUMMARY:${escapeText(event.summary)}`,
+                `LOCATION:${escapeText(event.location)}`,
+                `DESCRIPTION:${escapeText(event.description)}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    return {
+        DEFAULT_DURATION_MINUTES,
+        escapeText,
+        foldLine,
+        outageToEvent,
+        buildOutageCalendar
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICal;
+}
@@ -16,6 +16,42 @@ const MapView = (function() {
     let sourceToggleState = {};
     let mapControlsInitialized = false;
     let locationsData = null;
+    let neighborhoodsData = null;
+    let districtsData = null;
+    let choroplethMetric = localStorage.getItem('izsu_choroplethMetric') || 'outages';
+
+    // Outage marker size: base radius plus a step per affected neighborhood
+    const OUTAGE_BASE_RADIUS = 6;
+    const OUTAGE_RADIUS_STEP = 1.5;
+    const OUTAGE_MAX_NEIGHBORHOODS = 10;
+
+    // Quality layer colors per CCME WQI category
+    const WQI_COLORS = {
+        excellent: '#22c55e',
+        good: '#84cc16',
+        fair: '#eab308',
+        marginal: '#f97316',
+        poor: '#ef4444'
+    };
+    const NO_INDEX_COLOR = '#6b7280';
+
+    // Radius of the district quality index shading when a district has no boundary (meters)
+    const DISTRICT_INDEX_RADIUS = 2500;
+
+    // District choropleth metrics (see getChoroplethData)
+    const CHOROPLETH_METRICS = ['outages', 'quality', 'consumption'];
+
+    // Active outage classes: lower bound and color
+    const OUTAGE_CLASSES = [
+        { min: 0, color: '#374151' },
+        { min: 1, color: '#fcd34d' },
+        { min: 3, color: '#f59e0b' },
+        { min: 6, color: '#ea580c' },
+        { min: 10, color: '#b91c1c' }
+    ];
+
+    // Per-capita consumption classes, lightest first (equal intervals between min and max)
+    const CONSUMPTION_COLORS = ['#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#1d4ed8'];
 
     // Izmir district center coordinates
     const DISTRICT_COORDS = {
@@ -69,6 +105,102 @@ const MapView = (function() {
         }
     }
 
+    /**
+     * Load neighborhood gazetteer from JSON file
+     * @returns {Promise<Object|null>} Gazetteer or null
+     */
+    async function loadNeighborhoodsData() {
+        if (neighborhoodsData) return neighborhoodsData;
+
+        try {
+            const response = await fetch('data/neighborhoods.json');
+            if (!response.ok) return null;
+            neighborhoodsData = await response.json();
+            return neighborhoodsData;
+        } catch (error) {
+            console.warn('Could not load neighborhoods data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load district boundaries from GeoJSON file
+     * @returns {Promise<Object|null>} FeatureCollection or null
+     */
+    async function loadDistrictsData() {
+        if (districtsData) return districtsData;
+
+        try {
+            const response = await fetch('data/izmir-districts.geojson');
+            if (!response.ok) return null;
+            districtsData = await response.json();
+            return districtsData;
+        } catch (error) {
+            console.warn('Could not load district boundaries:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Map attribution of the district boundaries (set when they were built from OpenStreetMap)
+     * @returns {string|null} Attribution HTML or null
+     */
+    function getDistrictsAttribution() {
+        return districtsData?.source === 'openstreetmap'
+            ? '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> (ODbL)'
+            : null;
+    }
+
+    /**
+     * Get a district boundary feature by name
+     * @param {string} districtName - District name
+     * @returns {Object|null} GeoJSON feature or null
+     */
+    function getDistrictFeature(districtName) {
+        if (!districtsData || !districtName) return null;
+
+        const key = Utils.normalizePlaceName(districtName);
+        return (districtsData.features || []).find(f => Utils.normalizePlaceName(f.properties?.name) === key) || null;
+    }
+
+    /**
+     * Index the fetcher's geocoded sampling points by district and address
+     * @param {Object|null} samplingPoints - Snapshot samplingPoints { entries }
+     * @returns {Object<string, {lat: number, lng: number}>} Coordinates by "district|address"
+     */
+    function indexSamplingPoints(samplingPoints) {
+        const index = {};
+        (samplingPoints?.entries || []).forEach(entry => {
+            if (typeof entry.lat !== 'number' || typeof entry.lng !== 'number') return;
+            index[`${Utils.normalizePlaceName(entry.district)}|${String(entry.address).trim()}`] = { lat: entry.lat, lng: entry.lng };
+        });
+        return index;
+    }
+
+    /**
+     * Get neighborhood centroid from the gazetteer
+     * @param {string} districtName - District name
+     * @param {string} neighborhoodName - Neighborhood name
+     * @returns {Object|null} Coordinates object or null
+     */
+    function getNeighborhoodCoords(districtName, neighborhoodName) {
+        if (!neighborhoodsData || !districtName || !neighborhoodName) return null;
+
+        const districtKey = Utils.normalizePlaceName(districtName);
+        const neighborhoodKey = Utils.normalizePlaceName(neighborhoodName);
+
+        for (const [district, neighborhoods] of Object.entries(neighborhoodsData.districts || {})) {
+            if (Utils.normalizePlaceName(district) !== districtKey) continue;
+
+            for (const [name, coords] of Object.entries(neighborhoods)) {
+                if (Utils.normalizePlaceName(name) === neighborhoodKey) {
+                    return coords;
+                }
+            }
+        }
+        return null;
+    }
+
     /**
      * Get district coordinates by name
      * @param {string} districtName - District name
@@ -130,11 +262,16 @@ const MapView = (function() {
                 setMapLayer(layer);
             });
         });
+
+        const metricSelect = document.getElementById('choroplethMetric');
+        if (metricSelect) {
+            metricSelect.addEventListener('change', (e) => setChoroplethMetric(e.target.value));
+        }
     }
 
     /**
      * Set active map layer
-     * @param {string} layer - Layer name: 'markers', 'quality', 'flow'
+     * @param {string} layer - Layer name: 'markers', 'quality', 'flow', 'outages', 'districts'
      */
     function setMapLayer(layer) {
         currentMapLayer = layer;
@@ -158,9 +295,14 @@ const MapView = (function() {
             sourceToggles.style.display = layer === 'markers' ? 'flex' : 'none';
         }
 
+        const metricControl = document.getElementById('choroplethMetricControl');
+        if (metricControl) {
+            metricControl.classList.toggle('hidden', layer !== 'districts');
+        }
+
         const legend = document.getElementById('mapLegend');
         if (legend) {
-            legend.style.display = (layer === 'quality' || layer === 'flow') ? 'block' : 'none';
+            legend.style.display = (layer === 'quality' || layer === 'flow' || layer === 'outages' || layer === 'districts') ? 'block' : 'none';
         }
 
         // Get data from App module
@@ -205,21 +347,20 @@ const MapView = (function() {
 
         if (currentMapLayer === 'quality') {
             content.innerHTML = `
-                <div class="legend-title">${I18n.t('map.quality')}</div>
+                <div class="legend-title">${I18n.t('map.quality')} (${I18n.t('qualityIndex.name')})</div>
                 <div class="legend-items">
+                    ${QualityIndex.CATEGORIES.map(category => `
+                        <div class="legend-item">
+                            <span class="legend-color" style="background: ${WQI_COLORS[category.id]};"></span>
+                            <span>${I18n.t(`qualityIndex.categories.${category.id}`)} (${category.min}+)</span>
+                        </div>
+                    `).join('')}
                     <div class="legend-item">
-                        <span class="legend-color" style="background: #22c55e;"></span>
-                        <span>${I18n.t('map.qualityGood')}</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color" style="background: #f59e0b;"></span>
-                        <span>${I18n.t('map.qualityWarning')}</span>
-                    </div>
-                    <div class="legend-item">
-                        <span class="legend-color" style="background: #ef4444;"></span>
-                        <span>${I18n.t('map.qualityCritical')}</span>
+                        <span class="legend-color" style="background: ${NO_INDEX_COLOR};"></span>
+                        <span>${I18n.t('qualityIndex.noScore')}</span>
                     </div>
                 </div>
+                <div class="legend-note">${I18n.t('map.qualityNote')}</div>
             `;
         } else if (currentMapLayer === 'flow') {
             content.innerHTML = `
@@ -240,6 +381,40 @@ const MapView = (function() {
                 </div>
                 <div class="legend-note">${I18n.t('map.flowNote')}</div>
             `;
+        } else if (currentMapLayer === 'districts') {
+            const metric = getActiveMetric();
+            const choropleth = getChoroplethData(metric, App.getData());
+            content.innerHTML = `
+                <div class="legend-title">${I18n.t(`map.metrics.${metric}`)}</div>
+                <div class="legend-items">
+                    ${choropleth.legend.map(item => `
+                        <div class="legend-item">
+                            <span class="legend-color" style="background: ${item.color};"></span>
+                            <span>${Utils.escapeHtml(item.label)}</span>
+                        </div>
+                    `).join('')}
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: ${NO_INDEX_COLOR};"></span>
+                        <span>${I18n.t('map.noData')}</span>
+                    </div>
+                </div>
+                <div class="legend-note">${I18n.t(getDistrictsAttribution() ? 'map.districtsSource' : 'map.districtsNote')}</div>
+            `;
+        } else if (currentMapLayer === 'outages') {
+            content.innerHTML = `
+                <div class="legend-title">${I18n.t('map.outages')}</div>
+                <div class="legend-items">
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: #f59e0b;"></span>
+                        <span>${I18n.t('outages.active')}</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-color" style="background: #22c55e;"></span>
+                        <span>${I18n.t('outages.resolved')}</span>
+                    </div>
+                </div>
+                <div class="legend-note">${I18n.t('map.outagesNote')}</div>
+            `;
         }
     }
 
@@ -292,6 +467,8 @@ const MapView = (function() {
 
         const markers = [];
         const bounds = [];
+        const reports = QualityArchive.extractDistrictReports(districts);
+        const geocoded = indexSamplingPoints(appData.samplingPoints);
 
         districts.forEach(district => {
             const coords = getDistrictCoords(district.IlceAdi);
@@ -299,22 +476,39 @@ const MapView = (function() {
 
             const points = district.Noktalar || [];
 
+            // District index shading under the sampling points
+            const districtIndex = QualityIndex.getLatest(reports, { kind: 'district', district: district.IlceAdi }, qualityLimits);
+            const districtColor = districtIndex ? WQI_COLORS[districtIndex.category] : NO_INDEX_COLOR;
+            const areaStyle = {
+                color: districtColor,
+                weight: 1,
+                opacity: 0.6,
+                fillColor: districtColor,
+                fillOpacity: 0.2
+            };
+            const feature = getDistrictFeature(district.IlceAdi);
+            const area = feature
+                ? L.geoJSON(feature, { style: areaStyle, attribution: getDistrictsAttribution() })
+                : L.circle([coords.lat, coords.lng], { radius: DISTRICT_INDEX_RADIUS, ...areaStyle });
+            area.bindPopup(`<div style="min-width: 180px;">
+                <strong>${Utils.escapeHtml(district.IlceAdi)}</strong><br>
+                ${renderIndexLine(districtIndex)}
+                <div style="margin-top: 4px; font-size: 11px; color: #a3a3a3;">${I18n.t('qualityIndex.points', { n: points.length })}</div>
+            </div>`);
+            markers.push(area);
+
             points.forEach((point, idx) => {
                 const analyses = point.NoktaAnalizleri || [];
-                const quality = evaluateWaterQuality(analyses, qualityLimits);
+                const index = QualityIndex.getLatest(reports, { kind: 'district', district: district.IlceAdi, location: point.Adres }, qualityLimits);
 
-                const offsetLat = coords.lat + (idx * 0.008) - (points.length * 0.004);
-                const offsetLng = coords.lng + ((idx % 2) * 0.01) - 0.005;
+                // Geocoded by the fetcher; points it could not resolve are spread around the district center
+                const position = geocoded[`${Utils.normalizePlaceName(district.IlceAdi)}|${String(point.Adres || '').trim()}`];
+                const pointLat = position ? position.lat : coords.lat + (idx * 0.008) - (points.length * 0.004);
+                const pointLng = position ? position.lng : coords.lng + ((idx % 2) * 0.01) - 0.005;
 
-                const colors = {
-                    good: '#22c55e',
-                    warning: '#f59e0b',
-                    danger: '#ef4444',
-                    unknown: '#6b7280'
-                };
-                const color = colors[quality];
+                const color = index ? WQI_COLORS[index.category] : NO_INDEX_COLOR;
 
-                const marker = L.circleMarker([offsetLat, offsetLng], {
+                const marker = L.circleMarker([pointLat, pointLng], {
                     radius: 10,
                     fillColor: color,
                     color: '#ffffff',
@@ -325,14 +519,15 @@ const MapView = (function() {
 
                 let popupContent = `<div style="min-width: 200px;">
                     <strong>${Utils.escapeHtml(district.IlceAdi)}</strong><br>
-                    <span style="color: #a3a3a3; font-size: 11px;">${Utils.escapeHtml(point.Adres || I18n.t('dams.unknown'))}</span>
+                    <span style="color: #a3a3a3; font-size: 11px;">${Utils.escapeHtml(point.Adres || I18n.t('dams.unknown'))}</span><br>
+                    ${renderIndexLine(index)}
                     <hr style="border-color: #333; margin: 8px 0;">`;
 
-                const keyParams = ['pH', 'Serbest Klor', 'Bulaniklik', 'Iletkenlik'];
+                const keyParams = ['ph', 'freeChlorine', 'turbidity', 'conductivity'];
                 analyses.forEach(a => {
-                    const isKey = keyParams.some(k => (a.ParametreAdi || '').includes(k));
+                    const isKey = keyParams.includes(Standards.resolve(a.ParametreAdi));
                     if (isKey || analyses.length <= 6) {
-                        const valueClass = getValueClass(a.ParametreAdi, a.ParametreDegeri, qualityLimits);
+                        const valueClass = getValueClass(a.ParametreAdi, a.ParametreDegeri, qualityLimits, a.Birim);
                         const valueColor = valueClass === 'value-danger' ? '#ef4444' :
                                           valueClass === 'value-warning' ? '#f59e0b' : '#22c55e';
                         popupContent += `<div style="display: flex; justify-content: space-between; margin: 2px 0;">
@@ -348,7 +543,7 @@ const MapView = (function() {
 
                 marker.bindPopup(popupContent);
                 markers.push(marker);
-                bounds.push([offsetLat, offsetLng]);
+                bounds.push([pointLat, pointLng]);
             });
         });
 
@@ -462,55 +657,329 @@ const MapView = (function() {
     }
 
     /**
-     * Evaluate water quality based on parameters
-     * @param {Array} analyses - Analysis data
-     * @param {Object} qualityLimits - Quality limit thresholds
-     * @returns {string} Quality level: 'good', 'warning', 'danger', 'unknown'
+     * Count active (not yet resolved) outages per district
+     * @param {Array} outages - Outage records from IZSU
+     * @returns {Object<string, number>} Count by normalized district name
+     */
+    function countActiveOutages(outages) {
+        const counts = {};
+        (outages || []).forEach(outage => {
+            const isResolved = outage.Ongoru === '2' && outage.ArizaGiderilmeTarihi;
+            if (isResolved || !outage.IlceAdi) return;
+
+            const key = Utils.normalizePlaceName(outage.IlceAdi);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Get per-capita consumption by district
+     * Read from the consumption data's byDistrict (liters per person per day) when the source provides it
+     * @returns {Object<string, number>} Liters per person per day by normalized district name
+     */
+    function getConsumptionByDistrict() {
+        const values = {};
+        Object.entries(App.getConsumptionData()?.byDistrict || {}).forEach(([district, liters]) => {
+            if (typeof liters === 'number' && isFinite(liters)) {
+                values[Utils.normalizePlaceName(district)] = liters;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Is a choropleth metric backed by data
+     * @param {string} metric - Metric ID
+     * @returns {boolean} True if the metric can be shown
      */
-    function evaluateWaterQuality(analyses, qualityLimits) {
-        if (!analyses || !analyses.length) return 'unknown';
+    function isMetricAvailable(metric) {
+        return CHOROPLETH_METRICS.includes(metric) && (metric !== 'consumption' || Object.keys(getConsumptionByDistrict()).length > 0);
+    }
 
-        let hasWarning = false;
-        let hasDanger = false;
+    /**
+     * Get the selected choropleth metric, or outages when it has no data
+     * @returns {string} Metric ID
+     */
+    function getActiveMetric() {
+        return isMetricAvailable(choroplethMetric) ? choroplethMetric : 'outages';
+    }
 
-        for (const analysis of analyses) {
-            const paramName = analysis.ParametreAdi || '';
-            const value = parseFloat(analysis.ParametreDegeri);
+    /**
+     * Get the values, colors and legend of a choropleth metric
+     * @param {string} metric - 'outages', 'quality' or 'consumption'
+     * @param {Object} appData - Application data
+     * @returns {{values: Object<string, number>, color: Function, format: Function, legend: Array<{color: string, label: string}>}}
+     *   Values by normalized district name, value -> color, value -> text and legend items
+     */
+    function getChoroplethData(metric, appData) {
+        if (metric === 'quality') {
+            const districtData = appData.districtAnalysis;
+            const districts = Array.isArray(districtData) ? districtData : (districtData?.Ilceler || []);
+            const reports = QualityArchive.extractDistrictReports(districts);
+            const limits = App.getQualityLimits();
+
+            const values = {};
+            districts.forEach(district => {
+                const index = QualityIndex.getLatest(reports, { kind: 'district', district: district.IlceAdi }, limits);
+                if (index) values[Utils.normalizePlaceName(district.IlceAdi)] = index.score;
+            });
 
-            if (isNaN(value)) continue;
+            return {
+                values,
+                color: value => WQI_COLORS[QualityIndex.getCategory(value)],
+                format: value => I18n.t('qualityIndex.badge', {
+                    score: value,
+                    category: I18n.t(`qualityIndex.categories.${QualityIndex.getCategory(value)}`)
+                }),
+                legend: QualityIndex.CATEGORIES.map(category => ({
+                    color: WQI_COLORS[category.id],
+                    label: `${I18n.t(`qualityIndex.categories.${category.id}`)} (${category.min}+)`
+                }))
+            };
+        }
 
-            const limit = qualityLimits[paramName];
-            if (limit) {
-                if (limit.max !== undefined && value > limit.max) {
-                    hasDanger = true;
-                } else if (limit.min !== undefined && value < limit.min) {
-                    hasWarning = true;
-                } else if (limit.max !== undefined && value > limit.max * 0.8) {
-                    hasWarning = true;
-                }
+        if (metric === 'consumption') {
+            const values = getConsumptionByDistrict();
+            const numbers = Object.values(values);
+            const min = numbers.length ? Math.min(...numbers) : 0;
+            const step = numbers.length ? (Math.max(...numbers) - min) / CONSUMPTION_COLORS.length : 0;
+            const classOf = value => step > 0 ? Math.min(Math.floor((value - min) / step), CONSUMPTION_COLORS.length - 1) : 0;
+
+            return {
+                values,
+                color: value => CONSUMPTION_COLORS[classOf(value)],
+                format: value => I18n.t('map.litersPerCapita', { value: Utils.formatNumber(Math.round(value)) }),
+                legend: step > 0 ? CONSUMPTION_COLORS.map((color, i) => ({
+                    color,
+                    label: `${Utils.formatNumber(Math.round(min + step * i))}+ L`
+                })) : numbers.length ? [{ color: CONSUMPTION_COLORS[0], label: `${Utils.formatNumber(Math.round(min))} L` }] : []
+            };
+        }
+
+        const classOf = value => [...OUTAGE_CLASSES].reverse().find(c => value >= c.min);
+        const counts = countActiveOutages(appData.outages);
+
+        // Every district without an active outage counts as 0, not as missing data
+        const values = {};
+        (districtsData?.features || []).forEach(f => {
+            const key = Utils.normalizePlaceName(f.properties?.name);
+            values[key] = counts[key] || 0;
+        });
+        Object.assign(values, counts);
+
+        return {
+            values,
+            color: value => classOf(value).color,
+            format: value => I18n.t('map.activeOutages', { n: value }),
+            legend: OUTAGE_CLASSES.map((c, i) => {
+                const next = OUTAGE_CLASSES[i + 1];
+                const label = !next ? `${c.min}+` : next.min - 1 === c.min ? `${c.min}` : `${c.min}-${next.min - 1}`;
+                return { color: c.color, label };
+            })
+        };
+    }
+
+    /**
+     * Update district choropleth overlay
+     * @param {Object} appData - Application data
+     */
+    function updateChoroplethOverlay(appData) {
+        if (!map) return;
+
+        if (overlayLayer) {
+            map.removeLayer(overlayLayer);
+            overlayLayer = null;
+        }
+
+        if (currentMapLayer !== 'districts' || !districtsData) return;
+
+        const metric = getActiveMetric();
+        const choropleth = getChoroplethData(metric, appData);
+
+        overlayLayer = L.geoJSON(districtsData, {
+            attribution: getDistrictsAttribution(),
+            style: feature => {
+                const value = choropleth.values[Utils.normalizePlaceName(feature.properties?.name)];
+                return {
+                    color: '#ffffff',
+                    weight: 1,
+                    opacity: 0.5,
+                    fillColor: value === undefined ? NO_INDEX_COLOR : choropleth.color(value),
+                    fillOpacity: value === undefined ? 0.15 : 0.55
+                };
+            },
+            onEachFeature: (feature, layer) => {
+                const name = feature.properties?.name || '';
+                const value = choropleth.values[Utils.normalizePlaceName(name)];
+                layer.bindPopup(`<strong>${Utils.escapeHtml(name)}</strong><br>
+                    <span style="color: #a3a3a3;">${I18n.t(`map.metrics.${metric}`)}</span><br>
+                    <span style="font-weight: 500;">${value === undefined ? I18n.t('map.noData') : Utils.escapeHtml(choropleth.format(value))}</span>`);
             }
+        }).addTo(map);
+
+        updateLegend();
+        map.fitBounds(overlayLayer.getBounds(), { padding: [20, 20] });
+    }
+
+    /**
+     * Select the district choropleth metric
+     * Falls back to outages when the metric has no data
+     * @param {string} metric - 'outages', 'quality' or 'consumption'
+     */
+    function setChoroplethMetric(metric) {
+        choroplethMetric = isMetricAvailable(metric) ? metric : 'outages';
+        localStorage.setItem('izsu_choroplethMetric', choroplethMetric);
+        renderMetricOptions();
+
+        if (currentMapLayer === 'districts') {
+            updateChoroplethOverlay(App.getData());
         }
+    }
 
-        if (hasDanger) return 'danger';
-        if (hasWarning) return 'warning';
-        return 'good';
+    /**
+     * Sync the metric select with the available metrics
+     */
+    function renderMetricOptions() {
+        const select = document.getElementById('choroplethMetric');
+        if (!select) return;
+
+        [...select.options].forEach(option => {
+            const available = isMetricAvailable(option.value);
+            option.disabled = !available;
+            option.title = available ? '' : I18n.t('map.metricUnavailable');
+        });
+        select.value = getActiveMetric();
+    }
+
+    /**
+     * Get map position of an outage
+     * Averages the gazetteer centroids of its neighborhoods, falling back to the district center
+     * @param {Object} outage - Outage record from IZSU
+     * @param {number} index - Position among outages placed at the same district center
+     * @returns {{lat: number, lng: number, approximate: boolean}|null} Position or null
+     */
+    function getOutagePosition(outage, index) {
+        const neighborhoods = (outage.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m);
+        const found = neighborhoods
+            .map(name => getNeighborhoodCoords(outage.IlceAdi, name))
+            .filter(coords => coords);
+
+        if (found.length) {
+            return {
+                lat: found.reduce((sum, c) => sum + c.lat, 0) / found.length,
+                lng: found.reduce((sum, c) => sum + c.lng, 0) / found.length,
+                approximate: false
+            };
+        }
+
+        const coords = getDistrictCoords(outage.IlceAdi);
+        if (!coords) return null;
+
+        // Spread outages that share a district center so they stay clickable
+        const angle = index * 2.4;
+        const distance = index ? 0.006 * Math.sqrt(index) : 0;
+        return {
+            lat: coords.lat + Math.sin(angle) * distance,
+            lng: coords.lng + Math.cos(angle) * distance,
+            approximate: true
+        };
+    }
+
+    /**
+     * Update outage overlay
+     * @param {Object} appData - Application data
+     */
+    function updateOutageOverlay(appData) {
+        if (!map) return;
+
+        if (overlayLayer) {
+            map.removeLayer(overlayLayer);
+            overlayLayer = null;
+        }
+
+        if (currentMapLayer !== 'outages') return;
+
+        const outages = appData.outages || [];
+        const markers = [];
+        const bounds = [];
+        const districtCounts = {};
+
+        outages.forEach(outage => {
+            const district = Utils.normalizePlaceName(outage.IlceAdi);
+            const index = districtCounts[district] || 0;
+            const position = getOutagePosition(outage, index);
+            if (!position) return;
+
+            if (position.approximate) {
+                districtCounts[district] = index + 1;
+            }
+
+            const isResolved = outage.Ongoru === '2' && outage.ArizaGiderilmeTarihi;
+            const color = isResolved ? '#22c55e' : '#f59e0b';
+            const neighborhoodCount = (outage.Mahalleler || '').split(',').filter(m => m.trim()).length;
+
+            const marker = L.circleMarker([position.lat, position.lng], {
+                radius: OUTAGE_BASE_RADIUS + Math.min(neighborhoodCount, OUTAGE_MAX_NEIGHBORHOODS) * OUTAGE_RADIUS_STEP,
+                fillColor: color,
+                color: '#ffffff',
+                weight: 2,
+                opacity: 1,
+                fillOpacity: 0.7
+            });
+
+            let popupContent = `<div class="map-outage-popup">${Tables.renderOutageCard(outage)}`;
+            if (position.approximate) {
+                popupContent += `<div style="margin-top: 8px; font-size: 10px; color: #666;">${I18n.t('map.outageApproximate')}</div>`;
+            }
+            popupContent += '</div>';
+
+            marker.bindPopup(popupContent, { maxWidth: 320 });
+            markers.push(marker);
+            bounds.push([position.lat, position.lng]);
+        });
+
+        overlayLayer = L.layerGroup(markers).addTo(map);
+        updateLegend();
+
+        if (bounds.length > 0) {
+            map.fitBounds(bounds, { padding: [50, 50], maxZoom: 13 });
+        }
+    }
+
+    /**
+     * Render the quality index line of a map popup
+     * @param {Object|null} index - Result of QualityIndex.getLatest
+     * @returns {string} HTML
+     */
+    function renderIndexLine(index) {
+        if (!index) {
+            return `<span style="color: ${NO_INDEX_COLOR}; font-size: 11px;">${I18n.t('qualityIndex.noScore')}</span>`;
+        }
+
+        return `<span style="color: ${WQI_COLORS[index.category]}; font-weight: 600;">
+            ${I18n.t('qualityIndex.badge', { score: index.score, category: I18n.t(`qualityIndex.categories.${index.category}`) })}
+        </span>`;
     }
 
     /**
      * Get CSS class for value based on quality limits
-     * @param {string} paramName - Parameter name
-     * @param {*} value - Parameter value
-     * @param {Object} qualityLimits - Quality limit thresholds
+     * @param {string} paramName - Parameter name as sent by IZSU
+     * @param {*} value - Parameter value (see Measurement.parse)
+     * @param {Object} qualityLimits - Limits keyed by canonical parameter ID
+     * @param {string} unit - Unit as sent by IZSU (Birim)
      * @returns {string} CSS class name
      */
-    function getValueClass(paramName, value, qualityLimits) {
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) return '';
-
-        const limit = qualityLimits[paramName];
+    function getValueClass(paramName, value, qualityLimits, unit = null) {
+        const limit = Standards.getLimit(qualityLimits, paramName);
         if (!limit) return '';
 
-        if (limit.max !== undefined && numValue > limit.max) return 'value-danger';
+        const numValue = Measurement.toLimitValue(Measurement.parse(value, unit), limit);
+        if (numValue === null) return '';
+
+        if (limit.max !== undefined && numValue > limit.max) {
+            return limit.mandatory === false ? 'value-warning' : 'value-danger';
+        }
         if (limit.min !== undefined && numValue < limit.min) return 'value-warning';
         if (limit.max !== undefined && numValue > limit.max * 0.8) return 'value-warning';
 
@@ -543,6 +1012,7 @@ const MapView = (function() {
             return `
                 <button class="source-toggle ${isEnabled ? 'active' : ''} ${iconClass} ${!hasCoords ? 'no-coords' : ''}"
                         data-source="${Utils.escapeHtml(source.Adi)}"
+                        data-search-key="${Utils.searchKey('source', source.Adi)}"
                         title="${hasCoords ? `${coords.Enlem}, ${coords.Boylam}` : 'Konum bilgisi yok'}">
                     <svg class="source-toggle-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         ${isBaraj
@@ -673,9 +1143,19 @@ const MapView = (function() {
 
         const qualityLimits = App.getQualityLimits();
         if (currentMapLayer === 'quality') {
-            updateQualityOverlay(appData, qualityLimits);
+            await Promise.all([loadDistrictsData(), App.loadArchive('samplingPoints')]);
+            updateQualityOverlay(App.getData(), qualityLimits);
+        } else if (currentMapLayer === 'districts') {
+            await loadDistrictsData();
+            renderMetricOptions();
+            updateChoroplethOverlay(appData);
+            return;
         } else if (currentMapLayer === 'flow') {
             updateFlowOverlay(appData);
+        } else if (currentMapLayer === 'outages') {
+            await loadNeighborhoodsData();
+            updateOutageOverlay(appData);
+            return;
         }
 
         if (bounds.length > 0) {
@@ -721,9 +1201,13 @@ const MapView = (function() {
         renderSourceToggles,
         initToggleState,
         setMapLayer,
+        setChoroplethMetric,
         invalidateSize,
         getCurrentLayer,
         getDistrictCoords,
+        loadNeighborhoodsData,
+        getNeighborhoodCoords,
+        getOutagePosition,
         getSourceCoords
     };
 })();
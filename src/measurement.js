@@ -0,0 +1,187 @@
+/**
+ * IZSU Measurement Module
+ * Parses analysis values as sent by IZSU ("0,35", "<0.01", "ND") into structured
+ * measurements and converts them between units so they can be compared with limits
+ * Cem Baspinar - MIT License
+ */
+
+const Measurement = (function() {
+    'use strict';
+
+    // Qualifiers of censored values
+    const LESS_THAN = '<';
+    const GREATER_THAN = '>';
+    const NOT_DETECTED = 'nd';
+
+    // "Not detected" spellings, compared after Utils.normalizeTurkish and lowercasing
+    const NOT_DETECTED_VALUES = ['nd', 'n.d', 'n.d.', 'bdl', 'yok', 'tespit edilmedi', 'saptanmadi', 'bulunmadi', 'bulunamadi'];
+
+    // Unit spellings (key: lowercased, no spaces, micro sign unified) -> canonical unit
+    const UNIT_ALIASES = {
+        'mg/l': 'mg/L',
+        'ppm': 'mg/L',
+        'µg/l': 'µg/L',
+        'ppb': 'µg/L',
+        'ng/l': 'ng/L',
+        'g/l': 'g/L',
+        'µs/cm': 'µS/cm',
+        'ms/cm': 'mS/cm',
+        'ntu': 'NTU',
+        'ph': 'pH',
+        'pt-co': 'Pt-Co',
+        'ptco': 'Pt-Co',
+        '/100ml': '/100 mL',
+        'sayi/100ml': '/100 mL',
+        'adet/100ml': '/100 mL',
+        'kob/100ml': '/100 mL',
+        'cfu/100ml': '/100 mL'
+    };
+
+    // Convertible units: canonical unit -> [dimension, factor to the dimension's base unit]
+    const UNIT_FACTORS = {
+        'g/L': ['mass', 1000],
+        'mg/L': ['mass', 1],
+        'µg/L': ['mass', 0.001],
+        'ng/L': ['mass', 0.000001],
+        'mS/cm': ['conductivity', 1000],
+        'µS/cm': ['conductivity', 1]
+    };
+
+    /**
+     * Normalize a unit to its canonical spelling
+     * @param {string} unit - Unit as sent by IZSU (e.g. "mg/lt", "µS/cm", "Sayı/100 ml")
+     * @returns {string|null} Canonical unit, the trimmed input if unknown, or null if empty
+     */
+    function normalizeUnit(unit) {
+        const text = String(unit ?? '').trim();
+        if (!text) return null;
+
+        const key = Utils.normalizeTurkish(text)
+            .toLowerCase()
+            .replace(/\s+/g, '')
+            .replace(/[μu](?=[gs]\/)/g, 'µ')
+            .replace(/\/lt$|\/litre$/, '/l');
+
+        return UNIT_ALIASES[key] || text;
+    }
+
+    /**
+     * Parse a number with a decimal point or a Turkish decimal comma
+     * When both separators appear the last one is the decimal separator ("1.234,5")
+     * @param {string} text - Number text
+     * @returns {number|null} Number or null if not a number
+     */
+    function parseNumber(text) {
+        let normalized = text.replace(/\s+/g, '');
+        if (!/^[-+]?(\d|[.,]\d)[\d.,]*$/.test(normalized)) return null;
+
+        const lastComma = normalized.lastIndexOf(',');
+        const lastDot = normalized.lastIndexOf('.');
+        if (lastComma > lastDot) {
+            normalized = normalized.replace(/\./g, '').replace(',', '.');
+        } else if (lastComma !== -1) {
+            normalized = normalized.replace(/,/g, '');
+        }
+
+        if ((normalized.match(/\./g) || []).length > 1) return null;
+
+        const number = parseFloat(normalized);
+        return isFinite(number) ? number : null;
+    }
+
+    /**
+     * Parse an analysis value
+     * @param {*} value - Value as sent by IZSU (number, "0,35", "<0.01", "> 200", "ND", "UYGUN")
+     * @param {string} unit - Unit as sent by IZSU (Birim); a unit written after the number is used when missing
+     * @returns {{value: number|null, qualifier: string|null, unit: string|null, text: string}} Measurement;
+     *   value is the bound for '<' and '>' qualifiers and null for non-numeric or not detected values
+     */
+    function parse(value, unit = null) {
+        const text = String(value ?? '').trim();
+        const measurement = { value: null, qualifier: null, unit: normalizeUnit(unit), text };
+
+        if (typeof value === 'number') {
+            measurement.value = isFinite(value) ? value : null;
+            return measurement;
+        }
+
+        if (NOT_DETECTED_VALUES.includes(Utils.normalizeTurkish(text).toLowerCase())) {
+            measurement.qualifier = NOT_DETECTED;
+            return measurement;
+        }
+
+        const match = text.match(/^(<=?|≤|>=?|≥)?\s*([-+]?[\d.,]+)\s*(.*)$/);
+        if (!match) return measurement;
+
+        // Ranges and lists ("6.5-8.5", "1 234") are left as text
+        const number = parseNumber(match[2]);
+        if (number === null || /^[-+\d.,]/.test(match[3])) return measurement;
+
+        measurement.value = number;
+        if (match[1]) measurement.qualifier = /^[<≤]/.test(match[1]) ? LESS_THAN : GREATER_THAN;
+        if (!measurement.unit && match[3]) measurement.unit = normalizeUnit(match[3]);
+
+        return measurement;
+    }
+
+    /**
+     * Convert a value between units
+     * Values in unknown or unrelated units (e.g. pH, NTU) are returned unchanged
+     * @param {number} value - Value
+     * @param {string} from - Unit of the value
+     * @param {string} to - Target unit
+     * @returns {number} Converted value
+     */
+    function convert(value, from, to) {
+        const source = UNIT_FACTORS[normalizeUnit(from)];
+        const target = UNIT_FACTORS[normalizeUnit(to)];
+        if (!source || !target || source[0] !== target[0]) return value;
+
+        return value * source[1] / target[1];
+    }
+
+    /**
+     * Get the value to compare with a limit, in the limit's unit
+     * Values below the detection limit ('<x', 'nd') never exceed a maximum; against
+     * a minimum the detection limit itself is compared ('nd' as 0)
+     * @param {Object} measurement - Result of parse
+     * @param {Object} limit - { min, max, unit }
+     * @returns {number|null} Comparable value or null if the value is not numeric
+     */
+    function toLimitValue(measurement, limit) {
+        if (!measurement) return null;
+
+        if (measurement.qualifier === NOT_DETECTED) return 0;
+        if (measurement.value === null) return null;
+        if (measurement.qualifier === LESS_THAN && limit?.min === undefined) return 0;
+
+        return limit?.unit ? convert(measurement.value, measurement.unit, limit.unit) : measurement.value;
+    }
+
+    /**
+     * Format the qualifier of a measurement for display and exports
+     * @param {Object} measurement - Result of parse
+     * @returns {string} '<', '>', the localized "not detected" label or ''
+     */
+    function formatQualifier(measurement) {
+        if (!measurement?.qualifier) return '';
+        return measurement.qualifier === NOT_DETECTED ? I18n.t('measurement.notDetected') : measurement.qualifier;
+    }
+
+    return {
+        LESS_THAN,
+        GREATER_THAN,
+        NOT_DETECTED,
+        parse,
+        parseNumber,
+        normalizeUnit,
+        convert,
+        toLimitValue,
+        formatQualifier
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Measurement;
+}
@@ -0,0 +1,161 @@
+/**
+ * IZSU Outage Archive Module
+ * Accumulates arizakaynaklisukesintileri into a persistent archive so
+ * outages stay visible after IZSU removes them from the live list
+ * Cem Baspinar - MIT License
+ */
+
+const OutageArchive = (function() {
+    'use strict';
+
+    // The fetcher requires this module; a page would load src/dates.js before it
+    const { toTime } = typeof module !== 'undefined' && module.exports ? require('./dates') : Dates;
+
+    // Keep a bit over a year so the timeline can show 12 full months
+    const ARCHIVE_RETENTION_DAYS = 400;
+    const MS_PER_DAY = 86400000;
+
+    // Resolution sources
+    const RESOLUTION_REPORTED = 'reported';
+    const RESOLUTION_REMOVED = 'removed';
+
+    /**
+     * Split the comma separated neighborhood list into a sorted array
+     * @param {string} value - Mahalleler field
+     * @returns {Array<string>} Neighborhoods
+     */
+    function parseNeighborhoods(value) {
+        return (value || '').split(',').map(m => m.trim()).filter(m => m).sort();
+    }
+
+    /**
+     * Identity of an outage: district, neighborhoods, start time and type
+     * @param {Object} outage - Outage record from IZSU
+     * @returns {string} Archive key
+     */
+    function outageKey(outage) {
+        return [
+            outage.IlceAdi || '',
+            parseNeighborhoods(outage.Mahalleler).join(','),
+            outage.KesintiTarihi || '',
+            outage.Tip || ''
+        ].join('|');
+    }
+
+    /**
+     * Check whether IZSU reports the outage as resolved (same rule as the outage cards)
+     * @param {Object} outage - Outage record from IZSU
+     * @returns {boolean} True if resolved
+     */
+    function isReportedResolved(outage) {
+        return outage.Ongoru === '2' && !!outage.ArizaGiderilmeTarihi;
+    }
+
+    /**
+     * Create an archive entry from a live outage
+     * @param {Object} outage - Outage record from IZSU
+     * @param {string} seenAt - ISO timestamp of this fetch
+     * @returns {Object} Archive entry
+     */
+    function createArchiveEntry(outage, seenAt) {
+        return {
+            id: outageKey(outage),
+            district: outage.IlceAdi || null,
+            neighborhoods: parseNeighborhoods(outage.Mahalleler),
+            start: outage.KesintiTarihi || null,
+            type: outage.Tip || null,
+            unit: outage.Birim || null,
+            duration: outage.KesintiSuresi || null,
+            description: outage.Aciklama || null,
+            firstSeen: seenAt,
+            lastSeen: seenAt,
+            resolvedAt: null,
+            resolution: null
+        };
+    }
+
+    /**
+     * Start of an archive entry for sorting; entries without a readable start sort by first sighting
+     * @param {Object} entry - Archive entry
+     * @returns {number} Milliseconds since the epoch
+     */
+    function startTime(entry) {
+        const time = toTime(entry.start);
+        return isNaN(time) ? toTime(entry.firstSeen) : time;
+    }
+
+    /**
+     * Merge the live outage list into the archive
+     * Outages that disappear without a reported resolution are closed at their last-seen time
+     * @param {Object|null} existing - Previous archive { updatedAt, entries }
+     * @param {Array} outages - Live outage list
+     * @param {Date} now - Fetch time
+     * @returns {{archive: Object, added: number, resolved: number, pruned: number}} Updated archive and counts
+     */
+    function updateOutageArchive(existing, outages, now = new Date()) {
+        const seenAt = now.toISOString();
+        const byId = {};
+        (existing?.entries || []).forEach(entry => { byId[entry.id] = { ...entry }; });
+
+        let added = 0;
+        let resolved = 0;
+        const liveIds = new Set();
+
+        (Array.isArray(outages) ? outages : []).forEach(outage => {
+            const id = outageKey(outage);
+            liveIds.add(id);
+
+            let entry = byId[id];
+            if (!entry) {
+                entry = createArchiveEntry(outage, seenAt);
+                byId[id] = entry;
+                added++;
+            }
+
+            entry.lastSeen = seenAt;
+            entry.duration = outage.KesintiSuresi || entry.duration;
+            entry.description = outage.Aciklama || entry.description;
+
+            if (isReportedResolved(outage)) {
+                if (!entry.resolvedAt) resolved++;
+                entry.resolvedAt = outage.ArizaGiderilmeTarihi;
+                entry.resolution = RESOLUTION_REPORTED;
+            } else if (entry.resolution === RESOLUTION_REMOVED) {
+                // Listed again after disappearing: reopen
+                entry.resolvedAt = null;
+                entry.resolution = null;
+            }
+        });
+
+        Object.values(byId).forEach(entry => {
+            if (!liveIds.has(entry.id) && !entry.resolvedAt) {
+                entry.resolvedAt = entry.lastSeen;
+                entry.resolution = RESOLUTION_REMOVED;
+                resolved++;
+            }
+        });
+
+        const cutoff = now.getTime() - ARCHIVE_RETENTION_DAYS * MS_PER_DAY;
+        const entries = Object.values(byId)
+            .filter(entry => toTime(entry.resolvedAt || entry.lastSeen) >= cutoff)
+            .sort((a, b) => startTime(b) - startTime(a));
+
+        return {
+            archive: { updatedAt: seenAt, retentionDays: ARCHIVE_RETENTION_DAYS, entries },
+            added,
+            resolved,
+            pruned: Object.keys(byId).length - entries.length
+        };
+    }
+
+    return {
+        ARCHIVE_RETENTION_DAYS,
+        outageKey,
+        updateOutageArchive
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutageArchive;
+}
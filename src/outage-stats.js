@@ -0,0 +1,227 @@
+/**
+ * IZSU Outage Statistics Module
+ * Repair time and per-neighborhood recurrence from the outage archive
+ * Cem Baspinar - MIT License
+ */
+
+const OutageStats = (function() {
+    'use strict';
+
+    const MS_PER_DAY = 86400000;
+
+    // Durations above this are treated as data errors
+    const MAX_DURATION_MINUTES = 30 * 24 * 60;
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    // The fetcher requires this module; the page loads src/dates.js before it
+    const { toTime } = typeof module !== 'undefined' && module.exports ? require('./dates') : Dates;
+
+    /**
+     * Convert a live IZSU outage to the archive entry shape
+     * @param {Object} outage - Outage record from IZSU
+     * @returns {Object} Archive-like entry
+     */
+    function fromLiveOutage(outage) {
+        const resolved = outage.Ongoru === '2' && !!outage.ArizaGiderilmeTarihi;
+        return {
+            district: outage.IlceAdi || null,
+            neighborhoods: (outage.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m),
+            start: outage.KesintiTarihi || null,
+            resolvedAt: resolved ? outage.ArizaGiderilmeTarihi : null,
+            resolution: resolved ? 'reported' : null,
+            duration: outage.KesintiSuresi || null
+        };
+    }
+
+    /**
+     * Get outage records, preferring the archive over the live list
+     * @param {Object} data - Application data
+     * @returns {Array<Object>} Archive-like entries
+     */
+    function getEntries(data) {
+        if (data.outageArchive && Array.isArray(data.outageArchive.entries)) {
+            return data.outageArchive.entries;
+        }
+        return (data.outages || []).map(fromLiveOutage);
+    }
+
+    /**
+     * Parse a KesintiSuresi clock range such as "14:00-18:00" or "22.30 - 02.00"
+     * @param {string} text - Duration text
+     * @returns {{startMinutes: number, endMinutes: number}|null} Minutes after midnight of the
+     *   outage day (an end before the start is on the next day), or null if there is no range
+     */
+    function parseClockRange(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const match = text.match(/\b(\d{1,2})[:.](\d{2})\s*[-–]\s*(\d{1,2})[:.](\d{2})\b/);
+        if (!match) return null;
+
+        const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+        if (startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59) return null;
+
+        const startMinutes = startHour * 60 + startMinute;
+        let endMinutes = endHour * 60 + endMinute;
+        if (endMinutes <= startMinutes) endMinutes += MINUTES_PER_DAY;
+
+        return { startMinutes, endMinutes };
+    }
+
+    /**
+     * Parse a KesintiSuresi text such as "2 saat 30 dakika", "1,5 saat", "45 dk" or "02:30"
+     * A clock range such as "14:00-18:00" gives the time between its start and end
+     * @param {string} text - Duration text
+     * @returns {number|null} Minutes or null if not recognised
+     */
+    function parseDurationText(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const range = parseClockRange(text);
+        if (range) {
+            return range.endMinutes - range.startMinutes;
+        }
+
+        const value = text.toLocaleLowerCase('tr').replace(',', '.');
+
+        const clock = value.match(/\b(\d{1,2}):(\d{2})\b/);
+        if (clock) {
+            return parseInt(clock[1]) * 60 + parseInt(clock[2]);
+        }
+
+        const units = [
+            [/(\d+(?:\.\d+)?)\s*(?:gün|gun)/, 24 * 60],
+            [/(\d+(?:\.\d+)?)\s*(?:saat|sa\b)/, 60],
+            [/(\d+(?:\.\d+)?)\s*(?:dakika|dk)/, 1]
+        ];
+
+        let minutes = 0;
+        let matched = false;
+        units.forEach(([pattern, factor]) => {
+            const match = value.match(pattern);
+            if (match) {
+                minutes += parseFloat(match[1]) * factor;
+                matched = true;
+            }
+        });
+
+        return matched ? Math.round(minutes) : null;
+    }
+
+    /**
+     * Get outage duration in minutes
+     * Uses start and reported resolution time, then the KesintiSuresi text;
+     * resolution times inferred from removal from the list are not used
+     * @param {Object} entry - Archive-like entry
+     * @returns {number|null} Minutes or null if unknown
+     */
+    function getDurationMinutes(entry) {
+        if (entry.resolution === 'reported' && entry.start && entry.resolvedAt) {
+            const minutes = (toTime(entry.resolvedAt) - toTime(entry.start)) / 60000;
+            if (!isNaN(minutes) && minutes >= 0 && minutes <= MAX_DURATION_MINUTES) {
+                return Math.round(minutes);
+            }
+        }
+
+        const parsed = parseDurationText(entry.duration);
+        return parsed !== null && parsed <= MAX_DURATION_MINUTES ? parsed : null;
+    }
+
+    /**
+     * Keep entries that started within the last n days (0 for all)
+     * @param {Array<Object>} entries - Entries
+     * @param {number} days - Period in days
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array<Object>} Filtered entries
+     */
+    function filterByPeriod(entries, days, now = Date.now()) {
+        if (!days) return entries;
+
+        const cutoff = now - days * MS_PER_DAY;
+        return entries.filter(entry => {
+            const time = toTime(entry.start || entry.firstSeen);
+            return !isNaN(time) && time >= cutoff;
+        });
+    }
+
+    /**
+     * Get the median of a list of numbers
+     * @param {Array<number>} values - Values
+     * @returns {number|null} Median or null if empty
+     */
+    function median(values) {
+        if (!values.length) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * Summarise repair times
+     * @param {Array<Object>} entries - Entries
+     * @returns {{count: number, measured: number, meanMinutes: number|null, medianMinutes: number|null}} Summary
+     */
+    function summarize(entries) {
+        const durations = entries.map(getDurationMinutes).filter(d => d !== null);
+        const total = durations.reduce((sum, d) => sum + d, 0);
+
+        return {
+            count: entries.length,
+            measured: durations.length,
+            meanMinutes: durations.length ? Math.round(total / durations.length) : null,
+            medianMinutes: durations.length ? Math.round(median(durations)) : null
+        };
+    }
+
+    /**
+     * Rank neighborhoods by number of outages
+     * Neighborhoods are grouped per district with Turkish-insensitive names
+     * @param {Array<Object>} entries - Entries
+     * @param {number} limit - Maximum rows
+     * @returns {Array<{neighborhood: string, district: string, count: number, totalMinutes: number, medianMinutes: number|null}>} Leaderboard
+     */
+    function getNeighborhoodLeaderboard(entries, limit = 20) {
+        const groups = {};
+
+        entries.forEach(entry => {
+            const duration = getDurationMinutes(entry);
+            (entry.neighborhoods || []).forEach(name => {
+                const key = `${entry.district || ''}|${Utils.normalizeTurkish(name).toLowerCase()}`;
+                if (!groups[key]) {
+                    groups[key] = { neighborhood: name, district: entry.district || '', count: 0, durations: [] };
+                }
+                groups[key].count++;
+                if (duration !== null) {
+                    groups[key].durations.push(duration);
+                }
+            });
+        });
+
+        return Object.values(groups)
+            .map(group => ({
+                neighborhood: group.neighborhood,
+                district: group.district,
+                count: group.count,
+                totalMinutes: group.durations.reduce((sum, d) => sum + d, 0),
+                medianMinutes: group.durations.length ? Math.round(median(group.durations)) : null
+            }))
+            .sort((a, b) => b.count - a.count || b.totalMinutes - a.totalMinutes)
+            .slice(0, limit);
+    }
+
+    return {
+        getEntries,
+        parseClockRange,
+        parseDurationText,
+        getDurationMinutes,
+        filterByPeriod,
+        summarize,
+        getNeighborhoodLeaderboard
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutageStats;
+}
@@ -367,7 +367,7 @@ const Production = (function() {
      * Initialize period filter buttons
      */
     function initPeriodFilter(distribution) {
-        const buttons = document.querySelectorAll('.period-btn');
+        const buttons = document.querySelectorAll('.period-btn[data-period]');
 
         buttons.forEach(btn => {
             btn.classList.remove('active');
@@ -533,6 +533,7 @@ const Production = (function() {
         if (!container) return;
 
         if (!distribution || !distribution.length) {
+            DataExport.unregister('monthlyProductionTable');
             container.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.tableDataNotFound')}</p></div>`;
             return;
         }
@@ -558,6 +559,21 @@ const Production = (function() {
             return sources.reduce((sum, source) => sum + tableData[source][i].value, 0);
         });
 
+        DataExport.register('monthlyProductionTable', () => ({
+            columns: [
+                { key: 'source', label: I18n.t('production.source') },
+                ...last12Months.map((m, i) => ({ key: `m${i}`, label: m.label })),
+                { key: 'total', label: I18n.t('production.total') }
+            ],
+            rows: sources.map(source => {
+                const row = { source, total: tableData[source].reduce((a, b) => a + b.value, 0) };
+                tableData[source].forEach((cell, i) => {
+                    row[`m${i}`] = cell.value;
+                });
+                return row;
+            })
+        }));
+
         container.innerHTML = `
             <table class="data-table sortable-table" id="productionTable">
                 <thead>
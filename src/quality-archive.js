@@ -0,0 +1,257 @@
+/**
+ * IZSU Quality Archive Module
+ * Accumulates weekly, district and dam analysis reports by report date so
+ * each sampling point keeps a parameter history after IZSU publishes the next report
+ * Shared by the front end (parameter history charts) and the fetcher (src/fetch-data.js)
+ * Cem Baspinar - MIT License
+ */
+
+const QualityArchive = (function() {
+    'use strict';
+
+    // Two years so seasonal patterns can be compared year over year
+    const ARCHIVE_RETENTION_DAYS = 730;
+    const MS_PER_DAY = 86400000;
+
+    // The fetcher requires this module; the page loads src/dates.js before it
+    const { toTime } = typeof module !== 'undefined' && module.exports ? require('./dates') : Dates;
+
+    // Report kinds (one per analysis endpoint)
+    const KIND_WEEKLY = 'weekly';
+    const KIND_DISTRICT = 'district';
+    const KIND_DAM = 'dam';
+
+    /**
+     * Get a list from an endpoint that is either an array or wraps one
+     * @param {*} value - Endpoint data
+     * @param {string} key - Wrapper property (e.g. TumAnalizler)
+     * @returns {Array} List
+     */
+    function listOf(value, key) {
+        if (Array.isArray(value)) return value;
+        return Array.isArray(value?.[key]) ? value[key] : [];
+    }
+
+    /**
+     * Identity of a report: kind, district, sampling point and report date
+     * @param {string} kind - Report kind
+     * @param {string|null} district - District name (district reports only)
+     * @param {string} location - Sampling point or dam name
+     * @param {string} date - Report date as sent by IZSU
+     * @returns {string} Archive key
+     */
+    function reportKey(kind, district, location, date) {
+        return [kind, district || '', location, date].join('|');
+    }
+
+    /**
+     * Create a report entry
+     * @param {string} kind - Report kind
+     * @param {string|null} district - District name
+     * @param {string} location - Sampling point or dam name
+     * @param {string} date - Report date
+     * @param {Array<Object>} parameters - Measurements
+     * @returns {Object} Report entry
+     */
+    function createReport(kind, district, location, date, parameters) {
+        return {
+            id: reportKey(kind, district, location, date),
+            kind,
+            district: district || null,
+            location,
+            date,
+            parameters
+        };
+    }
+
+    /**
+     * Convert an analysis result to an archived measurement
+     * @param {Object} result - Result with ParametreAdi, ParametreDegeri, Birim
+     * @returns {{name: string, value: *, unit: string|null}} Measurement
+     */
+    function toMeasurement(result) {
+        return {
+            name: result.ParametreAdi,
+            value: result.ParametreDegeri ?? null,
+            unit: result.Birim || null
+        };
+    }
+
+    /**
+     * Split the weekly analysis into one report per sampling point and result date
+     * @param {*} data - haftaliksuanalizleri
+     * @returns {Array<Object>} Reports
+     */
+    function extractWeeklyReports(data) {
+        const reports = [];
+
+        listOf(data, 'TumAnalizler').forEach(analysis => {
+            if (!analysis.NoktaTanimi) return;
+
+            const byDate = {};
+            (analysis.analizSonuclari || []).forEach(result => {
+                if (!result.ParametreAdi || !result.SonucTarihi) return;
+                (byDate[result.SonucTarihi] = byDate[result.SonucTarihi] || []).push(toMeasurement(result));
+            });
+
+            Object.entries(byDate).forEach(([date, parameters]) => {
+                reports.push(createReport(KIND_WEEKLY, null, analysis.NoktaTanimi, date, parameters));
+            });
+        });
+
+        return reports;
+    }
+
+    /**
+     * Split the district analysis into one report per sampling point
+     * @param {*} data - cevreilcesuanalizleri
+     * @returns {Array<Object>} Reports
+     */
+    function extractDistrictReports(data) {
+        const reports = [];
+
+        listOf(data, 'Ilceler').forEach(district => {
+            if (!district.IlceAdi || !district.AnalizTarihi) return;
+
+            (district.Noktalar || []).forEach(point => {
+                const parameters = (point.NoktaAnalizleri || []).filter(a => a.ParametreAdi).map(toMeasurement);
+                if (!point.Adres || !parameters.length) return;
+                reports.push(createReport(KIND_DISTRICT, district.IlceAdi, point.Adres, district.AnalizTarihi, parameters));
+            });
+        });
+
+        return reports;
+    }
+
+    /**
+     * Split the dam quality reports into one report per dam
+     * Treated and raw water values are kept side by side
+     * @param {*} data - barajsukaliteraporlari
+     * @returns {Array<Object>} Reports
+     */
+    function extractDamReports(data) {
+        const reports = [];
+
+        listOf(data, 'BarajAnalizleri').forEach(dam => {
+            if (!dam.BarajAdi || !dam.Tarih) return;
+
+            const parameters = [];
+            (dam.Analizler || []).forEach(analysis => {
+                (analysis.AnalizElemanlari || []).forEach(element => {
+                    if (!element.ParametreAdi) return;
+                    parameters.push({
+                        name: element.ParametreAdi,
+                        type: analysis.AnalizTipAdi || null,
+                        value: element.IslenmisSu ?? null,
+                        rawValue: element.IslenmemisSu ?? null,
+                        unit: element.Birim || null
+                    });
+                });
+            });
+
+            if (parameters.length) {
+                reports.push(createReport(KIND_DAM, null, dam.BarajAdi, dam.Tarih, parameters));
+            }
+        });
+
+        return reports;
+    }
+
+    /**
+     * Split all analysis endpoints into reports
+     * Failed endpoints (null or { error }) yield no reports
+     * @param {{weekly: *, district: *, dam: *}} sources - Endpoint data
+     * @returns {Array<Object>} Reports
+     */
+    function extractReports(sources) {
+        const usable = value => value && !value.error;
+        return [
+            ...(usable(sources.weekly) ? extractWeeklyReports(sources.weekly) : []),
+            ...(usable(sources.district) ? extractDistrictReports(sources.district) : []),
+            ...(usable(sources.dam) ? extractDamReports(sources.dam) : [])
+        ];
+    }
+
+    /**
+     * Get one parameter's history at a sampling point
+     * @param {Array<Object>} reports - Archived and/or live reports
+     * @param {{kind: string, district: string|null, location: string, param: string}} target - Series identity
+     * @returns {Array<{date: string, value: *, rawValue: *, unit: string|null}>} Measurements, oldest first
+     */
+    function getSeries(reports, target) {
+        const byDate = {};
+
+        reports.forEach(report => {
+            if (report.kind !== target.kind || report.location !== target.location ||
+                (report.district || null) !== (target.district || null)) return;
+
+            const measurement = (report.parameters || []).find(p => p.name === target.param);
+            if (!measurement) return;
+
+            byDate[report.date] = {
+                date: report.date,
+                value: measurement.value,
+                rawValue: measurement.rawValue ?? null,
+                unit: measurement.unit || null
+            };
+        });
+
+        return Object.values(byDate).sort((a, b) => toTime(a.date) - toTime(b.date));
+    }
+
+    /**
+     * Merge the latest analysis reports into the archive
+     * Reports are never closed like outages; a failed endpoint adds nothing
+     * and a republished report replaces the archived one with the same date
+     * @param {Object|null} existing - Previous archive { updatedAt, entries }
+     * @param {{weekly: *, district: *, dam: *}} sources - Endpoint data
+     * @param {Date} now - Fetch time
+     * @returns {{archive: Object, added: number, pruned: number}} Updated archive and counts
+     */
+    function updateQualityArchive(existing, sources, now = new Date()) {
+        const seenAt = now.toISOString();
+        const byId = {};
+        (existing?.entries || []).forEach(entry => { byId[entry.id] = entry; });
+
+        let added = 0;
+        extractReports(sources).forEach(report => {
+            const previous = byId[report.id];
+            if (!previous) added++;
+            byId[report.id] = { ...report, firstSeen: previous?.firstSeen || seenAt };
+        });
+
+        // Reports with unparseable dates are kept until their first sighting expires
+        const cutoff = now.getTime() - ARCHIVE_RETENTION_DAYS * MS_PER_DAY;
+        const entries = Object.values(byId)
+            .filter(entry => {
+                const time = toTime(entry.date);
+                return (isNaN(time) ? toTime(entry.firstSeen) : time) >= cutoff;
+            })
+            .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+        return {
+            archive: { updatedAt: seenAt, retentionDays: ARCHIVE_RETENTION_DAYS, entries },
+            added,
+            pruned: Object.keys(byId).length - entries.length
+        };
+    }
+
+    return {
+        ARCHIVE_RETENTION_DAYS,
+        KIND_WEEKLY,
+        KIND_DISTRICT,
+        KIND_DAM,
+        reportKey,
+        extractWeeklyReports,
+        extractDistrictReports,
+        extractDamReports,
+        extractReports,
+        getSeries,
+        updateQualityArchive
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityArchive;
+}
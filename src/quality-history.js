@@ -0,0 +1,355 @@
+/**
+ * IZSU Quality History Module
+ * Drill-down chart of one parameter's history at a sampling point, built from
+ * the fetcher's quality archive plus the live reports, with quality limits as bands
+ * Cem Baspinar - MIT License
+ */
+
+const QualityHistory = (function() {
+    'use strict';
+
+    const MODAL_ID = 'qualityHistoryModal';
+    const CHART_ID = 'qualityHistoryChart';
+
+    let current = null;
+
+    /**
+     * Build the attributes that open a history target
+     * @param {Object} target - { kind, district, location, param }
+     * @param {string} title - Tooltip
+     * @returns {string} Attribute HTML
+     */
+    function targetAttrs(target, title) {
+        const encoded = encodeURIComponent(JSON.stringify(target));
+        return `data-quality-series="${encoded}" role="button" tabindex="0" title="${Utils.escapeHtml(title)}"`;
+    }
+
+    /**
+     * Build the attributes that make a parameter open its history
+     * @param {string} kind - QualityArchive kind ('weekly', 'district' or 'dam')
+     * @param {string} location - Sampling point or dam name
+     * @param {string} param - Parameter name as sent by IZSU
+     * @param {string|null} district - District name (district reports only)
+     * @returns {string} Attribute HTML
+     */
+    function attrs(kind, location, param, district = null) {
+        if (!location || !param) return '';
+        return targetAttrs({ kind, district, location, param }, I18n.t('qualityHistory.open'));
+    }
+
+    /**
+     * Build the attributes that make a quality index badge open the index history
+     * @param {string} kind - QualityArchive kind ('district' or 'dam')
+     * @param {string|null} district - District name (district reports only)
+     * @param {string|null} location - Sampling point or dam name; null for a whole district
+     * @param {string} title - Tooltip (score and category)
+     * @returns {string} Attribute HTML
+     */
+    function indexAttrs(kind, district, location, title) {
+        return targetAttrs({ kind, district, location, param: null }, `${title} · ${I18n.t('qualityHistory.open')}`);
+    }
+
+    /**
+     * Parse a measurement value for plotting
+     * Censored values are plotted at their bound ("<0.01" as 0.01), not detected values are left out
+     * @param {*} value - Value as sent by IZSU
+     * @param {string} unit - Unit as sent by IZSU
+     * @param {string|null} targetUnit - Unit to convert to (the limit's unit)
+     * @returns {number|null} Number or null if not numeric
+     */
+    function toNumber(value, unit, targetUnit) {
+        const measurement = Measurement.parse(value, unit);
+        if (measurement.value === null) return null;
+        return targetUnit ? Measurement.convert(measurement.value, measurement.unit, targetUnit) : measurement.value;
+    }
+
+    /**
+     * Format a quality limit
+     * @param {Object} limit - { min, max }
+     * @returns {string} Limit text
+     */
+    function formatLimit(limit) {
+        if (limit.min !== undefined && limit.max !== undefined) return `${limit.min} - ${limit.max}`;
+        if (limit.max !== undefined) return `≤ ${limit.max}`;
+        return `≥ ${limit.min}`;
+    }
+
+    /**
+     * Get the measurements for a series
+     * @param {Object} target - { kind, district, location, param }
+     * @returns {Array<Object>} Measurements, oldest first
+     */
+    function getSeries(target) {
+        return QualityArchive.getSeries(getReports(), target);
+    }
+
+    /**
+     * Get all known reports, archived reports first and live reports on top
+     * @returns {Array<Object>} QualityArchive reports
+     */
+    function getReports() {
+        const data = App.getData();
+        return [
+            ...(data.qualityArchive?.entries || []),
+            ...QualityArchive.extractReports({
+                weekly: data.weeklyAnalysis,
+                district: data.districtAnalysis,
+                dam: data.damQuality
+            })
+        ];
+    }
+
+    /**
+     * Build a horizontal threshold band dataset
+     * @param {string} label - Legend label
+     * @param {number} value - Threshold
+     * @param {number} count - Number of points
+     * @param {string} fill - 'end' to shade above, 'start' to shade below
+     * @param {string} color - Band color
+     * @returns {Object} Chart.js dataset
+     */
+    function band(label, value, count, fill, color) {
+        return {
+            label,
+            data: new Array(count).fill(value),
+            borderColor: color,
+            backgroundColor: color + '1a',
+            borderWidth: 1,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill
+        };
+    }
+
+    /**
+     * Render the quality index history of a sampling point, district or dam
+     * @param {Object} target - { kind, district, location } (no location: whole district)
+     */
+    function renderIndex(target) {
+        const history = QualityIndex.getHistory(getReports(), target, App.getQualityLimits());
+        const colors = Charts.getColors();
+        const latest = history[history.length - 1];
+
+        const location = [target.district, target.location].filter(Boolean).join(' - ');
+        document.getElementById('qualityHistoryTitle').textContent = `${I18n.t('qualityIndex.name')} - ${location}`;
+        document.getElementById('qualityHistoryInfo').textContent = [
+            I18n.t('qualityHistory.reports', { n: history.length }),
+            latest ? I18n.t('qualityIndex.failed', { failed: latest.failedVariables, total: latest.variables }) : null,
+            `${I18n.t('qualityIndex.method')}, ${Standards.getProfileName(Standards.getActiveProfile())}`
+        ].filter(Boolean).join(' · ');
+
+        const wrapper = document.getElementById('qualityHistoryChartWrapper');
+        const empty = document.getElementById('qualityHistoryEmpty');
+
+        if (!history.length) {
+            Charts.destroyChart(CHART_ID);
+            wrapper.classList.add('hidden');
+            empty.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('qualityIndex.empty', { n: QualityIndex.MIN_VARIABLES })}</p></div>`;
+            return;
+        }
+
+        wrapper.classList.remove('hidden');
+        empty.innerHTML = '';
+
+        Charts.createChart(CHART_ID, 'line', {
+            labels: history.map(h => Utils.formatDate(h.date)),
+            datasets: [{
+                label: I18n.t('qualityIndex.name'),
+                data: history.map(h => h.score),
+                borderColor: colors.accent,
+                backgroundColor: colors.accentDim,
+                tension: 0.2,
+                pointRadius: 3,
+                fill: false
+            }]
+        }, {
+            scales: {
+                y: { min: 0, max: 100 }
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.raw} (${I18n.t(`qualityIndex.categories.${history[context.dataIndex].category}`)})`
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Render the chart for a series
+     * @param {Object} target - { kind, district, location, param }; no param renders the quality index
+     */
+    function render(target) {
+        if (!target.param) {
+            renderIndex(target);
+            return;
+        }
+
+        const series = getSeries(target);
+        const limit = Standards.getLimit(App.getQualityLimits(), target.param);
+        const colors = Charts.getColors();
+        const targetUnit = limit?.unit || null;
+        const value = m => toNumber(m.value, m.unit, targetUnit);
+        const rawValue = m => toNumber(m.rawValue, m.unit, targetUnit);
+        const numeric = series.filter(m => value(m) !== null || rawValue(m) !== null);
+
+        const location = target.district ? `${target.district} - ${target.location}` : target.location;
+        const unit = Utils.translateUnit(targetUnit || series.find(m => m.unit)?.unit || '');
+
+        document.getElementById('qualityHistoryTitle').textContent = `${Utils.translateParam(target.param)} - ${location}`;
+        document.getElementById('qualityHistoryInfo').textContent = [
+            I18n.t('qualityHistory.reports', { n: series.length }),
+            limit ? I18n.t('qualityHistory.limit', { limit: `${formatLimit(limit)} ${unit}`.trim() }) : I18n.t('qualityHistory.noLimit'),
+            limit ? `${Standards.getProfileName(Standards.getActiveProfile())} (${I18n.t(limit.mandatory === false ? 'standards.guideline' : 'standards.mandatory')})` : null
+        ].filter(Boolean).join(' · ');
+
+        const wrapper = document.getElementById('qualityHistoryChartWrapper');
+        const empty = document.getElementById('qualityHistoryEmpty');
+
+        if (!numeric.length) {
+            Charts.destroyChart(CHART_ID);
+            wrapper.classList.add('hidden');
+            empty.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('qualityHistory.empty')}</p></div>`;
+            return;
+        }
+
+        wrapper.classList.remove('hidden');
+        empty.innerHTML = '';
+
+        const isDam = target.kind === QualityArchive.KIND_DAM;
+        const datasets = [{
+            label: isDam ? I18n.t('export.treatedWater') : I18n.t('analysis.value'),
+            data: numeric.map(value),
+            borderColor: colors.accent,
+            backgroundColor: colors.accentDim,
+            tension: 0.2,
+            pointRadius: 3,
+            spanGaps: true,
+            fill: false
+        }];
+
+        if (isDam && numeric.some(m => rawValue(m) !== null)) {
+            datasets.push({
+                label: I18n.t('export.rawWater'),
+                data: numeric.map(rawValue),
+                borderColor: colors.textMuted,
+                borderDash: [3, 3],
+                tension: 0.2,
+                pointRadius: 2,
+                spanGaps: true,
+                fill: false
+            });
+        }
+
+        if (limit && limit.max !== undefined) {
+            datasets.push(band(I18n.t('qualityHistory.maxLimit', { value: limit.max }), limit.max, numeric.length, 'end', colors.danger));
+        }
+        if (limit && limit.min !== undefined) {
+            datasets.push(band(I18n.t('qualityHistory.minLimit', { value: limit.min }), limit.min, numeric.length, 'start', colors.warning));
+        }
+
+        Charts.createChart(CHART_ID, 'line', {
+            labels: numeric.map(m => Utils.formatDate(m.date)),
+            datasets
+        }, {
+            plugins: {
+                legend: { position: 'top' },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.raw} ${unit}`.trim()
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Open the history modal for a series
+     * @param {Object} target - { kind, district, location, param }
+     */
+    function open(target) {
+        current = target;
+        UI.openModal(MODAL_ID);
+        // Render after the modal is visible so the chart gets its size
+        render(target);
+
+        // Live reports are shown at once; the archive adds the older ones when it arrives
+        App.loadArchive('qualityArchive').then(() => {
+            if (current === target) render(target);
+        });
+    }
+
+    /**
+     * Close the history modal
+     */
+    function close() {
+        current = null;
+        UI.closeModal(MODAL_ID);
+        Charts.destroyChart(CHART_ID);
+    }
+
+    /**
+     * Open the history for a clicked parameter element
+     * @param {Element} element - Element with data-quality-series
+     */
+    function openFromElement(element) {
+        try {
+            open(JSON.parse(decodeURIComponent(element.dataset.qualitySeries)));
+        } catch (e) {
+            console.warn('Invalid quality series target:', e);
+        }
+    }
+
+    /**
+     * Bind parameter clicks and the modal controls
+     */
+    function init() {
+        document.addEventListener('click', (e) => {
+            const element = e.target.closest('[data-quality-series]');
+            if (element) openFromElement(element);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && current) {
+                close();
+                return;
+            }
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+
+            const element = e.target.closest && e.target.closest('[data-quality-series]');
+            if (element) {
+                e.preventDefault();
+                openFromElement(element);
+            }
+        });
+
+        document.getElementById('closeQualityHistory').addEventListener('click', close);
+        document.getElementById(MODAL_ID).addEventListener('click', (e) => {
+            if (e.target.id === MODAL_ID) close();
+        });
+    }
+
+    /**
+     * Re-render the open chart (e.g. after a data refresh or language change)
+     */
+    function refresh() {
+        if (current) render(current);
+    }
+
+    return {
+        init,
+        attrs,
+        indexAttrs,
+        open,
+        close,
+        refresh
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityHistory;
+}
@@ -0,0 +1,182 @@
+/**
+ * IZSU Quality Index Module
+ * CCME Water Quality Index (0-100) of sampling points, districts and dams,
+ * scored against the selected standards profile
+ * Cem Baspinar - MIT License
+ */
+
+const QualityIndex = (function() {
+    'use strict';
+
+    // CCME recommends at least four variables; three keeps single-point district reports scored
+    const MIN_VARIABLES = 3;
+
+    // Excursion used when the objective or the value is zero (e.g. E. coli "0", chlorine not detected)
+    const MAX_EXCURSION = 100;
+
+    // CCME categories, best first
+    const CATEGORIES = [
+        { id: 'excellent', min: 95 },
+        { id: 'good', min: 80 },
+        { id: 'fair', min: 65 },
+        { id: 'marginal', min: 45 },
+        { id: 'poor', min: 0 }
+    ];
+
+    /**
+     * Get the CCME category of a score
+     * @param {number} score - Index value (0-100)
+     * @returns {string} Category ID ('excellent' ... 'poor')
+     */
+    function getCategory(score) {
+        return CATEGORIES.find(c => score >= c.min).id;
+    }
+
+    /**
+     * How far a test is outside its objective
+     * @param {number} value - Value in the limit's unit
+     * @param {Object} limit - { min, max }
+     * @returns {number} Excursion (0 if the test passes)
+     */
+    function getExcursion(value, limit) {
+        if (limit.max !== undefined && value > limit.max) {
+            return limit.max > 0 ? Math.min(value / limit.max - 1, MAX_EXCURSION) : Math.min(value, MAX_EXCURSION);
+        }
+        if (limit.min !== undefined && value < limit.min) {
+            return value > 0 ? Math.min(limit.min / value - 1, MAX_EXCURSION) : MAX_EXCURSION;
+        }
+        return 0;
+    }
+
+    /**
+     * Compute the CCME WQI of a set of measurements
+     * F1 (scope) is the share of failed variables, F2 (frequency) the share of failed tests
+     * and F3 (amplitude) the normalized sum of excursions
+     * @param {Array<{name: string, value: *, unit: string}>} measurements - Tests (one per measured value)
+     * @param {Object} limits - Limits keyed by canonical parameter ID
+     * @returns {{score: number, category: string, variables: number, failedVariables: number, tests: number, failedTests: number}|null}
+     *   Index, or null when fewer than MIN_VARIABLES limited parameters were measured
+     */
+    function compute(measurements, limits) {
+        const variables = new Set();
+        const failedVariables = new Set();
+        let tests = 0;
+        let failedTests = 0;
+        let excursionSum = 0;
+
+        (measurements || []).forEach(m => {
+            const id = Standards.resolve(m.name);
+            const limit = id && limits ? limits[id] : null;
+            if (!limit) return;
+
+            const value = Measurement.toLimitValue(Measurement.parse(m.value, m.unit), limit);
+            if (value === null) return;
+
+            variables.add(id);
+            tests++;
+
+            const excursion = getExcursion(value, limit);
+            if (excursion > 0) {
+                failedVariables.add(id);
+                failedTests++;
+                excursionSum += excursion;
+            }
+        });
+
+        if (variables.size < MIN_VARIABLES) return null;
+
+        const f1 = failedVariables.size / variables.size * 100;
+        const f2 = failedTests / tests * 100;
+        const nse = excursionSum / tests;
+        const f3 = nse / (0.01 * nse + 0.01);
+        const score = Math.max(0, 100 - Math.sqrt(f1 * f1 + f2 * f2 + f3 * f3) / 1.732);
+
+        return {
+            score: Math.round(score),
+            category: getCategory(score),
+            variables: variables.size,
+            failedVariables: failedVariables.size,
+            tests,
+            failedTests
+        };
+    }
+
+    /**
+     * Compute the index of one or more reports
+     * Dam reports are scored on treated water only, as raw water is not supplied
+     * @param {Array<Object>} reports - QualityArchive reports
+     * @param {Object} limits - Limits keyed by canonical parameter ID
+     * @returns {Object|null} Index (see compute)
+     */
+    function computeReports(reports, limits) {
+        return compute(reports.flatMap(report => report.parameters || []), limits);
+    }
+
+    /**
+     * Does a report belong to a series
+     * @param {Object} report - QualityArchive report
+     * @param {{kind: string, district: string|null, location: string|null}} target - Series identity;
+     *   a district target without location covers all sampling points of the district
+     * @returns {boolean} True if the report is part of the series
+     */
+    function matches(report, target) {
+        if (report.kind !== target.kind) return false;
+        if (target.district && Utils.normalizePlaceName(report.district) !== Utils.normalizePlaceName(target.district)) return false;
+        return !target.location || report.location === target.location;
+    }
+
+    /**
+     * Get the latest index of a series
+     * @param {Array<Object>} reports - QualityArchive reports
+     * @param {Object} target - Series identity (see matches)
+     * @param {Object} limits - Limits keyed by canonical parameter ID
+     * @returns {Object|null} Index (see compute) with the report date
+     */
+    function getLatest(reports, target, limits) {
+        const history = getHistory(reports, target, limits);
+        return history.length ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Get the index of a series per report date
+     * Reports of several sampling points on the same date are scored together
+     * @param {Array<Object>} reports - Archived and/or live QualityArchive reports
+     * @param {Object} target - Series identity (see matches)
+     * @param {Object} limits - Limits keyed by canonical parameter ID
+     * @returns {Array<Object>} Indexes (see compute) with a date, oldest first
+     */
+    function getHistory(reports, target, limits) {
+        const byDate = {};
+
+        // Later reports with the same identity (live data over the archive) replace earlier ones
+        const unique = {};
+        reports.filter(report => matches(report, target)).forEach(report => { unique[report.id] = report; });
+
+        Object.values(unique).forEach(report => {
+            (byDate[report.date] = byDate[report.date] || []).push(report);
+        });
+
+        return Object.entries(byDate)
+            .map(([date, dateReports]) => {
+                const index = computeReports(dateReports, limits);
+                return index ? { ...index, date } : null;
+            })
+            .filter(index => index)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    return {
+        MIN_VARIABLES,
+        CATEGORIES,
+        getCategory,
+        compute,
+        computeReports,
+        getLatest,
+        getHistory
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityIndex;
+}
@@ -0,0 +1,516 @@
+/**
+ * IZSU Report Module
+ * Builds a printable monthly report (dam status, countdown, production vs
+ * last year, outage statistics, quality exceedances) in the current theme
+ * and language; the browser's print dialog saves it as PDF
+ * Cem Baspinar - MIT License
+ */
+
+const Report = (function() {
+    'use strict';
+
+    // Outage statistics cover the last month
+    const OUTAGE_DAYS = 30;
+    const TOP_NEIGHBORHOODS = 10;
+    const MAX_EXCEEDANCES = 50;
+
+    // Theme variables copied into the report's stylesheet
+    const THEME_VARS = [
+        '--bg-primary', '--bg-secondary', '--bg-tertiary',
+        '--text-primary', '--text-secondary', '--text-muted',
+        '--border-color', '--accent', '--success', '--warning', '--danger', '--font-mono'
+    ];
+
+    /**
+     * Get the locale for number and date formatting
+     * @returns {string} Locale code
+     */
+    function getLocale() {
+        return I18n.getCurrentLanguage() === 'en' ? 'en-US' : 'tr-TR';
+    }
+
+    /**
+     * Format a month for display
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @returns {string} Month name and year
+     */
+    function formatMonth(year, month) {
+        return new Date(year, month - 1, 1).toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Format a number of minutes as hours and minutes
+     * @param {number|null} minutes - Minutes
+     * @returns {string} Duration or "-"
+     */
+    function formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined) return '-';
+        return I18n.t('outages.durationFormat', { h: Math.floor(minutes / 60), m: minutes % 60 });
+    }
+
+    /**
+     * Format a forecast day count
+     * @param {number|null} days - Days remaining or null if beyond the horizon
+     * @param {number} horizonDays - Simulation horizon
+     * @returns {string} Formatted string
+     */
+    function formatDays(days, horizonDays) {
+        if (days === null) {
+            return `${Utils.formatNumber(horizonDays)}+ ${I18n.t('countdown.days')}`;
+        }
+        return `${Utils.formatNumber(Math.floor(days))} ${I18n.t('countdown.days')}`;
+    }
+
+    /**
+     * Format a quality limit
+     * @param {Object} limit - { min, max }
+     * @returns {string} "min - max", "<= max" or ">= min"
+     */
+    function formatLimit(limit) {
+        if (!limit) return '-';
+        if (limit.min !== undefined && limit.max !== undefined) return `${limit.min} - ${limit.max}`;
+        if (limit.max !== undefined) return `≤ ${limit.max}`;
+        return `≥ ${limit.min}`;
+    }
+
+    /**
+     * Render a table
+     * @param {Array<{label: string, right: boolean}>} columns - Columns
+     * @param {Array<Array<string>>} rows - Cell HTML per row
+     * @returns {string} HTML
+     */
+    function renderTable(columns, rows) {
+        const align = col => col.right ? ' class="num"' : '';
+        return `
+            <table>
+                <thead><tr>${columns.map(col => `<th${align(col)}>${Utils.escapeHtml(col.label)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map((cell, i) => `<td${align(columns[i])}>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render a report section
+     * @param {string} title - Section title
+     * @param {string} body - Section HTML
+     * @returns {string} HTML
+     */
+    function renderSection(title, body) {
+        return `<section><h2>${Utils.escapeHtml(title)}</h2>${body}</section>`;
+    }
+
+    /**
+     * Render a row of figures
+     * @param {Array<{label: string, value: string}>} figures - Figures
+     * @returns {string} HTML
+     */
+    function renderFigures(figures) {
+        return `<div class="figures">${figures.map(f => `
+            <div class="figure"><div class="figure-value">${f.value}</div><div class="figure-label">${Utils.escapeHtml(f.label)}</div></div>
+        `).join('')}</div>`;
+    }
+
+    /**
+     * Render a "no data" paragraph
+     * @param {string} text - Message
+     * @returns {string} HTML
+     */
+    function renderEmpty(text) {
+        return `<p class="muted">${Utils.escapeHtml(text)}</p>`;
+    }
+
+    /**
+     * Render dam status
+     * @param {Object} data - Application data
+     * @returns {string} HTML
+     */
+    function renderDams(data) {
+        const damStatus = data.damStatus || [];
+        if (!damStatus.length) return renderSection(I18n.t('dams.title'), renderEmpty(I18n.t('errors.damDataNotFound')));
+
+        const rows = damStatus.map(dam => {
+            const fillRate = dam.DolulukOrani || 0;
+            const fillClass = fillRate >= 70 ? 'good' : fillRate >= 40 ? 'warning' : 'danger';
+            return [
+                Utils.escapeHtml(dam.BarajKuyuAdi || I18n.t('dams.unknown')),
+                `<span class="bar"><span class="bar-fill ${fillClass}" style="width: ${Math.min(100, fillRate)}%"></span></span> ${fillRate.toFixed(1)}%`,
+                Utils.formatLargeNumber(dam.SuDurumu || 0),
+                Utils.formatLargeNumber(dam.MinimumSuKapasitesi || 0),
+                Utils.formatLargeNumber(dam.MaksimumSuKapasitesi || 0)
+            ];
+        });
+
+        return renderSection(I18n.t('dams.title'), renderTable([
+            { label: I18n.t('dams.dam') },
+            { label: I18n.t('dams.fillRate') },
+            { label: `${I18n.t('dams.currentWater')} (m3)`, right: true },
+            { label: `${I18n.t('dams.minCapacity')} (m3)`, right: true },
+            { label: `${I18n.t('dams.maxCapacity')} (m3)`, right: true }
+        ], rows));
+    }
+
+    /**
+     * Render countdown figures and the dead storage ranking
+     * @param {Object} data - Application data
+     * @param {Object|null} forecast - Forecast from Forecast.estimate
+     * @returns {string} HTML
+     */
+    function renderCountdown(data, forecast) {
+        if (!forecast) return renderSection(I18n.t('countdown.title'), renderEmpty(I18n.t('app.noData')));
+
+        const figures = renderFigures([
+            { label: I18n.t('countdown.title'), value: formatDays(forecast.days, forecast.horizonDays) },
+            { label: I18n.t('countdown.pessimistic'), value: formatDays(forecast.pessimisticDays, forecast.horizonDays) },
+            { label: I18n.t('countdown.optimistic'), value: formatDays(forecast.optimisticDays, forecast.horizonDays) },
+            { label: I18n.t(forecast.netDraw >= 0 ? 'countdown.netDraw' : 'countdown.netGain'), value: Utils.formatLargeNumber(Math.abs(forecast.netDraw)) },
+            { label: I18n.t('countdown.production'), value: Utils.formatLargeNumber(forecast.production) },
+            { label: I18n.t('countdown.inflow'), value: Utils.formatLargeNumber(forecast.inflow) },
+            { label: I18n.t('dams.usableWater'), value: `${Utils.formatLargeNumber(forecast.usableWater)} m3` },
+            { label: I18n.t('dams.fillRate'), value: `${forecast.fillPercentage.toFixed(1)}%` }
+        ]);
+
+        const ranking = Forecast.estimatePerDam(data.damStatus || [], data.dailyProduction);
+        const table = ranking.length ? `
+            <h3>${Utils.escapeHtml(I18n.t('countdown.rankingTitle'))}</h3>
+            ${renderTable([
+                { label: I18n.t('dams.dam') },
+                { label: `${I18n.t('dams.usableWater')} (m3)`, right: true },
+                { label: I18n.t('countdown.share'), right: true },
+                { label: I18n.t('countdown.daysLeft'), right: true },
+                { label: I18n.t('countdown.deadStorageDate'), right: true }
+            ], ranking.map(dam => [
+                Utils.escapeHtml(dam.name || I18n.t('dams.unknown')),
+                Utils.formatLargeNumber(dam.usableWater),
+                dam.dailyDraw ? `${dam.share.toFixed(1)}%` : '-',
+                dam.days !== null ? Utils.formatNumber(Math.floor(dam.days)) : I18n.t('countdown.notDrawn'),
+                dam.date ? Utils.formatDate(dam.date) : '-'
+            ]))}
+        ` : '';
+
+        return renderSection(I18n.t('countdown.title'), figures + table);
+    }
+
+    /**
+     * Compare the latest month's production by source with the same month last year
+     * @param {Array} distribution - Production distribution data
+     * @returns {{year: number, month: number, rows: Array<{source: string, current: number, lastYear: number|null}>}|null} Comparison or null without data
+     */
+    function getMonthlyComparison(distribution) {
+        if (!Array.isArray(distribution) || !distribution.length) return null;
+
+        const latest = distribution.reduce((max, d) => {
+            const value = (d.Yil || 0) * 12 + (d.Ay || 0);
+            return value > max ? value : max;
+        }, 0);
+        const year = Math.floor((latest - 1) / 12);
+        const month = latest - year * 12;
+
+        const sum = (rows) => rows.reduce((total, d) => total + (parseInt(d.UretimMiktari) || 0), 0);
+        const current = distribution.filter(d => d.Yil === year && d.Ay === month);
+        const previous = distribution.filter(d => d.Yil === year - 1 && d.Ay === month);
+
+        const sources = [...new Set([...current, ...previous].map(d => d.UretimKaynagi || '-'))];
+        const rows = sources.map(source => {
+            const lastYearRows = previous.filter(d => (d.UretimKaynagi || '-') === source);
+            return {
+                source,
+                current: sum(current.filter(d => (d.UretimKaynagi || '-') === source)),
+                lastYear: lastYearRows.length ? sum(lastYearRows) : null
+            };
+        });
+
+        return { year, month, rows };
+    }
+
+    /**
+     * Format a percentage change
+     * @param {number} current - Current value
+     * @param {number|null} previous - Previous value
+     * @returns {string} HTML
+     */
+    function formatChange(current, previous) {
+        if (!previous) return '-';
+        const change = ((current - previous) / previous) * 100;
+        return `<span class="${change >= 0 ? 'up' : 'down'}">${change >= 0 ? '+' : ''}${change.toFixed(1)}%</span>`;
+    }
+
+    /**
+     * Render production compared with last year
+     * @param {Object} data - Application data
+     * @returns {string} HTML
+     */
+    function renderProduction(data) {
+        const comparison = getMonthlyComparison(data.productionDistribution);
+        if (!comparison) return renderSection(I18n.t('report.production'), renderEmpty(I18n.t('errors.productionDataNotFound')));
+
+        const { year, month, rows } = comparison;
+        const total = rows.reduce((sum, row) => sum + row.current, 0);
+        const hasLastYear = rows.some(row => row.lastYear !== null);
+        const lastYearTotal = hasLastYear ? rows.reduce((sum, row) => sum + (row.lastYear || 0), 0) : null;
+
+        const tableRows = [...rows, { source: I18n.t('production.total'), current: total, lastYear: lastYearTotal, total: true }]
+            .map(row => [
+                row.total ? `<strong>${Utils.escapeHtml(row.source)}</strong>` : Utils.escapeHtml(row.source),
+                Utils.formatNumber(row.current),
+                row.lastYear !== null ? Utils.formatNumber(row.lastYear) : '-',
+                formatChange(row.current, row.lastYear)
+            ]);
+
+        return renderSection(I18n.t('report.production'), `
+            <p class="muted">${Utils.escapeHtml(I18n.t('report.productionPeriod', { current: formatMonth(year, month), previous: formatMonth(year - 1, month) }))}</p>
+            ${renderTable([
+                { label: I18n.t('production.source') },
+                { label: `${formatMonth(year, month)} (m3)`, right: true },
+                { label: `${formatMonth(year - 1, month)} (m3)`, right: true },
+                { label: I18n.t('report.change'), right: true }
+            ], tableRows)}
+        `);
+    }
+
+    /**
+     * Render outage statistics for the last month
+     * @param {Object} data - Application data
+     * @returns {string} HTML
+     */
+    function renderOutages(data) {
+        const title = I18n.t('report.outages', { n: OUTAGE_DAYS });
+        if (data.outagesError && data.outageArchiveError) return renderSection(title, renderEmpty(I18n.t('errors.outageError')));
+
+        const entries = OutageStats.filterByPeriod(OutageStats.getEntries(data), OUTAGE_DAYS);
+        const summary = OutageStats.summarize(entries);
+        const leaderboard = OutageStats.getNeighborhoodLeaderboard(entries, TOP_NEIGHBORHOODS);
+        const active = (data.outages || []).filter(o => o.Ongoru !== '2' || !o.ArizaGiderilmeTarihi);
+
+        const figures = renderFigures([
+            { label: I18n.t('outages.active'), value: Utils.formatNumber(active.length) },
+            { label: I18n.t('outages.total'), value: Utils.formatNumber(summary.count) },
+            { label: I18n.t('outages.meanRepair'), value: formatMinutes(summary.meanMinutes) },
+            { label: I18n.t('outages.medianRepair'), value: formatMinutes(summary.medianMinutes) }
+        ]);
+
+        const table = leaderboard.length ? `
+            <h3>${Utils.escapeHtml(I18n.t('outages.mostAffected'))}</h3>
+            ${renderTable([
+                { label: I18n.t('outages.neighborhood') },
+                { label: I18n.t('outages.district') },
+                { label: I18n.t('outages.outageCount'), right: true },
+                { label: I18n.t('outages.medianRepair'), right: true }
+            ], leaderboard.map(row => [
+                Utils.escapeHtml(row.neighborhood),
+                Utils.escapeHtml(row.district),
+                Utils.formatNumber(row.count),
+                formatMinutes(row.medianMinutes)
+            ]))}
+        ` : renderEmpty(I18n.t('outages.archiveEmpty'));
+
+        return renderSection(title, figures + table);
+    }
+
+    /**
+     * Find measurements violating a mandatory limit of the selected standards profile
+     * Guideline exceedances are left out, as they are shown as warnings elsewhere
+     * Dam reports are checked on treated water only, as raw water is not supplied
+     * @param {Object} data - Application data
+     * @returns {Array<{location: string, param: string, value: string, unit: string, date: string, limit: Object}>} Exceedances
+     */
+    function getExceedances(data) {
+        const limits = App.getQualityLimits();
+        const results = [];
+
+        const check = (location, param, value, unit, date) => {
+            if (Tables.getValueClass(param, value, limits, unit) === 'value-danger') {
+                results.push({ location, param, value, unit: unit || '', date: date || '', limit: Standards.getLimit(limits, param) });
+            }
+        };
+
+        const weeklyData = data.weeklyAnalysis;
+        const analyses = Array.isArray(weeklyData) ? weeklyData : (weeklyData?.TumAnalizler || []);
+        analyses.forEach(analysis => {
+            (analysis.analizSonuclari || []).forEach(r => {
+                check(analysis.NoktaTanimi || '-', r.ParametreAdi, r.ParametreDegeri, r.Birim, r.SonucTarihi);
+            });
+        });
+
+        const districtData = data.districtAnalysis;
+        const districts = Array.isArray(districtData) ? districtData : (districtData?.Ilceler || []);
+        districts.forEach(district => {
+            (district.Noktalar || []).forEach(point => {
+                (point.NoktaAnalizleri || []).forEach(a => {
+                    check(`${district.IlceAdi || '-'} - ${point.Adres || '-'}`, a.ParametreAdi, a.ParametreDegeri, a.Birim, district.AnalizTarihi);
+                });
+            });
+        });
+
+        (data.damQuality?.BarajAnalizleri || []).forEach(dam => {
+            (dam.Analizler || []).forEach(analysis => {
+                (analysis.AnalizElemanlari || []).forEach(e => {
+                    if (e.IslenmisSu === undefined || e.IslenmisSu === null || e.IslenmisSu === '') return;
+                    check(`${dam.BarajAdi || '-'} (${I18n.t('export.treatedWater')})`, e.ParametreAdi, e.IslenmisSu, e.Birim, dam.Tarih);
+                });
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Render quality exceedances
+     * @param {Object} data - Application data
+     * @returns {string} HTML
+     */
+    function renderQuality(data) {
+        const exceedances = getExceedances(data);
+        const standard = renderEmpty(I18n.t('report.standard', {
+            name: Standards.getProfileName(Standards.getActiveProfile())
+        }));
+        if (!exceedances.length) return renderSection(I18n.t('report.quality'), standard + renderEmpty(I18n.t('report.qualityNone')));
+
+        const shown = exceedances.slice(0, MAX_EXCEEDANCES);
+        const more = exceedances.length - shown.length;
+
+        return renderSection(I18n.t('report.quality'), `
+            ${standard}
+            ${renderTable([
+                { label: I18n.t('report.location') },
+                { label: I18n.t('analysis.parameter') },
+                { label: I18n.t('analysis.value'), right: true },
+                { label: I18n.t('report.limit'), right: true },
+                { label: I18n.t('analysis.date'), right: true }
+            ], shown.map(e => [
+                Utils.escapeHtml(e.location),
+                Utils.escapeHtml(Utils.translateParam(e.param)),
+                `<span class="down">${Utils.escapeHtml(Utils.translateValue(e.value))} ${Utils.escapeHtml(Utils.translateUnit(e.unit))}</span>`,
+                Utils.escapeHtml(formatLimit(e.limit)),
+                e.date ? Utils.formatDate(e.date) : '-'
+            ]))}
+            ${more > 0 ? renderEmpty(I18n.t('report.moreExceedances', { n: more })) : ''}
+        `);
+    }
+
+    /**
+     * Build the report stylesheet from the current theme
+     * @returns {string} CSS
+     */
+    function buildStyles() {
+        const style = getComputedStyle(document.documentElement);
+        const vars = THEME_VARS
+            .map(name => `${name}: ${style.getPropertyValue(name).trim()};`)
+            .filter(line => !/:\s*;$/.test(line))
+            .join(' ');
+
+        return `
+            :root { ${vars} }
+            * { box-sizing: border-box; }
+            body { margin: 0; padding: 32px; background: var(--bg-primary, #fff); color: var(--text-primary, #171717);
+                font-family: var(--font-mono, monospace); font-size: 12px; line-height: 1.5;
+                -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px;
+                border-bottom: 2px solid var(--accent, #00d4ff); padding-bottom: 12px; margin-bottom: 24px; }
+            h1 { margin: 0 0 4px; font-size: 20px; color: var(--accent, #00d4ff); }
+            h2 { font-size: 15px; margin: 0 0 12px; }
+            h3 { font-size: 13px; margin: 16px 0 8px; color: var(--text-secondary, #525252); }
+            section { background: var(--bg-secondary, #f5f5f5); border: 1px solid var(--border-color, #e5e5e5);
+                border-radius: 4px; padding: 16px; margin-bottom: 16px; break-inside: avoid-page; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { padding: 6px 8px; border-bottom: 1px solid var(--border-color, #e5e5e5); text-align: left; vertical-align: middle; }
+            th { color: var(--text-muted, #a3a3a3); font-weight: 500; font-size: 11px; text-transform: uppercase; }
+            tr { break-inside: avoid; }
+            .num { text-align: right; white-space: nowrap; }
+            .muted { color: var(--text-muted, #a3a3a3); }
+            .up { color: var(--success, #22c55e); }
+            .down { color: var(--danger, #ef4444); }
+            .figures { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 8px; }
+            .figure { background: var(--bg-tertiary, #eee); border-radius: 4px; padding: 10px; }
+            .figure-value { font-size: 16px; font-weight: 600; color: var(--accent, #00d4ff); }
+            .figure-label { color: var(--text-secondary, #525252); font-size: 11px; }
+            .bar { display: inline-block; width: 80px; height: 6px; background: var(--bg-tertiary, #eee);
+                border-radius: 3px; overflow: hidden; vertical-align: middle; margin-right: 6px; }
+            .bar-fill { display: block; height: 100%; }
+            .bar-fill.good { background: var(--success, #22c55e); }
+            .bar-fill.warning { background: var(--warning, #f59e0b); }
+            .bar-fill.danger { background: var(--danger, #ef4444); }
+            .print-btn { padding: 8px 16px; border: 1px solid var(--accent, #00d4ff); border-radius: 4px; background: transparent;
+                color: var(--accent, #00d4ff); font-family: inherit; cursor: pointer; }
+            footer { color: var(--text-muted, #a3a3a3); font-size: 11px; margin-top: 24px; }
+            @page { margin: 12mm; }
+            @media print { body { padding: 0; } .print-btn { display: none; } }
+        `;
+    }
+
+    /**
+     * Build the report as a standalone HTML document
+     * @param {Object} data - Application data
+     * @param {Object|null} forecast - Forecast from Forecast.estimate
+     * @returns {string} HTML document
+     */
+    function build(data, forecast) {
+        const now = new Date();
+        const title = I18n.t('report.title');
+        const theme = document.documentElement.getAttribute('data-theme') || '';
+
+        return `<!DOCTYPE html>
+<html lang="${I18n.getCurrentLanguage()}" data-theme="${Utils.escapeHtml(theme)}">
+<head>
+<meta charset="UTF-8">
+<title>${Utils.escapeHtml(title)} - ${Utils.escapeHtml(formatMonth(now.getFullYear(), now.getMonth() + 1))}</title>
+<style>${buildStyles()}</style>
+</head>
+<body>
+<header>
+    <div>
+        <h1>${Utils.escapeHtml(title)}</h1>
+        <div>${Utils.escapeHtml(formatMonth(now.getFullYear(), now.getMonth() + 1))}</div>
+        <div class="muted">${Utils.escapeHtml(I18n.t('report.generatedAt', { date: Utils.formatDateTime(now.getTime()) }))}</div>
+    </div>
+    <button type="button" class="print-btn" onclick="window.print()">${Utils.escapeHtml(I18n.t('report.print'))}</button>
+</header>
+${renderDams(data)}
+${renderCountdown(data, forecast)}
+${renderProduction(data)}
+${renderOutages(data)}
+${renderQuality(data)}
+<footer>${Utils.escapeHtml(I18n.t('report.source'))}</footer>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Open the report in a new window, or download it if pop-ups are blocked
+     * The window is opened before the outage archive loads, while the click still allows pop-ups
+     */
+    async function generate() {
+        const win = window.open('', '_blank');
+        await App.loadArchive('outageArchive');
+
+        const html = build(App.getData(), App.getForecast());
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        if (win) {
+            win.location.href = url;
+            // Keep the URL alive long enough for the new window to load it
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            return;
+        }
+
+        URL.revokeObjectURL(url);
+        const now = new Date();
+        const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        Utils.downloadFile(html, `izsu-report-${month}.html`, 'text/html;charset=utf-8');
+        UI.showToast(I18n.t('report.popupBlocked'), 'info');
+    }
+
+    return {
+        build,
+        generate,
+        getMonthlyComparison,
+        getExceedances
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Report;
+}
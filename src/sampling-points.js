@@ -0,0 +1,297 @@
+/**
+ * Sampling Point Geocoder
+ * Resolves the Adres text of district analysis sampling points to coordinates,
+ * offline, against the street and neighborhood gazetteers (data/streets.json,
+ * data/neighborhoods.json) with manual overrides (data/sampling-points.json), and keeps them in a registry
+ * so every report of a point is drawn at the same place on the map
+ * Cem Baspinar - MIT License
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Utils = require('./utils');
+const QualityArchive = require('./quality-archive');
+
+const GAZETTEER_FILE = path.join(__dirname, '..', 'data', 'neighborhoods.json');
+const STREETS_FILE = path.join(__dirname, '..', 'data', 'streets.json');
+const OVERRIDES_FILE = path.join(__dirname, '..', 'data', 'sampling-points.json');
+
+// Points are kept as long as their reports stay in the quality archive
+const REGISTRY_RETENTION_DAYS = QualityArchive.ARCHIVE_RETENTION_DAYS;
+const MS_PER_DAY = 86400000;
+
+// Resolution sources
+const SOURCE_OVERRIDE = 'override';
+const SOURCE_STREET = 'street';
+const SOURCE_NEIGHBORHOOD = 'neighborhood';
+
+// Points resolved to a street or neighborhood centroid are spread around it so they do not overlap (degrees, ~30 m / ~150 m)
+const STREET_SPREAD = 0.0003;
+const NEIGHBORHOOD_SPREAD = 0.0015;
+
+// A street further than this from the neighborhood named in the same address is a namesake elsewhere
+const STREET_MAX_NEIGHBORHOOD_KM = 3;
+const KM_PER_DEGREE = 111.32;
+
+// Address abbreviations expanded before matching ("Alsancak Mah. 1453 Sk." -> "alsancak mahallesi 1453 sokak")
+const ADDRESS_ABBREVIATIONS = [
+    [/\bmah(alle)?\b\.?|\bmh\b\.?/g, ' mahallesi '],
+    [/\bcad\b\.?|\bcd\b\.?/g, ' caddesi '],
+    [/\bsok\b\.?|\bsk\b\.?/g, ' sokak '],
+    [/\bbulv?\b\.?/g, ' bulvari ']
+];
+
+/**
+ * Normalize an address or place name for matching
+ * @param {string} text - Address or name
+ * @returns {string} Lowercase ASCII words separated by single spaces
+ */
+function normalizeAddress(text) {
+    let normalized = Utils.normalizeTurkish(String(text || '')).toLowerCase();
+    ADDRESS_ABBREVIATIONS.forEach(([pattern, replacement]) => {
+        normalized = normalized.replace(pattern, replacement);
+    });
+    return normalized.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Identity of a sampling point: district and address as sent by IZSU
+ * @param {string} district - District name
+ * @param {string} address - Adres field
+ * @returns {string} Registry key
+ */
+function pointKey(district, address) {
+    return [Utils.normalizePlaceName(district), normalizeAddress(address)].join('|');
+}
+
+/**
+ * Read a JSON data file, tolerating a missing or broken file
+ * @param {string} file - File path
+ * @returns {Object|null} Parsed JSON or null
+ */
+function readJsonFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not read ${path.basename(file)}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Load the gazetteers and the manual overrides from the repository
+ * @returns {{gazetteer: Object, streets: Object, overrides: Object}} { district: { neighborhood|street|address: { lat, lng } } } maps
+ */
+function loadGeocodingData() {
+    return {
+        gazetteer: readJsonFile(GAZETTEER_FILE)?.districts || {},
+        streets: readJsonFile(STREETS_FILE)?.districts || {},
+        overrides: readJsonFile(OVERRIDES_FILE)?.points || {}
+    };
+}
+
+/**
+ * Find a district's entries in a { district: {...} } map
+ * @param {Object} map - Gazetteer or overrides
+ * @param {string} district - District name
+ * @returns {Object} Entries of the district (empty if unknown)
+ */
+function getDistrictEntries(map, district) {
+    const key = Utils.normalizePlaceName(district);
+    const name = Object.keys(map || {}).find(d => Utils.normalizePlaceName(d) === key);
+    return name ? map[name] : {};
+}
+
+/**
+ * Check that a value is a { lat, lng } pair
+ * @param {*} coords - Value
+ * @returns {boolean} True if both coordinates are numbers
+ */
+function isValidCoords(coords) {
+    return !!coords && typeof coords.lat === 'number' && typeof coords.lng === 'number' &&
+        isFinite(coords.lat) && isFinite(coords.lng);
+}
+
+/**
+ * Approximate distance between two points (equirectangular, fine within a district)
+ * @param {{lat: number, lng: number}} a - First point
+ * @param {{lat: number, lng: number}} b - Second point
+ * @returns {number} Distance in km
+ */
+function distanceKm(a, b) {
+    const dLng = (b.lng - a.lng) * Math.cos((a.lat + b.lat) / 2 * Math.PI / 180);
+    return Math.hypot(b.lat - a.lat, dLng) * KM_PER_DEGREE;
+}
+
+/**
+ * Find the gazetteer entry named in an address
+ * The longest name wins, so "Yeni Girne" is preferred over "Girne"
+ * @param {string} address - Adres field
+ * @param {Object} places - { name: { lat, lng } } of the district
+ * @returns {{name: string, lat: number, lng: number}|null} Entry or null
+ */
+function findPlace(address, places) {
+    const text = ` ${normalizeAddress(address)} `;
+    let best = null;
+
+    Object.entries(places || {}).forEach(([name, coords]) => {
+        const key = normalizeAddress(name);
+        if (!key || !isValidCoords(coords) || !text.includes(` ${key} `)) return;
+        if (!best || key.length > best.key.length) {
+            best = { key, name, lat: coords.lat, lng: coords.lng };
+        }
+    });
+
+    return best ? { name: best.name, lat: best.lat, lng: best.lng } : null;
+}
+
+/**
+ * Find the gazetteer neighborhood named in an address
+ * @param {string} address - Adres field
+ * @param {Object} neighborhoods - { neighborhood: { lat, lng } } of the district
+ * @returns {{name: string, lat: number, lng: number}|null} Neighborhood or null
+ */
+function findNeighborhood(address, neighborhoods) {
+    return findPlace(address, neighborhoods);
+}
+
+/**
+ * Find the gazetteer street named in an address ("... 1453 Sk." matches "1453 Sokak")
+ * @param {string} address - Adres field
+ * @param {Object} streets - { street: { lat, lng } } of the district
+ * @returns {{name: string, lat: number, lng: number}|null} Street or null
+ */
+function findStreet(address, streets) {
+    return findPlace(address, streets);
+}
+
+/**
+ * Stable offset of a point around its street or neighborhood centroid
+ * Derived from the point's key only, so it does not move when other points appear
+ * @param {string} key - Registry key
+ * @param {number} spread - Distance from the centroid in degrees
+ * @returns {{lat: number, lng: number}} Offset in degrees
+ */
+function spreadOffset(key, spread) {
+    let hash = 0;
+    for (let i = 0; i < key.length; i++) {
+        hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+    }
+    const angle = (hash % 360) * Math.PI / 180;
+    return { lat: Math.sin(angle) * spread, lng: Math.cos(angle) * spread };
+}
+
+/**
+ * Resolve a sampling point's address to coordinates
+ * Manual overrides win over streets, streets over neighborhoods; unmatched addresses stay unresolved
+ * @param {string} district - District name
+ * @param {string} address - Adres field
+ * @param {{gazetteer: Object, streets: Object, overrides: Object}} geocoding - Result of loadGeocodingData
+ * @returns {{lat: number|null, lng: number|null, source: string|null, neighborhood: string|null, street: string|null}} Resolution
+ */
+function resolvePoint(district, address, geocoding) {
+    const addressKey = normalizeAddress(address);
+    const overrides = getDistrictEntries(geocoding?.overrides, district);
+    const overrideName = Object.keys(overrides).find(a => normalizeAddress(a) === addressKey);
+    if (overrideName && isValidCoords(overrides[overrideName])) {
+        const { lat, lng } = overrides[overrideName];
+        return { lat, lng, source: SOURCE_OVERRIDE, neighborhood: null, street: null };
+    }
+
+    const neighborhood = findNeighborhood(address, getDistrictEntries(geocoding?.gazetteer, district));
+    const street = findStreet(address, getDistrictEntries(geocoding?.streets, district));
+    const place = street && (!neighborhood || distanceKm(street, neighborhood) <= STREET_MAX_NEIGHBORHOOD_KM)
+        ? { source: SOURCE_STREET, centroid: street, spread: STREET_SPREAD }
+        : neighborhood && { source: SOURCE_NEIGHBORHOOD, centroid: neighborhood, spread: NEIGHBORHOOD_SPREAD };
+
+    if (place) {
+        const offset = spreadOffset(pointKey(district, address), place.spread);
+        return {
+            lat: Number((place.centroid.lat + offset.lat).toFixed(5)),
+            lng: Number((place.centroid.lng + offset.lng).toFixed(5)),
+            source: place.source,
+            neighborhood: neighborhood?.name || null,
+            street: place.source === SOURCE_STREET ? street.name : null
+        };
+    }
+
+    return { lat: null, lng: null, source: null, neighborhood: null, street: null };
+}
+
+/**
+ * List the sampling points of the district analysis
+ * @param {*} data - cevreilcesuanalizleri
+ * @returns {Array<{district: string, address: string}>} Points
+ */
+function extractSamplingPoints(data) {
+    const districts = Array.isArray(data) ? data : (Array.isArray(data?.Ilceler) ? data.Ilceler : []);
+    const points = [];
+
+    districts.forEach(district => {
+        if (!district.IlceAdi) return;
+        (district.Noktalar || []).forEach(point => {
+            if (point.Adres) points.push({ district: district.IlceAdi, address: point.Adres });
+        });
+    });
+
+    return points;
+}
+
+/**
+ * Merge the latest sampling points into the registry and resolve every point
+ * Known points are resolved again so gazetteer and override edits apply on the next run;
+ * resolution is deterministic, so an unchanged point keeps its coordinates
+ * @param {Object|null} existing - Previous registry { updatedAt, entries }
+ * @param {*} districtAnalysis - cevreilcesuanalizleri (failed endpoint: null or { error })
+ * @param {{gazetteer: Object, overrides: Object}} geocoding - Result of loadGeocodingData
+ * @param {Date} now - Fetch time
+ * @returns {{registry: Object, added: number, unresolved: number, pruned: number}} Updated registry and counts
+ */
+function updateSamplingPoints(existing, districtAnalysis, geocoding, now = new Date()) {
+    const seenAt = now.toISOString();
+    const byId = {};
+    (existing?.entries || []).forEach(entry => { byId[entry.id] = entry; });
+
+    let added = 0;
+    const live = districtAnalysis && !districtAnalysis.error ? extractSamplingPoints(districtAnalysis) : [];
+    live.forEach(({ district, address }) => {
+        const id = pointKey(district, address);
+        const previous = byId[id];
+        if (!previous) added++;
+        byId[id] = {
+            id,
+            district,
+            address,
+            firstSeen: previous?.firstSeen || seenAt,
+            lastSeen: seenAt
+        };
+    });
+
+    const cutoff = now.getTime() - REGISTRY_RETENTION_DAYS * MS_PER_DAY;
+    const entries = Object.values(byId)
+        .filter(entry => new Date(entry.lastSeen).getTime() >= cutoff)
+        .map(entry => ({ ...entry, ...resolvePoint(entry.district, entry.address, geocoding) }))
+        .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+    return {
+        registry: { updatedAt: seenAt, entries },
+        added,
+        unresolved: entries.filter(entry => entry.source === null).length,
+        pruned: Object.keys(byId).length - entries.length
+    };
+}
+
+module.exports = {
+    SOURCE_OVERRIDE,
+    SOURCE_STREET,
+    SOURCE_NEIGHBORHOOD,
+    normalizeAddress,
+    pointKey,
+    distanceKm,
+    loadGeocodingData,
+    findNeighborhood,
+    findStreet,
+    resolvePoint,
+    extractSamplingPoints,
+    updateSamplingPoints
+};
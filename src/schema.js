@@ -0,0 +1,479 @@
+/**
+ * IZSU Schema Module
+ * Snapshot schema version and per-endpoint shape validation
+ * Shared by the front end (API) and the fetcher (src/fetch-data.js)
+ * Cem Baspinar - MIT License
+ */
+
+const Schema = (function() {
+    'use strict';
+
+    // Bump when the snapshot layout written by the fetcher changes
+    // 2: archives and sampling points moved from the snapshot into files of their own
+    const VERSION = 2;
+
+    // Stop collecting after this many problems per endpoint
+    const MAX_ERRORS = 3;
+
+    // An endpoint losing more than this share of its rows to cleaning has changed shape (e.g. a renamed field)
+    const MAX_DROPPED_SHARE = 0.5;
+
+    // IZSU sends numbers as strings in some endpoints
+    const NUMERIC = { type: ['number', 'string'] };
+    const OPTIONAL_NUMERIC = { type: ['number', 'string', 'null'] };
+    const OPTIONAL_STRING = { type: ['string', 'null'] };
+
+    const PARAMETER = {
+        type: 'object',
+        required: ['ParametreAdi'],
+        properties: {
+            ParametreAdi: { type: 'string' },
+            Birim: OPTIONAL_STRING
+        }
+    };
+
+    const WEEKLY_ANALYSIS = {
+        type: 'object',
+        required: ['analizSonuclari'],
+        properties: {
+            NoktaTanimi: OPTIONAL_STRING,
+            analizSonuclari: { type: 'array', items: PARAMETER }
+        }
+    };
+
+    const DISTRICT = {
+        type: 'object',
+        required: ['IlceAdi', 'Noktalar'],
+        properties: {
+            IlceAdi: { type: 'string' },
+            Noktalar: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['NoktaAnalizleri'],
+                    properties: {
+                        Adres: OPTIONAL_STRING,
+                        NoktaAnalizleri: { type: 'array', items: PARAMETER }
+                    }
+                }
+            }
+        }
+    };
+
+    // Expected shape of each endpoint in snapshot.endpoints
+    const ENDPOINT_SCHEMAS = {
+        barajdurum: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['BarajKuyuAdi', 'SuDurumu', 'MinimumSuKapasitesi', 'MaksimumSuKapasitesi', 'DolulukOrani'],
+                properties: {
+                    BarajKuyuAdi: { type: 'string' },
+                    SuDurumu: NUMERIC,
+                    MinimumSuKapasitesi: NUMERIC,
+                    MaksimumSuKapasitesi: NUMERIC,
+                    DolulukOrani: NUMERIC
+                }
+            }
+        },
+        barajvekuyular: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['Adi', 'TurAdi'],
+                properties: {
+                    Adi: { type: 'string' },
+                    TurAdi: { type: 'string' },
+                    Enlem: OPTIONAL_NUMERIC,
+                    Boylam: OPTIONAL_NUMERIC
+                }
+            }
+        },
+        gunluksuuretimi: {
+            type: 'object',
+            required: ['UretimTarihi', 'BarajKuyuUretimleri'],
+            properties: {
+                UretimTarihi: { type: 'string' },
+                BarajKuyuUretimleri: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['BarajKuyuAdi', 'UretimMiktari'],
+                        properties: {
+                            BarajKuyuAdi: { type: 'string' },
+                            UretimMiktari: NUMERIC
+                        }
+                    }
+                }
+            }
+        },
+        suuretiminindagilimi: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['UretimKaynagi', 'UretimMiktari', 'Yil', 'Ay'],
+                properties: {
+                    UretimKaynagi: { type: 'string' },
+                    UretimMiktari: NUMERIC,
+                    Yil: NUMERIC,
+                    Ay: NUMERIC
+                }
+            }
+        },
+        arizakaynaklisukesintileri: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['IlceAdi', 'KesintiTarihi'],
+                properties: {
+                    IlceAdi: { type: 'string' },
+                    KesintiTarihi: { type: 'string' },
+                    Mahalleler: OPTIONAL_STRING,
+                    Aciklama: OPTIONAL_STRING
+                }
+            }
+        },
+        haftaliksuanalizleri: {
+            anyOf: [
+                { type: 'array', items: WEEKLY_ANALYSIS },
+                {
+                    type: 'object',
+                    required: ['TumAnalizler'],
+                    properties: { TumAnalizler: { type: 'array', items: WEEKLY_ANALYSIS } }
+                }
+            ]
+        },
+        cevreilcesuanalizleri: {
+            anyOf: [
+                { type: 'array', items: DISTRICT },
+                {
+                    type: 'object',
+                    required: ['Ilceler'],
+                    properties: { Ilceler: { type: 'array', items: DISTRICT } }
+                }
+            ]
+        },
+        barajsukaliteraporlari: {
+            type: 'object',
+            required: ['BarajAnalizleri'],
+            properties: {
+                BarajAnalizleri: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['BarajAdi', 'Analizler'],
+                        properties: {
+                            BarajAdi: { type: 'string' },
+                            Analizler: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['AnalizElemanlari'],
+                                    properties: {
+                                        AnalizElemanlari: { type: 'array', items: PARAMETER }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    // Expected shape of each entry in snapshot.ckan
+    const CKAN_SCHEMAS = {
+        consumption: {
+            type: 'object',
+            required: ['total'],
+            properties: { total: NUMERIC }
+        }
+    };
+
+    // Expected shape of archives the fetcher keeps at the snapshot top level
+    const ARCHIVE_SCHEMAS = {
+        outageArchive: {
+            type: 'object',
+            required: ['entries'],
+            properties: {
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'district', 'start', 'firstSeen', 'lastSeen'],
+                        properties: {
+                            id: { type: 'string' },
+                            district: OPTIONAL_STRING,
+                            neighborhoods: { type: 'array' },
+                            start: OPTIONAL_STRING,
+                            firstSeen: { type: 'string' },
+                            lastSeen: { type: 'string' },
+                            resolvedAt: OPTIONAL_STRING
+                        }
+                    }
+                }
+            }
+        },
+        qualityArchive: {
+            type: 'object',
+            required: ['entries'],
+            properties: {
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'kind', 'location', 'date', 'parameters'],
+                        properties: {
+                            id: { type: 'string' },
+                            kind: { type: 'string' },
+                            district: OPTIONAL_STRING,
+                            location: { type: 'string' },
+                            date: { type: 'string' },
+                            parameters: { type: 'array' }
+                        }
+                    }
+                }
+            }
+        },
+        samplingPoints: {
+            type: 'object',
+            required: ['entries'],
+            properties: {
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'district', 'address', 'lat', 'lng'],
+                        properties: {
+                            id: { type: 'string' },
+                            district: { type: 'string' },
+                            address: { type: 'string' },
+                            lat: { type: ['number', 'null'] },
+                            lng: { type: ['number', 'null'] },
+                            source: OPTIONAL_STRING
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    /**
+     * Get the JSON type name of a value
+     * @param {*} value - Value
+     * @returns {string} array, null, object, string, number or boolean
+     */
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    /**
+     * Validate a value against a schema, collecting errors
+     * Supports type (string or list), required, properties, items and anyOf
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema
+     * @param {string} path - Path used in messages
+     * @param {Array<string>} errors - Collected errors
+     */
+    function check(value, schema, path, errors) {
+        if (errors.length >= MAX_ERRORS) return;
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(option => {
+                const optionErrors = [];
+                check(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matches) {
+                errors.push(`${path}: does not match any expected shape`);
+            }
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = typeOf(value);
+            if (!types.includes(actual)) {
+                errors.push(`${path}: expected ${types.join('|')}, got ${actual}`);
+                return;
+            }
+        }
+
+        if (schema.required && value && typeof value === 'object') {
+            for (const key of schema.required) {
+                if (!(key in value)) {
+                    errors.push(`${path}.${key}: missing`);
+                    if (errors.length >= MAX_ERRORS) return;
+                }
+            }
+        }
+
+        if (schema.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, propSchema] of Object.entries(schema.properties)) {
+                if (value[key] !== undefined) {
+                    check(value[key], propSchema, `${path}.${key}`, errors);
+                }
+            }
+        }
+
+        if (schema.items && Array.isArray(value)) {
+            for (let i = 0; i < value.length && errors.length < MAX_ERRORS; i++) {
+                check(value[i], schema.items, `${path}[${i}]`, errors);
+            }
+        }
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema
+     * @param {string} path - Root path used in messages
+     * @returns {{valid: boolean, errors: Array<string>}} Result
+     */
+    function validate(value, schema, path = 'value') {
+        const errors = [];
+        check(value, schema, path, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Copy a value without the array items that do not match their schema
+     * Nested lists are cleaned first, so a bad parameter drops only itself, not its sampling point
+     * @param {*} value - Value to clean
+     * @param {Object} schema - Schema
+     * @param {string} path - Path used in messages
+     * @param {{rows: number, dropped: Array<string>}} report - Rows seen and reasons, one per dropped item
+     * @returns {*} Cleaned value (the value itself if nothing was dropped)
+     */
+    function clean(value, schema, path, report) {
+        if (schema.anyOf) {
+            const option = schema.anyOf.find(o => !o.type || [].concat(o.type).includes(typeOf(value)));
+            return option ? clean(value, option, path, report) : value;
+        }
+
+        if (schema.items && Array.isArray(value)) {
+            const kept = [];
+            value.forEach((item, i) => {
+                const cleaned = clean(item, schema.items, `${path}[${i}]`, report);
+                const result = validate(cleaned, schema.items, `${path}[${i}]`);
+                report.rows++;
+                if (result.valid) {
+                    kept.push(cleaned);
+                } else {
+                    report.dropped.push(result.errors[0]);
+                }
+            });
+            return kept.length === value.length && kept.every((item, i) => item === value[i]) ? value : kept;
+        }
+
+        if (schema.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+            let copy = null;
+            for (const [key, propSchema] of Object.entries(schema.properties)) {
+                if (value[key] === undefined) continue;
+                const cleaned = clean(value[key], propSchema, `${path}.${key}`, report);
+                if (cleaned !== value[key]) {
+                    copy = copy || { ...value };
+                    copy[key] = cleaned;
+                }
+            }
+            return copy || value;
+        }
+
+        return value;
+    }
+
+    /**
+     * Drop the rows of an endpoint that do not match its schema
+     * Losing more than MAX_DROPPED_SHARE of the rows makes the endpoint invalid, so a renamed
+     * required field is reported instead of showing up as an empty list; the rest is still
+     * validated, so a change of the overall shape is reported as before
+     * @param {string} endpoint - Endpoint name
+     * @param {*} data - Endpoint data
+     * @returns {{data: *, dropped: Array<string>, valid: boolean, errors: Array<string>}} Cleaned data, one reason per dropped row and the result
+     */
+    function cleanEndpoint(endpoint, data) {
+        const schema = ENDPOINT_SCHEMAS[endpoint] || CKAN_SCHEMAS[endpoint] || ARCHIVE_SCHEMAS[endpoint];
+        const report = { rows: 0, dropped: [] };
+        if (!schema) return { data, dropped: report.dropped, valid: true, errors: [] };
+
+        const cleaned = clean(data, schema, endpoint, report);
+        if (report.dropped.length > report.rows * MAX_DROPPED_SHARE) {
+            return {
+                data: cleaned,
+                dropped: report.dropped,
+                valid: false,
+                errors: [`${endpoint}: ${report.dropped.length} of ${report.rows} rows do not match`, ...report.dropped.slice(0, MAX_ERRORS - 1)]
+            };
+        }
+
+        return { data: cleaned, dropped: report.dropped, ...validate(cleaned, schema, endpoint) };
+    }
+
+    /**
+     * Validate one snapshot endpoint (unknown endpoints are accepted)
+     * @param {string} endpoint - Endpoint name
+     * @param {*} data - Endpoint data
+     * @returns {{valid: boolean, errors: Array<string>}} Result
+     */
+    function validateEndpoint(endpoint, data) {
+        const schema = ENDPOINT_SCHEMAS[endpoint] || CKAN_SCHEMAS[endpoint] || ARCHIVE_SCHEMAS[endpoint];
+        if (!schema) return { valid: true, errors: [] };
+
+        return validate(data, schema, endpoint);
+    }
+
+    /**
+     * Validate every endpoint and archive in a snapshot, skipping endpoints that failed to fetch
+     * @param {Object} snapshot - Snapshot with endpoints and ckan
+     * @returns {Object} Map of endpoint name to {valid, errors}
+     */
+    function validateSnapshot(snapshot) {
+        const results = {};
+        const sections = [snapshot?.endpoints || {}, snapshot?.ckan || {}];
+
+        sections.forEach(section => {
+            for (const [name, data] of Object.entries(section)) {
+                if (data && data.error) continue;
+                results[name] = validateEndpoint(name, data);
+            }
+        });
+
+        Object.keys(ARCHIVE_SCHEMAS).forEach(name => {
+            if (snapshot && snapshot[name]) {
+                results[name] = validateEndpoint(name, snapshot[name]);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Check whether a snapshot was written with a schema this code understands
+     * Snapshots written before versioning have no schemaVersion and count as version 1
+     * @param {Object} snapshot - Snapshot
+     * @returns {boolean} True if supported
+     */
+    function isSupportedVersion(snapshot) {
+        const version = snapshot && snapshot.schemaVersion !== undefined ? snapshot.schemaVersion : 1;
+        return Number.isInteger(version) && version >= 1 && version <= VERSION;
+    }
+
+    return {
+        VERSION,
+        ENDPOINT_SCHEMAS,
+        CKAN_SCHEMAS,
+        ARCHIVE_SCHEMAS,
+        validate,
+        validateEndpoint,
+        cleanEndpoint,
+        validateSnapshot,
+        isSupportedVersion
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Schema;
+}
@@ -0,0 +1,350 @@
+/**
+ * IZSU Search Module
+ * Client-side index over outages, analysis points, parameters and dams/wells
+ * with Turkish-insensitive matching and deep links to the matching card
+ * Cem Baspinar - MIT License
+ */
+
+const Search = (function() {
+    'use strict';
+
+    const MAX_RESULTS = 20;
+
+    // How long a deep-linked card stays highlighted
+    const HIGHLIGHT_MS = 2500;
+
+    let index = [];
+    let indexedData = null;
+    let indexedLang = null;
+    let results = [];
+    let activeIndex = -1;
+
+    /**
+     * Normalize text for matching
+     * @param {string} text - Text
+     * @returns {string} Lowercase text without Turkish diacritics
+     */
+    function normalize(text) {
+        return Utils.normalizeTurkish(String(text || '')).toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Create an index entry
+     * @param {string} type - Result type (translated via search.types)
+     * @param {string} label - Main label
+     * @param {string} detail - Secondary line
+     * @param {Array<string>} terms - Searchable texts
+     * @param {Object} target - { section, tab, filter: { id, value }, key }
+     * @returns {Object} Index entry
+     */
+    function entry(type, label, detail, terms, target) {
+        return {
+            type,
+            label,
+            detail,
+            name: normalize(label),
+            text: normalize([label, detail, ...terms].join(' ')),
+            target
+        };
+    }
+
+    /**
+     * Build the search index from application data
+     * Parameter names are indexed in both languages
+     * @param {Object} data - Application data
+     * @returns {Array<Object>} Index entries
+     */
+    function buildIndex(data) {
+        const entries = [];
+
+        (data.outages || []).forEach(outage => {
+            entries.push(entry('outage',
+                outage.Mahalleler || outage.IlceAdi || '-',
+                [outage.IlceAdi, outage.Tip, outage.KesintiTarihi ? Utils.formatDateTime(outage.KesintiTarihi) : ''].filter(v => v).join(' · '),
+                [outage.Aciklama],
+                {
+                    section: 'kesintiler',
+                    tab: 'guncel',
+                    filter: { id: 'districtFilter', value: outage.IlceAdi || '' },
+                    key: Utils.searchKey('outage', Utils.outageKey(outage))
+                }
+            ));
+        });
+
+        const districtData = data.districtAnalysis;
+        const districts = Array.isArray(districtData) ? districtData : (districtData?.Ilceler || []);
+        districts.forEach(district => {
+            (district.Noktalar || []).forEach(point => {
+                if (!point.Adres) return;
+                entries.push(entry('point', point.Adres, district.IlceAdi || '', [], {
+                    section: 'analizler',
+                    tab: 'ilce',
+                    filter: { id: 'analysisDistrictFilter', value: district.IlceAdi || '' },
+                    key: Utils.searchKey('point', district.IlceAdi, point.Adres)
+                }));
+            });
+        });
+
+        const weeklyData = data.weeklyAnalysis;
+        const analyses = Array.isArray(weeklyData) ? weeklyData : (weeklyData?.TumAnalizler || []);
+        const params = new Set();
+        analyses.forEach(analysis => {
+            (analysis.analizSonuclari || []).forEach(s => s.ParametreAdi && params.add(s.ParametreAdi));
+            if (!analysis.NoktaTanimi) return;
+            entries.push(entry('weekly', analysis.NoktaTanimi, I18n.t('analysis.weekly'), [], {
+                section: 'analizler',
+                tab: 'haftalik',
+                filter: { id: 'parameterFilter', value: '' },
+                key: Utils.searchKey('weekly', analysis.NoktaTanimi)
+            }));
+        });
+
+        params.forEach(param => {
+            const translations = ['tr', 'en']
+                .map(lang => I18n.translateIn(lang, `params.${param}`))
+                .filter(v => typeof v === 'string');
+            entries.push(entry('parameter', Utils.translateParam(param), I18n.t('analysis.weekly'), [param, ...translations], {
+                section: 'analizler',
+                tab: 'haftalik',
+                filter: { id: 'parameterFilter', value: param },
+                key: null
+            }));
+        });
+
+        (data.damQuality?.BarajAnalizleri || []).forEach(dam => {
+            if (!dam.BarajAdi) return;
+            entries.push(entry('damQuality', dam.BarajAdi, I18n.t('analysis.damQuality'), [], {
+                section: 'analizler',
+                tab: 'baraj',
+                filter: { id: 'damQualityFilter', value: dam.BarajAdi },
+                key: Utils.searchKey('damq', dam.BarajAdi)
+            }));
+        });
+
+        (data.damStatus || []).forEach(dam => {
+            if (!dam.BarajKuyuAdi) return;
+            entries.push(entry('dam', dam.BarajKuyuAdi, I18n.t('nav.dams'), [], {
+                section: 'barajlar',
+                key: Utils.searchKey('dam', dam.BarajKuyuAdi)
+            }));
+        });
+
+        (data.damsWells || []).forEach(source => {
+            if (!source.Adi) return;
+            entries.push(entry('source', source.Adi, source.TurAdi || I18n.t('nav.sources'), [], {
+                section: 'kaynaklar',
+                key: Utils.searchKey('source', source.Adi)
+            }));
+        });
+
+        return entries;
+    }
+
+    /**
+     * Search the index
+     * Every word must match; names starting with the query rank first
+     * @param {string} text - Query
+     * @returns {Array<Object>} Matching entries
+     */
+    function query(text) {
+        const q = normalize(text);
+        if (!q) return [];
+
+        ensureIndex();
+        const tokens = q.split(' ');
+        return index
+            .filter(item => tokens.every(token => item.text.includes(token)))
+            .map(item => ({
+                item,
+                score: item.name.startsWith(q) ? 0 : item.name.includes(q) ? 1 : 2
+            }))
+            .sort((a, b) => a.score - b.score || a.item.label.localeCompare(b.item.label, 'tr'))
+            .slice(0, MAX_RESULTS)
+            .map(result => result.item);
+    }
+
+    /**
+     * Rebuild the index if the data or language changed since the last build
+     */
+    function ensureIndex() {
+        const data = App.getData();
+        const lang = I18n.getCurrentLanguage();
+        if (data !== indexedData || lang !== indexedLang) {
+            index = buildIndex(data);
+            indexedData = data;
+            indexedLang = lang;
+        }
+    }
+
+    /**
+     * Render the result dropdown
+     */
+    function renderResults() {
+        const container = document.getElementById('searchResults');
+        const input = document.getElementById('globalSearch');
+
+        if (!input.value.trim()) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = results.length
+            ? results.map((item, i) => `
+                <button type="button" class="search-result ${i === activeIndex ? 'active' : ''}" data-index="${i}" role="option">
+                    <span class="search-result-type">${I18n.t(`search.types.${item.type}`)}</span>
+                    <span class="search-result-label">${Utils.escapeHtml(item.label)}</span>
+                    ${item.detail ? `<span class="search-result-detail">${Utils.escapeHtml(item.detail)}</span>` : ''}
+                </button>
+            `).join('')
+            : `<div class="search-empty">${I18n.t('search.noResults')}</div>`;
+
+        container.classList.remove('hidden');
+
+        container.querySelectorAll('.search-result').forEach(btn => {
+            // mousedown so the input does not blur and close the list first
+            btn.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                select(parseInt(btn.dataset.index));
+            });
+        });
+    }
+
+    /**
+     * Close the result dropdown
+     */
+    function close() {
+        activeIndex = -1;
+        document.getElementById('searchResults').classList.add('hidden');
+    }
+
+    /**
+     * Open a result
+     * @param {number} i - Result index
+     */
+    function select(i) {
+        const item = results[i];
+        if (!item) return;
+
+        const input = document.getElementById('globalSearch');
+        input.value = '';
+        input.blur();
+        results = [];
+        close();
+        open(item.target);
+    }
+
+    /**
+     * Navigate to a result's section, tab and card
+     * @param {Object} target - { section, tab, filter: { id, value }, key }
+     */
+    function open(target) {
+        UI.navigateToSection(target.section);
+
+        const section = document.getElementById(target.section);
+        if (!section) return;
+
+        if (target.tab) {
+            UI.activateTab(section, target.tab);
+        }
+
+        if (target.filter) {
+            const select = document.getElementById(target.filter.id);
+            if (select) {
+                select.value = target.filter.value;
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }
+
+        if (target.section === 'kaynaklar') {
+            MapView.invalidateSize();
+        }
+
+        // Wait for the hash change handler to scroll to the top first
+        setTimeout(() => {
+            const scope = (target.tab && document.getElementById(`${target.tab}-content`)) || section;
+            const element = target.key
+                ? [...scope.querySelectorAll('[data-search-key]')].find(el => el.dataset.searchKey === target.key && el.offsetParent !== null)
+                : null;
+
+            if (!element) return;
+
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.classList.add('search-highlight');
+            setTimeout(() => element.classList.remove('search-highlight'), HIGHLIGHT_MS);
+        }, 50);
+    }
+
+    /**
+     * Handle typing in the search box
+     * @param {Event} e - Input event
+     */
+    function handleInput(e) {
+        results = query(e.target.value);
+        activeIndex = results.length ? 0 : -1;
+        renderResults();
+    }
+
+    /**
+     * Handle keyboard navigation in the search box
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    function handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!results.length) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % results.length;
+            renderResults();
+            const active = document.querySelector('#searchResults .search-result.active');
+            if (active) active.scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            select(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.target.value = '';
+            results = [];
+            close();
+            e.target.blur();
+        }
+    }
+
+    /**
+     * Bind the header search box
+     * Both languages are loaded so parameters match by either name
+     */
+    function init() {
+        const input = document.getElementById('globalSearch');
+        if (!input) return;
+
+        I18n.getAvailableLanguages().forEach(lang => I18n.loadLanguage(lang.code));
+
+        input.addEventListener('input', handleInput);
+        input.addEventListener('keydown', handleKeydown);
+        input.addEventListener('focus', (e) => {
+            if (e.target.value.trim()) handleInput(e);
+        });
+        input.addEventListener('blur', close);
+
+        // "/" focuses the search box unless typing elsewhere
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+            const tag = (document.activeElement?.tagName || '').toLowerCase();
+            if (['input', 'textarea', 'select'].includes(tag)) return;
+            e.preventDefault();
+            input.focus();
+        });
+    }
+
+    return {
+        init,
+        buildIndex,
+        query,
+        open
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Search;
+}
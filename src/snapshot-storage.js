@@ -0,0 +1,281 @@
+/**
+ * Snapshot Storage
+ * Reads and publishes the fetched data snapshot
+ * Backends: GitHub Gist, a file in the repo (data/latest.json) or a local directory
+ * Extra files (e.g. the outage calendar and the archives) are published next to the snapshot
+ * Reads return null only when a file does not exist yet; unreadable or corrupt files
+ * throw, so the fetcher stops instead of rebuilding its archives from empty
+ * Cem Baspinar - MIT License
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+const SNAPSHOT_FILENAME = 'izsu-data.json';
+const REPO_SNAPSHOT_FILE = path.join(__dirname, '..', 'data', 'latest.json');
+
+/**
+ * Minimal GitHub API request helper
+ * @param {Object} options - { method, path, token, body }
+ * @returns {Promise<{statusCode: number, body: string}>} Response
+ */
+function githubRequest({ method, path, token, body = null }) {
+    return new Promise((resolve, reject) => {
+        const headers = {
+            'Authorization': `token ${token}`,
+            'User-Agent': 'IZSU-Fetcher',
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        if (body !== null) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        const req = https.request({ hostname: 'api.github.com', path, method, headers }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+        });
+
+        req.on('error', reject);
+        if (body !== null) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+/**
+ * Download a URL over HTTPS (gist raw file URLs)
+ * @param {string} url - URL
+ * @returns {Promise<string>} Response body
+ */
+function fetchRaw(url) {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { headers: { 'User-Agent': 'IZSU-Fetcher' } }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode === 200) {
+                    resolve(data);
+                } else {
+                    reject(new Error(`Raw file download failed: ${res.statusCode}`));
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a stored JSON file
+ * @param {string} text - File content
+ * @param {string} name - File name for the error message
+ * @returns {Object} Parsed JSON
+ * @throws {Error} If the content is not valid JSON
+ */
+function parseStoredJson(text, name) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${name} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Create gist-backed snapshot storage
+ * @param {Object} options - { gistId, token, filename, request, requestRaw }
+ * @returns {{name: string, read: Function, write: Function}} Storage
+ */
+function createGistStorage({ gistId, token, filename = SNAPSHOT_FILENAME, request = githubRequest, requestRaw = fetchRaw } = {}) {
+    const configured = !!(gistId && token);
+
+    /**
+     * Read a JSON file of the gist
+     * @param {string} name - File name (default: the snapshot)
+     * @returns {Promise<Object|null>} Parsed content, or null if the gist has no such file
+     */
+    async function read(name = filename) {
+        if (!configured) return null;
+
+        const res = await request({ method: 'GET', path: `/gists/${gistId}`, token });
+        if (res.statusCode !== 200) {
+            throw new Error(`Gist read failed: ${res.statusCode}`);
+        }
+
+        const file = parseStoredJson(res.body, 'Gist response').files?.[name];
+        if (!file) return null;
+
+        // The API inlines at most 1 MB per file; larger files are truncated and must be downloaded
+        const content = file.truncated ? await requestRaw(file.raw_url) : file.content;
+        return parseStoredJson(content, name);
+    }
+
+    async function write(content, extraFiles = {}) {
+        if (!configured) {
+            console.log('No GIST_ID or GIST_TOKEN - skipping gist update');
+            console.log('Data preview:', JSON.stringify(content, null, 2).slice(0, 1000));
+            return;
+        }
+
+        const files = {
+            [filename]: {
+                content: JSON.stringify(content, null, 2)
+            }
+        };
+        for (const [name, text] of Object.entries(extraFiles)) {
+            files[name] = { content: text };
+        }
+
+        const payload = JSON.stringify({ files });
+
+        const res = await request({ method: 'PATCH', path: `/gists/${gistId}`, token, body: payload });
+        if (res.statusCode !== 200) {
+            console.log(`Gist update failed: ${res.statusCode} - ${res.body.substring(0, 200)}`);
+            throw new Error(`Gist update failed: ${res.statusCode}`);
+        }
+        console.log('Gist updated successfully');
+    }
+
+    return { name: 'gist', read, write };
+}
+
+/**
+ * Create file-backed snapshot storage
+ * @param {Object} options - { file }
+ * @returns {{name: string, read: Function, write: Function}} Storage
+ */
+function createFileStorage({ file = REPO_SNAPSHOT_FILE } = {}) {
+    /**
+     * Read the snapshot or a file published next to it
+     * @param {string|null} name - File name (default: the snapshot)
+     * @returns {Promise<Object|null>} Parsed content, or null if the file does not exist
+     */
+    async function read(name = null) {
+        const target = name ? path.join(path.dirname(file), name) : file;
+
+        let text;
+        try {
+            text = fs.readFileSync(target, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        return parseStoredJson(text, target);
+    }
+
+    async function write(content, extraFiles = {}) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(content, null, 2));
+        console.log(`Snapshot written to ${file}`);
+
+        for (const [name, text] of Object.entries(extraFiles)) {
+            const extraFile = path.join(path.dirname(file), name);
+            fs.writeFileSync(extraFile, text);
+            console.log(`${name} written to ${extraFile}`);
+        }
+    }
+
+    return { name: `file:${file}`, read, write };
+}
+
+/**
+ * Create directory-backed snapshot storage (e.g. the root of a local static server)
+ * @param {Object} options - { dir, filename }
+ * @returns {{name: string, read: Function, write: Function}} Storage
+ */
+function createDirectoryStorage({ dir, filename = SNAPSHOT_FILENAME } = {}) {
+    if (!dir) {
+        throw new Error('Directory storage needs a directory');
+    }
+    const storage = createFileStorage({ file: path.join(dir, filename) });
+    return { ...storage, name: `dir:${dir}` };
+}
+
+/**
+ * Combine backends: read from the first that has the file, write to all
+ * A backend that fails to read is skipped; if none has the file and one failed, the read fails
+ * @param {Array<Object>} backends - Storage backends in order of preference
+ * @returns {{name: string, read: Function, write: Function}} Storage
+ */
+function createMultiStorage(backends) {
+    async function read(name) {
+        const failures = [];
+        for (const backend of backends) {
+            try {
+                const content = await backend.read(name);
+                if (content) {
+                    console.log(`Existing ${name || 'snapshot'} read from ${backend.name}`);
+                    return content;
+                }
+            } catch (error) {
+                console.log(`✗ ${backend.name}: ${error.message}`);
+                failures.push(backend.name);
+            }
+        }
+        if (failures.length) {
+            throw new Error(`Read failed for: ${failures.join(', ')}`);
+        }
+        return null;
+    }
+
+    async function write(content, extraFiles = {}) {
+        const failures = [];
+        for (const backend of backends) {
+            try {
+                await backend.write(content, extraFiles);
+            } catch (error) {
+                console.log(`✗ ${backend.name}: ${error.message}`);
+                failures.push(backend.name);
+            }
+        }
+        if (failures.length) {
+            throw new Error(`Snapshot write failed for: ${failures.join(', ')}`);
+        }
+    }
+
+    return { name: backends.map(b => b.name).join(','), read, write };
+}
+
+/**
+ * Create storage from a spec such as "gist,file:data/latest.json,dir:/tmp/izsu"
+ * @param {string} spec - Comma separated backends (gist, file[:path], dir:path)
+ * @param {Object} env - Environment with GIST_ID and GIST_TOKEN
+ * @returns {{name: string, read: Function, write: Function}} Storage
+ */
+function createStorageFromSpec(spec = 'gist', env = process.env) {
+    const backends = spec.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+        const [type, ...rest] = item.split(':');
+        const arg = rest.join(':');
+
+        switch (type) {
+            case 'gist':
+                return createGistStorage({ gistId: env.GIST_ID, token: env.GIST_TOKEN });
+            case 'file':
+                return createFileStorage(arg ? { file: path.resolve(arg) } : {});
+            case 'dir':
+                return createDirectoryStorage({ dir: path.resolve(arg) });
+            default:
+                throw new Error(`Unknown snapshot storage: ${item}`);
+        }
+    });
+
+    if (!backends.length) {
+        throw new Error('No snapshot storage configured');
+    }
+
+    return backends.length === 1 ? backends[0] : createMultiStorage(backends);
+}
+
+module.exports = {
+    SNAPSHOT_FILENAME,
+    REPO_SNAPSHOT_FILE,
+    githubRequest,
+    fetchRaw,
+    createGistStorage,
+    createFileStorage,
+    createDirectoryStorage,
+    createMultiStorage,
+    createStorageFromSpec
+};
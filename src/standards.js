@@ -0,0 +1,203 @@
+/**
+ * IZSU Standards Module
+ * Water quality standards profiles (data/standards) and the parameter alias
+ * registry (data/parameter-aliases.json) used to look up limits by any API spelling
+ * Cem Baspinar - MIT License
+ */
+
+const Standards = (function() {
+    'use strict';
+
+    const INDEX_URL = 'data/standards/index.json';
+    const ALIASES_URL = 'data/parameter-aliases.json';
+    const FALLBACK_PROFILE = 'ts266';
+
+    let defaultProfileId = FALLBACK_PROFILE;
+    let profiles = [];
+    let activeProfile = null;
+    const loadedProfiles = {};
+
+    // Normalized parameter name -> canonical parameter ID
+    let aliasIndex = {};
+
+    /**
+     * Normalize a parameter name for alias lookup
+     * Drops parenthesized formulas ("Demir (Fe)"), Turkish diacritics, case and punctuation
+     * @param {string} name - Parameter name
+     * @returns {string} Normalized name
+     */
+    function normalizeName(name) {
+        return Utils.normalizeTurkish(String(name || '').replace(/\(.*?\)/g, ''))
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Build the alias lookup table
+     * @param {Object<string, Array<string>>} aliases - Canonical ID to known spellings
+     * @returns {Object<string, string>} Normalized name to canonical ID
+     */
+    function buildAliasIndex(aliases) {
+        const index = {};
+        Object.entries(aliases || {}).forEach(([id, names]) => {
+            [id, ...(names || [])].forEach(name => {
+                const key = normalizeName(name);
+                if (key && !index[key]) index[key] = id;
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Resolve an API parameter name to its canonical ID
+     * @param {string} name - Parameter name as sent by IZSU
+     * @returns {string|null} Canonical ID or null if unknown
+     */
+    function resolve(name) {
+        return aliasIndex[normalizeName(name)] || null;
+    }
+
+    /**
+     * Fetch a JSON data file
+     * @param {string} url - File URL
+     * @returns {Promise<Object|null>} Parsed JSON or null on failure
+     */
+    async function fetchJson(url) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) return await response.json();
+            console.warn(`Could not load ${url}: HTTP ${response.status}`);
+        } catch (error) {
+            console.warn(`Could not load ${url}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Load a standards profile
+     * @param {string} id - Profile ID
+     * @returns {Promise<Object|null>} Profile { id, reference, parameters } or null
+     */
+    async function loadProfile(id) {
+        if (loadedProfiles[id]) return loadedProfiles[id];
+
+        const entry = profiles.find(p => p.id === id);
+        if (!entry) return null;
+
+        const profile = await fetchJson(`data/standards/${entry.file}`);
+        if (!profile || !profile.parameters) return null;
+
+        loadedProfiles[id] = { ...profile, id, name: entry.name };
+        return loadedProfiles[id];
+    }
+
+    /**
+     * Make a profile the active one
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} True if the profile was loaded
+     */
+    async function setProfile(id) {
+        const profile = await loadProfile(id);
+        if (!profile) return false;
+
+        activeProfile = profile;
+        return true;
+    }
+
+    /**
+     * Load the alias registry, the profile list and the profile chosen in settings
+     * Missing files leave the limits empty so values are shown without color coding
+     */
+    async function init() {
+        const [index, aliases] = await Promise.all([fetchJson(INDEX_URL), fetchJson(ALIASES_URL)]);
+
+        aliasIndex = buildAliasIndex(aliases);
+        profiles = Array.isArray(index?.profiles) ? index.profiles : [];
+        defaultProfileId = index?.default || FALLBACK_PROFILE;
+
+        const selected = Cache.getSettings().qualityStandard;
+        if (!(selected && await setProfile(selected))) {
+            await setProfile(defaultProfileId);
+        }
+
+        renderProfileOptions();
+    }
+
+    /**
+     * Get a profile's display name in the current language
+     * @param {Object} profile - Profile or profile list entry
+     * @returns {string} Name
+     */
+    function getProfileName(profile) {
+        if (!profile) return '-';
+        const name = profile.name || {};
+        return name[I18n.getCurrentLanguage()] || name.tr || profile.id;
+    }
+
+    /**
+     * Fill the settings select with the available profiles
+     */
+    function renderProfileOptions() {
+        const select = document.getElementById('qualityStandardSelect');
+        if (!select) return;
+
+        select.innerHTML = profiles.map(profile =>
+            `<option value="${Utils.escapeHtml(profile.id)}">${Utils.escapeHtml(getProfileName(profile))}</option>`
+        ).join('');
+        select.value = getActiveProfileId() || defaultProfileId;
+    }
+
+    /**
+     * Get the active profile's ID
+     * @returns {string|null} Profile ID
+     */
+    function getActiveProfileId() {
+        return activeProfile ? activeProfile.id : null;
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object|null} Profile { id, name, reference, parameters }
+     */
+    function getActiveProfile() {
+        return activeProfile;
+    }
+
+    /**
+     * Get the active profile's limits keyed by canonical parameter ID
+     * @returns {Object<string, {min: number, max: number, unit: string, mandatory: boolean}>} Limits
+     */
+    function getLimits() {
+        return activeProfile ? activeProfile.parameters : {};
+    }
+
+    /**
+     * Look up the limit for an API parameter name
+     * @param {Object} limits - Limits keyed by canonical parameter ID
+     * @param {string} name - Parameter name as sent by IZSU
+     * @returns {Object|null} Limit or null if the parameter is not limited
+     */
+    function getLimit(limits, name) {
+        const id = resolve(name);
+        return (id && limits && limits[id]) || null;
+    }
+
+    return {
+        init,
+        resolve,
+        normalizeName,
+        setProfile,
+        getProfiles: () => profiles,
+        getProfileName,
+        renderProfileOptions,
+        getActiveProfileId,
+        getActiveProfile,
+        getLimits,
+        getLimit
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Standards;
+}
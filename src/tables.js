@@ -11,24 +11,36 @@ const Tables = (function() {
     let analysisViewMode = localStorage.getItem('izsu_analysisViewMode') || 'card';
     let districtViewMode = localStorage.getItem('izsu_districtViewMode') || 'card';
     let damQualityViewMode = localStorage.getItem('izsu_damQualityViewMode') || 'card';
+    let outageTimelineMonths = parseInt(localStorage.getItem('izsu_outageTimelineMonths')) || 6;
+    let outageStatsDays = parseInt(localStorage.getItem('izsu_outageStatsDays') || '90');
+
+    // Districts shown separately in the timeline chart; the rest are grouped
+    const TIMELINE_TOP_DISTRICTS = 8;
+
+    // Rows in the most affected neighborhoods leaderboard
+    const LEADERBOARD_SIZE = 20;
 
     /**
      * Get value class based on quality limits
-     * @param {string} paramName - Parameter name
-     * @param {*} value - Parameter value
-     * @param {Object} qualityLimits - Quality limit thresholds
+     * Exceeding a guideline (non-mandatory) limit is a warning, not a violation
+     * @param {string} paramName - Parameter name as sent by IZSU
+     * @param {*} value - Parameter value (see Measurement.parse)
+     * @param {Object} qualityLimits - Limits keyed by canonical parameter ID
+     * @param {string} unit - Unit as sent by IZSU (Birim), converted to the limit's unit
      * @returns {string} CSS class name
      */
-    function getValueClass(paramName, value, qualityLimits) {
-        const limit = qualityLimits[paramName];
+    function getValueClass(paramName, value, qualityLimits, unit = null) {
+        const limit = Standards.getLimit(qualityLimits, paramName);
         if (!limit) return 'value-normal';
 
-        const numValue = parseFloat(value);
-        if (isNaN(numValue)) return 'value-normal';
+        const numValue = Measurement.toLimitValue(Measurement.parse(value, unit), limit);
+        if (numValue === null) return 'value-normal';
+
+        const exceeded = limit.mandatory === false ? 'value-warning' : 'value-danger';
 
         if (limit.min !== undefined && limit.max !== undefined) {
             if (numValue < limit.min || numValue > limit.max) {
-                return 'value-danger';
+                return exceeded;
             }
             if (numValue < limit.min * 1.1 || numValue > limit.max * 0.9) {
                 return 'value-warning';
@@ -37,13 +49,13 @@ const Tables = (function() {
         }
 
         if (limit.max !== undefined) {
-            if (numValue > limit.max) return 'value-danger';
+            if (numValue > limit.max) return exceeded;
             if (numValue > limit.max * 0.8) return 'value-warning';
             return 'value-normal';
         }
 
         if (limit.min !== undefined) {
-            if (numValue < limit.min) return 'value-danger';
+            if (numValue < limit.min) return exceeded;
             if (numValue < limit.min * 1.2) return 'value-warning';
             return 'value-normal';
         }
@@ -58,6 +70,16 @@ const Tables = (function() {
     function renderOutageSection(data) {
         const outages = data.outages || [];
 
+        renderYourAreas(data);
+
+        if (data.outagesError) {
+            renderOutageTimeline(data);
+            renderOutageStats(data);
+            document.getElementById('outageStats').innerHTML = '';
+            document.getElementById('outageList').innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.outageError')}<br><span class="text-muted">${Utils.escapeHtml(data.outagesError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
+            return;
+        }
+
         const statsContainer = document.getElementById('outageStats');
         const activeOutages = outages.filter(o => o.Ongoru !== '2' || !o.ArizaGiderilmeTarihi);
         const districts = [...new Set(outages.map(o => o.IlceAdi))];
@@ -83,6 +105,41 @@ const Tables = (function() {
 
         renderOutageList(outages);
         Charts.createOutageDistrictChart(outages);
+        renderOutageTimeline(data);
+        renderOutageStats(data);
+    }
+
+    /**
+     * Render the pinned panel with outages affecting saved areas
+     * @param {Object} data - Application data
+     */
+    function renderYourAreas(data) {
+        const panel = document.getElementById('yourAreasPanel');
+        if (!panel) return;
+
+        const matches = Areas.getMatches(data.outages || []);
+        if (!matches.length || data.outagesError) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        panel.innerHTML = `
+            <h3 class="your-areas-title">${I18n.t('areas.title')}</h3>
+            ${matches.map(({ area, outages }) => {
+                const active = outages.filter(o => o.Ongoru !== '2' || !o.ArizaGiderilmeTarihi);
+                return `
+                    <div class="your-area ${active.length ? 'affected' : ''}">
+                        <div class="your-area-header">
+                            <span class="your-area-name">${Utils.escapeHtml(Areas.formatArea(area))}</span>
+                            <span class="outage-status ${active.length ? '' : 'resolved'}">${active.length ? I18n.t('areas.activeCount', { count: active.length }) : I18n.t('areas.noOutage')}</span>
+                        </div>
+                        ${outages.length ? `<div class="outage-list">${outages.map(renderOutageCard).join('')}</div>` : ''}
+                    </div>
+                `;
+            }).join('')}
+        `;
     }
 
     /**
@@ -103,38 +160,342 @@ const Tables = (function() {
             return;
         }
 
-        container.innerHTML = filtered.map(outage => {
-            const isResolved = outage.Ongoru === '2' && outage.ArizaGiderilmeTarihi;
-            const neighborhoods = (outage.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m);
+        container.innerHTML = filtered.map(renderOutageCard).join('');
+    }
 
-            return `
-                <div class="outage-card ${isResolved ? 'resolved' : ''}">
-                    <div class="outage-card-header">
-                        <div class="outage-location">
-                            <span class="outage-district">${Utils.escapeHtml(outage.IlceAdi || I18n.t('dams.unknown'))}</span>
-                        </div>
-                        <span class="outage-status ${isResolved ? 'resolved' : ''}">${isResolved ? I18n.t('outages.resolved') : I18n.t('outages.active')}</span>
+    /**
+     * Render a single outage card (also used in map popups)
+     * @param {Object} outage - Outage record from IZSU
+     * @returns {string} Card HTML
+     */
+    function renderOutageCard(outage) {
+        const isResolved = outage.Ongoru === '2' && outage.ArizaGiderilmeTarihi;
+        const neighborhoods = (outage.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m);
+
+        return `
+            <div class="outage-card ${isResolved ? 'resolved' : ''}" data-search-key="${Utils.searchKey('outage', Utils.outageKey(outage))}">
+                <div class="outage-card-header">
+                    <div class="outage-location">
+                        <span class="outage-district">${Utils.escapeHtml(outage.IlceAdi || I18n.t('dams.unknown'))}</span>
                     </div>
-                    <div class="outage-meta">
-                        <span>${I18n.t('outages.type')}: ${Utils.escapeHtml(outage.Tip || '-')}</span>
-                        <span>${I18n.t('outages.unit')}: ${Utils.escapeHtml(outage.Birim || '-')}</span>
-                        <span>${I18n.t('labels.start')}: ${Utils.formatDate(outage.KesintiTarihi)}</span>
+                    <span class="outage-status ${isResolved ? 'resolved' : ''}">${isResolved ? I18n.t('outages.resolved') : I18n.t('outages.active')}</span>
+                </div>
+                <div class="outage-meta">
+                    <span>${I18n.t('outages.type')}: ${Utils.escapeHtml(outage.Tip || '-')}</span>
+                    <span>${I18n.t('outages.unit')}: ${Utils.escapeHtml(outage.Birim || '-')}</span>
+                    <span>${I18n.t('labels.start')}: ${Utils.formatDate(outage.KesintiTarihi)}</span>
+                </div>
+                <div class="outage-description">${Utils.escapeHtml(outage.KesintiSuresi || '')}</div>
+                ${outage.Aciklama ? `<div class="outage-description mt-4">${Utils.escapeHtml(outage.Aciklama)}</div>` : ''}
+                ${neighborhoods.length ? `
+                    <div class="outage-neighborhoods">
+                        <div class="outage-neighborhoods-label">${I18n.t('labels.affectedNeighborhoods')}:</div>
+                        <div class="outage-neighborhoods-list">
+                            ${neighborhoods.map(n => `<span class="neighborhood-tag">${Utils.escapeHtml(n)}</span>`).join('')}
+                        </div>
                     </div>
-                    <div class="outage-description">${Utils.escapeHtml(outage.KesintiSuresi || '')}</div>
-                    ${outage.Aciklama ? `<div class="outage-description mt-4">${Utils.escapeHtml(outage.Aciklama)}</div>` : ''}
-                    ${neighborhoods.length ? `
-                        <div class="outage-neighborhoods">
-                            <div class="outage-neighborhoods-label">${I18n.t('labels.affectedNeighborhoods')}:</div>
-                            <div class="outage-neighborhoods-list">
-                                ${neighborhoods.map(n => `<span class="neighborhood-tag">${Utils.escapeHtml(n)}</span>`).join('')}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the month key (YYYY-MM) of an archived outage
+     * @param {Object} entry - Archive entry
+     * @returns {string|null} Month key
+     */
+    function getArchiveMonth(entry) {
+        const date = Dates.parseDateTime(entry.start || entry.firstSeen);
+        if (!date) return null;
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get month keys for the last n months, oldest first
+     * @param {number} months - Number of months
+     * @returns {Array<string>} Month keys
+     */
+    function getRecentMonths(months) {
+        const now = new Date();
+        const keys = [];
+        for (let i = months - 1; i >= 0; i--) {
+            const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            keys.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Format a month key for display
+     * @param {string} monthKey - YYYY-MM
+     * @returns {string} e.g. "Oca 25"
+     */
+    function formatMonthKey(monthKey) {
+        const [year, month] = monthKey.split('-').map(Number);
+        const monthNames = I18n.t('time.months');
+        return `${monthNames[month - 1]} ${String(year).slice(-2)}`;
+    }
+
+    /**
+     * Format the time between outage start and resolution
+     * @param {Object} entry - Archive entry
+     * @returns {string} Duration such as "5 sa 20 dk" or "-"
+     */
+    function formatArchiveDuration(entry) {
+        if (!entry.resolvedAt || !entry.start) return '-';
+
+        const ms = Dates.toTime(entry.resolvedAt) - Dates.toTime(entry.start);
+        if (isNaN(ms) || ms < 0) return '-';
+
+        return formatMinutes(ms / 60000);
+    }
+
+    /**
+     * Format a number of minutes as hours and minutes
+     * @param {number|null} minutes - Minutes
+     * @returns {string} Duration such as "5 sa 20 dk" or "-"
+     */
+    function formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined || isNaN(minutes)) return '-';
+
+        const totalMinutes = Math.round(minutes);
+        const hours = Math.floor(totalMinutes / 60);
+        return I18n.t('outages.durationFormat', { h: hours, m: totalMinutes % 60 });
+    }
+
+    /**
+     * Render outage timeline from the archive
+     * @param {Object} data - Application data
+     * @param {string} filterDistrict - Optional district filter for the list
+     */
+    function renderOutageTimeline(data, filterDistrict = '') {
+        const statsContainer = document.getElementById('outageTimelineStats');
+        const listContainer = document.getElementById('outageTimelineList');
+        if (!statsContainer || !listContainer) return;
+
+        if (data.outageArchiveError && !data.outageArchive) {
+            statsContainer.innerHTML = '';
+            listContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.outageArchiveError')}<br><span class="text-muted">${Utils.escapeHtml(data.outageArchiveError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
+            return;
+        }
+
+        // Loaded when the outage section is first opened
+        if (!data.outageArchive && !data.outageArchiveError) {
+            statsContainer.innerHTML = '';
+            listContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('app.loading')}</p></div>`;
+            return;
+        }
+
+        const months = getRecentMonths(outageTimelineMonths);
+        const entries = (data.outageArchive?.entries || [])
+            .map(entry => ({ entry, month: getArchiveMonth(entry) }))
+            .filter(({ month }) => month && months.includes(month));
+
+        const resolvedCount = entries.filter(({ entry }) => entry.resolvedAt).length;
+        const districts = [...new Set(entries.map(({ entry }) => entry.district || I18n.t('dams.unknown')))];
+
+        statsContainer.innerHTML = `
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.archived')}</div>
+                <div class="stat-mini-value">${entries.length}</div>
+            </div>
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.resolved')}</div>
+                <div class="stat-mini-value">${resolvedCount}</div>
+            </div>
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.districts')}</div>
+                <div class="stat-mini-value">${districts.length}</div>
+            </div>
+        `;
+
+        // Chart: counts per month, top districts plus "others"
+        const districtTotals = {};
+        entries.forEach(({ entry }) => {
+            const district = entry.district || I18n.t('dams.unknown');
+            districtTotals[district] = (districtTotals[district] || 0) + 1;
+        });
+        const topDistricts = Object.entries(districtTotals)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TIMELINE_TOP_DISTRICTS)
+            .map(([district]) => district);
+        const hasOthers = Object.keys(districtTotals).length > topDistricts.length;
+
+        const series = [...topDistricts, ...(hasOthers ? [null] : [])].map(district => ({
+            label: district || I18n.t('outages.otherDistricts'),
+            values: months.map(month => entries.filter(({ entry, month: m }) => {
+                const name = entry.district || I18n.t('dams.unknown');
+                return m === month && (district ? name === district : !topDistricts.includes(name));
+            }).length)
+        }));
+
+        Charts.createOutageTimelineChart(months.map(formatMonthKey), series);
+
+        const districtFilter = document.getElementById('timelineDistrictFilter');
+        if (districtFilter) {
+            districtFilter.innerHTML = `<option value="">${I18n.t('outages.filterAll')}</option>` +
+                districts.sort().map(d => `<option value="${Utils.escapeHtml(d)}"${d === filterDistrict ? ' selected' : ''}>${Utils.escapeHtml(d)}</option>`).join('');
+        }
+
+        const listed = filterDistrict
+            ? entries.filter(({ entry }) => (entry.district || I18n.t('dams.unknown')) === filterDistrict)
+            : entries;
+
+        if (!listed.length) {
+            listContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('outages.archiveEmpty')}</p></div>`;
+            return;
+        }
+
+        listContainer.innerHTML = [...months].reverse().map(month => {
+            const monthEntries = listed.filter(item => item.month === month);
+            if (!monthEntries.length) return '';
+
+            return `
+                <div class="outage-timeline-month">
+                    <h4 class="outage-timeline-month-title">${formatMonthKey(month)} <span class="text-muted">(${monthEntries.length})</span></h4>
+                    ${monthEntries.map(({ entry }) => `
+                        <div class="outage-timeline-item ${entry.resolvedAt ? 'resolved' : ''}">
+                            <div class="outage-timeline-item-header">
+                                <span class="outage-district">${Utils.escapeHtml(entry.district || I18n.t('dams.unknown'))}</span>
+                                <span class="outage-status ${entry.resolvedAt ? 'resolved' : ''}">${entry.resolvedAt ? I18n.t('outages.resolved') : I18n.t('outages.active')}</span>
+                            </div>
+                            <div class="outage-meta">
+                                <span>${I18n.t('labels.start')}: ${Utils.formatDate(entry.start)}</span>
+                                <span>${I18n.t('outages.resolvedAt')}: ${entry.resolvedAt ? Utils.formatDate(entry.resolvedAt) : '-'}${entry.resolution === 'removed' ? ` <span class="text-muted">(${I18n.t('outages.resolvedByRemoval')})</span>` : ''}</span>
+                                <span>${I18n.t('outages.duration')}: ${formatArchiveDuration(entry)}</span>
+                                <span>${I18n.t('outages.type')}: ${Utils.escapeHtml(entry.type || '-')}</span>
                             </div>
+                            ${entry.neighborhoods && entry.neighborhoods.length ? `
+                                <div class="outage-neighborhoods-list">
+                                    ${entry.neighborhoods.map(n => `<span class="neighborhood-tag">${Utils.escapeHtml(n)}</span>`).join('')}
+                                </div>
+                            ` : ''}
                         </div>
-                    ` : ''}
+                    `).join('')}
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * Render repair time statistics and the most affected neighborhoods
+     * @param {Object} data - Application data
+     */
+    function renderOutageStats(data) {
+        const statsContainer = document.getElementById('outageRepairStats');
+        const tableContainer = document.getElementById('neighborhoodLeaderboard');
+        if (!statsContainer || !tableContainer) return;
+
+        if (data.outagesError && data.outageArchiveError) {
+            statsContainer.innerHTML = '';
+            DataExport.unregister('neighborhoodLeaderboard');
+            tableContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.outageError')}<br><span class="text-muted">${Utils.escapeHtml(data.outagesError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
+            return;
+        }
+
+        const entries = OutageStats.filterByPeriod(OutageStats.getEntries(data), outageStatsDays);
+        const summary = OutageStats.summarize(entries);
+        const leaderboard = OutageStats.getNeighborhoodLeaderboard(entries, LEADERBOARD_SIZE);
+
+        statsContainer.innerHTML = `
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.meanRepair')}</div>
+                <div class="stat-mini-value">${formatMinutes(summary.meanMinutes)}</div>
+            </div>
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.medianRepair')}</div>
+                <div class="stat-mini-value">${formatMinutes(summary.medianMinutes)}</div>
+            </div>
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.total')}</div>
+                <div class="stat-mini-value">${summary.count}</div>
+            </div>
+            <div class="stat-mini">
+                <div class="stat-mini-label">${I18n.t('outages.measured')}</div>
+                <div class="stat-mini-value">${summary.measured}</div>
+            </div>
+        `;
+
+        DataExport.register('neighborhoodLeaderboard', () => ({
+            columns: [
+                { key: 'neighborhood', label: I18n.t('outages.neighborhood') },
+                { key: 'district', label: I18n.t('outages.district') },
+                { key: 'count', label: I18n.t('outages.outageCount') },
+                { key: 'medianMinutes', label: I18n.t('export.minutes', { label: I18n.t('outages.medianRepair') }) },
+                { key: 'totalMinutes', label: I18n.t('export.minutes', { label: I18n.t('outages.totalDuration') }) }
+            ],
+            rows: leaderboard
+        }));
+
+        if (!leaderboard.length) {
+            tableContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('outages.archiveEmpty')}</p></div>`;
+            return;
+        }
+
+        tableContainer.innerHTML = `
+            <table class="data-table sortable-table" id="neighborhoodLeaderboardTable">
+                <thead>
+                    <tr>
+                        <th class="sortable" data-col="0">#</th>
+                        <th class="sortable" data-col="1">${I18n.t('outages.neighborhood')}</th>
+                        <th class="sortable" data-col="2">${I18n.t('outages.district')}</th>
+                        <th class="text-right sortable" data-col="3">${I18n.t('outages.outageCount')}</th>
+                        <th class="text-right sortable" data-col="4">${I18n.t('outages.medianRepair')}</th>
+                        <th class="text-right sortable" data-col="5">${I18n.t('outages.totalDuration')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${leaderboard.map((row, i) => `
+                        <tr>
+                            <td data-value="${i + 1}">${i + 1}</td>
+                            <td data-value="${Utils.escapeHtml(row.neighborhood)}">${Utils.escapeHtml(row.neighborhood)}</td>
+                            <td data-value="${Utils.escapeHtml(row.district)}">${Utils.escapeHtml(row.district || '-')}</td>
+                            <td class="text-right" data-value="${row.count}">${row.count}</td>
+                            <td class="text-right" data-value="${row.medianMinutes ?? ''}">${formatMinutes(row.medianMinutes)}</td>
+                            <td class="text-right" data-value="${row.totalMinutes}">${formatMinutes(row.totalMinutes)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        UI.initSortableTable('neighborhoodLeaderboardTable');
+    }
+
+    /**
+     * Set outage statistics period
+     * @param {number} days - Number of days (0 for the whole archive)
+     */
+    function setOutageStatsDays(days) {
+        outageStatsDays = days;
+        localStorage.setItem('izsu_outageStatsDays', days);
+    }
+
+    /**
+     * Get outage statistics period
+     * @returns {number} Number of days
+     */
+    function getOutageStatsDays() {
+        return outageStatsDays;
+    }
+
+    /**
+     * Set outage timeline period
+     * @param {number} months - Number of months
+     */
+    function setOutageTimelineMonths(months) {
+        outageTimelineMonths = months;
+        localStorage.setItem('izsu_outageTimelineMonths', months);
+    }
+
+    /**
+     * Get outage timeline period
+     * @returns {number} Number of months
+     */
+    function getOutageTimelineMonths() {
+        return outageTimelineMonths;
+    }
+
     /**
      * Render analysis section
      * @param {Object} data - Application data
@@ -146,6 +507,81 @@ const Tables = (function() {
         renderDamQuality(data, qualityLimits);
     }
 
+    /**
+     * Export columns shared by the analysis tables
+     * @returns {Array<{key: string, label: string}>} Date, parameter, qualifier, value and unit columns
+     */
+    function measurementColumns() {
+        return [
+            { key: 'date', label: I18n.t('analysis.date') },
+            { key: 'parameter', label: I18n.t('analysis.parameter') },
+            { key: 'qualifier', label: I18n.t('measurement.qualifier') },
+            { key: 'value', label: I18n.t('analysis.value') },
+            { key: 'unit', label: I18n.t('analysis.unit') }
+        ];
+    }
+
+    /**
+     * Get the export value of a measurement
+     * Numeric values (including "0,35" and the bound of "<0.01") become numbers
+     * @param {Object} measurement - Result of Measurement.parse
+     * @returns {number|string} Number, or translated text ('' for missing values)
+     */
+    function exportValue(measurement) {
+        if (measurement.value !== null) return measurement.value;
+        if (measurement.qualifier || !measurement.text) return '';
+        return Utils.translateValue(measurement.text);
+    }
+
+    /**
+     * Build the export fields of one measurement
+     * @param {string} date - Sample date
+     * @param {string} param - Parameter name from IZSU
+     * @param {string} value - Measured value
+     * @param {string} unit - Unit from IZSU
+     * @returns {Object} Row fields matching measurementColumns
+     */
+    function measurementRow(date, param, value, unit) {
+        const measurement = Measurement.parse(value, unit);
+        return {
+            date: date ? Utils.formatDate(date) : '',
+            parameter: Utils.translateParam(param),
+            qualifier: Measurement.formatQualifier(measurement),
+            value: exportValue(measurement),
+            unit: unit ? Utils.translateUnit(unit) : ''
+        };
+    }
+
+    /**
+     * Get the sort value of a table cell
+     * @param {*} value - Value as sent by IZSU
+     * @param {string} unit - Unit as sent by IZSU
+     * @returns {string} Parsed number (0 if not detected), or the original text
+     */
+    function sortValue(value, unit) {
+        const measurement = Measurement.parse(value, unit);
+        if (measurement.qualifier === Measurement.NOT_DETECTED) return '0';
+        return Utils.escapeHtml(measurement.value !== null ? String(measurement.value) : measurement.text);
+    }
+
+    /**
+     * Render a quality index badge that opens the index history
+     * @param {Object|null} index - Result of QualityIndex.getLatest
+     * @param {string} kind - QualityArchive kind ('district' or 'dam')
+     * @param {string|null} district - District name
+     * @param {string|null} location - Sampling point or dam name; null for a whole district
+     * @returns {string} HTML ('' without an index)
+     */
+    function renderIndexBadge(index, kind, district, location) {
+        if (!index) return '';
+
+        const title = I18n.t('qualityIndex.badge', {
+            score: index.score,
+            category: I18n.t(`qualityIndex.categories.${index.category}`)
+        });
+        return `<span class="wqi-badge wqi-${index.category}" ${QualityHistory.indexAttrs(kind, district, location, title)}>${index.score}</span>`;
+    }
+
     /**
      * Render weekly analysis
      * @param {Object} data - Application data
@@ -158,6 +594,7 @@ const Tables = (function() {
         const tableContainer = document.getElementById('weeklyAnalysisTable');
 
         if (data.weeklyAnalysisError) {
+            DataExport.unregister('weeklyAnalysis');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.weeklyAnalysisError')}<br><span class="text-muted">${Utils.escapeHtml(data.weeklyAnalysisError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -167,6 +604,7 @@ const Tables = (function() {
         const analyses = Array.isArray(weeklyData) ? weeklyData : (weeklyData?.TumAnalizler || []);
 
         if (!analyses.length) {
+            DataExport.unregister('weeklyAnalysis');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.weeklyAnalysisNotFound')}</p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -185,6 +623,18 @@ const Tables = (function() {
         paramFilter.innerHTML = `<option value="">${I18n.t('outages.filterAll')}</option>` +
             [...allParams].sort().map(p => `<option value="${Utils.escapeHtml(p)}"${p === currentValue ? ' selected' : ''}>${Utils.escapeHtml(Utils.translateParam(p))}</option>`).join('');
 
+        DataExport.register('weeklyAnalysis', () => ({
+            columns: [
+                { key: 'point', label: I18n.t('labels.point') },
+                ...measurementColumns()
+            ],
+            rows: analyses.flatMap(analysis =>
+                (analysis.analizSonuclari || [])
+                    .filter(r => !filterParam || r.ParametreAdi === filterParam)
+                    .map(r => ({ point: analysis.NoktaTanimi, ...measurementRow(r.SonucTarihi, r.ParametreAdi, r.ParametreDegeri, r.Birim) }))
+            )
+        }));
+
         if (analysisViewMode === 'table') {
             cardContainer.classList.add('hidden');
             tableContainer.classList.remove('hidden');
@@ -212,16 +662,16 @@ const Tables = (function() {
             const latestDate = results.length ? Utils.formatDate(results[0].SonucTarihi) : '-';
 
             return `
-                <div class="analysis-card">
+                <div class="analysis-card" data-search-key="${Utils.searchKey('weekly', analysis.NoktaTanimi)}">
                     <div class="analysis-card-header">
                         <div class="analysis-card-title">${Utils.escapeHtml(analysis.NoktaTanimi || I18n.t('dams.unknown'))}</div>
                         <div class="analysis-card-date">${latestDate}</div>
                     </div>
                     <div class="analysis-params">
                         ${results.slice(0, 8).map(r => {
-                            const valueClass = getValueClass(r.ParametreAdi, r.ParametreDegeri, qualityLimits);
+                            const valueClass = getValueClass(r.ParametreAdi, r.ParametreDegeri, qualityLimits, r.Birim);
                             return `
-                                <div class="analysis-param">
+                                <div class="analysis-param" ${QualityHistory.attrs('weekly', analysis.NoktaTanimi, r.ParametreAdi)}>
                                     <span class="param-name">${Utils.escapeHtml(Utils.translateParam(r.ParametreAdi))}</span>
                                     <span class="param-value ${valueClass}">${Utils.escapeHtml(Utils.translateValue(r.ParametreDegeri) || '-')} ${Utils.escapeHtml(Utils.translateUnit(r.Birim))}</span>
                                 </div>
@@ -282,14 +732,14 @@ const Tables = (function() {
                         });
 
                         return `
-                            <tr>
+                            <tr data-search-key="${Utils.searchKey('weekly', analysis.NoktaTanimi)}">
                                 <td data-value="${Utils.escapeHtml(analysis.NoktaTanimi || '')}">${Utils.escapeHtml(analysis.NoktaTanimi || I18n.t('dams.unknown'))}</td>
                                 <td data-value="${rawDate}">${latestDate}</td>
                                 ${params.map(p => {
                                     const d = valueMap[p];
                                     if (!d) return '<td class="text-center" data-value="">-</td>';
-                                    const valueClass = getValueClass(p, d.value, qualityLimits);
-                                    return `<td class="text-center ${valueClass}" data-value="${d.value || ''}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
+                                    const valueClass = getValueClass(p, d.value, qualityLimits, d.unit);
+                                    return `<td class="text-center ${valueClass}" data-value="${sortValue(d.value, d.unit)}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
                                 }).join('')}
                             </tr>
                         `;
@@ -313,6 +763,7 @@ const Tables = (function() {
         const tableContainer = document.getElementById('districtAnalysisTable');
 
         if (data.districtAnalysisError) {
+            DataExport.unregister('districtAnalysis');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.districtAnalysisError')}<br><span class="text-muted">${Utils.escapeHtml(data.districtAnalysisError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -322,6 +773,7 @@ const Tables = (function() {
         let districts = Array.isArray(districtData) ? districtData : (districtData?.Ilceler || []);
 
         if (!districts.length) {
+            DataExport.unregister('districtAnalysis');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.districtAnalysisNotFound')}</p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -337,6 +789,23 @@ const Tables = (function() {
             districts = districts.filter(d => d.IlceAdi === filterDistrict);
         }
 
+        DataExport.register('districtAnalysis', () => ({
+            columns: [
+                { key: 'district', label: I18n.t('outages.district') },
+                { key: 'address', label: I18n.t('analysis.address') },
+                ...measurementColumns()
+            ],
+            rows: districts.flatMap(district =>
+                (district.Noktalar || []).flatMap(point =>
+                    (point.NoktaAnalizleri || []).map(a => ({
+                        district: district.IlceAdi,
+                        address: point.Adres,
+                        ...measurementRow(district.AnalizTarihi, a.ParametreAdi, a.ParametreDegeri, a.Birim)
+                    }))
+                )
+            )
+        }));
+
         if (districtViewMode === 'table') {
             cardContainer.classList.add('hidden');
             tableContainer.classList.remove('hidden');
@@ -352,23 +821,27 @@ const Tables = (function() {
      * Render district analysis as cards
      */
     function renderDistrictAnalysisCards(districts, container, qualityLimits) {
-        container.innerHTML = districts.map(district => {
+        const reports = QualityArchive.extractDistrictReports(districts);
+
+        const cards = districts.map(district => {
             const points = district.Noktalar || [];
 
             return points.map(point => {
                 const analyses = point.NoktaAnalizleri || [];
+                const index = QualityIndex.getLatest(reports, { kind: 'district', district: district.IlceAdi, location: point.Adres }, qualityLimits);
 
                 return `
-                    <div class="analysis-card">
+                    <div class="analysis-card" data-search-key="${Utils.searchKey('point', district.IlceAdi, point.Adres)}">
                         <div class="analysis-card-header">
+                            ${renderIndexBadge(index, 'district', district.IlceAdi, point.Adres)}
                             <div class="analysis-card-title">${Utils.escapeHtml(district.IlceAdi)} - ${Utils.escapeHtml(point.Adres || I18n.t('dams.unknown'))}</div>
                             <div class="analysis-card-date">${Utils.formatDate(district.AnalizTarihi)}</div>
                         </div>
                         <div class="analysis-params">
                             ${analyses.slice(0, 8).map(a => {
-                                const valueClass = getValueClass(a.ParametreAdi, a.ParametreDegeri, qualityLimits);
+                                const valueClass = getValueClass(a.ParametreAdi, a.ParametreDegeri, qualityLimits, a.Birim);
                                 return `
-                                    <div class="analysis-param">
+                                    <div class="analysis-param" ${QualityHistory.attrs('district', point.Adres, a.ParametreAdi, district.IlceAdi)}>
                                         <span class="param-name">${Utils.escapeHtml(Utils.translateParam(a.ParametreAdi))}</span>
                                         <span class="param-value ${valueClass}">${Utils.escapeHtml(Utils.translateValue(a.ParametreDegeri) || '-')} ${Utils.escapeHtml(Utils.translateUnit(a.Birim))}</span>
                                     </div>
@@ -380,11 +853,43 @@ const Tables = (function() {
             }).join('');
         }).join('');
 
+        container.innerHTML = cards ? renderDistrictIndexSummary(districts, reports, qualityLimits) + cards : '';
+
         if (!container.innerHTML) {
             container.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.noResults')}</p></div>`;
         }
     }
 
+    /**
+     * Render the per-district quality index strip above the sampling point cards
+     * @param {Array} districts - Districts shown
+     * @param {Array<Object>} reports - QualityArchive reports of the districts
+     * @param {Object} qualityLimits - Limits keyed by canonical parameter ID
+     * @returns {string} HTML ('' if no district can be scored)
+     */
+    function renderDistrictIndexSummary(districts, reports, qualityLimits) {
+        const chips = districts.map(district => {
+            const index = QualityIndex.getLatest(reports, { kind: 'district', district: district.IlceAdi }, qualityLimits);
+            if (!index) return '';
+
+            return `
+                <span class="wqi-chip">
+                    ${Utils.escapeHtml(district.IlceAdi)}
+                    ${renderIndexBadge(index, 'district', district.IlceAdi, null)}
+                </span>
+            `;
+        }).join('');
+
+        if (!chips.trim()) return '';
+
+        return `
+            <div class="wqi-summary">
+                <span class="wqi-summary-title">${I18n.t('qualityIndex.districts')}</span>
+                ${chips}
+            </div>
+        `;
+    }
+
     /**
      * Render district analysis as table
      */
@@ -430,15 +935,15 @@ const Tables = (function() {
                 </thead>
                 <tbody>
                     ${rows.map(row => `
-                        <tr>
+                        <tr data-search-key="${Utils.searchKey('point', row.district, row.address)}">
                             <td data-value="${Utils.escapeHtml(row.district)}">${Utils.escapeHtml(row.district)}</td>
                             <td data-value="${Utils.escapeHtml(row.address || '')}">${Utils.escapeHtml(row.address || '-')}</td>
                             <td data-value="${row.date || ''}">${Utils.formatDate(row.date)}</td>
                             ${params.map(p => {
                                 const d = row.values[p];
                                 if (!d) return '<td class="text-center" data-value="">-</td>';
-                                const valueClass = getValueClass(p, d.value, qualityLimits);
-                                return `<td class="text-center ${valueClass}" data-value="${d.value || ''}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
+                                const valueClass = getValueClass(p, d.value, qualityLimits, d.unit);
+                                return `<td class="text-center ${valueClass}" data-value="${sortValue(d.value, d.unit)}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
                             }).join('')}
                         </tr>
                     `).join('')}
@@ -461,6 +966,7 @@ const Tables = (function() {
         const tableContainer = document.getElementById('damQualityTable');
 
         if (data.damQualityError) {
+            DataExport.unregister('damQuality');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.damQualityError')}<br><span class="text-muted">${Utils.escapeHtml(data.damQualityError)}</span><br><button class="btn btn-secondary mt-4" onclick="App.refreshData()">${I18n.t('errors.retry')}</button></p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -468,6 +974,7 @@ const Tables = (function() {
         }
 
         if (!qualityData || !qualityData.BarajAnalizleri) {
+            DataExport.unregister('damQuality');
             cardContainer.innerHTML = `<div class="empty-state"><p class="empty-state-text">${I18n.t('errors.damQualityNotFound')}</p></div>`;
             cardContainer.classList.remove('hidden');
             tableContainer.classList.add('hidden');
@@ -485,6 +992,39 @@ const Tables = (function() {
             dams = dams.filter(d => d.BarajAdi === filterDam);
         }
 
+        DataExport.register('damQuality', () => ({
+            columns: [
+                { key: 'dam', label: I18n.t('dams.dam') },
+                { key: 'type', label: I18n.t('labels.analysisType') },
+                { key: 'date', label: I18n.t('analysis.date') },
+                { key: 'parameter', label: I18n.t('analysis.parameter') },
+                { key: 'treatedQualifier', label: `${I18n.t('export.treatedWater')} - ${I18n.t('measurement.qualifier')}` },
+                { key: 'treated', label: I18n.t('export.treatedWater') },
+                { key: 'rawQualifier', label: `${I18n.t('export.rawWater')} - ${I18n.t('measurement.qualifier')}` },
+                { key: 'raw', label: I18n.t('export.rawWater') },
+                { key: 'unit', label: I18n.t('analysis.unit') }
+            ],
+            rows: dams.flatMap(dam =>
+                (dam.Analizler || []).flatMap(analysis =>
+                    (analysis.AnalizElemanlari || []).map(e => {
+                        const treated = Measurement.parse(e.IslenmisSu, e.Birim);
+                        const raw = Measurement.parse(e.IslenmemisSu, e.Birim);
+                        return {
+                            dam: dam.BarajAdi,
+                            type: analysis.AnalizTipAdi,
+                            date: dam.Tarih ? Utils.formatDate(dam.Tarih) : '',
+                            parameter: Utils.translateParam(e.ParametreAdi),
+                            treatedQualifier: Measurement.formatQualifier(treated),
+                            treated: exportValue(treated),
+                            rawQualifier: Measurement.formatQualifier(raw),
+                            raw: exportValue(raw),
+                            unit: e.Birim ? Utils.translateUnit(e.Birim) : ''
+                        };
+                    })
+                )
+            )
+        }));
+
         if (damQualityViewMode === 'table') {
             cardContainer.classList.add('hidden');
             tableContainer.classList.remove('hidden');
@@ -500,12 +1040,16 @@ const Tables = (function() {
      * Render dam quality as cards
      */
     function renderDamQualityCards(dams, container, qualityLimits) {
+        const reports = QualityArchive.extractDamReports(dams);
+
         container.innerHTML = dams.map(dam => {
             const analyses = dam.Analizler || [];
+            const index = QualityIndex.getLatest(reports, { kind: 'dam', location: dam.BarajAdi }, qualityLimits);
 
             return `
-                <div class="analysis-card">
+                <div class="analysis-card" data-search-key="${Utils.searchKey('damq', dam.BarajAdi)}">
                     <div class="analysis-card-header">
+                        ${renderIndexBadge(index, 'dam', null, dam.BarajAdi)}
                         <div class="analysis-card-title">${Utils.escapeHtml(dam.BarajAdi || I18n.t('dams.unknown'))}</div>
                         <div class="analysis-card-date">${Utils.formatDate(dam.Tarih)}</div>
                     </div>
@@ -517,9 +1061,9 @@ const Tables = (function() {
                                 <div class="analysis-params">
                                     ${elements.slice(0, 6).map(e => {
                                         const value = e.IslenmisSu || e.IslenmemisSu || '-';
-                                        const valueClass = getValueClass(e.ParametreAdi, value, qualityLimits);
+                                        const valueClass = getValueClass(e.ParametreAdi, value, qualityLimits, e.Birim);
                                         return `
-                                            <div class="analysis-param">
+                                            <div class="analysis-param" ${QualityHistory.attrs('dam', dam.BarajAdi, e.ParametreAdi)}>
                                                 <span class="param-name">${Utils.escapeHtml(Utils.translateParam(e.ParametreAdi))}</span>
                                                 <span class="param-value ${valueClass}">${Utils.escapeHtml(Utils.translateValue(value))} ${Utils.escapeHtml(Utils.translateUnit(e.Birim))}</span>
                                             </div>
@@ -586,15 +1130,15 @@ const Tables = (function() {
                 </thead>
                 <tbody>
                     ${rows.map(row => `
-                        <tr>
+                        <tr data-search-key="${Utils.searchKey('damq', row.dam)}">
                             <td data-value="${Utils.escapeHtml(row.dam)}">${Utils.escapeHtml(row.dam)}</td>
                             <td data-value="${Utils.escapeHtml(row.type || '')}">${Utils.escapeHtml(row.type || '-')}</td>
                             <td data-value="${row.date || ''}">${Utils.formatDate(row.date)}</td>
                             ${params.map(p => {
                                 const d = row.values[p];
                                 if (!d) return '<td class="text-center" data-value="">-</td>';
-                                const valueClass = getValueClass(p, d.value, qualityLimits);
-                                return `<td class="text-center ${valueClass}" data-value="${d.value || ''}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
+                                const valueClass = getValueClass(p, d.value, qualityLimits, d.unit);
+                                return `<td class="text-center ${valueClass}" data-value="${sortValue(d.value, d.unit)}">${Utils.escapeHtml(Utils.translateValue(d.value) || '-')}</td>`;
                             }).join('')}
                         </tr>
                     `).join('')}
@@ -647,6 +1191,14 @@ const Tables = (function() {
     return {
         renderOutageSection,
         renderOutageList,
+        renderOutageCard,
+        renderYourAreas,
+        renderOutageTimeline,
+        setOutageTimelineMonths,
+        getOutageTimelineMonths,
+        renderOutageStats,
+        setOutageStatsDays,
+        getOutageStatsDays,
         renderAnalysisSection,
         renderWeeklyAnalysis,
         renderDistrictAnalysis,
@@ -70,8 +70,10 @@ const UI = (function() {
             sec.classList.toggle('active', sec.id === section);
         });
 
-        // Update URL hash
-        window.location.hash = section;
+        // Update URL hash (kept if it already points into this section with a tab or filters)
+        if (UrlState.parse(window.location.hash).section !== section) {
+            window.location.hash = section;
+        }
 
         // Scroll to top
         window.scrollTo(0, 0);
@@ -93,9 +95,8 @@ const UI = (function() {
      * Handle hash change for navigation
      */
     function handleHashChange() {
-        const hash = window.location.hash.slice(1);
-        if (hash) {
-            navigateToSection(hash);
+        if (window.location.hash.slice(1)) {
+            navigateToSection(UrlState.parse(window.location.hash).section);
         }
     }
 
@@ -105,18 +106,26 @@ const UI = (function() {
      */
     function handleTabClick(e) {
         const btn = e.currentTarget;
-        const tabId = btn.dataset.tab;
         const parent = btn.closest('.section');
 
         if (!parent) return;
 
+        activateTab(parent, btn.dataset.tab);
+    }
+
+    /**
+     * Activate a tab within a section
+     * @param {HTMLElement} section - Section element
+     * @param {string} tabId - Tab ID (data-tab value)
+     */
+    function activateTab(section, tabId) {
         // Update button states
-        parent.querySelectorAll('.tab-btn').forEach(b => {
+        section.querySelectorAll('.tab-btn').forEach(b => {
             b.classList.toggle('active', b.dataset.tab === tabId);
         });
 
         // Update tab content
-        parent.querySelectorAll('.tab-content').forEach(content => {
+        section.querySelectorAll('.tab-content').forEach(content => {
             content.classList.toggle('active', content.id === `${tabId}-content`);
         });
     }
@@ -134,6 +143,23 @@ const UI = (function() {
 
         document.getElementById('cacheStatus').textContent =
             `${stats.entryCount} ${I18n.t('status.records')}, ${stats.totalSizeKB} KB`;
+
+        const staleBadge = document.getElementById('staleBadge');
+        if (staleBadge) {
+            staleBadge.classList.toggle('hidden', !API.isStale());
+            staleBadge.classList.toggle('refreshing', API.isRevalidating());
+            staleBadge.textContent = API.isRevalidating() ? I18n.t('status.staleRefreshing') : I18n.t('status.stale');
+        }
+    }
+
+    /**
+     * Show or hide the offline badge in the status bar
+     */
+    function updateConnectionStatus() {
+        const offlineBadge = document.getElementById('offlineBadge');
+        if (offlineBadge) {
+            offlineBadge.classList.toggle('hidden', navigator.onLine);
+        }
     }
 
     /**
@@ -149,8 +175,12 @@ const UI = (function() {
         const themeSelect = document.getElementById('themeSelect');
         const accentSelect = document.getElementById('accentColor');
         const languageSelect = document.getElementById('languageSelect');
+        const staleModeSelect = document.getElementById('staleModeSelect');
+        const areaNotificationsSelect = document.getElementById('areaNotificationsSelect');
 
         if (cacheDurationInput) cacheDurationInput.value = settings.cacheDurationHours || 24;
+        if (staleModeSelect) staleModeSelect.value = settings.staleWhileRevalidate === false ? 'strict' : 'swr';
+        if (areaNotificationsSelect) areaNotificationsSelect.value = settings.areaNotifications ? 'on' : 'off';
         if (themeSelect) themeSelect.value = settings.theme || 'dark';
         if (accentSelect) accentSelect.value = settings.accentColor || 'cyan';
         if (languageSelect) languageSelect.value = I18n.getCurrentLanguage();
@@ -162,11 +192,23 @@ const UI = (function() {
      */
     async function saveSettings() {
         const settings = {
+            ...Cache.getSettings(),
             cacheDurationHours: parseInt(document.getElementById('cacheDuration').value) || 24,
             theme: document.getElementById('themeSelect').value,
-            accentColor: document.getElementById('accentColor').value
+            accentColor: document.getElementById('accentColor').value,
+            staleWhileRevalidate: document.getElementById('staleModeSelect').value !== 'strict',
+            qualityStandard: document.getElementById('qualityStandardSelect').value || Standards.getActiveProfileId(),
+            areaNotifications: false
         };
 
+        if (document.getElementById('areaNotificationsSelect').value === 'on') {
+            const permission = await Areas.requestPermission();
+            settings.areaNotifications = permission === 'granted';
+            if (!settings.areaNotifications) {
+                showToast(I18n.t('areas.permissionDenied'), 'error');
+            }
+        }
+
         // Handle language change
         const newLanguage = document.getElementById('languageSelect').value;
         const currentLanguage = I18n.getCurrentLanguage();
@@ -174,6 +216,11 @@ const UI = (function() {
             await I18n.setLanguage(newLanguage);
         }
 
+        // Re-color quality values against the new standards profile
+        if (settings.qualityStandard !== Standards.getActiveProfileId() && await Standards.setProfile(settings.qualityStandard)) {
+            App.renderQualitySection();
+        }
+
         Cache.saveSettings(settings);
         applySettings();
         Charts.updateAllCharts();
@@ -182,6 +229,108 @@ const UI = (function() {
         showToast(I18n.t('toast.settingsSaved'), 'success');
     }
 
+    /**
+     * Render saved areas in the settings modal and fill the name suggestions
+     */
+    function renderSavedAreas() {
+        const list = document.getElementById('savedAreasList');
+        if (!list) return;
+
+        const areas = Areas.getSavedAreas();
+        list.innerHTML = areas.length
+            ? areas.map((area, i) => `
+                <span class="saved-area-tag">
+                    ${Utils.escapeHtml(Areas.formatArea(area))}
+                    <button class="saved-area-remove" data-index="${i}" aria-label="${I18n.t('areas.remove')}">&times;</button>
+                </span>
+            `).join('')
+            : `<p class="setting-hint">${I18n.t('areas.empty')}</p>`;
+
+        list.querySelectorAll('.saved-area-remove').forEach(btn => {
+            btn.addEventListener('click', handleRemoveArea);
+        });
+
+        const districtOptions = document.getElementById('areaDistrictOptions');
+        if (districtOptions) {
+            districtOptions.innerHTML = Object.keys(getKnownAreaNames()).sort()
+                .map(d => `<option value="${Utils.escapeHtml(d)}">`).join('');
+        }
+        updateNeighborhoodOptions();
+    }
+
+    /**
+     * Collect district and neighborhood names from live and archived outages
+     * @returns {Object<string, Set<string>>} Neighborhood names per district
+     */
+    function getKnownAreaNames() {
+        const data = App.getData();
+        const names = {};
+        const add = (district, neighborhoods) => {
+            if (!district) return;
+            if (!names[district]) names[district] = new Set();
+            neighborhoods.forEach(n => names[district].add(n));
+        };
+
+        (data.outages || []).forEach(o => {
+            add(o.IlceAdi, (o.Mahalleler || '').split(',').map(m => m.trim()).filter(m => m));
+        });
+        (data.outageArchive?.entries || []).forEach(entry => add(entry.district, entry.neighborhoods || []));
+
+        return names;
+    }
+
+    /**
+     * Suggest neighborhoods of the district typed in the saved area form
+     */
+    function updateNeighborhoodOptions() {
+        const options = document.getElementById('areaNeighborhoodOptions');
+        const districtInput = document.getElementById('areaDistrictInput');
+        if (!options || !districtInput) return;
+
+        const district = Utils.normalizePlaceName(districtInput.value);
+        const neighborhoods = new Set();
+        Object.entries(getKnownAreaNames()).forEach(([name, set]) => {
+            if (Utils.normalizePlaceName(name) === district) {
+                set.forEach(n => neighborhoods.add(n));
+            }
+        });
+
+        options.innerHTML = [...neighborhoods].sort()
+            .map(n => `<option value="${Utils.escapeHtml(n)}">`).join('');
+    }
+
+    /**
+     * Add the area entered in the settings modal
+     */
+    function handleAddArea() {
+        const districtInput = document.getElementById('areaDistrictInput');
+        const neighborhoodInput = document.getElementById('areaNeighborhoodInput');
+
+        if (!districtInput.value.trim()) {
+            showToast(I18n.t('areas.districtRequired'), 'error');
+            return;
+        }
+
+        if (Areas.addArea(districtInput.value, neighborhoodInput.value)) {
+            districtInput.value = '';
+            neighborhoodInput.value = '';
+            renderSavedAreas();
+            Tables.renderYourAreas(App.getData());
+        } else {
+            showToast(I18n.t('areas.duplicate'), 'info');
+        }
+    }
+
+    /**
+     * Remove a saved area from the settings modal
+     * @param {Event} e - Click event
+     */
+    function handleRemoveArea(e) {
+        Areas.removeArea(parseInt(e.currentTarget.dataset.index));
+        renderSavedAreas();
+        Tables.renderYourAreas(App.getData());
+    }
+
     /**
      * Clear cache
      */
@@ -233,8 +382,11 @@ const UI = (function() {
         const colIndex = parseInt(column);
 
         rows.sort((a, b) => {
-            const aVal = a.cells[colIndex]?.textContent.trim() || '';
-            const bVal = b.cells[colIndex]?.textContent.trim() || '';
+            // Prefer raw data-value over formatted text when available
+            const aCell = a.cells[colIndex];
+            const bCell = b.cells[colIndex];
+            const aVal = (aCell?.dataset.value ?? aCell?.textContent ?? '').trim();
+            const bVal = (bCell?.dataset.value ?? bCell?.textContent ?? '').trim();
 
             // Try numeric comparison
             const aNum = parseFloat(aVal.replace(/[^\d.-]/g, ''));
@@ -262,11 +414,16 @@ const UI = (function() {
         handleNavClick,
         handleHashChange,
         handleTabClick,
+        activateTab,
         updateStatusBar,
+        updateConnectionStatus,
         applySettings,
         saveSettings,
         clearCache,
-        initSortableTable
+        initSortableTable,
+        renderSavedAreas,
+        updateNeighborhoodOptions,
+        handleAddArea
     };
 })();
 
@@ -0,0 +1,217 @@
+/**
+ * IZSU URL State Module
+ * Keeps the section, tab, filters, periods, view modes and map layer in the
+ * URL hash (e.g. #analizler/ilce?district=Buca&view=table) so links can be shared
+ * Cem Baspinar - MIT License
+ */
+
+const UrlState = (function() {
+    'use strict';
+
+    const DEFAULT_SECTION = 'barajlar';
+
+    // Controls stored in the hash; only those of the active section and tab are written
+    // select: element ID of a <select>, buttons: selector of a button group with data-<attr>,
+    // apply: optional setter used instead of clicking the button or firing the select's change event
+    const FIELDS = [
+        { section: 'barajlar', param: 'range', buttons: '#historyRangeFilter .period-btn', attr: 'range' },
+        { section: 'uretim', param: 'year', select: 'yearSelect' },
+        { section: 'kesintiler', tab: 'guncel', param: 'district', select: 'districtFilter' },
+        { section: 'kesintiler', tab: 'zaman', param: 'months', buttons: '#outageTimelinePeriod .period-btn', attr: 'months' },
+        { section: 'kesintiler', tab: 'zaman', param: 'district', select: 'timelineDistrictFilter' },
+        { section: 'kesintiler', tab: 'istatistik', param: 'days', buttons: '#outageStatsPeriod .period-btn', attr: 'days' },
+        { section: 'analizler', tab: 'haftalik', param: 'view', select: 'analysisViewMode' },
+        { section: 'analizler', tab: 'haftalik', param: 'param', select: 'parameterFilter' },
+        { section: 'analizler', tab: 'ilce', param: 'view', select: 'districtViewMode' },
+        { section: 'analizler', tab: 'ilce', param: 'district', select: 'analysisDistrictFilter' },
+        { section: 'analizler', tab: 'baraj', param: 'view', select: 'damQualityViewMode' },
+        { section: 'analizler', tab: 'baraj', param: 'dam', select: 'damQualityFilter' },
+        // Map controls are bound only once the map exists, so the layer is set directly
+        { section: 'kaynaklar', param: 'layer', buttons: '.map-layer-btn', attr: 'layer', apply: layer => MapView.setMapLayer(layer) },
+        { section: 'kaynaklar', param: 'metric', select: 'choroplethMetric', apply: metric => MapView.setChoroplethMetric(metric) }
+    ];
+
+    // Set while restoring so the change events fired on controls do not rewrite the hash
+    let restoring = false;
+
+    /**
+     * Parse a URL hash
+     * @param {string} hash - Hash such as "#analizler/ilce?district=Buca"
+     * @returns {{section: string, tab: string|null, params: Object}} State
+     */
+    function parse(hash) {
+        const value = String(hash || '').replace(/^#/, '');
+        const queryIndex = value.indexOf('?');
+        const path = queryIndex === -1 ? value : value.slice(0, queryIndex);
+        const query = queryIndex === -1 ? '' : value.slice(queryIndex + 1);
+        const [section, tab] = path.split('/');
+
+        const params = {};
+        new URLSearchParams(query).forEach((v, k) => {
+            params[k] = v;
+        });
+
+        return { section: section || DEFAULT_SECTION, tab: tab || null, params };
+    }
+
+    /**
+     * Format a state as a URL hash
+     * @param {{section: string, tab: string|null, params: Object}} state - State
+     * @returns {string} Hash including the leading "#"
+     */
+    function format(state) {
+        const path = [state.section, state.tab].filter(v => v).join('/');
+        const query = new URLSearchParams(
+            Object.entries(state.params || {}).filter(([, v]) => v !== '' && v !== null && v !== undefined)
+        ).toString();
+        return `#${path}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Get the fields used by a section and tab
+     * @param {string} section - Section ID
+     * @param {string|null} tab - Tab ID
+     * @returns {Array<Object>} Fields
+     */
+    function getFields(section, tab) {
+        return FIELDS.filter(field => field.section === section && (!field.tab || field.tab === tab));
+    }
+
+    /**
+     * Read the current value of a field from the DOM
+     * @param {Object} field - Field definition
+     * @returns {string} Value ('' if unset)
+     */
+    function readField(field) {
+        if (field.select) {
+            const select = document.getElementById(field.select);
+            return select ? select.value : '';
+        }
+
+        const active = [...document.querySelectorAll(field.buttons)].find(btn => btn.classList.contains('active'));
+        return active ? active.dataset[field.attr] : '';
+    }
+
+    /**
+     * Apply a value to a field, running the control's own handler
+     * Values the control does not offer are ignored
+     * @param {Object} field - Field definition
+     * @param {string} value - Value
+     */
+    function applyField(field, value) {
+        if (field.select) {
+            // A value the select does not offer would clear the filter instead of setting it
+            const select = document.getElementById(field.select);
+            if (!select || ![...select.options].some(option => option.value === value)) return;
+            select.value = value;
+            if (field.apply) {
+                field.apply(value);
+            } else {
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return;
+        }
+
+        const button = [...document.querySelectorAll(field.buttons)].find(btn => btn.dataset[field.attr] === value);
+        if (!button || button.classList.contains('active')) return;
+
+        if (field.apply) {
+            field.apply(value);
+        } else {
+            button.click();
+        }
+    }
+
+    /**
+     * Read the current state from the DOM
+     * @returns {{section: string, tab: string|null, params: Object}} State
+     */
+    function capture() {
+        const section = document.querySelector('.section.active');
+        const sectionId = section ? section.id : DEFAULT_SECTION;
+        const tabBtn = section ? section.querySelector('.tab-btn.active') : null;
+        const tab = tabBtn ? tabBtn.dataset.tab : null;
+
+        const params = {};
+        getFields(sectionId, tab).forEach(field => {
+            params[field.param] = readField(field);
+        });
+
+        return { section: sectionId, tab, params };
+    }
+
+    /**
+     * Apply a state to the page
+     * Params missing from the state keep their current values
+     * @param {{section: string, tab: string|null, params: Object}} state - State
+     * @param {boolean} includeParams - Also apply filters and view modes (needs loaded data)
+     */
+    function restore(state, includeParams = true) {
+        const section = document.getElementById(state.section);
+        if (!section || !section.classList.contains('section')) return;
+
+        restoring = true;
+        try {
+            if (!section.classList.contains('active')) {
+                UI.navigateToSection(state.section);
+            }
+
+            if (state.tab && [...section.querySelectorAll('.tab-btn')].some(btn => btn.dataset.tab === state.tab)) {
+                UI.activateTab(section, state.tab);
+            }
+
+            if (includeParams) {
+                const tabBtn = section.querySelector('.tab-btn.active');
+                getFields(state.section, tabBtn ? tabBtn.dataset.tab : null).forEach(field => {
+                    if (field.param in state.params) {
+                        applyField(field, state.params[field.param]);
+                    }
+                });
+            }
+        } finally {
+            restoring = false;
+        }
+    }
+
+    /**
+     * Write the current state to the hash without adding a history entry
+     */
+    function sync() {
+        if (restoring) return;
+
+        const hash = format(capture());
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Keep the hash in sync with tab clicks and stored controls
+     * Listens on the document so the controls' own handlers run first
+     */
+    function init() {
+        const selects = FIELDS.filter(field => field.select).map(field => `#${field.select}`).join(', ');
+        const buttons = ['.tab-btn', ...FIELDS.filter(field => field.buttons).map(field => field.buttons)].join(', ');
+
+        document.addEventListener('change', (e) => {
+            if (e.target.matches && e.target.matches(selects)) sync();
+        });
+        document.addEventListener('click', (e) => {
+            if (e.target.closest && e.target.closest(buttons)) sync();
+        });
+    }
+
+    return {
+        parse,
+        format,
+        capture,
+        restore,
+        sync,
+        init
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlState;
+}
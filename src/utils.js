@@ -147,6 +147,19 @@ const Utils = (function() {
             .replace(/Â/g, 'A');
     }
 
+    /**
+     * Normalize a district or neighborhood name for matching
+     * @param {string} name - Place name such as "ALSANCAK MAH."
+     * @returns {string} Lowercase ASCII name without the "Mahallesi" suffix
+     */
+    function normalizePlaceName(name) {
+        return normalizeTurkish(name || '')
+            .toLowerCase()
+            .replace(/\s+mah(allesi|\.)?$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     /**
      * Get color for fill bar based on percentage
      * @param {number} pct - Percentage (0-100)
@@ -174,6 +187,43 @@ const Utils = (function() {
         return `rgb(${r}, ${g}, ${b})`;
     }
 
+    /**
+     * Identity of an outage: district, neighborhoods, start time and type
+     * @param {Object} outage - Outage record from IZSU
+     * @returns {string} Key
+     */
+    function outageKey(outage) {
+        return [outage.IlceAdi, outage.Mahalleler, outage.KesintiTarihi, outage.Tip].map(v => v || '').join('|');
+    }
+
+    /**
+     * Build a DOM-safe key for search deep links (data-search-key)
+     * @param {string} type - Result type such as 'outage' or 'source'
+     * @param {...string} parts - Identifying names
+     * @returns {string} Key such as "source:tahtali-baraji"
+     */
+    function searchKey(type, ...parts) {
+        return `${type}:${parts.map(p => normalizePlaceName(p).replace(/[^a-z0-9]+/g, '-')).join('|')}`;
+    }
+
+    /**
+     * Download text content as a file
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    function downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     return {
         translateParam,
         translateValue,
@@ -184,6 +234,10 @@ const Utils = (function() {
         formatLargeNumber,
         escapeHtml,
         normalizeTurkish,
+        normalizePlaceName,
+        outageKey,
+        searchKey,
+        downloadFile,
         getGradientColor
     };
 })();
@@ -0,0 +1,191 @@
+/**
+ * IZSU Service Worker
+ * Precaches the app shell and local data files, runtime-caches the
+ * snapshot, CDN libraries and map tiles so the dashboard opens offline
+ * Cem Baspinar - MIT License
+ */
+
+'use strict';
+
+// Bump on every change to PRECACHE_URLS so the new worker drops the old caches
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `izsu-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `izsu-data-${CACHE_VERSION}`;
+const LIB_CACHE = `izsu-lib-${CACHE_VERSION}`;
+const TILE_CACHE = `izsu-tiles-${CACHE_VERSION}`;
+
+const MAX_TILES = 500;
+
+// App shell and local data (keep in sync with index.html)
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icon.svg',
+    'src/styles.css',
+    'src/cache.js',
+    'src/schema.js',
+    'src/dates.js',
+    'src/ical.js',
+    'src/api.js',
+    'src/i18n.js',
+    'src/utils.js',
+    'src/charts.js',
+    'src/export.js',
+    'src/ui.js',
+    'src/history.js',
+    'src/forecast.js',
+    'src/countdown.js',
+    'src/outage-stats.js',
+    'src/measurement.js',
+    'src/standards.js',
+    'src/quality-archive.js',
+    'src/quality-index.js',
+    'src/quality-history.js',
+    'src/areas.js',
+    'src/tables.js',
+    'src/production.js',
+    'src/map.js',
+    'src/report.js',
+    'src/search.js',
+    'src/url-state.js',
+    'src/app.js',
+    'lang/tr.json',
+    'lang/en.json',
+    'data/locations.json',
+    'data/neighborhoods.json',
+    'data/history.json',
+    'data/history/manifest.json',
+    'data/izmir-boundary.geojson',
+    'data/izmir-districts.geojson',
+    'data/parameter-aliases.json',
+    'data/standards/index.json',
+    'data/standards/ts266.json',
+    'data/standards/who.json',
+    'data/standards/eu-2020-2184.json'
+];
+
+// Snapshot hosts (responses vary only by the cache-busting ?t= param)
+const SNAPSHOT_HOSTS = ['gist.githubusercontent.com'];
+
+const LIB_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const TILE_HOST_SUFFIX = 'basemaps.cartocdn.com';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, LIB_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('izsu-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Saved area notifications are shown by this worker; a click brings the app to the front
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => clients.length ? clients[0].focus() : self.clients.openWindow('./'))
+    );
+});
+
+/**
+ * Network first, falling back to the cache (query string ignored)
+ * Successful responses are stored without the query string
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const url = new URL(request.url);
+    url.search = '';
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(url.href, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(url.href) || await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from cache and refresh in the background
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Opaque responses (no-cors scripts, fonts) are cached as-is
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/**
+ * Cache first for map tiles, keeping at most MAX_TILES entries
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+
+        const keys = await cache.keys();
+        if (keys.length > MAX_TILES) {
+            await Promise.all(keys.slice(0, keys.length - MAX_TILES).map(key => cache.delete(key)));
+        }
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Local data changes often; the shell is refreshed on each online visit too
+        const cacheName = url.pathname.includes('/data/') ? DATA_CACHE : SHELL_CACHE;
+        event.respondWith(networkFirst(request, cacheName));
+    } else if (SNAPSHOT_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (url.hostname.endsWith(TILE_HOST_SUFFIX)) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (LIB_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, LIB_CACHE));
+    }
+});
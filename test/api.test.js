@@ -0,0 +1,119 @@
+/**
+ * Tests for snapshot loading in the front end API (src/api.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'izsu');
+const SNAPSHOT_URL = 'https://mirror.example/izsu-data.json';
+
+function fixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+/**
+ * Snapshot with every endpoint from the fixtures
+ */
+function snapshot(overrides = {}) {
+    const endpoints = {};
+    fs.readdirSync(FIXTURES_DIR)
+        .filter(file => !file.includes('_'))
+        .forEach(file => { endpoints[path.basename(file, '.json')] = fixture(file); });
+
+    return {
+        schemaVersion: 2,
+        timestamp: new Date().toISOString(),
+        endpoints: { ...endpoints, suuretiminindagilimi: fixture('suuretiminindagilimi_2025.json'), ...overrides },
+        ckan: {}
+    };
+}
+
+// api.js is a browser module: it reads Schema, Cache, window and fetch from the global scope
+global.Schema = require('../src/schema');
+global.window = { location: { href: 'https://aft.github.io/izmirsu/' } };
+global.Cache = {
+    getEntry: () => null,
+    set: () => {},
+    getTimestamp: () => null,
+    isStaleWhileRevalidate: () => false
+};
+const API = require('../src/api');
+
+describe('api', () => {
+    let served;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(global, 'fetch', async () => ({ ok: true, status: 200, json: async () => served }));
+        API.setSnapshotSources([SNAPSHOT_URL]);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('fetchAll', () => {
+        it('returns the endpoints without errors', async () => {
+            served = snapshot();
+
+            const data = await API.fetchAll(true);
+
+            assert.equal(data.damStatus.length, 2);
+            assert.equal(data.damStatusError, null);
+            assert.equal(data.outagesError, null);
+        });
+
+        it('reports a renamed required field instead of an empty list', async () => {
+            const dams = fixture('barajdurum.json').map(({ SuDurumu, ...dam }) => ({ ...dam, SuMiktari: SuDurumu }));
+            served = snapshot({ barajdurum: dams });
+
+            const data = await API.fetchAll(true);
+
+            assert.deepEqual(data.damStatus, []);
+            assert.match(data.damStatusError, /Unexpected data format: barajdurum: 2 of 2 rows do not match/);
+            assert.equal(data.outagesError, null);
+        });
+
+        it('reports an endpoint the fetcher failed on', async () => {
+            served = snapshot({ arizakaynaklisukesintileri: { error: 'Request timeout' } });
+
+            const data = await API.fetchAll(true);
+
+            assert.deepEqual(data.outages, []);
+            assert.equal(data.outagesError, 'Fetch failed: Request timeout');
+        });
+
+        it('reports every endpoint when no snapshot can be loaded', async () => {
+            mock.method(global, 'fetch', async () => ({ ok: false, status: 503 }));
+
+            const data = await API.fetchAll(true);
+
+            assert.equal(data.damStatusError, 'Snapshot unavailable');
+            assert.equal(data.dailyProductionError, 'Snapshot unavailable');
+        });
+    });
+
+    describe('cache keys', () => {
+        it('does not serve data cached from the default source to a snapshot override', async () => {
+            const cached = new Map([['barajdurum', { data: [{ cached: true }], stale: false }]]);
+            mock.method(Cache, 'getEntry', key => cached.get(key) || null);
+            mock.method(Cache, 'set', (key, data) => cached.set(key, { data, stale: false }));
+            served = snapshot();
+
+            API.setSnapshotSources([]);
+            assert.deepEqual(await API.getDamStatus(), [{ cached: true }]);
+
+            API.setSnapshotSources([SNAPSHOT_URL]);
+            assert.equal((await API.getDamStatus()).length, 2);
+            assert.ok(cached.has(`barajdurum@${SNAPSHOT_URL}`));
+
+            API.setSnapshotSources([]);
+            assert.deepEqual(await API.getDamStatus(), [{ cached: true }]);
+        });
+    });
+});
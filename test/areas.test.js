@@ -0,0 +1,85 @@
+/**
+ * Tests for saved area notifications (src/areas.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// areas.js is a browser module: it reads Cache, Utils, I18n, localStorage,
+// Notification and navigator from the global scope
+const storage = new Map();
+global.localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value))
+};
+global.Cache = { getSettings: () => ({ areaNotifications: true, savedAreas: [{ district: 'BUCA', neighborhood: '' }] }) };
+global.Utils = require('../src/utils');
+global.I18n = { t: (key, params) => `${key} ${JSON.stringify(params)}` };
+const Areas = require('../src/areas');
+
+const OUTAGE = { IlceAdi: 'BUCA', Mahalleler: 'Adatepe', KesintiTarihi: '2025-09-14T09:30:00', Tip: 'Arıza', Ongoru: '1' };
+
+function setNavigator(value) {
+    Object.defineProperty(global, 'navigator', { value, configurable: true, writable: true });
+}
+
+// Notifications are shown asynchronously after checkNewOutages returns
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('areas', () => {
+    describe('checkNewOutages', () => {
+        let shown;
+
+        beforeEach(() => {
+            storage.clear();
+            shown = [];
+            mock.method(console, 'warn', () => {});
+            // Like Android Chrome: notifications are granted, but pages cannot construct them
+            global.Notification = class {
+                constructor() {
+                    throw new TypeError('Illegal constructor. Use ServiceWorkerRegistration.showNotification() instead.');
+                }
+            };
+            global.Notification.permission = 'granted';
+            Areas.checkNewOutages([]);
+        });
+
+        afterEach(() => {
+            mock.restoreAll();
+        });
+
+        it('shows new outages through the service worker', async () => {
+            const registration = { showNotification: async (title, options) => shown.push({ title, options }) };
+            setNavigator({ serviceWorker: { getRegistration: async () => registration, ready: Promise.resolve(registration) } });
+
+            const fresh = Areas.checkNewOutages([OUTAGE]);
+            await settle();
+
+            assert.equal(fresh.length, 1);
+            assert.equal(shown.length, 1);
+            assert.equal(shown[0].options.tag, Utils.outageKey(OUTAGE));
+        });
+
+        it('keeps going when a notification cannot be shown', async () => {
+            setNavigator({});
+
+            const fresh = Areas.checkNewOutages([OUTAGE]);
+            await settle();
+
+            assert.equal(fresh.length, 1);
+            assert.equal(console.warn.mock.callCount(), 1);
+        });
+
+        it('does not notify the same outage twice', async () => {
+            const registration = { showNotification: async (title, options) => shown.push({ title, options }) };
+            setNavigator({ serviceWorker: { getRegistration: async () => registration, ready: Promise.resolve(registration) } });
+
+            Areas.checkNewOutages([OUTAGE]);
+            Areas.checkNewOutages([OUTAGE]);
+            await settle();
+
+            assert.equal(shown.length, 1);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the history backfill (src/backfill-history.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { reconstructEntries, mergeEntries } = require('../src/backfill-history');
+const { aggregateDailyToMonthly } = require('../src/fetch-data');
+
+function fixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', file), 'utf8'));
+}
+
+/**
+ * Gist snapshot built from the fixtures
+ * July 2025 has official distribution rows and a daily aggregation; September only the aggregation
+ * of two days (13th and 14th), which the fetcher also appended to the distribution with _days
+ */
+function snapshot() {
+    const daily = fixture('gunluksuuretimi.json');
+    const dayBefore = { ...daily, UretimTarihi: '2025-09-13T00:00:00' };
+    const july = { ...daily, UretimTarihi: '2025-07-20T00:00:00' };
+    const aggregatedMonthly = [daily, dayBefore, july].reduce(aggregateDailyToMonthly, {});
+
+    return {
+        timestamp: '2025-09-14T10:00:00.000Z',
+        endpoints: {
+            barajdurum: fixture('barajdurum.json'),
+            gunluksuuretimi: daily,
+            suuretiminindagilimi: [
+                ...fixture('suuretiminindagilimi_2025.json'),
+                { UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 620000, Yil: 2025, Ay: 9, _days: 2, _daysInMonth: 30 }
+            ]
+        },
+        aggregatedMonthly
+    };
+}
+
+describe('backfill-history', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('reconstructEntries', () => {
+        it('builds one entry per month and one from the snapshot reading', () => {
+            const entries = reconstructEntries(snapshot());
+
+            assert.deepEqual(entries.map(entry => [entry.date, entry.source]), [
+                ['2025-07-01', 'backfill:official'],
+                ['2025-09-01', 'backfill:aggregated'],
+                ['2025-09-14', 'backfill:snapshot']
+            ]);
+        });
+
+        it('prefers official rows over the daily aggregation and averages them per day', () => {
+            const [july] = reconstructEntries(snapshot());
+
+            assert.equal(july.summary, null);
+            assert.deepEqual(july.production, {
+                date: '2025-07-01',
+                period: 'month',
+                days: 31,
+                monthlyTotal: 12150000,
+                total: 391935,
+                sources: [
+                    { name: 'Tahtalı Barajı', amount: 300000 },
+                    { name: 'Sarıkız Kuyuları', amount: 91935 }
+                ]
+            });
+        });
+
+        it('averages an aggregated month over the days it has', () => {
+            const september = reconstructEntries(snapshot())[1];
+
+            assert.equal(september.production.days, 2);
+            assert.equal(september.production.monthlyTotal, 810000);
+            assert.equal(september.production.total, 405000);
+        });
+
+        it('keeps the dam status of the snapshot', () => {
+            const reading = reconstructEntries(snapshot())[2];
+
+            assert.equal(reading.timestamp, '2025-09-14T10:00:00.000Z');
+            assert.equal(reading.dams.length, 2);
+            assert.equal(reading.summary.usableWater, 92150000);
+            assert.equal(reading.production.sources.length, 2);
+        });
+
+        it('leaves out production the fetcher failed on', () => {
+            const failed = snapshot();
+            failed.endpoints.gunluksuuretimi = { error: 'Request timeout' };
+
+            assert.equal(reconstructEntries(failed)[2].production, null);
+        });
+    });
+
+    describe('mergeEntries', () => {
+        const collected = { date: '2025-09-14', summary: { averageFillRate: 26 } };
+        const earlierBackfill = { date: '2025-07-01', source: 'backfill:aggregated', production: null };
+
+        it('adds new dates, refreshes earlier backfills and keeps collected entries', () => {
+            const reconstructed = reconstructEntries(snapshot());
+
+            const { entries, added, updated, skipped } = mergeEntries([collected, earlierBackfill], reconstructed);
+
+            assert.deepEqual({ added, updated, skipped }, { added: 1, updated: 1, skipped: 1 });
+            assert.deepEqual(entries.map(entry => entry.date), ['2025-09-14', '2025-09-01', '2025-07-01']);
+            assert.equal(entries[0], collected);
+            assert.equal(entries[2].source, 'backfill:official');
+        });
+
+        it('adds nothing when run twice', () => {
+            const first = mergeEntries([], reconstructEntries(snapshot()));
+
+            const second = mergeEntries(first.entries, reconstructEntries(snapshot()));
+
+            assert.equal(second.added, 0);
+            assert.equal(second.updated, 3);
+            assert.equal(second.entries.length, 3);
+        });
+    });
+});
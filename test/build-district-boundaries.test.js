@@ -0,0 +1,114 @@
+/**
+ * Tests for the district boundaries builder (src/build-district-boundaries.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    simplifyLine,
+    assembleRings,
+    buildDistrictCollection
+} = require('../src/build-district-boundaries');
+
+const point = (lon, lat) => ({ lon, lat });
+
+// Border shared by both districts, with a bend of ~10 m that simplification removes
+const SHARED_BORDER = [point(27.0, 38.0), point(27.00005, 38.05), point(27.0, 38.1)];
+
+/**
+ * Overpass response (out geom) with two districts meeting at SHARED_BORDER
+ * Konak has a hole; Buca lists its ways out of order and reversed
+ */
+function overpassResponse() {
+    return {
+        elements: [
+            {
+                type: 'relation',
+                id: 2,
+                tags: { name: 'Konak', admin_level: '6' },
+                members: [
+                    { type: 'way', role: 'outer', geometry: SHARED_BORDER },
+                    { type: 'way', role: 'outer', geometry: [point(27.0, 38.1), point(26.9, 38.1), point(26.9, 38.0), point(27.0, 38.0)] },
+                    { type: 'way', role: 'inner', geometry: [point(26.95, 38.04), point(26.96, 38.04), point(26.96, 38.05), point(26.95, 38.04)] },
+                    { type: 'node', role: 'admin_centre' }
+                ]
+            },
+            {
+                type: 'relation',
+                id: 1,
+                tags: { name: 'Buca', 'name:tr': 'Buca', admin_level: '6' },
+                members: [
+                    { type: 'way', role: 'outer', geometry: [point(27.1, 38.1), point(27.0, 38.1)] },
+                    { type: 'way', role: 'outer', geometry: [...SHARED_BORDER].reverse() },
+                    { type: 'way', role: 'outer', geometry: [point(27.0, 38.0), point(27.1, 38.0), point(27.1, 38.1)] }
+                ]
+            }
+        ]
+    };
+}
+
+describe('build-district-boundaries', () => {
+    describe('simplifyLine', () => {
+        it('drops points closer to the line than the tolerance and keeps the ends', () => {
+            const line = [[0, 0], [1, 0.0001], [2, 0], [3, 1]];
+
+            assert.deepEqual(simplifyLine(line, 0.001), [[0, 0], [2, 0], [3, 1]]);
+        });
+    });
+
+    describe('assembleRings', () => {
+        it('joins ways in any order and direction into closed rings', () => {
+            const rings = assembleRings([
+                [[1, 0], [1, 1]],
+                [[0, 0], [1, 0]],
+                [[0, 0], [0, 1], [1, 1]]
+            ]);
+
+            assert.equal(rings.length, 1);
+            assert.deepEqual(rings[0], [[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]]);
+        });
+
+        it('drops ways that never close', () => {
+            assert.deepEqual(assembleRings([[[0, 0], [1, 0]], [[1, 0], [1, 1]]]), []);
+        });
+    });
+
+    describe('buildDistrictCollection', () => {
+        const collection = buildDistrictCollection(overpassResponse(), {
+            tolerance: 0.001,
+            generatedAt: new Date('2025-09-14T10:00:00Z')
+        });
+
+        it('records the source and its attribution', () => {
+            assert.equal(collection.source, 'openstreetmap');
+            assert.equal(collection.attribution, '© OpenStreetMap contributors');
+            assert.equal(collection.license, 'ODbL-1.0');
+            assert.equal(collection.generatedAt, '2025-09-14T10:00:00.000Z');
+        });
+
+        it('builds one sorted feature per district relation', () => {
+            assert.deepEqual(collection.features.map(f => f.properties), [
+                { name: 'Buca', osmId: 'relation/1' },
+                { name: 'Konak', osmId: 'relation/2' }
+            ]);
+        });
+
+        it('keeps holes inside their outer ring', () => {
+            const konak = collection.features[1].geometry;
+
+            assert.equal(konak.type, 'Polygon');
+            assert.equal(konak.coordinates.length, 2);
+        });
+
+        it('simplifies a shared border the same way on both sides', () => {
+            const border = ring => ring.filter(([lng]) => lng === 27.0).map(p => p.join(','));
+            const buca = border(collection.features[0].geometry.coordinates[0]);
+            const konak = border(collection.features[1].geometry.coordinates[0]);
+
+            assert.deepEqual(new Set(buca), new Set(['27,38', '27,38.1']));
+            assert.deepEqual(new Set(konak), new Set(buca));
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the gazetteer builder (src/build-gazetteer.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IZMIR_DISTRICTS, findMissingDistricts, buildGazetteers } = require('../src/build-gazetteer');
+
+const district = (id, name) => ({ type: 'relation', id, tags: { name, admin_level: '6' } });
+const place = (id, name, lat, lon) => ({ type: 'node', id, lat, lon, tags: { name, place: 'neighbourhood' } });
+const boundary = (id, name, lat, lon) => ({ type: 'relation', id, center: { lat, lon }, tags: { name, admin_level: '8' } });
+const road = (id, name, lat, lon) => ({ type: 'way', id, center: { lat, lon }, tags: { name, highway: 'residential' } });
+
+/**
+ * Overpass response in the builder's query order: each district, then its places, then its roads
+ */
+function overpassResponse() {
+    return {
+        elements: [
+            district(1, 'Konak'),
+            boundary(10, 'Alsancak Mahallesi', 38.44, 27.15),
+            place(11, 'Alsancak', 38.4380, 27.1430),
+            boundary(12, 'Göztepe Mahallesi', 38.39812, 27.08496),
+            road(20, '1453 Sokak', 38.4368, 27.1448),
+            road(21, '1453 Sokak', 38.4372, 27.1452),
+            road(22, 'Kordon', 38.4400, 27.1400),
+            district(2, 'Menderes'),
+            place(30, 'Ahmetbeyli', 38.0340, 27.0580),
+            road(40, 'Atatürk Caddesi', 38.0340, 27.0580),
+            road(41, 'Atatürk Caddesi', 38.2540, 27.1330)
+        ]
+    };
+}
+
+describe('build-gazetteer', () => {
+    const { neighborhoods, streets, ambiguous } = buildGazetteers(overpassResponse(), {
+        generatedAt: new Date('2025-09-14T10:00:00Z')
+    });
+
+    it('records the source and its attribution', () => {
+        assert.equal(neighborhoods.source, 'openstreetmap');
+        assert.equal(streets.attribution, '© OpenStreetMap contributors');
+        assert.equal(streets.license, 'ODbL-1.0');
+        assert.equal(neighborhoods.generatedAt, '2025-09-14T10:00:00.000Z');
+    });
+
+    it('lists the neighborhoods of every district without the Mahallesi suffix', () => {
+        assert.deepEqual(neighborhoods.districts, {
+            'Konak': {
+                'Alsancak': { lat: 38.438, lng: 27.143 },
+                'Göztepe': { lat: 38.3981, lng: 27.085 }
+            },
+            'Menderes': {
+                'Ahmetbeyli': { lat: 38.034, lng: 27.058 }
+            }
+        });
+    });
+
+    it('places a street at the midpoint of its segments', () => {
+        assert.deepEqual(streets.districts.Konak, { '1453 Sokak': { lat: 38.437, lng: 27.145 } });
+    });
+
+    it('names the districts a gazetteer is missing', () => {
+        assert.equal(IZMIR_DISTRICTS.length, 30);
+        assert.equal(findMissingDistricts(neighborhoods.districts).length, 28);
+        assert.ok(!findMissingDistricts(neighborhoods.districts).includes('Menderes'));
+        assert.ok(findMissingDistricts(streets.districts).includes('Menderes'));
+        assert.deepEqual(findMissingDistricts(Object.fromEntries(IZMIR_DISTRICTS.map(d => [d.toLocaleUpperCase('tr'), { X: {} }]))), []);
+    });
+
+    it('leaves out street names found at several places in a district', () => {
+        assert.deepEqual(streets.districts.Menderes, {});
+        assert.equal(ambiguous, 1);
+    });
+});
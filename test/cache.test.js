@@ -0,0 +1,268 @@
+/**
+ * Tests for the IndexedDB cache backend (src/cache.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * In-memory stand-in for the part of IndexedDB that cache.js uses
+ * Requests run one after another on later turns of the event loop; writes are applied
+ * when their transaction commits, and a failure set with failWrites aborts the transaction
+ */
+class FakeTransaction {
+    constructor(db, mode) {
+        this.db = db;
+        this.mode = mode;
+        this.queue = [];
+        this.writes = [];
+        setImmediate(() => this.run());
+    }
+
+    objectStore(name) {
+        const tx = this;
+        const stores = tx.db.stores;
+        const request = (fn, isWrite) => {
+            const req = {};
+            tx.queue.push(() => {
+                if (isWrite) {
+                    tx.writes.push(() => fn(stores.get(name)));
+                    req.result = undefined;
+                } else {
+                    tx.db.reads.push(name);
+                    req.result = fn(stores.get(name));
+                }
+                if (req.onsuccess) req.onsuccess({ target: req });
+            });
+            return req;
+        };
+        return {
+            put: (value, key) => {
+                const copy = structuredClone(value);
+                return request(store => store.set(key, copy), true);
+            },
+            delete: key => request(store => store.delete(key), true),
+            clear: () => request(store => store.clear(), true),
+            get: key => request(store => store.has(key) ? structuredClone(store.get(key)) : undefined),
+            getAll: () => request(store => [...store.values()].map(value => structuredClone(value))),
+            getAllKeys: () => request(store => [...store.keys()]),
+            openCursor: () => {
+                const req = {};
+                const next = index => tx.queue.push(() => {
+                    tx.db.reads.push(name);
+                    const entries = [...stores.get(name).entries()];
+                    req.result = index < entries.length
+                        ? { key: entries[index][0], value: structuredClone(entries[index][1]), continue: () => next(index + 1) }
+                        : null;
+                    if (req.onsuccess) req.onsuccess({ target: req });
+                });
+                next(0);
+                return req;
+            }
+        };
+    }
+
+    run() {
+        if (this.queue.length) {
+            this.queue.shift()();
+            setImmediate(() => this.run());
+            return;
+        }
+        const failure = this.mode !== 'readonly' && this.writes.length ? this.db.failures.shift() : null;
+        if (failure) {
+            this.error = failure;
+            if (this.onabort) this.onabort();
+            return;
+        }
+        this.writes.forEach(write => write());
+        if (this.oncomplete) this.oncomplete();
+    }
+}
+
+function createFakeIndexedDb() {
+    const db = {
+        version: 0,
+        stores: new Map(),
+        failures: [],
+        reads: [],
+        objectStoreNames: { contains: name => db.stores.has(name) },
+        createObjectStore(name) {
+            db.stores.set(name, new Map());
+        },
+        transaction: (names, mode = 'readonly') => new FakeTransaction(db, mode)
+    };
+
+    return {
+        db,
+        open(name, version) {
+            const request = {};
+            setImmediate(() => {
+                request.result = db;
+                if (db.version < version) {
+                    request.transaction = new FakeTransaction(db, 'versionchange');
+                    const oldVersion = db.version;
+                    db.version = version;
+                    if (request.onupgradeneeded) request.onupgradeneeded({ oldVersion });
+                    request.transaction.oncomplete = () => request.onsuccess();
+                } else {
+                    request.onsuccess();
+                }
+            });
+            return request;
+        }
+    };
+}
+
+function quotaError() {
+    const error = new Error('Quota exceeded');
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+// Enough turns of the event loop for queued transactions to commit
+async function settle() {
+    for (let i = 0; i < 50; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+global.IDBTransaction = FakeTransaction;
+
+/**
+ * Load a fresh copy of the module, as after a page reload
+ */
+async function loadCache() {
+    delete require.cache[require.resolve('../src/cache')];
+    const Cache = require('../src/cache');
+    await Cache.init();
+    return Cache;
+}
+
+describe('cache', () => {
+    let fakeIndexedDb;
+
+    beforeEach(() => {
+        const storage = new Map();
+        global.localStorage = {
+            get length() { return storage.size; },
+            key: i => [...storage.keys()][i] ?? null,
+            getItem: key => storage.has(key) ? storage.get(key) : null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        };
+        fakeIndexedDb = createFakeIndexedDb();
+        global.indexedDB = fakeIndexedDb;
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('IndexedDB backend', () => {
+        it('keeps entries across a reload', async () => {
+            const Cache = await loadCache();
+            assert.equal(Cache.getBackendName(), 'indexedDB');
+
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+            await settle();
+
+            const reloaded = await loadCache();
+            assert.deepEqual((await reloaded.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+        });
+
+        it('forgets an entry that could not be written', async () => {
+            const Cache = await loadCache();
+            fakeIndexedDb.db.failures.push(new Error('Transaction aborted'));
+
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+            await settle();
+
+            assert.equal(await Cache.getEntry('barajdurum'), null);
+            assert.equal(Cache.getTimestamp('barajdurum'), null);
+            assert.equal(Cache.getStats().entryCount, 0);
+        });
+
+        it('goes back to the stored entry when an update could not be written', async () => {
+            const Cache = await loadCache();
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+            await settle();
+            fakeIndexedDb.db.failures.push(new Error('Transaction aborted'));
+
+            Cache.set('barajdurum', [{ SuDurumu: 2 }]);
+            await settle();
+
+            const reloaded = await loadCache();
+            assert.deepEqual((await Cache.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+            assert.deepEqual((await reloaded.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+        });
+
+        it('retries a write that ran out of quota once old entries are cleared', async () => {
+            const Cache = await loadCache();
+            fakeIndexedDb.db.failures.push(quotaError());
+
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+            await settle();
+
+            const reloaded = await loadCache();
+            assert.deepEqual((await Cache.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+            assert.deepEqual((await reloaded.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+        });
+
+        it('reads only timestamps and sizes at start-up and each entry when asked for', async () => {
+            const Cache = await loadCache();
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+            Cache.set('gunluksuuretimi', { ToplamUretim: 2 });
+            await settle();
+            fakeIndexedDb.db.reads.length = 0;
+
+            const reloaded = await loadCache();
+            assert.ok(!fakeIndexedDb.db.reads.includes('entries'));
+            assert.equal(reloaded.getStats().entryCount, 2);
+            assert.equal(typeof reloaded.getTimestamp('barajdurum'), 'number');
+
+            await reloaded.getEntry('barajdurum');
+            assert.deepEqual(fakeIndexedDb.db.reads.filter(store => store === 'entries'), ['entries']);
+        });
+
+        it('gives every caller its own copy of the data', async () => {
+            const Cache = await loadCache();
+            const dams = [{ SuDurumu: 1 }];
+            Cache.set('barajdurum', dams);
+            dams[0].SuDurumu = 2;
+            await settle();
+
+            const first = await Cache.getEntry('barajdurum');
+            first.data.push({ SuDurumu: 3 });
+
+            assert.deepEqual((await Cache.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+        });
+
+        it('records the metadata of entries written before version 2', async () => {
+            const { db } = fakeIndexedDb;
+            db.version = 1;
+            db.createObjectStore('entries');
+            db.stores.get('entries').set('barajdurum', { data: [{ SuDurumu: 1 }], timestamp: 1757844000000 });
+
+            const Cache = await loadCache();
+
+            assert.equal(Cache.getTimestamp('barajdurum'), 1757844000000);
+            assert.deepEqual((await Cache.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+        });
+    });
+
+    describe('localStorage backend', () => {
+        it('is used when IndexedDB is unavailable', async () => {
+            delete global.indexedDB;
+            const Cache = await loadCache();
+
+            Cache.set('barajdurum', [{ SuDurumu: 1 }]);
+
+            assert.equal(Cache.getBackendName(), 'localStorage');
+            assert.deepEqual((await Cache.getEntry('barajdurum')).data, [{ SuDurumu: 1 }]);
+            assert.equal(Cache.getStats().entryCount, 1);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for IZSU date parsing (src/dates.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const Dates = require('../src/dates');
+
+const outages = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', 'arizakaynaklisukesintileri.json'), 'utf8'));
+
+describe('dates', () => {
+    describe('parseLocalParts', () => {
+        it('reads ISO and dd.mm.yyyy local times', () => {
+            const expected = { year: 2025, month: 9, day: 14, hour: 9, minute: 30, second: 0 };
+
+            assert.deepEqual(Dates.parseLocalParts('2025-09-14T09:30:00'), expected);
+            assert.deepEqual(Dates.parseLocalParts('2025-09-14 09:30'), expected);
+            assert.deepEqual(Dates.parseLocalParts('14.09.2025 09:30:00'), expected);
+            assert.deepEqual(Dates.parseLocalParts('14.9.2025 09.30'), expected);
+        });
+
+        it('reads dates without a time as midnight', () => {
+            assert.deepEqual(Dates.parseLocalParts('2025-09-14'), { year: 2025, month: 9, day: 14, hour: 0, minute: 0, second: 0 });
+            assert.deepEqual(Dates.parseLocalParts('14.09.2025'), { year: 2025, month: 9, day: 14, hour: 0, minute: 0, second: 0 });
+        });
+
+        it('rejects other text and impossible fields', () => {
+            assert.equal(Dates.parseLocalParts('Belirsiz'), null);
+            assert.equal(Dates.parseLocalParts('14/09/2025'), null);
+            assert.equal(Dates.parseLocalParts('32.09.2025 09:30'), null);
+            assert.equal(Dates.parseLocalParts('2025-09-14T25:00:00'), null);
+            assert.equal(Dates.parseLocalParts(null), null);
+        });
+    });
+
+    describe('parseDateTime', () => {
+        it('reads IZSU times as Turkish time', () => {
+            assert.equal(Dates.parseDateTime('2025-09-14T09:30:00').toISOString(), '2025-09-14T06:30:00.000Z');
+            assert.equal(Dates.parseDateTime('14.09.2025 09:30:00').toISOString(), '2025-09-14T06:30:00.000Z');
+        });
+
+        it('keeps the zone of fetcher timestamps', () => {
+            assert.equal(Dates.parseDateTime('2025-09-14T10:00:00.000Z').toISOString(), '2025-09-14T10:00:00.000Z');
+            assert.equal(Dates.parseDateTime('2025-09-14T13:00:00+03:00').toISOString(), '2025-09-14T10:00:00.000Z');
+        });
+
+        it('returns null for missing or unreadable values', () => {
+            assert.equal(Dates.parseDateTime(null), null);
+            assert.equal(Dates.parseDateTime(''), null);
+            assert.equal(Dates.parseDateTime('yarın'), null);
+            assert.ok(isNaN(Dates.toTime('yarın')));
+        });
+
+        it('reads every date in the outage fixture', () => {
+            outages.forEach(outage => {
+                assert.ok(Dates.parseDateTime(outage.KesintiTarihi), outage.KesintiTarihi);
+                if (outage.ArizaGiderilmeTarihi) {
+                    assert.ok(Dates.parseDateTime(outage.ArizaGiderilmeTarihi), outage.ArizaGiderilmeTarihi);
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for table export (src/export.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DataExport = require('../src/export');
+
+/**
+ * Data lines of a one-column table's CSV (BOM, header and trailing line break removed)
+ */
+function csvLines(values) {
+    const csv = DataExport.toCSV({
+        columns: [{ key: 'value', label: 'Value' }],
+        rows: values.map(value => ({ value }))
+    });
+    return csv.slice(1).trimEnd().split('\r\n').slice(1);
+}
+
+describe('export', () => {
+    describe('toCSV', () => {
+        it('prefixes text that a spreadsheet would run as a formula', () => {
+            assert.deepEqual(csvLines(['=HYPERLINK("http://x")', '+1', '-A1', '@SUM(A1)']), [
+                '"\'=HYPERLINK(""http://x"")"',
+                '\'+1',
+                '\'-A1',
+                '\'@SUM(A1)'
+            ]);
+        });
+
+        it('leaves numbers and other text unchanged', () => {
+            assert.deepEqual(csvLines([-5, '-2.5', 'Tahtalı', 'a, b']), ['-5', '-2.5', 'Tahtalı', '"a, b"']);
+        });
+    });
+});
@@ -0,0 +1,391 @@
+/**
+ * Tests for the data fetcher (src/fetch-data.js) against IZSU and CKAN response fixtures
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    ENDPOINTS,
+    ARCHIVE_FILES,
+    PRODUCTION_START_YEAR,
+    aggregateDailyToMonthly,
+    convertAggregatedToDistribution,
+    mergeProduction,
+    buildSnapshot,
+    run
+} = require('../src/fetch-data');
+const Schema = require('../src/schema');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function fixtureText(file) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+}
+
+function fixture(file) {
+    return JSON.parse(fixtureText(file));
+}
+
+/**
+ * Successful fetch results for every IZSU endpoint, as fetchEndpoint returns them
+ */
+function endpointResults() {
+    return Object.keys(ENDPOINTS).map(name => ({ name, data: fixture(`izsu/${name}.json`), error: null }));
+}
+
+/**
+ * Transport serving the IZSU response fixtures by path
+ * Production years without a fixture return an empty list
+ */
+function createFixtureIzsu() {
+    const requested = [];
+    return {
+        requested,
+        get: async (target) => {
+            requested.push(target);
+            const production = target.match(/^\/api\/izsu\/suuretiminindagilimi\/(\d+)$/);
+            if (production) {
+                const file = path.join(FIXTURES_DIR, `izsu/suuretiminindagilimi_${production[1]}.json`);
+                return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '[]';
+            }
+            const name = Object.keys(ENDPOINTS).find(key => ENDPOINTS[key] === target);
+            if (!name) throw new Error(`Unexpected request: ${target}`);
+            return fixtureText(`izsu/${name}.json`);
+        },
+        close: () => {}
+    };
+}
+
+function createFixtureCkan() {
+    return { get: async () => fixtureText('ckan/consumption.json'), close: () => {} };
+}
+
+/**
+ * Storage holding a snapshot and the files published next to it
+ */
+function createMemoryStorage(existing = null, files = {}) {
+    const writes = [];
+    return {
+        name: 'memory',
+        writes,
+        read: async (name) => name ? (files[name] || null) : existing,
+        write: async (content, extraFiles) => { writes.push({ content, extraFiles }); }
+    };
+}
+
+const NO_GEOCODING = { gazetteer: {}, streets: {}, overrides: {} };
+
+describe('fetch-data', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('aggregateDailyToMonthly', () => {
+        const daily = () => fixture('izsu/gunluksuuretimi.json');
+
+        it('adds a day of production to its month', () => {
+            const aggregated = aggregateDailyToMonthly({}, daily());
+
+            assert.deepEqual(aggregated['2025-09']._days, ['2025-09-14']);
+            assert.deepEqual(aggregated['2025-09']._sources, {
+                'Tahtalı Barajı': 310000,
+                'Sarıkız Kuyuları': 95000
+            });
+        });
+
+        it('skips a day that was already aggregated', () => {
+            const once = aggregateDailyToMonthly({}, daily());
+            const twice = aggregateDailyToMonthly(once, daily());
+
+            assert.deepEqual(twice, once);
+        });
+
+        it('does not modify the existing aggregation', () => {
+            const existing = { '2025-09': { _days: ['2025-09-13'], _sources: { 'Tahtalı Barajı': 300000 } } };
+            const aggregated = aggregateDailyToMonthly(existing, daily());
+
+            assert.equal(aggregated['2025-09']._sources['Tahtalı Barajı'], 610000);
+            assert.deepEqual(existing['2025-09']._days, ['2025-09-13']);
+            assert.equal(existing['2025-09']._sources['Tahtalı Barajı'], 300000);
+        });
+
+        it('keeps the aggregation when the daily endpoint failed', () => {
+            const existing = { '2025-08': { _days: ['2025-08-31'], _sources: { 'Tahtalı Barajı': 1 } } };
+
+            assert.deepEqual(aggregateDailyToMonthly(existing, null), existing);
+            assert.deepEqual(aggregateDailyToMonthly(existing, { error: 'Failed after 3 attempts' }), existing);
+        });
+    });
+
+    describe('convertAggregatedToDistribution', () => {
+        it('converts months to distribution rows with day counts', () => {
+            const rows = convertAggregatedToDistribution(aggregateDailyToMonthly({}, fixture('izsu/gunluksuuretimi.json')));
+
+            assert.deepEqual(rows, [
+                { UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 310000, Yil: 2025, Ay: 9, _days: 1, _daysInMonth: 30 },
+                { UretimKaynagi: 'Sarıkız Kuyuları', UretimMiktari: 95000, Yil: 2025, Ay: 9, _days: 1, _daysInMonth: 30 }
+            ]);
+        });
+    });
+
+    describe('mergeProduction', () => {
+        it('adds aggregated months after the latest official month only', () => {
+            const official = fixture('izsu/suuretiminindagilimi_2025.json');
+            const aggregated = [
+                { UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 1, Yil: 2025, Ay: 7 },
+                { UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 2, Yil: 2025, Ay: 8 },
+                { UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 3, Yil: 2026, Ay: 1 }
+            ];
+
+            const merged = mergeProduction(official, aggregated);
+
+            assert.equal(merged.length, official.length + 2);
+            assert.deepEqual(merged.slice(official.length).map(r => r.UretimMiktari), [2, 3]);
+        });
+
+        it('uses every aggregated month when there is no official data', () => {
+            const aggregated = [{ UretimKaynagi: 'Tahtalı Barajı', UretimMiktari: 1, Yil: 2025, Ay: 9 }];
+
+            assert.deepEqual(mergeProduction([], aggregated), aggregated);
+        });
+    });
+
+    describe('buildSnapshot', () => {
+        const build = (overrides = {}) => buildSnapshot({
+            results: endpointResults(),
+            ckanResults: [{ name: 'consumption', data: { total: 187342 }, error: null }],
+            productionData: fixture('izsu/suuretiminindagilimi_2025.json'),
+            existingAggregated: {},
+            geocoding: NO_GEOCODING,
+            timestamp: '2025-09-14T10:00:00.000Z',
+            ...overrides
+        });
+
+        it('collects endpoints and counts successes', () => {
+            const { data, successCount, errorCount } = build();
+
+            assert.equal(data.schemaVersion, Schema.VERSION);
+            assert.equal(data.timestamp, '2025-09-14T10:00:00.000Z');
+            assert.deepEqual(data.ckan.consumption, { total: 187342 });
+            // Every endpoint, the CKAN total and the merged production distribution
+            assert.equal(successCount, Object.keys(ENDPOINTS).length + 2);
+            assert.equal(errorCount, 0);
+        });
+
+        it('records failed endpoints as errors', () => {
+            const results = endpointResults().map(r =>
+                r.name === 'barajdurum' ? { name: r.name, data: null, error: 'Failed after 3 attempts' } : r);
+            const { data, errorCount } = build({ results });
+
+            assert.deepEqual(data.endpoints.barajdurum, { error: 'Failed after 3 attempts' });
+            assert.equal(errorCount, 1);
+        });
+
+        it('merges the aggregated daily production after the official months', () => {
+            const { data } = build();
+            const september = data.endpoints.suuretiminindagilimi.filter(r => r.Yil === 2025 && r.Ay === 9);
+
+            assert.equal(september.length, 2);
+            assert.ok(data.aggregatedMonthly['2025-09']);
+        });
+
+        it('keeps the archives out of the snapshot', () => {
+            const { data, archives } = build();
+
+            assert.equal(data.outageArchive, undefined);
+            assert.equal(data.qualityArchive, undefined);
+            assert.equal(data.samplingPoints, undefined);
+            assert.deepEqual(data.archives, ARCHIVE_FILES);
+            assert.ok(archives.outageArchive.entries.some(entry => entry.district === 'BUCA'));
+            assert.ok(archives.qualityArchive.entries.length > 0);
+            assert.ok(archives.samplingPoints.entries.some(entry => entry.district === 'BALÇOVA'));
+        });
+
+        it('keeps the previous outage archive when the outage endpoint failed', () => {
+            const previous = { updatedAt: '2025-09-13T10:00:00.000Z', entries: [] };
+            const results = endpointResults().map(r =>
+                r.name === 'arizakaynaklisukesintileri' ? { name: r.name, data: null, error: 'Failed after 3 attempts' } : r);
+            const { archives } = build({ results, existingOutageArchive: previous });
+
+            assert.equal(archives.outageArchive, previous);
+        });
+
+        it('produces a snapshot that matches the endpoint schemas', () => {
+            const { data } = build();
+
+            for (const [name, result] of Object.entries(Schema.validateSnapshot(data))) {
+                assert.ok(result.valid, `${name}: ${result.errors.join('; ')}`);
+            }
+        });
+    });
+
+    describe('run', () => {
+        it('fetches every endpoint and production year up to the injected year', async () => {
+            const izsu = createFixtureIzsu();
+            const storage = createMemoryStorage();
+
+            await run({
+                izsu,
+                ckan: createFixtureCkan(),
+                storage,
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            const years = izsu.requested
+                .map(target => target.match(/suuretiminindagilimi\/(\d+)$/))
+                .filter(Boolean)
+                .map(match => Number(match[1]));
+            assert.equal(years[0], PRODUCTION_START_YEAR);
+            assert.equal(years[years.length - 1], 2025);
+            assert.equal(years.length, 2025 - PRODUCTION_START_YEAR + 1);
+            Object.values(ENDPOINTS).forEach(endpoint => assert.ok(izsu.requested.includes(endpoint)));
+        });
+
+        it('stamps and publishes the snapshot with the injected clock', async () => {
+            const storage = createMemoryStorage();
+
+            const { data, errorCount } = await run({
+                izsu: createFixtureIzsu(),
+                ckan: createFixtureCkan(),
+                storage,
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            assert.equal(errorCount, 0);
+            assert.equal(data.timestamp, '2025-09-14T10:00:00.000Z');
+            assert.equal(storage.writes.length, 1);
+            assert.equal(storage.writes[0].content, data);
+
+            const calendar = storage.writes[0].extraFiles['izsu-outages.ics'];
+            assert.equal(calendar.match(/^BEGIN:VEVENT$/gm).length, 2);
+            assert.deepEqual(calendar.match(/^DTSTART;.*$/gm), [
+                'DTSTART;TZID=Europe/Istanbul:20250914T093000',
+                'DTSTART;TZID=Europe/Istanbul:20250913T140000'
+            ]);
+        });
+
+        it('names the endpoint whose schema no longer matches', async () => {
+            const izsu = createFixtureIzsu();
+            const get = izsu.get;
+            izsu.get = async (target) => {
+                const text = await get(target);
+                if (target !== ENDPOINTS.barajdurum) return text;
+                return JSON.stringify(JSON.parse(text).map(({ SuDurumu, ...dam }) => ({ ...dam, SuMiktari: SuDurumu })));
+            };
+
+            await run({
+                izsu,
+                ckan: createFixtureCkan(),
+                storage: createMemoryStorage(),
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            const warnings = console.log.mock.calls.map(call => call.arguments[0]).filter(line => /Schema mismatch/.test(line));
+            assert.equal(warnings.length, 1);
+            assert.match(warnings[0], /^⚠ Schema mismatch in barajdurum: /);
+        });
+
+        it('publishes each archive as its own file', async () => {
+            const storage = createMemoryStorage();
+
+            await run({
+                izsu: createFixtureIzsu(),
+                ckan: createFixtureCkan(),
+                storage,
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            const { content, extraFiles } = storage.writes[0];
+            Object.entries(ARCHIVE_FILES).forEach(([name, file]) => {
+                assert.ok(JSON.parse(extraFiles[file]).entries.length > 0, file);
+                assert.equal(content[name], undefined);
+            });
+        });
+
+        it('continues the outage archive from its file, or from an older snapshot that embeds it', async () => {
+            const previous = {
+                updatedAt: '2025-09-13T10:00:00.000Z',
+                entries: [{
+                    id: 'old', district: 'KARŞIYAKA', neighborhoods: ['BOSTANLI'], type: 'Arıza',
+                    firstSeen: '2025-09-13T08:00:00.000Z', lastSeen: '2025-09-13T10:00:00.000Z'
+                }]
+            };
+            const runWith = (storage) => run({
+                izsu: createFixtureIzsu(),
+                ckan: createFixtureCkan(),
+                storage,
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            for (const storage of [
+                createMemoryStorage({}, { [ARCHIVE_FILES.outageArchive]: previous }),
+                createMemoryStorage({ outageArchive: previous })
+            ]) {
+                const { archives } = await runWith(storage);
+                assert.ok(archives.outageArchive.entries.some(entry => entry.id === 'old'));
+            }
+        });
+
+        it('stops without publishing when the existing archive cannot be read', async () => {
+            const storage = createMemoryStorage();
+            storage.read = async (name) => {
+                if (name) throw new Error('izsu-outage-archive.json is not valid JSON');
+                return {};
+            };
+
+            await assert.rejects(run({
+                izsu: createFixtureIzsu(),
+                ckan: createFixtureCkan(),
+                storage,
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            }), /not valid JSON/);
+            assert.equal(storage.writes.length, 0);
+        });
+
+        it('continues the existing daily aggregation', async () => {
+            const existing = {
+                aggregatedMonthly: { '2025-09': { _days: ['2025-09-13'], _sources: { 'Tahtalı Barajı': 300000 } } }
+            };
+
+            const { data } = await run({
+                izsu: createFixtureIzsu(),
+                ckan: createFixtureCkan(),
+                storage: createMemoryStorage(existing),
+                wait: async () => {},
+                now: () => new Date('2025-09-14T10:00:00Z'),
+                currentYear: 2025,
+                geocoding: NO_GEOCODING
+            });
+
+            assert.deepEqual(data.aggregatedMonthly['2025-09']._days, ['2025-09-13', '2025-09-14']);
+            assert.equal(data.aggregatedMonthly['2025-09']._sources['Tahtalı Barajı'], 610000);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the depletion forecast (src/forecast.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// forecast.js is a browser module: it reads Utils from the global scope
+global.Utils = require('../src/utils');
+const Forecast = require('../src/forecast');
+
+function fixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', file), 'utf8'));
+}
+
+// Usable water in the fixture dams: (98 750 000 + 2 150 000) - (8 200 000 + 550 000) m3
+const USABLE_WATER = 92150000;
+
+// Only Tahtalı is a dam source in the fixture; Sarıkız Kuyuları are wells
+const DAM_PRODUCTION = 310000;
+
+describe('forecast', () => {
+    describe('estimate', () => {
+        it('divides usable water by dam production without inflow or seasonality', () => {
+            const result = Forecast.estimate({
+                damStatus: fixture('barajdurum.json'),
+                dailyProduction: fixture('gunluksuuretimi.json')
+            });
+
+            assert.equal(result.basis, 'production');
+            assert.equal(result.usableWater, USABLE_WATER);
+            assert.equal(result.production, DAM_PRODUCTION);
+            assert.ok(Math.abs(result.days - USABLE_WATER / DAM_PRODUCTION) < 1e-6);
+            assert.equal(result.optimisticDays, result.days);
+            assert.equal(result.pessimisticDays, result.days);
+        });
+
+        it('treats zero dam production as data, not as missing', () => {
+            const dailyProduction = fixture('gunluksuuretimi.json');
+            dailyProduction.BarajKuyuUretimleri[0].UretimMiktari = 0;
+
+            const result = Forecast.estimate({ damStatus: fixture('barajdurum.json'), dailyProduction });
+
+            assert.equal(result.basis, 'production');
+            assert.equal(result.production, 0);
+            assert.equal(result.days, null);
+        });
+
+        it('falls back to city consumption when production is missing', () => {
+            const result = Forecast.estimate({
+                damStatus: fixture('barajdurum.json'),
+                dailyProduction: null,
+                consumptionData: { dailyConsumption: 921500000 }
+            });
+
+            assert.equal(result.basis, 'consumption');
+            assert.equal(result.production, 921500);
+            assert.ok(Math.abs(result.days - USABLE_WATER / 921500) < 1e-6);
+        });
+
+        it('uses the default consumption when nothing is known', () => {
+            const result = Forecast.estimate({});
+
+            assert.equal(result.basis, 'consumption');
+            assert.equal(result.production, 967500);
+            assert.equal(result.usableWater, 0);
+            assert.equal(result.fillPercentage, 0);
+            assert.equal(result.days, 0);
+            assert.equal(result.sampleCount, 0);
+        });
+    });
+
+    describe('estimatePerDam', () => {
+        it('estimates each dam from its own production share', () => {
+            const [tahtali, balcova] = Forecast.estimatePerDam(fixture('barajdurum.json'), fixture('gunluksuuretimi.json'));
+
+            assert.equal(tahtali.name, 'Tahtalı Barajı');
+            assert.equal(tahtali.usableWater, 90550000);
+            assert.equal(tahtali.dailyDraw, 310000);
+            assert.ok(Math.abs(tahtali.share - 310000 / 405000 * 100) < 1e-9);
+            assert.ok(Math.abs(tahtali.days - 90550000 / 310000) < 1e-9);
+            assert.ok(tahtali.date instanceof Date);
+
+            assert.equal(balcova.name, 'Balçova Barajı');
+            assert.equal(balcova.usableWater, 1600000);
+        });
+
+        it('lists a dam without production last, with no estimate', () => {
+            const [, balcova] = Forecast.estimatePerDam(fixture('barajdurum.json'), fixture('gunluksuuretimi.json'));
+
+            assert.equal(balcova.dailyDraw, 0);
+            assert.equal(balcova.share, 0);
+            assert.equal(balcova.days, null);
+            assert.equal(balcova.date, null);
+        });
+
+        it('reports a drawn dam at or below dead storage as empty today', () => {
+            const damStatus = fixture('barajdurum.json');
+            damStatus[0].SuDurumu = 0;
+
+            const [tahtali] = Forecast.estimatePerDam(damStatus, fixture('gunluksuuretimi.json'));
+
+            assert.equal(tahtali.name, 'Tahtalı Barajı');
+            assert.equal(tahtali.usableWater, 0);
+            assert.equal(tahtali.days, 0);
+        });
+
+        it('sorts dams without any production data by name', () => {
+            const ranking = Forecast.estimatePerDam(fixture('barajdurum.json'), null);
+
+            assert.deepEqual(ranking.map(dam => dam.name), ['Balçova Barajı', 'Tahtalı Barajı']);
+            assert.ok(ranking.every(dam => dam.days === null && dam.share === 0));
+        });
+    });
+});
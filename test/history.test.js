@@ -0,0 +1,82 @@
+/**
+ * Tests for the water history loader (src/history.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NOW = new Date('2025-09-14T12:00:00Z').getTime();
+
+const FILES = {
+    'data/history.json': {
+        entries: [
+            { date: '2024-12-01', summary: { averageFillRate: 40 } },
+            { date: '2025-08-01', summary: { averageFillRate: 30 } }
+        ]
+    },
+    'data/history/manifest.json': {
+        resolution: 'daily',
+        years: [
+            { year: 2023, file: '2023.json' },
+            { year: 2024, file: '2024.json' },
+            { year: 2025, file: '2025.json' }
+        ]
+    },
+    'data/history/2023.json': { year: 2023, entries: [{ date: '2023-06-01' }] },
+    'data/history/2024.json': { year: 2024, entries: [{ date: '2024-12-01', summary: { averageFillRate: 41 } }] },
+    'data/history/2025.json': { year: 2025, entries: [{ date: '2025-09-13' }, { date: '2025-08-01', summary: { averageFillRate: 31 } }] }
+};
+
+let WaterHistory;
+let requested;
+
+describe('history', () => {
+    beforeEach(async () => {
+        // Partitions are cached inside the module, so every test starts from a fresh copy
+        delete require.cache[require.resolve('../src/history')];
+        WaterHistory = require('../src/history');
+        requested = [];
+        mock.method(global, 'fetch', async url => {
+            requested.push(url);
+            return { ok: url in FILES, json: async () => FILES[url] };
+        });
+        await WaterHistory.init();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('loads only the monthly file and the manifest up front', () => {
+        assert.deepEqual(requested, ['data/history.json', 'data/history/manifest.json']);
+        assert.deepEqual(WaterHistory.getMonthly().entries.map(e => e.date), ['2025-08-01', '2024-12-01']);
+    });
+
+    it('lists the years a range needs', () => {
+        assert.deepEqual(WaterHistory.getYearsForRange(30, NOW).map(y => y.year), [2025]);
+        assert.deepEqual(WaterHistory.getYearsForRange(365, NOW).map(y => y.year), [2024, 2025]);
+        assert.deepEqual(WaterHistory.getYearsForRange(0, NOW).map(y => y.year), [2023, 2024, 2025]);
+    });
+
+    it('fetches only the partitions of the selected range', async () => {
+        const history = await WaterHistory.load(90, NOW);
+
+        assert.deepEqual(requested.slice(2), ['data/history/2025.json']);
+        assert.deepEqual(history.entries.map(e => e.date), ['2025-09-13', '2025-08-01']);
+    });
+
+    it('fetches each partition once when the range grows', async () => {
+        await WaterHistory.load(90, NOW);
+        await WaterHistory.load(365, NOW);
+        await WaterHistory.load(365, NOW);
+
+        assert.deepEqual(requested.slice(2), ['data/history/2025.json', 'data/history/2024.json']);
+    });
+
+    it('prefers daily entries over monthly snapshots on the same date', async () => {
+        const history = await WaterHistory.load(365, NOW);
+
+        assert.deepEqual(history.entries.map(e => e.summary?.averageFillRate), [undefined, 31, 41]);
+    });
+});
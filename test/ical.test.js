@@ -0,0 +1,81 @@
+/**
+ * Tests for the outage calendar (src/ical.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ICal = require('../src/ical');
+const OutageStats = require('../src/outage-stats');
+
+const outages = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', 'arizakaynaklisukesintileri.json'), 'utf8'));
+
+const PARSERS = {
+    parseDuration: OutageStats.parseDurationText,
+    parseClockRange: OutageStats.parseClockRange
+};
+
+/**
+ * Values of one property across the events of a calendar
+ */
+function propertyValues(calendar, name) {
+    return calendar.split('\r\n').filter(line => line.startsWith(`${name};`) || line.startsWith(`${name}:`));
+}
+
+describe('ical', () => {
+    describe('outageToEvent', () => {
+        const toEvent = (outage) => ICal.outageToEvent(outage, PARSERS);
+
+        it('uses a clock range as the start and end on the outage day', () => {
+            const event = toEvent({ IlceAdi: 'KONAK', KesintiTarihi: '2025-09-14T08:12:00', KesintiSuresi: '14:00-18:00' });
+
+            assert.equal(event.start.toISOString(), '2025-09-14T14:00:00.000Z');
+            assert.equal(event.end.toISOString(), '2025-09-14T18:00:00.000Z');
+        });
+
+        it('keeps the event UID when only the planned times change', () => {
+            const outage = { IlceAdi: 'KONAK', KesintiTarihi: '2025-09-14T08:12:00' };
+
+            assert.equal(toEvent({ ...outage, KesintiSuresi: '14:00-18:00' }).uid, toEvent({ ...outage, KesintiSuresi: '2 saat' }).uid);
+        });
+
+        it('adds a plain duration to the start', () => {
+            const event = toEvent({ IlceAdi: 'BUCA', KesintiTarihi: '2025-09-14T09:00:00', KesintiSuresi: '2 saat 30 dakika' });
+
+            assert.equal(event.start.toISOString(), '2025-09-14T09:00:00.000Z');
+            assert.equal(event.end.toISOString(), '2025-09-14T11:30:00.000Z');
+        });
+
+        it('reads dd.mm.yyyy start times too', () => {
+            const event = toEvent({ IlceAdi: 'BUCA', KesintiTarihi: '14.09.2025 09:00', KesintiSuresi: '1 saat' });
+
+            assert.equal(event.start.toISOString(), '2025-09-14T09:00:00.000Z');
+        });
+
+        it('skips outages without a readable start', () => {
+            assert.equal(toEvent({ IlceAdi: 'BUCA', KesintiTarihi: 'Belirsiz' }), null);
+        });
+    });
+
+    describe('buildOutageCalendar', () => {
+        const calendar = ICal.buildOutageCalendar(outages, { ...PARSERS, now: new Date('2025-09-14T10:00:00Z') });
+
+        it('has one event per outage in the fixture', () => {
+            assert.equal(propertyValues(calendar, 'BEGIN').filter(line => line === 'BEGIN:VEVENT').length, outages.length);
+        });
+
+        it('writes local start and end times in the Istanbul zone', () => {
+            assert.deepEqual(propertyValues(calendar, 'DTSTART').slice(1), [
+                'DTSTART;TZID=Europe/Istanbul:20250914T093000',
+                'DTSTART;TZID=Europe/Istanbul:20250913T140000'
+            ]);
+            assert.deepEqual(propertyValues(calendar, 'DTEND'), [
+                'DTEND;TZID=Europe/Istanbul:20250914T123000',
+                'DTEND;TZID=Europe/Istanbul:20250913T174500'
+            ]);
+        });
+    });
+});
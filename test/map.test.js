@@ -0,0 +1,50 @@
+/**
+ * Tests for placing outages on the map (src/map.js) with a gazetteer from src/build-gazetteer.js
+ * Run with: node --test test/
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildGazetteers } = require('../src/build-gazetteer');
+
+// Torbalı is not one of the districts of the original hand-typed gazetteer
+const gazetteer = buildGazetteers({
+    elements: [
+        { type: 'relation', id: 1, tags: { name: 'Torbalı', admin_level: '6' } },
+        { type: 'node', id: 10, lat: 38.1520, lon: 27.3610, tags: { name: 'Ayrancılar', place: 'neighbourhood' } },
+        { type: 'relation', id: 11, center: { lat: 38.1580, lon: 27.3630 }, tags: { name: 'Pancar Mahallesi', admin_level: '8' } }
+    ]
+}).neighborhoods;
+
+// map.js is a browser module: it reads Utils, localStorage and fetch from the global scope
+global.Utils = require('../src/utils');
+global.localStorage = { getItem: () => null, setItem: () => {} };
+const MapView = require('../src/map');
+
+describe('map', () => {
+    before(async () => {
+        mock.method(global, 'fetch', async () => ({ ok: true, json: async () => gazetteer }));
+        await MapView.loadNeighborhoodsData();
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    describe('getOutagePosition', () => {
+        it('places an outage at the mean of its neighborhoods', () => {
+            const position = MapView.getOutagePosition({ IlceAdi: 'TORBALI', Mahalleler: 'AYRANCILAR, PANCAR MAH.' }, 0);
+
+            assert.equal(position.approximate, false);
+            assert.ok(Math.abs(position.lat - 38.155) < 1e-9);
+            assert.ok(Math.abs(position.lng - 27.362) < 1e-9);
+        });
+
+        it('falls back to the district center for unknown neighborhoods', () => {
+            const position = MapView.getOutagePosition({ IlceAdi: 'TORBALI', Mahalleler: 'Yeni' }, 0);
+
+            assert.equal(position.approximate, true);
+        });
+    });
+});
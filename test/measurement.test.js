@@ -0,0 +1,110 @@
+/**
+ * Tests for analysis value parsing and unit conversion (src/measurement.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// measurement.js is a browser module: it reads Utils from the global scope
+global.Utils = require('../src/utils');
+const Measurement = require('../src/measurement');
+
+// tables.js colors values by the result of toLimitValue; limits are keyed by parameter name here
+global.Measurement = Measurement;
+global.Standards = { getLimit: (limits, name) => limits[name] || null };
+global.localStorage = { getItem: () => null };
+const Tables = require('../src/tables');
+
+const IRON = { max: 0.2, unit: 'mg/L' };
+const CHLORINE = { min: 0.2, max: 0.5, unit: 'mg/L' };
+
+describe('measurement', () => {
+    describe('parse', () => {
+        it('reads decimal commas and points', () => {
+            assert.equal(Measurement.parse('0,35').value, 0.35);
+            assert.equal(Measurement.parse('0.35').value, 0.35);
+            assert.equal(Measurement.parse('1.234,5').value, 1234.5);
+            assert.equal(Measurement.parse('1,234.5').value, 1234.5);
+            assert.equal(Measurement.parse(7.4).value, 7.4);
+        });
+
+        it('keeps the bound of a censored value', () => {
+            assert.deepEqual(Measurement.parse('<0.01', 'mg/l'), { value: 0.01, qualifier: '<', unit: 'mg/L', text: '<0.01' });
+            assert.deepEqual(Measurement.parse('> 200'), { value: 200, qualifier: '>', unit: null, text: '> 200' });
+            assert.equal(Measurement.parse('≤0,5').qualifier, '<');
+        });
+
+        it('reads "not detected" spellings without a value', () => {
+            ['ND', 'n.d.', 'Tespit Edilmedi', 'YOK'].forEach(text => {
+                const measurement = Measurement.parse(text, 'mg/L');
+                assert.equal(measurement.qualifier, 'nd', text);
+                assert.equal(measurement.value, null, text);
+            });
+        });
+
+        it('takes the unit written after the number when none is given', () => {
+            assert.equal(Measurement.parse('12 µg/lt').unit, 'µg/L');
+            assert.equal(Measurement.parse('12 ug/L', 'mg/L').unit, 'mg/L');
+        });
+
+        it('leaves text, ranges and lists without a value', () => {
+            ['UYGUN', '6.5-8.5', '1 234', '', null].forEach(text => {
+                assert.equal(Measurement.parse(text).value, null, String(text));
+                assert.equal(Measurement.parse(text).qualifier, null, String(text));
+            });
+        });
+    });
+
+    describe('convert', () => {
+        it('converts between mass concentrations', () => {
+            assert.equal(Measurement.convert(150, 'µg/L', 'mg/L'), 0.15);
+            assert.equal(Measurement.convert(0.2, 'mg/L', 'µg/L'), 200);
+            assert.equal(Measurement.convert(1, 'ppm', 'ppb'), 1000);
+        });
+
+        it('leaves unrelated units unchanged', () => {
+            assert.equal(Measurement.convert(7.4, 'pH', 'mg/L'), 7.4);
+            assert.equal(Measurement.convert(500, 'µS/cm', 'mg/L'), 500);
+        });
+    });
+
+    describe('toLimitValue', () => {
+        it('converts the value to the unit of the limit', () => {
+            assert.equal(Measurement.toLimitValue(Measurement.parse('150', 'µg/L'), IRON), 0.15);
+            assert.equal(Measurement.toLimitValue(Measurement.parse('0,35', 'mg/L'), IRON), 0.35);
+        });
+
+        it('never lets a value below the detection limit exceed a maximum', () => {
+            assert.equal(Measurement.toLimitValue(Measurement.parse('<0.01', 'mg/L'), IRON), 0);
+            assert.equal(Measurement.toLimitValue(Measurement.parse('<500', 'µg/L'), IRON), 0);
+            assert.equal(Measurement.toLimitValue(Measurement.parse('ND', 'mg/L'), IRON), 0);
+        });
+
+        it('compares the detection limit against a minimum', () => {
+            assert.equal(Measurement.toLimitValue(Measurement.parse('<0.1', 'mg/L'), CHLORINE), 0.1);
+            assert.equal(Measurement.toLimitValue(Measurement.parse('ND', 'mg/L'), CHLORINE), 0);
+        });
+
+        it('returns null when the value cannot be compared', () => {
+            assert.equal(Measurement.toLimitValue(Measurement.parse('UYGUN', 'mg/L'), IRON), null);
+            assert.equal(Measurement.toLimitValue(Measurement.parse('', 'mg/L'), IRON), null);
+            assert.equal(Measurement.toLimitValue(null, IRON), null);
+        });
+    });
+
+    describe('value classes in tables', () => {
+        const limits = { Demir: IRON };
+
+        it('colors a converted value against the limit', () => {
+            assert.equal(Tables.getValueClass('Demir', '350', limits, 'µg/L'), 'value-danger');
+            assert.equal(Tables.getValueClass('Demir', '0,05', limits, 'mg/L'), 'value-normal');
+        });
+
+        it('shows censored and uncomparable values as normal', () => {
+            assert.equal(Tables.getValueClass('Demir', '<0.5', limits, 'mg/L'), 'value-normal');
+            assert.equal(Tables.getValueClass('Demir', 'ND', limits, 'mg/L'), 'value-normal');
+            assert.equal(Tables.getValueClass('Demir', 'UYGUN', limits, 'mg/L'), 'value-normal');
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the outage archive (src/outage-archive.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const OutageArchive = require('../src/outage-archive');
+
+const outages = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', 'arizakaynaklisukesintileri.json'), 'utf8'));
+const [buca, konak] = outages;
+
+const FIRST_FETCH = new Date('2025-09-14T10:00:00Z');
+const NEXT_FETCH = new Date('2025-09-14T11:00:00Z');
+
+describe('outage-archive', () => {
+    describe('outageKey', () => {
+        it('ignores the order of the neighborhoods', () => {
+            const reordered = { ...buca, Mahalleler: 'Kozağaç,Adatepe ' };
+
+            assert.equal(OutageArchive.outageKey(reordered), OutageArchive.outageKey(buca));
+            assert.equal(OutageArchive.outageKey(buca), 'BUCA|Adatepe,Kozağaç|2025-09-14T09:30:00|Arıza');
+        });
+    });
+
+    describe('updateOutageArchive', () => {
+        it('adds live outages and records reported resolutions', () => {
+            const { archive, added, resolved, pruned } = OutageArchive.updateOutageArchive(null, outages, FIRST_FETCH);
+
+            assert.deepEqual({ added, resolved, pruned }, { added: 2, resolved: 1, pruned: 0 });
+            assert.equal(archive.updatedAt, '2025-09-14T10:00:00.000Z');
+            assert.equal(archive.retentionDays, OutageArchive.ARCHIVE_RETENTION_DAYS);
+
+            const [bucaEntry, konakEntry] = archive.entries;
+            assert.deepEqual(bucaEntry.neighborhoods, ['Adatepe', 'Kozağaç']);
+            assert.equal(bucaEntry.resolvedAt, null);
+            assert.equal(konakEntry.resolvedAt, '2025-09-13T17:45:00');
+            assert.equal(konakEntry.resolution, 'reported');
+        });
+
+        it('keeps one entry per outage across fetches and updates its details', () => {
+            const first = OutageArchive.updateOutageArchive(null, outages, FIRST_FETCH).archive;
+            const updated = [{ ...buca, Mahalleler: 'Kozağaç, Adatepe', KesintiSuresi: '5 saat' }, konak];
+
+            const { archive, added, resolved } = OutageArchive.updateOutageArchive(first, updated, NEXT_FETCH);
+
+            assert.equal(added, 0);
+            assert.equal(resolved, 0);
+            assert.equal(archive.entries.length, 2);
+            assert.equal(archive.entries[0].firstSeen, FIRST_FETCH.toISOString());
+            assert.equal(archive.entries[0].lastSeen, NEXT_FETCH.toISOString());
+            assert.equal(archive.entries[0].duration, '5 saat');
+        });
+
+        it('does not change the previous archive', () => {
+            const first = OutageArchive.updateOutageArchive(null, outages, FIRST_FETCH).archive;
+
+            OutageArchive.updateOutageArchive(first, [], NEXT_FETCH);
+
+            assert.equal(first.entries[0].resolvedAt, null);
+        });
+
+        it('closes an outage that disappears at its last sighting and reopens it when listed again', () => {
+            const first = OutageArchive.updateOutageArchive(null, [buca], FIRST_FETCH).archive;
+
+            const removed = OutageArchive.updateOutageArchive(first, [], NEXT_FETCH);
+            assert.equal(removed.resolved, 1);
+            assert.equal(removed.archive.entries[0].resolvedAt, FIRST_FETCH.toISOString());
+            assert.equal(removed.archive.entries[0].resolution, 'removed');
+
+            const listedAgain = OutageArchive.updateOutageArchive(removed.archive, [buca], new Date('2025-09-14T12:00:00Z'));
+            assert.equal(listedAgain.added, 0);
+            assert.equal(listedAgain.archive.entries[0].resolvedAt, null);
+            assert.equal(listedAgain.archive.entries[0].resolution, null);
+        });
+
+        it('prunes entries closed before the retention period', () => {
+            const first = OutageArchive.updateOutageArchive(null, outages, FIRST_FETCH).archive;
+            const later = new Date(FIRST_FETCH.getTime() + (OutageArchive.ARCHIVE_RETENTION_DAYS + 1) * 86400000);
+
+            const { archive, pruned } = OutageArchive.updateOutageArchive(first, [], later);
+
+            assert.equal(pruned, 2);
+            assert.deepEqual(archive.entries, []);
+        });
+
+        it('sorts entries by start time, newest first', () => {
+            const { archive } = OutageArchive.updateOutageArchive(null, [...outages].reverse(), FIRST_FETCH);
+
+            assert.deepEqual(archive.entries.map(entry => entry.district), ['BUCA', 'KONAK']);
+        });
+
+        it('sorts an entry without a readable start by its first sighting', () => {
+            const first = OutageArchive.updateOutageArchive(null, [konak], FIRST_FETCH).archive;
+            const undated = { ...buca, KesintiTarihi: 'yarın' };
+
+            const { archive } = OutageArchive.updateOutageArchive(first, [undated, konak], NEXT_FETCH);
+
+            assert.deepEqual(archive.entries.map(entry => entry.start), ['yarın', '2025-09-13T14:00:00']);
+        });
+    });
+});
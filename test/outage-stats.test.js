@@ -0,0 +1,84 @@
+/**
+ * Tests for outage durations and periods (src/outage-stats.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const OutageStats = require('../src/outage-stats');
+
+const outages = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', 'arizakaynaklisukesintileri.json'), 'utf8'));
+
+describe('outage-stats', () => {
+    describe('parseClockRange', () => {
+        it('reads start and end times', () => {
+            assert.deepEqual(OutageStats.parseClockRange('14:00-18:00'), { startMinutes: 840, endMinutes: 1080 });
+            assert.deepEqual(OutageStats.parseClockRange('Saat 09.30 - 12.15 arası'), { startMinutes: 570, endMinutes: 735 });
+        });
+
+        it('puts an end before the start on the next day', () => {
+            assert.deepEqual(OutageStats.parseClockRange('22:30-02:00'), { startMinutes: 1350, endMinutes: 1560 });
+        });
+
+        it('ignores durations and invalid times', () => {
+            assert.equal(OutageStats.parseClockRange('02:30'), null);
+            assert.equal(OutageStats.parseClockRange('2 saat 30 dakika'), null);
+            assert.equal(OutageStats.parseClockRange('25:00-26:00'), null);
+            assert.equal(OutageStats.parseClockRange(null), null);
+        });
+    });
+
+    describe('parseDurationText', () => {
+        it('measures a clock range from its start to its end', () => {
+            assert.equal(OutageStats.parseDurationText('14:00-18:00'), 240);
+            assert.equal(OutageStats.parseDurationText('22:30-02:00'), 210);
+        });
+
+        it('adds hours and minutes', () => {
+            assert.equal(OutageStats.parseDurationText('2 saat 30 dakika'), 150);
+            assert.equal(OutageStats.parseDurationText('1 SAAT 15 DK'), 75);
+            assert.equal(OutageStats.parseDurationText('1 gün 2 saat'), 1560);
+        });
+
+        it('reads decimal hours, minutes and clock durations', () => {
+            assert.equal(OutageStats.parseDurationText('1,5 saat'), 90);
+            assert.equal(OutageStats.parseDurationText('45 dk'), 45);
+            assert.equal(OutageStats.parseDurationText('02:30'), 150);
+        });
+
+        it('returns null for text without a duration', () => {
+            assert.equal(OutageStats.parseDurationText('Belirsiz'), null);
+            assert.equal(OutageStats.parseDurationText(''), null);
+        });
+    });
+
+    describe('getDurationMinutes', () => {
+        const entries = OutageStats.getEntries({ outages });
+
+        it('measures a reported resolution from the outage start', () => {
+            const konak = entries.find(entry => entry.district === 'KONAK');
+
+            assert.equal(OutageStats.getDurationMinutes(konak), 225);
+        });
+
+        it('falls back to the duration text of an open outage', () => {
+            const buca = entries.find(entry => entry.district === 'BUCA');
+
+            assert.equal(OutageStats.getDurationMinutes(buca), 180);
+        });
+    });
+
+    describe('filterByPeriod', () => {
+        it('keeps the outages that started within the period', () => {
+            const entries = OutageStats.getEntries({ outages });
+            const now = new Date('2025-09-14T12:00:00Z').getTime();
+
+            assert.deepEqual(OutageStats.filterByPeriod(entries, 1, now).map(entry => entry.district), ['BUCA']);
+            assert.equal(OutageStats.filterByPeriod(entries, 2, now).length, 2);
+            assert.equal(OutageStats.filterByPeriod(entries, 0, now), entries);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the analysis report archive (src/quality-archive.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const Dates = require('../src/dates');
+const QualityArchive = require('../src/quality-archive');
+
+function fixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', file), 'utf8'));
+}
+
+function sources() {
+    return {
+        weekly: fixture('haftaliksuanalizleri.json'),
+        district: fixture('cevreilcesuanalizleri.json'),
+        dam: fixture('barajsukaliteraporlari.json')
+    };
+}
+
+const FIRST_FETCH = new Date('2025-09-14T10:00:00Z');
+const NEXT_FETCH = new Date('2025-09-21T10:00:00Z');
+const MS_PER_DAY = 86400000;
+
+const WEEKLY_ID = 'weekly||Tahtalı Arıtma Çıkışı|2025-09-10T00:00:00';
+
+describe('quality-archive', () => {
+    describe('updateQualityArchive', () => {
+        it('adds one report per endpoint row, sorted by identity', () => {
+            const { archive, added, pruned } = QualityArchive.updateQualityArchive(null, sources(), FIRST_FETCH);
+
+            assert.equal(added, 3);
+            assert.equal(pruned, 0);
+            assert.equal(archive.retentionDays, QualityArchive.ARCHIVE_RETENTION_DAYS);
+            assert.deepEqual(archive.entries.map(entry => entry.id), [
+                'dam||Tahtalı Barajı|2025-09-01T00:00:00',
+                'district|BALÇOVA|ONUR MAH. 123 SK. NO:4|2025-09-08T00:00:00',
+                WEEKLY_ID
+            ]);
+            assert.ok(archive.entries.every(entry => entry.firstSeen === FIRST_FETCH.toISOString()));
+        });
+
+        it('replaces a republished report and keeps its first sighting', () => {
+            const first = QualityArchive.updateQualityArchive(null, sources(), FIRST_FETCH).archive;
+            const republished = sources();
+            republished.weekly.TumAnalizler[0].analizSonuclari[0].ParametreDegeri = '7,8';
+
+            const { archive, added } = QualityArchive.updateQualityArchive(first, republished, NEXT_FETCH);
+            const weekly = archive.entries.find(entry => entry.id === WEEKLY_ID);
+
+            assert.equal(added, 0);
+            assert.equal(archive.entries.length, 3);
+            assert.equal(weekly.parameters[0].value, '7,8');
+            assert.equal(weekly.firstSeen, FIRST_FETCH.toISOString());
+        });
+
+        it('adds the next report of a sampling point next to the previous one', () => {
+            const first = QualityArchive.updateQualityArchive(null, sources(), FIRST_FETCH).archive;
+            const nextWeek = sources();
+            nextWeek.weekly.TumAnalizler[0].analizSonuclari.forEach(result => { result.SonucTarihi = '2025-09-17T00:00:00'; });
+
+            const { archive, added } = QualityArchive.updateQualityArchive(first, nextWeek, NEXT_FETCH);
+
+            assert.equal(added, 1);
+            assert.deepEqual(QualityArchive.getSeries(archive.entries, {
+                kind: QualityArchive.KIND_WEEKLY,
+                district: null,
+                location: 'Tahtalı Arıtma Çıkışı',
+                param: 'pH'
+            }).map(point => point.date), ['2025-09-10T00:00:00', '2025-09-17T00:00:00']);
+        });
+
+        it('keeps the archived reports of an endpoint the fetcher failed on', () => {
+            const first = QualityArchive.updateQualityArchive(null, sources(), FIRST_FETCH).archive;
+
+            const { archive, added } = QualityArchive.updateQualityArchive(first, {
+                weekly: { error: 'Request timeout' },
+                district: null,
+                dam: fixture('barajsukaliteraporlari.json')
+            }, NEXT_FETCH);
+
+            assert.equal(added, 0);
+            assert.deepEqual(archive.entries, first.entries);
+        });
+
+        it('prunes reports dated before the retention period', () => {
+            const first = QualityArchive.updateQualityArchive(null, sources(), FIRST_FETCH).archive;
+            // The weekly report (2025-09-10) is the last one inside the period
+            const later = new Date(Dates.toTime('2025-09-10T00:00:00') + QualityArchive.ARCHIVE_RETENTION_DAYS * MS_PER_DAY);
+
+            const { archive, pruned } = QualityArchive.updateQualityArchive(first, {}, later);
+
+            assert.equal(pruned, 2);
+            assert.deepEqual(archive.entries.map(entry => entry.id), [WEEKLY_ID]);
+        });
+
+        it('keeps a report with an unreadable date until its first sighting expires', () => {
+            // new Date() would read this as 1 January 2025
+            const undated = fixture('barajsukaliteraporlari.json');
+            undated.BarajAnalizleri[0].Tarih = 'Eylül 2025';
+            const first = QualityArchive.updateQualityArchive(null, { dam: undated }, FIRST_FETCH).archive;
+            const expiry = FIRST_FETCH.getTime() + QualityArchive.ARCHIVE_RETENTION_DAYS * MS_PER_DAY;
+
+            assert.equal(QualityArchive.updateQualityArchive(first, {}, new Date(expiry)).archive.entries.length, 1);
+            assert.equal(QualityArchive.updateQualityArchive(first, {}, new Date(expiry + 1)).archive.entries.length, 0);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the CCME Water Quality Index (src/quality-index.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// quality-index.js is a browser module: it reads Standards, Measurement and Utils from the global scope
+// Parameter names are used as canonical IDs here, so the limits below are keyed by name
+global.Utils = require('../src/utils');
+global.Measurement = require('../src/measurement');
+global.Standards = { resolve: name => name };
+const QualityIndex = require('../src/quality-index');
+
+const LIMITS = {
+    nitrate: { max: 50, unit: 'mg/L' },
+    iron: { max: 0.2, unit: 'mg/L' },
+    ph: { min: 6.5, max: 9.5, unit: 'pH' },
+    turbidity: { max: 1, unit: 'NTU' }
+};
+
+const test = (name, value, unit = null) => ({ name, value, unit: unit || LIMITS[name].unit });
+
+describe('quality-index', () => {
+    describe('compute', () => {
+        it('scores 100 when every test passes', () => {
+            const index = QualityIndex.compute([test('nitrate', 12), test('iron', '0,05'), test('ph', 7.4)], LIMITS);
+
+            assert.equal(index.score, 100);
+            assert.equal(index.category, 'excellent');
+            assert.equal(index.failedVariables, 0);
+            assert.equal(index.failedTests, 0);
+        });
+
+        it('matches a hand-computed index', () => {
+            // Iron fails twice (0.3 and 0.6 mg/L: excursions 0.5 and 2), turbidity fails once (1.5 NTU: 0.5)
+            // F1 = 2/4 variables = 50, F2 = 3/6 tests = 50
+            // nse = 3/6 = 0.5, F3 = 0.5 / (0.01 * 0.5 + 0.01) = 33.33
+            // WQI = 100 - sqrt(50² + 50² + 33.33²) / 1.732 = 100 - 78.17 / 1.732 = 54.87
+            const index = QualityIndex.compute([
+                test('nitrate', 12),
+                test('iron', 0.3),
+                test('iron', 0.6),
+                test('ph', 7.4),
+                test('turbidity', 0.4),
+                test('turbidity', 1.5)
+            ], LIMITS);
+
+            assert.deepEqual(index, {
+                score: 55,
+                category: 'marginal',
+                variables: 4,
+                failedVariables: 2,
+                tests: 6,
+                failedTests: 3
+            });
+        });
+
+        it('lowers the index with the amplitude of a failure (F3)', () => {
+            // F1 = F2 = 33.33 in both; F3 = 25 for an excursion of 1 and 40 for an excursion of 2
+            const score = iron => QualityIndex.compute([test('nitrate', 12), test('iron', iron), test('ph', 7.4)], LIMITS).score;
+
+            assert.equal(score(0.4), 69);
+            assert.equal(score(0.6), 64);
+        });
+
+        it('measures a value below a minimum as min / value - 1', () => {
+            // pH 5 against a minimum of 6.5: excursion 0.3, F3 = 0.1 / 0.011 = 9.09
+            const index = QualityIndex.compute([test('nitrate', 12), test('iron', 0.1), test('ph', 5)], LIMITS);
+
+            assert.equal(index.score, 72);
+            assert.equal(index.failedVariables, 1);
+        });
+
+        it('compares values in the unit of the limit', () => {
+            const index = QualityIndex.compute([test('nitrate', 12), test('iron', 150, 'µg/L'), test('ph', 7.4)], LIMITS);
+
+            assert.equal(index.failedTests, 0);
+        });
+
+        it('ignores unlimited parameters and values that are not numbers', () => {
+            const index = QualityIndex.compute([
+                test('nitrate', 12),
+                test('iron', 0.1),
+                test('ph', 'UYGUN'),
+                { name: 'color', value: 40, unit: 'Pt-Co' }
+            ], LIMITS);
+
+            assert.equal(index, null);
+        });
+
+        it(`needs at least ${QualityIndex.MIN_VARIABLES} limited parameters`, () => {
+            assert.equal(QualityIndex.compute([test('nitrate', 12), test('iron', 0.1)], LIMITS), null);
+            assert.equal(QualityIndex.compute([], LIMITS), null);
+        });
+    });
+
+    describe('getCategory', () => {
+        it('puts each boundary in the higher category', () => {
+            assert.equal(QualityIndex.getCategory(100), 'excellent');
+            assert.equal(QualityIndex.getCategory(95), 'excellent');
+            assert.equal(QualityIndex.getCategory(94.9), 'good');
+            assert.equal(QualityIndex.getCategory(80), 'good');
+            assert.equal(QualityIndex.getCategory(79.9), 'fair');
+            assert.equal(QualityIndex.getCategory(65), 'fair');
+            assert.equal(QualityIndex.getCategory(64.9), 'marginal');
+            assert.equal(QualityIndex.getCategory(45), 'marginal');
+            assert.equal(QualityIndex.getCategory(44.9), 'poor');
+            assert.equal(QualityIndex.getCategory(0), 'poor');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the sampling point geocoder (src/sampling-points.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SOURCE_OVERRIDE,
+    SOURCE_STREET,
+    SOURCE_NEIGHBORHOOD,
+    findStreet,
+    resolvePoint
+} = require('../src/sampling-points');
+
+const GEOCODING = {
+    gazetteer: {
+        'Konak': {
+            'Alsancak': { lat: 38.4380, lng: 27.1430 },
+            'Göztepe': { lat: 38.3980, lng: 27.0850 }
+        }
+    },
+    streets: {
+        'Konak': {
+            '1453 Sokak': { lat: 38.4370, lng: 27.1450 },
+            'Kıbrıs Şehitleri Caddesi': { lat: 38.4390, lng: 27.1440 },
+            'Mithatpaşa Caddesi': { lat: 38.3500, lng: 27.0100 }
+        }
+    },
+    overrides: {
+        'KONAK': {
+            'Alsancak Mah. 1453 Sk. No:5': { lat: 38.4371, lng: 27.1452 }
+        }
+    }
+};
+
+const near = (actual, expected, degrees) => Math.abs(actual - expected) <= degrees;
+
+describe('sampling-points', () => {
+    describe('findStreet', () => {
+        it('matches abbreviated street names', () => {
+            assert.equal(findStreet('Alsancak Mh. 1453 Sk. önü', GEOCODING.streets.Konak).name, '1453 Sokak');
+            assert.equal(findStreet('Kıbrıs Şehitleri Cd. No:12', GEOCODING.streets.Konak).name, 'Kıbrıs Şehitleri Caddesi');
+        });
+
+        it('does not match a street number inside another one', () => {
+            assert.equal(findStreet('14530 Sokak', GEOCODING.streets.Konak), null);
+        });
+    });
+
+    describe('resolvePoint', () => {
+        it('prefers a manual override', () => {
+            const point = resolvePoint('Konak', 'ALSANCAK MAH. 1453 SK. NO:5', GEOCODING);
+
+            assert.deepEqual(point, { lat: 38.4371, lng: 27.1452, source: SOURCE_OVERRIDE, neighborhood: null, street: null });
+        });
+
+        it('places a point on its street before its neighborhood', () => {
+            const point = resolvePoint('KONAK', 'Alsancak Mah. 1453 Sk. Park İçi', GEOCODING);
+
+            assert.equal(point.source, SOURCE_STREET);
+            assert.equal(point.street, '1453 Sokak');
+            assert.equal(point.neighborhood, 'Alsancak');
+            assert.ok(near(point.lat, 38.4370, 0.0005) && near(point.lng, 27.1450, 0.0005));
+        });
+
+        it('falls back to the neighborhood when the street is a namesake far away', () => {
+            const point = resolvePoint('Konak', 'Göztepe Mah. Mithatpaşa Cad.', GEOCODING);
+
+            assert.equal(point.source, SOURCE_NEIGHBORHOOD);
+            assert.equal(point.street, null);
+            assert.ok(near(point.lat, 38.3980, 0.002) && near(point.lng, 27.0850, 0.002));
+        });
+
+        it('resolves the same address to the same place every time', () => {
+            assert.deepEqual(
+                resolvePoint('Konak', 'Göztepe Mah. Okul Önü', GEOCODING),
+                resolvePoint('KONAK', 'GÖZTEPE MAH. OKUL ÖNÜ', GEOCODING)
+            );
+        });
+
+        it('leaves unmatched addresses unresolved', () => {
+            assert.deepEqual(resolvePoint('Buca', 'Şirinyer Parkı', GEOCODING), {
+                lat: null, lng: null, source: null, neighborhood: null, street: null
+            });
+        });
+    });
+});
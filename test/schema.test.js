@@ -0,0 +1,99 @@
+/**
+ * Tests for snapshot validation (src/schema.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const Schema = require('../src/schema');
+
+const fixtureDams = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'izsu', 'barajdurum.json'), 'utf8'));
+
+describe('schema', () => {
+    describe('isSupportedVersion', () => {
+        it('accepts versions up to the current one and snapshots without a version', () => {
+            assert.ok(Schema.isSupportedVersion({}));
+            assert.ok(Schema.isSupportedVersion({ schemaVersion: 1 }));
+            assert.ok(Schema.isSupportedVersion({ schemaVersion: Schema.VERSION }));
+        });
+
+        it('rejects newer and malformed versions', () => {
+            assert.equal(Schema.isSupportedVersion({ schemaVersion: Schema.VERSION + 1 }), false);
+            assert.equal(Schema.isSupportedVersion({ schemaVersion: '2' }), false);
+            assert.equal(Schema.isSupportedVersion({ schemaVersion: 0 }), false);
+        });
+    });
+
+    describe('cleanEndpoint', () => {
+        it('drops invalid rows and keeps the rest', () => {
+            const outages = [
+                { IlceAdi: 'BUCA', KesintiTarihi: '14.09.2025 09:00' },
+                { IlceAdi: 'KONAK' },
+                { IlceAdi: 'BORNOVA', KesintiTarihi: '14.09.2025 11:00' }
+            ];
+
+            const { data, dropped } = Schema.cleanEndpoint('arizakaynaklisukesintileri', outages);
+
+            assert.deepEqual(data.map(o => o.IlceAdi), ['BUCA', 'BORNOVA']);
+            assert.deepEqual(dropped, ['arizakaynaklisukesintileri[1].KesintiTarihi: missing']);
+            assert.ok(Schema.validateEndpoint('arizakaynaklisukesintileri', data).valid);
+        });
+
+        it('drops a bad nested row without dropping its parent', () => {
+            const analysis = {
+                Ilceler: [{
+                    IlceAdi: 'BALÇOVA',
+                    Noktalar: [{
+                        Adres: 'ONUR MAH. 123 SK. NO:4',
+                        NoktaAnalizleri: [{ ParametreAdi: 'pH', Birim: null }, { Birim: 'mg/L' }]
+                    }]
+                }]
+            };
+
+            const { data, dropped } = Schema.cleanEndpoint('cevreilcesuanalizleri', analysis);
+
+            assert.equal(dropped.length, 1);
+            assert.deepEqual(data.Ilceler[0].Noktalar[0].NoktaAnalizleri, [{ ParametreAdi: 'pH', Birim: null }]);
+            assert.equal(analysis.Ilceler[0].Noktalar[0].NoktaAnalizleri.length, 2);
+        });
+
+        it('returns valid data unchanged', () => {
+            const dams = [{ BarajKuyuAdi: 'Tahtalı', SuDurumu: 1, MinimumSuKapasitesi: 0, MaksimumSuKapasitesi: 2, DolulukOrani: 50 }];
+
+            const { data, dropped } = Schema.cleanEndpoint('barajdurum', dams);
+
+            assert.equal(data, dams);
+            assert.deepEqual(dropped, []);
+        });
+
+        it('marks the endpoint invalid when most rows fail, e.g. after a field rename', () => {
+            const dams = fixtureDams().map(({ SuDurumu, ...dam }) => ({ ...dam, SuMiktari: SuDurumu }));
+
+            const result = Schema.cleanEndpoint('barajdurum', dams);
+
+            assert.equal(result.valid, false);
+            assert.deepEqual(result.data, []);
+            assert.match(result.errors[0], new RegExp(`^barajdurum: ${dams.length} of ${dams.length} rows do not match`));
+            assert.match(result.errors[1], /SuDurumu: missing/);
+        });
+
+        it('stays valid when no more than half of the rows are dropped', () => {
+            const dams = fixtureDams();
+            delete dams[0].DolulukOrani;
+
+            const result = Schema.cleanEndpoint('barajdurum', dams);
+
+            assert.equal(result.valid, true);
+            assert.equal(result.data.length, dams.length - 1);
+        });
+
+        it('leaves a changed overall shape to validation', () => {
+            const { data } = Schema.cleanEndpoint('barajdurum', { items: [] });
+
+            assert.equal(Schema.validateEndpoint('barajdurum', data).valid, false);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for snapshot storage reads (src/snapshot-storage.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createGistStorage,
+    createFileStorage,
+    createMultiStorage
+} = require('../src/snapshot-storage');
+
+/**
+ * GitHub API stub answering GET /gists/:id with the given files
+ */
+function gistRequest(files, statusCode = 200) {
+    return async () => ({ statusCode, body: JSON.stringify({ files }) });
+}
+
+describe('snapshot-storage', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('createGistStorage', () => {
+        const options = { gistId: 'abc', token: 'secret', filename: 'izsu-data.json' };
+
+        it('reads the snapshot and the files next to it', async () => {
+            const storage = createGistStorage({
+                ...options,
+                request: gistRequest({
+                    'izsu-data.json': { content: '{"timestamp":"t"}', truncated: false },
+                    'izsu-outage-archive.json': { content: '{"entries":[]}', truncated: false }
+                })
+            });
+
+            assert.deepEqual(await storage.read(), { timestamp: 't' });
+            assert.deepEqual(await storage.read('izsu-outage-archive.json'), { entries: [] });
+        });
+
+        it('downloads truncated files from their raw URL', async () => {
+            const requested = [];
+            const storage = createGistStorage({
+                ...options,
+                request: gistRequest({
+                    'izsu-data.json': { content: '{"timesta', truncated: true, raw_url: 'https://gist.example/raw/izsu-data.json' }
+                }),
+                requestRaw: async (url) => {
+                    requested.push(url);
+                    return '{"timestamp":"t"}';
+                }
+            });
+
+            assert.deepEqual(await storage.read(), { timestamp: 't' });
+            assert.deepEqual(requested, ['https://gist.example/raw/izsu-data.json']);
+        });
+
+        it('returns null for a file the gist does not have', async () => {
+            const storage = createGistStorage({ ...options, request: gistRequest({}) });
+
+            assert.equal(await storage.read('izsu-outage-archive.json'), null);
+        });
+
+        it('fails on invalid content instead of returning null', async () => {
+            const storage = createGistStorage({
+                ...options,
+                request: gistRequest({ 'izsu-data.json': { content: '{"timesta', truncated: false } })
+            });
+
+            await assert.rejects(storage.read(), /izsu-data\.json is not valid JSON/);
+        });
+
+        it('fails when the gist cannot be read', async () => {
+            const storage = createGistStorage({ ...options, request: gistRequest({}, 502) });
+
+            await assert.rejects(storage.read(), /Gist read failed: 502/);
+        });
+
+        it('reads nothing without credentials', async () => {
+            const storage = createGistStorage({ filename: 'izsu-data.json', request: () => assert.fail('no request expected') });
+
+            assert.equal(await storage.read(), null);
+        });
+    });
+
+    describe('createFileStorage', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'izsu-storage-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('reads files next to the snapshot', async () => {
+            fs.writeFileSync(path.join(dir, 'latest.json'), '{"timestamp":"t"}');
+            fs.writeFileSync(path.join(dir, 'izsu-outage-archive.json'), '{"entries":[]}');
+            const storage = createFileStorage({ file: path.join(dir, 'latest.json') });
+
+            assert.deepEqual(await storage.read(), { timestamp: 't' });
+            assert.deepEqual(await storage.read('izsu-outage-archive.json'), { entries: [] });
+        });
+
+        it('returns null for a missing file and fails on a corrupt one', async () => {
+            fs.writeFileSync(path.join(dir, 'latest.json'), '{');
+            const storage = createFileStorage({ file: path.join(dir, 'latest.json') });
+
+            assert.equal(await storage.read('izsu-outage-archive.json'), null);
+            await assert.rejects(storage.read(), /not valid JSON/);
+        });
+    });
+
+    describe('createMultiStorage', () => {
+        const backend = (name, read) => ({ name, read, write: async () => {} });
+
+        it('falls back to the next backend when one fails', async () => {
+            const storage = createMultiStorage([
+                backend('gist', async () => { throw new Error('Gist read failed: 502'); }),
+                backend('file', async () => ({ timestamp: 't' }))
+            ]);
+
+            assert.deepEqual(await storage.read(), { timestamp: 't' });
+        });
+
+        it('fails when no backend has the file and one of them failed', async () => {
+            const storage = createMultiStorage([
+                backend('gist', async () => { throw new Error('Gist read failed: 502'); }),
+                backend('file', async () => null)
+            ]);
+
+            await assert.rejects(storage.read(), /Read failed for: gist/);
+        });
+
+        it('returns null when no backend has the file', async () => {
+            const storage = createMultiStorage([backend('file', async () => null)]);
+
+            assert.equal(await storage.read('izsu-outage-archive.json'), null);
+        });
+    });
+});
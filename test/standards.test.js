@@ -0,0 +1,88 @@
+/**
+ * Tests for the parameter alias registry and limit lookup (src/standards.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ALIASES = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'parameter-aliases.json'), 'utf8'));
+
+// standards.js is a browser module: it reads Utils, Cache, document and fetch from the global scope
+global.Utils = require('../src/utils');
+global.Cache = { getSettings: () => ({}) };
+global.document = { getElementById: () => null };
+const Standards = require('../src/standards');
+
+describe('standards', () => {
+    let limits;
+
+    before(async () => {
+        // Serve the data files from the repository
+        mock.method(global, 'fetch', async url => {
+            const file = path.join(ROOT, url);
+            return fs.existsSync(file)
+                ? { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) }
+                : { ok: false, status: 404 };
+        });
+        await Standards.init();
+        limits = Standards.getLimits();
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('loads the default profile', () => {
+        assert.equal(Standards.getActiveProfileId(), 'ts266');
+    });
+
+    describe('getLimit', () => {
+        Object.entries(ALIASES).forEach(([id, names]) => {
+            it(`finds the ${id} limit under each of its names`, () => {
+                assert.ok(limits[id], `${id} has no limit in the default profile`);
+                [id, ...names].forEach(name => {
+                    assert.equal(Standards.resolve(name), id, name);
+                    assert.equal(Standards.getLimit(limits, name), limits[id], name);
+                });
+            });
+        });
+
+        it('ignores case, Turkish letters and a formula in parentheses', () => {
+            assert.equal(Standards.getLimit(limits, 'DEMİR (Fe)'), limits.iron);
+            assert.equal(Standards.getLimit(limits, 'bulanıklık'), limits.turbidity);
+            assert.equal(Standards.getLimit(limits, 'Serbest  Residüel-Klor'), limits.freeChlorine);
+        });
+
+        it('returns null for a parameter without a limit', () => {
+            assert.equal(Standards.getLimit(limits, 'Sıcaklık'), null);
+            assert.equal(Standards.getLimit(limits, ''), null);
+            assert.equal(Standards.getLimit(null, 'Demir'), null);
+        });
+    });
+
+    describe('alias table', () => {
+        it('gives no name to two parameters', () => {
+            const owners = {};
+            Object.entries(ALIASES).forEach(([id, names]) => {
+                [id, ...names].forEach(name => {
+                    const key = Standards.normalizeName(name);
+                    assert.ok(!owners[key] || owners[key] === id, `"${name}" is listed for ${owners[key]} and ${id}`);
+                    owners[key] = id;
+                });
+            });
+        });
+
+        it('lists only parameters that some profile limits', () => {
+            const index = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'standards', 'index.json'), 'utf8'));
+            const limited = new Set(index.profiles.flatMap(profile =>
+                Object.keys(JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'standards', profile.file), 'utf8')).parameters)
+            ));
+
+            assert.deepEqual(Object.keys(ALIASES).filter(id => !limited.has(id)), []);
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the URL hash state (src/url-state.js)
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const UrlState = require('../src/url-state');
+
+/**
+ * Minimal stand-in for the class list of a DOM element
+ */
+function classList(...names) {
+    const set = new Set(names);
+    return {
+        contains: name => set.has(name),
+        toggle: (name, force) => (force ? set.add(name) : set.delete(name))
+    };
+}
+
+function select(id, values, value) {
+    return {
+        id,
+        value,
+        options: values.map(v => ({ value: v })),
+        changes: 0,
+        dispatchEvent() { this.changes++; }
+    };
+}
+
+function button(attr, value, active = false) {
+    return {
+        dataset: { [attr]: value },
+        classList: classList(...(active ? ['active'] : [])),
+        clicks: 0,
+        click() { this.clicks++; }
+    };
+}
+
+/**
+ * Page with the Analyses section open on the district tab and the dam section's range buttons
+ */
+function createPage() {
+    const tabs = [button('tab', 'haftalik'), button('tab', 'ilce', true), button('tab', 'baraj')];
+    const analizler = {
+        id: 'analizler',
+        classList: classList('section', 'active'),
+        querySelectorAll: selector => selector === '.tab-btn' ? tabs : [],
+        querySelector: selector => selector === '.tab-btn.active' ? tabs.find(tab => tab.classList.contains('active')) : null
+    };
+    const elements = {
+        analizler,
+        districtViewMode: select('districtViewMode', ['card', 'table'], 'card'),
+        analysisDistrictFilter: select('analysisDistrictFilter', ['', 'BUCA', 'KONAK'], '')
+    };
+    const ranges = [button('range', '30'), button('range', '365', true)];
+
+    return {
+        elements,
+        ranges,
+        document: {
+            getElementById: id => elements[id] || null,
+            querySelector: selector => selector === '.section.active' ? analizler : null,
+            querySelectorAll: selector => selector === '#historyRangeFilter .period-btn' ? ranges : []
+        }
+    };
+}
+
+describe('url-state', () => {
+    describe('parse and format', () => {
+        it('round-trips a section, tab and params', () => {
+            const state = { section: 'analizler', tab: 'ilce', params: { district: 'KARŞIYAKA', view: 'table' } };
+
+            assert.deepEqual(UrlState.parse(UrlState.format(state)), state);
+        });
+
+        it('round-trips values that need escaping', () => {
+            const state = { section: 'analizler', tab: 'haftalik', params: { param: 'Serbest Klor (Cl2) & pH=7?#' } };
+
+            assert.deepEqual(UrlState.parse(UrlState.format(state)), state);
+        });
+
+        it('round-trips a section without a tab', () => {
+            const state = { section: 'barajlar', tab: null, params: { range: '90' } };
+
+            assert.equal(UrlState.format(state), '#barajlar?range=90');
+            assert.deepEqual(UrlState.parse(UrlState.format(state)), state);
+        });
+
+        it('leaves empty params out', () => {
+            assert.equal(UrlState.format({ section: 'kesintiler', tab: 'guncel', params: { district: '', days: null } }), '#kesintiler/guncel');
+        });
+
+        it('falls back to the default section for an empty hash', () => {
+            assert.deepEqual(UrlState.parse(''), { section: 'barajlar', tab: null, params: {} });
+            assert.deepEqual(UrlState.parse('#'), { section: 'barajlar', tab: null, params: {} });
+        });
+    });
+
+    describe('restore', () => {
+        let page;
+
+        beforeEach(() => {
+            page = createPage();
+            global.document = page.document;
+            global.Event = class { constructor(type) { this.type = type; } };
+            global.UI = { navigateToSection: () => {}, activateTab: () => {} };
+        });
+
+        it('applies the params of the active tab', () => {
+            UrlState.restore(UrlState.parse('#analizler/ilce?district=BUCA&view=table'));
+
+            assert.equal(page.elements.analysisDistrictFilter.value, 'BUCA');
+            assert.equal(page.elements.districtViewMode.value, 'table');
+            assert.equal(page.elements.analysisDistrictFilter.changes, 1);
+        });
+
+        it('ignores values a control does not offer', () => {
+            UrlState.restore(UrlState.parse('#analizler/ilce?district=ATLANTIS&view=grid'));
+
+            assert.equal(page.elements.analysisDistrictFilter.value, '');
+            assert.equal(page.elements.districtViewMode.value, 'card');
+            assert.equal(page.elements.analysisDistrictFilter.changes, 0);
+            assert.equal(page.elements.districtViewMode.changes, 0);
+        });
+
+        it('ignores params that do not belong to the tab', () => {
+            UrlState.restore(UrlState.parse('#analizler/ilce?dam=Tahtal%C4%B1&range=30&foo=bar'));
+
+            assert.equal(page.elements.analysisDistrictFilter.changes, 0);
+            assert.equal(page.elements.districtViewMode.changes, 0);
+            assert.ok(page.ranges.every(range => range.clicks === 0));
+        });
+
+        it('ignores an unknown section', () => {
+            UrlState.restore(UrlState.parse('#nowhere/ilce?district=BUCA'));
+
+            assert.equal(page.elements.analysisDistrictFilter.value, '');
+        });
+
+        it('captures what it restored', () => {
+            const hash = '#analizler/ilce?view=table&district=KONAK';
+
+            UrlState.restore(UrlState.parse(hash));
+
+            assert.equal(UrlState.format(UrlState.capture()), hash);
+        });
+    });
+});